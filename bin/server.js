@@ -75,7 +75,11 @@ class Server {
           endpoints: {
             supported: 'GET /facilitator/supported',
             verify: 'POST /facilitator/verify',
-            settle: 'POST /facilitator/settle'
+            settle: 'POST /facilitator/settle',
+            fund: 'POST /facilitator/fund',
+            balance: 'GET /facilitator/balance/:address',
+            journal: 'GET /facilitator/journal',
+            refund: 'POST /facilitator/refund'
           }
         })
       })
@@ -5,35 +5,211 @@
 // Global libraries
 import MinimalBCHWallet from 'minimal-slp-wallet'
 import RetryQueue from '@chris.troutner/retry-queue'
+import Bitcoin from '@psf/bitcoincashjs-lib'
+import schnorr from '@psf/bitcoincashjs-lib/src/schnorr.js'
 
 // Local libraries
 import config from '../config/index.js'
+import { BCH_NETWORKS, getConfiguredNetworks, getDefaultNetwork, getNetwork } from '../config/networks.js'
+
+/**
+ * Parses a funding confirmation policy into tiers sorted by amount.
+ * Format: comma-separated '<maxSat>:<confirmations>' entries, where a
+ * '*' amount matches any value.
+ * @param {string} policy - Policy string, e.g. '10000:0,*:1'
+ * @returns {Array<Object>} Tiers of { maxSat, confirmations }
+ */
+function parseConfirmationPolicy (policy) {
+  if (!policy) return [{ maxSat: Infinity, confirmations: 0 }]
+
+  const tiers = policy.split(',').map(entry => {
+    const [amountStr, confStr] = entry.trim().split(':')
+    const maxSat = amountStr === '*' ? Infinity : Number(amountStr)
+    const confirmations = Number(confStr)
+
+    if (isNaN(maxSat) || !Number.isInteger(confirmations) || confirmations < 0) {
+      throw new Error(`Invalid funding confirmation policy entry: '${entry}'`)
+    }
+
+    return { maxSat, confirmations }
+  })
+
+  return tiers.sort((a, b) => a.maxSat - b.maxSat)
+}
+
+/**
+ * Converts an SLP token quantity, as reported by the SLP indexer in display
+ * units, to token base units.
+ * @param {string|number} qty - Token quantity, e.g. '1.5'
+ * @param {number} decimals - Decimals of the token
+ * @returns {string} Quantity in base units, e.g. '150' for 2 decimals
+ */
+function toSlpBaseUnits (qty, decimals = 0) {
+  const [whole, fraction = ''] = String(qty).split('.')
+  if (!/^\d*$/.test(whole) || !/^\d*$/.test(fraction) || fraction.length > decimals) {
+    throw new Error(`Invalid SLP token quantity '${qty}' for ${decimals} decimals`)
+  }
+
+  const base = BigInt(whole || '0') * 10n ** BigInt(decimals) +
+    BigInt(fraction.padEnd(decimals, '0') || '0')
+
+  return base.toString()
+}
 
 class BCHWalletAdapter {
   constructor (localConfig = {}) {
     // Encapsulate dependencies
-    this.msWallet = new MinimalBCHWallet(undefined, {
-      interface: config.apiType,
-      restURL: config.bchServerUrl,
-      bearerToken: config.bearerToken
-    })
+    // One read-only wallet per configured network, keyed by CAIP-2
+    // identifier. msWallet is the wallet of the default network.
+    this.networkWallets = {}
+    for (const network of getConfiguredNetworks(config)) {
+      if (!network.serverUrl) {
+        throw new Error(`A back end URL must be set to use the ${network.alias} network.`)
+      }
+
+      this.networkWallets[network.caip2] = new MinimalBCHWallet(undefined, {
+        interface: config.apiType,
+        restURL: network.serverUrl,
+        bearerToken: config.bearerToken
+      })
+    }
+    this.msWallet = this.networkWallets[getDefaultNetwork(config).caip2]
     this.bchjs = this.msWallet.bchjs
     this.config = config
     this.retryQueue = new RetryQueue()
+    this.MinimalBCHWallet = MinimalBCHWallet
+    this.Bitcoin = Bitcoin
+    this.schnorr = schnorr
+
+    // State for the facilitator hot wallet. It is created lazily the first
+    // time it is needed, so the server can start without a wallet configured.
+    this.facilitatorWallet = null
+    this.walletInitPromise = null
 
     // Bind 'this' object to all class methods
     this.validateUtxo = this.validateUtxo.bind(this)
+    this.initializeWallet = this.initializeWallet.bind(this)
+    this.checkDoubleSpendProof = this.checkDoubleSpendProof.bind(this)
+    this.getTxConfirmations = this.getTxConfirmations.bind(this)
+    this.getRequiredConfirmations = this.getRequiredConfirmations.bind(this)
+    this.isUtxoUnspent = this.isUtxoUnspent.bind(this)
+    this.queueCall = this.queueCall.bind(this)
+    this.getNetworkWallet = this.getNetworkWallet.bind(this)
+    this.getTxData = this.getTxData.bind(this)
+    this.getTransactions = this.getTransactions.bind(this)
+    this.decodeTransaction = this.decodeTransaction.bind(this)
+    this.verifyInputSignatures = this.verifyInputSignatures.bind(this)
+    this.broadcastTransaction = this.broadcastTransaction.bind(this)
+    this.sendBch = this.sendBch.bind(this)
   }
 
-  // Validate that a UTXO payment to the server was made.
-  async validateUtxo ({ txid, vout }) {
+  // Returns the read-only wallet of a network, given its CAIP-2 identifier or
+  // v1 alias. Returns the wallet of the default network if none is given.
+  getNetworkWallet (network) {
+    if (!network) return this.msWallet
+
+    const entry = getNetwork(network, this.config)
+    if (!entry) {
+      throw new Error(`Network '${network}' is not configured.`)
+    }
+
+    return this.networkWallets[entry.caip2]
+  }
+
+  /**
+   * Adds a call to the retry queue. If a deadline is given, the call is
+   * abandoned once it passes, and a 'facilitator_timeout' error is thrown.
+   * The queued call itself can not be cancelled, so only read-only calls
+   * should be given a deadline.
+   *
+   * @param {Function} funcHandle - Function for the retry queue to call
+   * @param {*} inputObj - Input passed to funcHandle
+   * @param {number} deadline - Optional Date.now() timestamp to give up at
+   * @returns {Promise<*>} The value returned by funcHandle
+   */
+  async queueCall (funcHandle, inputObj, deadline) {
+    if (!deadline) return await this.retryQueue.addToQueue(funcHandle, inputObj)
+
+    let timer
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error('facilitator_timeout')),
+        Math.max(deadline - Date.now(), 0)
+      )
+    })
+
+    try {
+      return await Promise.race([this.retryQueue.addToQueue(funcHandle, inputObj), timeout])
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  // Load the facilitator hot wallet from the WIF or mnemonic in the config.
+  // Concurrent callers share the same initialization promise.
+  async initializeWallet () {
+    if (this.facilitatorWallet) return this.facilitatorWallet
+
+    if (!this.walletInitPromise) {
+      this.walletInitPromise = this._createWallet()
+    }
+
+    try {
+      this.facilitatorWallet = await this.walletInitPromise
+      return this.facilitatorWallet
+    } catch (err) {
+      // Allow a later call to retry the initialization.
+      this.walletInitPromise = null
+      console.error('Error in BCHWalletAdapter.initializeWallet()')
+      throw err
+    }
+  }
+
+  // Instantiate minimal-slp-wallet with the facilitator key and wait for it
+  // to derive its address and load its UTXOs.
+  async _createWallet () {
+    const key = this.config.facilitatorWif || this.config.facilitatorMnemonic
+    if (!key) {
+      throw new Error('FACILITATOR_WIF or FACILITATOR_MNEMONIC must be set to use the facilitator wallet.')
+    }
+
+    const wallet = new this.MinimalBCHWallet(key, {
+      interface: this.config.apiType,
+      restURL: this.config.bchServerUrl,
+      bearerToken: this.config.bearerToken
+    })
+
+    await wallet.walletInfoPromise
+    await wallet.initialize()
+
+    return wallet
+  }
+
+  // Returns the number of confirmations a funding UTXO of the given value
+  // needs before it is accepted. Amounts above every tier of the policy use
+  // the highest tier.
+  getRequiredConfirmations (amountSat) {
+    const tiers = parseConfirmationPolicy(this.config.fundingConfirmationPolicy)
+
+    const tier = tiers.find(entry => amountSat <= entry.maxSat) || tiers[tiers.length - 1]
+
+    return tier.confirmations
+  }
+
+  // Validate that a UTXO payment to the server was made. payTo is the address
+  // that must receive the UTXO, and defaults to SERVER_BCH_ADDRESS. The UTXO
+  // is looked up on the given network, or the default network. If the
+  // optional deadline passes first, the UTXO is invalid with the reason
+  // 'facilitator_timeout'.
+  async validateUtxo ({ txid, vout, payTo, deadline, network }) {
     try {
       // Ensure the minimal-slp-wallet is ready
-      await this.msWallet.walletInfoPromise
+      const msWallet = this.getNetworkWallet(network)
+      await msWallet.walletInfoPromise
 
       // Get the TX details
       // const txData = await this.msWallet.getTxData([txid])
-      const txData = await this.retryQueue.addToQueue(this.msWallet.getTxData, [txid])
+      const txData = await this.queueCall(msWallet.getTxData, [txid], deadline)
       console.log('txData: ', JSON.stringify(txData, null, 2))
 
       // Extract the sats sent and reciever address from the UTXO.
@@ -43,7 +219,8 @@ class BCHWalletAdapter {
       const valueSats = Math.round(valueBch * 1e8)
 
       // Verify the receiver address is the server's address.
-      if (receiverAddress !== this.config.serverBchAddress) {
+      const expectedReceiver = payTo || this.config.serverBchAddress
+      if (receiverAddress !== expectedReceiver) {
         return {
           isValid: false,
           invalidReason: 'invalid_receiver_address',
@@ -51,15 +228,75 @@ class BCHWalletAdapter {
         }
       }
 
-      // TODO: Verify the payment did not trigger a Double Spend Proof.
-      // This call is only available in bch-js and requires a connection to bch-api.
+      // Verify the funding TX is buried deep enough for its value. Token
+      // UTXOs only carry dust of BCH, which says nothing of the value of
+      // their tokens, so they need the confirmations of the highest tier.
+      const slpQty = voutData?.tokenQtyStr ?? voutData?.tokenQty
+      const isTokenUtxo = !!voutData?.tokenData?.category || (!!txData[0]?.isValidSlp && Number(slpQty) > 0)
+      const confirmations = Number(txData[0]?.confirmations) || 0
+      const requiredConfirmations = this.getRequiredConfirmations(isTokenUtxo ? Infinity : valueSats)
+      if (confirmations < requiredConfirmations) {
+        return {
+          isValid: false,
+          invalidReason: 'utxo_insufficient_confirmations',
+          utxoAmountSat: null,
+          confirmations,
+          requiredConfirmations
+        }
+      }
 
-      return {
+      // Verify the payment did not trigger a Double Spend Proof. Once a TX is
+      // confirmed, a DSP is no longer relevant.
+      if (confirmations === 0) {
+        const isDoubleSpend = await this.checkDoubleSpendProof(txid, { deadline, network })
+        if (isDoubleSpend) {
+          return {
+            isValid: false,
+            invalidReason: 'double_spend_detected',
+            utxoAmountSat: null
+          }
+        }
+      }
+
+      // Verify an unconfirmed output has not already been spent, which could
+      // double spend the payment. The resource server may sweep confirmed
+      // outputs, which leaves the payment standing, as the background
+      // re-check of spent UTXOs does.
+      if (confirmations === 0) {
+        const isUnspent = await this.isUtxoUnspent({ txid, vout, deadline, network })
+        if (!isUnspent) {
+          return {
+            isValid: false,
+            invalidReason: 'utxo_spent',
+            utxoAmountSat: null
+          }
+        }
+      }
+
+      const result = {
         isValid: true,
         invalidReason: 'valid_utxo',
-        utxoAmountSat: valueSats
+        utxoAmountSat: valueSats,
+        receiverAddress,
+        confirmations
+      }
 
+      // Outputs carrying fungible CashTokens report their category and amount.
+      const tokenData = voutData?.tokenData
+      if (tokenData?.category) {
+        result.tokenCategory = tokenData.category.toLowerCase()
+        result.tokenAmount = String(tokenData.amount ?? '0')
       }
+
+      // Outputs of a valid SLP transaction report the token ID and the amount
+      // of tokens they carry, in base units. The SLP-aware back end reports
+      // the quantity in display units, so it is scaled by the token decimals.
+      if (txData[0]?.isValidSlp && txData[0]?.tokenId && Number(slpQty) > 0) {
+        result.slpTokenId = txData[0].tokenId.toLowerCase()
+        result.slpTokenAmount = toSlpBaseUnits(slpQty, Number(txData[0].tokenDecimals) || 0)
+      }
+
+      return result
     } catch (err) {
       console.error('Error in BCHWalletAdapter.validateUtxo()', err)
 
@@ -70,6 +307,149 @@ class BCHWalletAdapter {
       }
     }
   }
+
+  // Returns true if the transaction generated a Double Spend Proof.
+  // This call is only available in bch-js and requires a connection to bch-api,
+  // so it always returns false for other back ends.
+  async checkDoubleSpendProof (txid, { deadline, network } = {}) {
+    if (this.config.apiType !== 'rest-api') return false
+
+    const bchjs = this.getNetworkWallet(network).bchjs
+    const dsProof = await this.queueCall(
+      (id) => bchjs.DSProof.getDSProof(id),
+      txid,
+      deadline
+    )
+
+    return !!dsProof
+  }
+
+  // Returns true if the txid:vout outpoint is still in the UTXO set.
+  async isUtxoUnspent ({ txid, vout, deadline, network }) {
+    const msWallet = this.getNetworkWallet(network)
+    await msWallet.walletInfoPromise
+
+    const isValid = await this.queueCall(
+      msWallet.utxoIsValid,
+      { tx_hash: txid, tx_pos: vout },
+      deadline
+    )
+
+    return !!isValid
+  }
+
+  // Get the number of block confirmations for a transaction on the given
+  // network, or the default network.
+  async getTxConfirmations (txid, { network } = {}) {
+    const msWallet = this.getNetworkWallet(network)
+    await msWallet.walletInfoPromise
+
+    const txData = await this.retryQueue.addToQueue(msWallet.getTxData, [txid])
+
+    return Number(txData[0]?.confirmations) || 0
+  }
+
+  // Get the details of transactions on the given network, or the default
+  // network.
+  async getTxData (txids, { deadline, network } = {}) {
+    const msWallet = this.getNetworkWallet(network)
+    await msWallet.walletInfoPromise
+
+    return await this.queueCall(msWallet.getTxData, txids, deadline)
+  }
+
+  // Get the transaction history of an address on the given network, or the
+  // default network, newest first. Returns an array of { tx_hash, height },
+  // where the height of unconfirmed transactions is 0 or less.
+  async getTransactions (address, { network } = {}) {
+    const msWallet = this.getNetworkWallet(network)
+    await msWallet.walletInfoPromise
+
+    return await this.queueCall(msWallet.getTransactions, address)
+  }
+
+  // Decode a raw transaction with the full node of the network, without
+  // broadcasting it. Returns the decoded { txid, vin, vout }.
+  async decodeTransaction (hex, { deadline, network } = {}) {
+    const bchjs = this.getNetworkWallet(network).bchjs
+
+    return await this.queueCall(
+      (rawHex) => bchjs.RawTransactions.decodeRawTransaction(rawHex),
+      hex,
+      deadline
+    )
+  }
+
+  // Returns true if every input of a raw transaction is a P2PKH spend,
+  // signed by the key of the output it spends. spentOutputs are the decoded
+  // outputs spent by the inputs, in order, as returned by getTxData(). ECDSA
+  // and Schnorr signatures are checked against the BCH sighash, which
+  // commits to the value of the spent output.
+  verifyInputSignatures (hex, spentOutputs) {
+    const { Transaction, ECPair, ECSignature, crypto, script } = this.Bitcoin
+    const tx = Transaction.fromHex(hex)
+    if (tx.ins.length !== spentOutputs.length) return false
+
+    return tx.ins.every((input, vin) => {
+      try {
+        const { signature, pubKey } = script.pubKeyHash.input.decode(input.script)
+
+        // The key must be the one the spent output pays.
+        const prevOutScript = Buffer.from(spentOutputs[vin].scriptPubKey.hex, 'hex')
+        if (!prevOutScript.equals(script.pubKeyHash.output.encode(crypto.hash160(pubKey)))) {
+          return false
+        }
+
+        const hashType = signature[signature.length - 1]
+        if (!(hashType & Transaction.SIGHASH_BITCOINCASHBIP143)) return false
+
+        const valueSat = Math.round(Number(spentOutputs[vin].value) * 1e8)
+        const hash = tx.hashForCashSignature(vin, prevOutScript, valueSat, hashType)
+        const keyPair = ECPair.fromPublicKeyBuffer(pubKey)
+
+        // Schnorr signatures are 64 bytes, ECDSA signatures are DER encoded.
+        if (signature.length === 65) {
+          return this.schnorr.verify(hash, ECSignature.fromRSBuffer(signature.slice(0, 64)), keyPair.Q)
+        }
+
+        return keyPair.verify(hash, ECSignature.parseScriptSignature(signature).signature)
+      } catch (err) {
+        return false
+      }
+    })
+  }
+
+  // Broadcast a signed raw transaction on the given network, or the default
+  // network. Returns the txid. Broadcasting can not be cancelled, so it takes
+  // no deadline.
+  async broadcastTransaction (hex, { network } = {}) {
+    const msWallet = this.getNetworkWallet(network)
+    await msWallet.walletInfoPromise
+
+    return await this.queueCall(msWallet.broadcast, { hex })
+  }
+
+  // Send BCH from the facilitator hot wallet to an address, and return the
+  // txid. The UTXOs of the wallet are reloaded first, so it does not spend
+  // the outputs of an earlier send. The send itself is not queued for
+  // retries, as a send that failed after it was broadcast would pay twice.
+  // minimal-slp-wallet takes outputs as { address, amountSat }, with the
+  // amount in whole satoshis. The hot wallet uses BCH_SERVER_URL and a
+  // mainnet address, so it can only send on mainnet.
+  async sendBch (address, amountSat, { network } = {}) {
+    if (!Number.isSafeInteger(amountSat) || amountSat <= 0) {
+      throw new Error(`Invalid amountSat: ${amountSat}`)
+    }
+    if (network !== undefined && ![BCH_NETWORKS[0].alias, BCH_NETWORKS[0].caip2].includes(network)) {
+      throw new Error(`The facilitator wallet only sends on BCH mainnet, not on ${network}`)
+    }
+
+    const wallet = await this.initializeWallet()
+    await this.queueCall(wallet.getUtxos)
+
+    return await wallet.send([{ address, amountSat }])
+  }
 }
 
+export { parseConfirmationPolicy, toSlpBaseUnits }
 export default BCHWalletAdapter
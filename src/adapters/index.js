@@ -9,6 +9,7 @@ import BCHWalletAdapter from './bch-wallet.js'
 import Logger from './logger.js'
 import config from '../config/index.js'
 import LevelDBAdapter from './leveldb.js'
+import KeyedLock from './keyed-lock.js'
 
 class Adapters {
   constructor (localConfig = {}) {
@@ -17,6 +18,7 @@ class Adapters {
     this.logger = new Logger({ logLevel: config.logLevel })
     this.bchWallet = new BCHWalletAdapter()
     this.levelDB = new LevelDBAdapter()
+    this.ledgerLock = new KeyedLock()
   }
 
   async start () {
@@ -0,0 +1,72 @@
+/*
+  Adapter library for serializing async work on a key, such as a UTXO or a
+  payer address. Work queued on the same key runs one at a time, in the order
+  it was queued. Work on different keys runs concurrently.
+
+  The locks only live in memory, so they only serialize work inside this
+  process.
+*/
+
+class KeyedLock {
+  constructor (localConfig = {}) {
+    // Map of key -> Promise that resolves when the last holder of the key
+    // releases it.
+    this.locks = new Map()
+
+    // Bind 'this' object to all class methods
+    this.acquire = this.acquire.bind(this)
+    this.runExclusive = this.runExclusive.bind(this)
+    this.isLocked = this.isLocked.bind(this)
+  }
+
+  // Waits until the key is free, then locks it. Resolves to a function that
+  // must be called to release the lock.
+  async acquire (key) {
+    const previous = this.locks.get(key) || Promise.resolve()
+
+    let release
+    const current = new Promise(resolve => { release = resolve })
+    const tail = previous.then(() => current)
+    this.locks.set(key, tail)
+
+    await previous
+
+    return () => {
+      release()
+
+      // Clean up, unless another caller has queued up behind this one.
+      if (this.locks.get(key) === tail) this.locks.delete(key)
+    }
+  }
+
+  /**
+   * Runs fn() while holding the lock on each of the keys. Keys are locked in
+   * the order given, so callers that lock more than one key must always use
+   * the same order, to avoid deadlocks. Locks are not re-entrant.
+   *
+   * @param {string|Array<string>} keys - Key or keys to lock
+   * @param {Function} fn - Async function to run while holding the locks
+   * @returns {Promise<*>} The value returned by fn()
+   */
+  async runExclusive (keys, fn) {
+    const keyList = [...new Set([].concat(keys))]
+
+    const releases = []
+    try {
+      for (const key of keyList) {
+        releases.push(await this.acquire(key))
+      }
+
+      return await fn()
+    } finally {
+      releases.reverse().forEach(release => release())
+    }
+  }
+
+  // Returns true if the key is locked or has work queued on it.
+  isLocked (key) {
+    return this.locks.has(key)
+  }
+}
+
+export default KeyedLock
@@ -18,8 +18,15 @@ class LevelDBAdapter {
     this.level = level
 
     // Placeholders
+    // The UTXO database holds both the UTXO records and the address index,
+    // so the two can be updated in a single atomic batch.
     this.utxoDb = null
-    this.addressDb = null
+    this.tenantDb = null
+    this.settlementDb = null
+    this.idempotencyDb = null
+    this.nonceDb = null
+    this.journalDb = null
+    this.refundDb = null
 
     // Bind 'this' object to all class methods
     this.openDb = this.openDb.bind(this)
@@ -31,14 +38,38 @@ class LevelDBAdapter {
       cacheSize: 1024 * 1024 * 10 // 10MB
     })
 
-    this.addressDb = this.level(`${dbDir}/address`, {
-      valueEncoding: 'json',
-      cacheSize: 1024 * 1024 * 10 // 10MB
+    this.tenantDb = this.level(`${dbDir}/tenant`, {
+      valueEncoding: 'json'
+    })
+
+    this.settlementDb = this.level(`${dbDir}/settlement`, {
+      valueEncoding: 'json'
+    })
+
+    this.idempotencyDb = this.level(`${dbDir}/idempotency`, {
+      valueEncoding: 'json'
+    })
+
+    this.nonceDb = this.level(`${dbDir}/nonce`, {
+      valueEncoding: 'json'
+    })
+
+    this.journalDb = this.level(`${dbDir}/journal`, {
+      valueEncoding: 'json'
+    })
+
+    this.refundDb = this.level(`${dbDir}/refund`, {
+      valueEncoding: 'json'
     })
 
     return {
       utxoDb: this.utxoDb,
-      addressDb: this.addressDb
+      tenantDb: this.tenantDb,
+      settlementDb: this.settlementDb,
+      idempotencyDb: this.idempotencyDb,
+      nonceDb: this.nonceDb,
+      journalDb: this.journalDb,
+      refundDb: this.refundDb
     }
   }
 
@@ -48,9 +79,34 @@ class LevelDBAdapter {
       this.utxoDb = null
     }
 
-    if (this.addressDb) {
-      await this.addressDb.close()
-      this.addressDb = null
+    if (this.tenantDb) {
+      await this.tenantDb.close()
+      this.tenantDb = null
+    }
+
+    if (this.settlementDb) {
+      await this.settlementDb.close()
+      this.settlementDb = null
+    }
+
+    if (this.idempotencyDb) {
+      await this.idempotencyDb.close()
+      this.idempotencyDb = null
+    }
+
+    if (this.nonceDb) {
+      await this.nonceDb.close()
+      this.nonceDb = null
+    }
+
+    if (this.journalDb) {
+      await this.journalDb.close()
+      this.journalDb = null
+    }
+
+    if (this.refundDb) {
+      await this.refundDb.close()
+      this.refundDb = null
     }
 
     return true
@@ -29,12 +29,77 @@ export default {
 
   // Resource Server BCH address. This is the address that receives payments.
   serverBchAddress: process.env.SERVER_BCH_ADDRESS || 'bitcoincash:qqlrzp23w08434twmvr4fxw672whkjy0py26r63g3d',
+  // Reject requests that do not present the API key of a registered tenant.
+  // When false, requests without an API key are attributed to the default
+  // tenant, which owns SERVER_BCH_ADDRESS.
+  requireApiKey: process.env.REQUIRE_API_KEY === 'true',
+  // API key of the default tenant, which owns SERVER_BCH_ADDRESS. It is
+  // needed for the calls that always require a key, like /facilitator/journal.
+  defaultTenantApiKey: process.env.DEFAULT_TENANT_API_KEY || '',
+  // Key of the operator for the /admin API, sent in the X-Admin-Key header.
+  // The /admin API is disabled when it is not set.
+  adminApiKey: process.env.ADMIN_API_KEY || '',
+  // How long, in seconds, the result of a verify or settle call is kept, so a
+  // retry with the same idempotency key gets the same result instead of
+  // being charged again.
+  idempotencyTtlSec: parseInt(process.env.IDEMPOTENCY_TTL_SEC) || 3600,
+  // Accept legacy authorizations that carry no nonce, validAfter or
+  // validBefore. These can be replayed by anyone who captures them, so they
+  // should only be accepted while clients are upgraded.
+  acceptLegacyAuthorizations: process.env.ACCEPT_LEGACY_AUTHORIZATIONS === 'true',
 
   // BCH Infrastructure Information
   // consumer-api = ipfs-bch-wallet-service, rest-api = bch-api
   apiType: process.env.API_TYPE || 'consumer-api',
   // Free API servers here: https://consumers.psfoundation.info/consumers.json
   bchServerUrl: process.env.BCH_SERVER_URL || 'http://free-bch.fullstack.cash',
+  // BCH networks to accept payments on. Comma-separated v1 aliases or CAIP-2
+  // identifiers: 'bch' (mainnet), 'bch-testnet' (testnet4) and 'bch-chipnet'.
+  // The first network is the default. See src/config/networks.js.
+  networks: (process.env.NETWORKS || 'bch').split(',').map(network => network.trim()).filter(Boolean),
+  // Back end URLs for testnet4 and chipnet. BCH_SERVER_URL is used for mainnet.
+  bchTestnetServerUrl: process.env.BCH_TESTNET_SERVER_URL || '',
+  bchChipnetServerUrl: process.env.BCH_CHIPNET_SERVER_URL || '',
+  // CAIP-2 identifier for chipnet, which shares its genesis block with
+  // testnet4. Only needed to enable both networks at once.
+  bchChipnetCaip2: process.env.BCH_CHIPNET_CAIP2 || '',
   // Bearer token for the BCH infrastructure
-  bearerToken: process.env.BEARER_TOKEN || ''
+  bearerToken: process.env.BEARER_TOKEN || '',
+  // How often, in seconds, ledger UTXOs are re-checked to ensure they are still
+  // unspent on-chain and, when API_TYPE=rest-api, have not triggered a Double
+  // Spend Proof.
+  ledgerCheckIntervalSec: parseInt(process.env.LEDGER_CHECK_INTERVAL_SEC) || 60,
+  // How often, in seconds, SERVER_BCH_ADDRESS is polled for incoming payments,
+  // which are ledgered for their sender before any call references them.
+  // 0 disables the payment watcher.
+  paymentWatcherIntervalSec: parseInt(process.env.PAYMENT_WATCHER_INTERVAL_SEC) || 0,
+  // Confirmations required before a funding UTXO is accepted, tiered by the
+  // value of the UTXO. Comma-separated '<maxSat>:<confirmations>' entries,
+  // where '*' matches any amount. e.g. '10000:0,*:1' accepts 0-conf UTXOs up
+  // to 10,000 sats and requires one confirmation above that.
+  fundingConfirmationPolicy: process.env.FUNDING_CONFIRMATION_POLICY || '*:0',
+  // Order in which "check my tab" mode spends down the UTXOs of a tab, when a
+  // call is paid from several of them: 'fifo' (oldest first),
+  // 'smallest-first' or 'largest-first'.
+  tabSelectionStrategy: process.env.TAB_SELECTION_STRATEGY || 'fifo',
+  // How long, in seconds, a tab may go unused before the ledger monitor
+  // expires it. The balance of an expired tab can no longer be spent, only
+  // refunded. 0 keeps tabs open forever.
+  tabLifetimeSec: parseInt(process.env.TAB_LIFETIME_SEC) || 0,
+  // How often, in seconds, queued refunds are paid out from the facilitator
+  // hot wallet.
+  refundPayoutIntervalSec: parseInt(process.env.REFUND_PAYOUT_INTERVAL_SEC) || 60,
+  // CashToken categories accepted as payment, as comma-separated token
+  // category IDs. Payment requirements name the category in their asset
+  // field. BCH is always accepted.
+  acceptedTokenCategories: (process.env.ACCEPTED_TOKEN_CATEGORIES || '')
+    .split(',').map(category => category.trim().toLowerCase()).filter(Boolean),
+  // Minimum fee rate, in sats per byte, of the signed transactions of 'exact'
+  // scheme payments.
+  exactMinFeeRate: Number(process.env.EXACT_MIN_FEE_RATE) || 1,
+
+  // Facilitator hot wallet. Provide either a WIF private key or a 12-word
+  // mnemonic. The WIF takes precedence if both are set.
+  facilitatorWif: process.env.FACILITATOR_WIF || '',
+  facilitatorMnemonic: process.env.FACILITATOR_MNEMONIC || ''
 }
@@ -0,0 +1,97 @@
+/*
+  Registry of the BCH networks this facilitator can serve.
+
+  Each network is identified by its CAIP-2 identifier and by its x402 v1
+  alias, and maps to the cash address prefix of its addresses and the config
+  key of its back end URL. Only the networks listed in NETWORKS are accepted
+  and advertised by /facilitator/supported. The first of them is the default.
+
+  BCH mainnet is identified by the BCH fork block, as the genesis block is
+  shared with BTC. Chipnet was forked from testnet4 and shares its genesis
+  block, so the two share a CAIP-2 identifier unless BCH_CHIPNET_CAIP2 is set,
+  and can not both be enabled until it is.
+*/
+
+// Local libraries
+import config from './index.js'
+
+const BCH_NETWORKS = [
+  {
+    alias: 'bch',
+    caip2: 'bip122:000000000000000000651ef99cb9fcbe',
+    addressPrefix: 'bitcoincash',
+    serverUrlKey: 'bchServerUrl'
+  },
+  {
+    alias: 'bch-testnet',
+    caip2: 'bip122:000000001dd410c49a788668ce267517',
+    addressPrefix: 'bchtest',
+    serverUrlKey: 'bchTestnetServerUrl'
+  },
+  {
+    alias: 'bch-chipnet',
+    caip2: 'bip122:000000001dd410c49a788668ce267517',
+    caip2Key: 'bchChipnetCaip2',
+    addressPrefix: 'bchtest',
+    serverUrlKey: 'bchChipnetServerUrl'
+  }
+]
+
+/**
+ * Returns the configured networks, in the order they are listed in the
+ * config, each with its CAIP-2 identifier and back end URL resolved.
+ *
+ * @param {Object} localConfig - Config to read, defaults to the app config
+ * @returns {Array<Object>} Networks of { alias, caip2, addressPrefix, serverUrl }
+ */
+function getConfiguredNetworks (localConfig = config) {
+  const networks = (localConfig.networks || ['bch']).map(id => {
+    const entry = BCH_NETWORKS.find(network => network.alias === id || network.caip2 === id)
+    if (!entry) {
+      throw new Error(`Unknown network in NETWORKS: '${id}'`)
+    }
+
+    return {
+      alias: entry.alias,
+      caip2: (entry.caip2Key && localConfig[entry.caip2Key]) || entry.caip2,
+      addressPrefix: entry.addressPrefix,
+      serverUrl: localConfig[entry.serverUrlKey] || ''
+    }
+  })
+
+  const caip2s = networks.map(network => network.caip2)
+  const duplicate = caip2s.find((caip2, i) => caip2s.indexOf(caip2) !== i)
+  if (duplicate) {
+    throw new Error(`More than one network in NETWORKS has the CAIP-2 identifier '${duplicate}'`)
+  }
+
+  return networks
+}
+
+/**
+ * Returns the configured network with the given CAIP-2 identifier or v1
+ * alias, or undefined if that network is not configured.
+ *
+ * @param {string} network - CAIP-2 identifier or v1 alias
+ * @param {Object} localConfig - Config to read, defaults to the app config
+ * @returns {Object|undefined} The network
+ */
+function getNetwork (network, localConfig = config) {
+  return getConfiguredNetworks(localConfig)
+    .find(entry => entry.alias === network || entry.caip2 === network)
+}
+
+// Returns the default network, the first one configured.
+function getDefaultNetwork (localConfig = config) {
+  return getConfiguredNetworks(localConfig)[0]
+}
+
+// Returns true if a cash address belongs to the network. Addresses without a
+// prefix can not be told apart, so they are accepted.
+function isAddressOnNetwork (address, network) {
+  if (typeof address !== 'string' || !address.includes(':')) return true
+
+  return address.startsWith(`${network.addressPrefix}:`)
+}
+
+export { BCH_NETWORKS, getConfiguredNetworks, getNetwork, getDefaultNetwork, isAddressOnNetwork }
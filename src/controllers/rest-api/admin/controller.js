@@ -0,0 +1,222 @@
+/*
+  REST API Controller library for the /admin route
+*/
+
+class AdminRESTControllerLib {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating /admin REST Controller.'
+      )
+    }
+    this.useCases = localConfig.useCases
+    if (!this.useCases) {
+      throw new Error(
+        'Instance of Use Cases library required when instantiating /admin REST Controller.'
+      )
+    }
+
+    // Bind 'this' object to all subfunctions
+    this.authenticate = this.authenticate.bind(this)
+    this.listLedger = this.listLedger.bind(this)
+    this.getLedgerRecord = this.getLedgerRecord.bind(this)
+    this.getPayerRecords = this.getPayerRecords.bind(this)
+    this.freezeUtxo = this.freezeUtxo.bind(this)
+    this.unfreezeUtxo = this.unfreezeUtxo.bind(this)
+    this.adjustBalance = this.adjustBalance.bind(this)
+    this.getJournal = this.getJournal.bind(this)
+    this.sendChangeResult = this.sendChangeResult.bind(this)
+    this.handleError = this.handleError.bind(this)
+  }
+
+  /**
+   * Middleware for every /admin route. Only the operator, who sends
+   * ADMIN_API_KEY in the X-Admin-Key header, is let through.
+   */
+  authenticate (req, res, next) {
+    if (!this.useCases.admin.checkAdminKey(req.headers?.['x-admin-key'])) {
+      return res.status(401).json({
+        error: 'Invalid or missing admin key'
+      })
+    }
+
+    return next()
+  }
+
+  /**
+   * GET /admin/ledger
+   * Returns a page of the UTXO records in the ledger
+   */
+  async listLedger (req, res) {
+    try {
+      console.log('listLedger() called')
+
+      const { after, limit } = req.query ?? {}
+      if ([after, limit].some(value => value !== undefined && typeof value !== 'string')) {
+        return res.status(400).json({
+          error: 'Query parameters must not be repeated'
+        })
+      }
+
+      const result = await this.useCases.admin.listLedgerRecords({ after, limit })
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /admin/ledger/:utxoId
+   * Returns the ledger record of a UTXO
+   */
+  async getLedgerRecord (req, res) {
+    try {
+      console.log('getLedgerRecord() called')
+
+      const record = await this.useCases.admin.getLedgerRecord(req.params.utxoId)
+      if (!record) {
+        return res.status(404).json({
+          error: 'utxo_not_found'
+        })
+      }
+
+      return res.status(200).json({ record })
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /admin/payers/:address
+   * Returns the ledger records of a payer that still have a balance
+   */
+  async getPayerRecords (req, res) {
+    try {
+      console.log('getPayerRecords() called')
+
+      const records = await this.useCases.admin.getPayerRecords(req.params.address)
+      return res.status(200).json({ records })
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/ledger/:utxoId/freeze
+   * Freezes a UTXO. The body has the operator note: { note }
+   */
+  async freezeUtxo (req, res) {
+    try {
+      console.log('freezeUtxo() called')
+
+      const result = await this.useCases.admin.freezeUtxo(req.params.utxoId, { note: req.body?.note })
+      return this.sendChangeResult(result, res)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/ledger/:utxoId/unfreeze
+   * Unfreezes a UTXO. The body has the operator note: { note }
+   */
+  async unfreezeUtxo (req, res) {
+    try {
+      console.log('unfreezeUtxo() called')
+
+      const result = await this.useCases.admin.unfreezeUtxo(req.params.utxoId, { note: req.body?.note })
+      return this.sendChangeResult(result, res)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /admin/ledger/:utxoId/adjustments
+   * Credits or debits the balance of a UTXO by hand. The body is
+   * { type: 'credit' | 'debit', amountSat, note }
+   */
+  async adjustBalance (req, res) {
+    try {
+      console.log('adjustBalance() called')
+
+      const result = await this.useCases.admin.adjustBalance(req.params.utxoId, {
+        type: req.body?.type,
+        amountSat: req.body?.amountSat,
+        note: req.body?.note
+      })
+      return this.sendChangeResult(result, res)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /admin/journal
+   * Returns a page of the journal entries of every tenant, with the same
+   * filters as /facilitator/journal
+   */
+  async getJournal (req, res) {
+    try {
+      console.log('admin getJournal() called')
+
+      const { payer, resource, from, to, tenantId, limit, after } = req.query ?? {}
+      const params = { payer, resource, from, to, tenantId, limit, after }
+      if (Object.values(params).some(value => value !== undefined && typeof value !== 'string')) {
+        return res.status(400).json({
+          error: 'Query parameters must not be repeated'
+        })
+      }
+      if ([from, to].some(time => time !== undefined && Number.isNaN(Date.parse(time)))) {
+        return res.status(400).json({
+          error: 'from and to must be ISO 8601 timestamps'
+        })
+      }
+
+      const result = await this.useCases.journal.query({
+        ...params,
+        from: from && new Date(from).toISOString(),
+        to: to && new Date(to).toISOString()
+      })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      if (err.message === 'Invalid cursor') {
+        return res.status(400).json({
+          error: err.message
+        })
+      }
+      return this.handleError(err, req, res)
+    }
+  }
+
+  // Sends the result of a change to a ledger record. A UTXO that is not in
+  // the ledger is not found, a malformed change is a bad request, and a
+  // change that does not apply to the current record is a conflict.
+  sendChangeResult (result, res) {
+    if (result.success) {
+      return res.status(200).json(result)
+    }
+
+    let status = 400
+    if (result.errorReason === 'utxo_not_found') status = 404
+    if (['insufficient_balance', 'utxo_already_frozen', 'utxo_not_frozen'].includes(result.errorReason)) {
+      status = 409
+    }
+
+    return res.status(status).json({
+      error: result.errorReason
+    })
+  }
+
+  handleError (err, req, res) {
+    this.adapters.logger.error('Error in AdminRESTController:', err)
+    return res.status(500).json({
+      error: err.message || 'Internal server error'
+    })
+  }
+}
+
+export default AdminRESTControllerLib
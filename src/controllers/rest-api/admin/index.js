@@ -0,0 +1,63 @@
+/*
+  REST API library for the /admin route.
+*/
+
+// Public npm libraries.
+import express from 'express'
+
+// Local libraries.
+import AdminRESTControllerLib from './controller.js'
+
+class AdminRouter {
+  constructor (localConfig = {}) {
+    // Dependency Injection.
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of Adapters library required when instantiating Admin REST Controller.'
+      )
+    }
+    this.useCases = localConfig.useCases
+    if (!this.useCases) {
+      throw new Error(
+        'Instance of Use Cases library required when instantiating Admin REST Controller.'
+      )
+    }
+
+    const dependencies = {
+      adapters: this.adapters,
+      useCases: this.useCases
+    }
+
+    // Encapsulate dependencies.
+    this.adminRESTController = new AdminRESTControllerLib(dependencies)
+
+    // Instantiate the router and set the base route.
+    this.router = express.Router()
+  }
+
+  attach (app) {
+    if (!app) {
+      throw new Error(
+        'Must pass app object when attaching REST API controllers.'
+      )
+    }
+
+    // Every route requires the admin key.
+    this.router.use(this.adminRESTController.authenticate)
+
+    // Define the routes and attach the controller.
+    this.router.get('/ledger', this.adminRESTController.listLedger)
+    this.router.get('/ledger/:utxoId', this.adminRESTController.getLedgerRecord)
+    this.router.get('/payers/:address', this.adminRESTController.getPayerRecords)
+    this.router.post('/ledger/:utxoId/freeze', this.adminRESTController.freezeUtxo)
+    this.router.post('/ledger/:utxoId/unfreeze', this.adminRESTController.unfreezeUtxo)
+    this.router.post('/ledger/:utxoId/adjustments', this.adminRESTController.adjustBalance)
+    this.router.get('/journal', this.adminRESTController.getJournal)
+
+    // Attach the Controller routes to the Express app.
+    app.use('/admin', this.router)
+  }
+}
+
+export default AdminRouter
@@ -22,6 +22,11 @@ class FacilitatorRESTControllerLib {
     this.listSupportedKinds = this.listSupportedKinds.bind(this)
     this.verifyPayment = this.verifyPayment.bind(this)
     this.settlePayment = this.settlePayment.bind(this)
+    this.fundTab = this.fundTab.bind(this)
+    this.getBalance = this.getBalance.bind(this)
+    this.getJournal = this.getJournal.bind(this)
+    this.requestRefund = this.requestRefund.bind(this)
+    this.getIdempotencyKey = this.getIdempotencyKey.bind(this)
     this.handleError = this.handleError.bind(this)
   }
 
@@ -55,13 +60,39 @@ class FacilitatorRESTControllerLib {
         })
       }
 
+      // Identify the tenant (resource server) making the request.
+      const tenant = await this.useCases.tenant.resolveTenant(req.headers?.['x-api-key'])
+      if (!tenant) {
+        return res.status(401).json({
+          error: 'Invalid or missing API key'
+        })
+      }
+
       // Note: x402Version is handled by the use case for backward compatibility
       // Version can be extracted from req.body.x402Version or req.body.paymentPayload?.x402Version if needed
 
-      const result = await this.useCases.facilitator.verifyPayment(
-        req.body.paymentPayload,
-        req.body.paymentRequirements
-      )
+      // Retries of the same request get the stored result, instead of being
+      // debited again.
+      const idempotencyKey = this.getIdempotencyKey(req)
+      const { result, replayed, conflict } = await this.useCases.idempotency.execute({
+        scope: 'verify',
+        tenantId: tenant.tenantId,
+        idempotencyKey,
+        body: req.body,
+        fn: () => this.useCases.facilitator.verifyPayment(
+          req.body.paymentPayload,
+          req.body.paymentRequirements,
+          { tenant, idempotencyKey }
+        ),
+        shouldStore: result => result.isValid
+      })
+
+      if (conflict) {
+        return res.status(422).json({
+          error: 'Idempotency key has already been used for a different request'
+        })
+      }
+      if (replayed) res.set('Idempotent-Replayed', 'true')
 
       // Build response body with required fields
       const responseBody = {
@@ -90,7 +121,7 @@ class FacilitatorRESTControllerLib {
 
   /**
    * POST /facilitator/settle
-   * Settles a payment by broadcasting the transaction to the blockchain
+   * Settles a payment by marking the debit of a prior verify as settled
    */
   async settlePayment (req, res) {
     try {
@@ -102,20 +133,208 @@ class FacilitatorRESTControllerLib {
         })
       }
 
+      // Identify the tenant (resource server) making the request.
+      const tenant = await this.useCases.tenant.resolveTenant(req.headers?.['x-api-key'])
+      if (!tenant) {
+        return res.status(401).json({
+          error: 'Invalid or missing API key'
+        })
+      }
+
       // Note: x402Version is handled by the use case for backward compatibility
       // Version can be extracted from req.body.x402Version or req.body.paymentPayload?.x402Version if needed
 
-      const result = await this.useCases.facilitator.settlePayment(
-        req.body.paymentPayload,
-        req.body.paymentRequirements
-      )
+      // Retries of the same request get the stored result, instead of being
+      // debited again.
+      const idempotencyKey = this.getIdempotencyKey(req)
+      const { result, replayed, conflict } = await this.useCases.idempotency.execute({
+        scope: 'settle',
+        tenantId: tenant.tenantId,
+        idempotencyKey,
+        body: req.body,
+        fn: () => this.useCases.facilitator.settlePayment(
+          req.body.paymentPayload,
+          req.body.paymentRequirements,
+          { tenant, idempotencyKey }
+        ),
+        shouldStore: result => result.success
+      })
+
+      if (conflict) {
+        return res.status(422).json({
+          error: 'Idempotency key has already been used for a different request'
+        })
+      }
+      if (replayed) res.set('Idempotent-Replayed', 'true')
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * POST /facilitator/fund
+   * Ledgers a payer's funding UTXO without debiting it, and returns the new
+   * balance of their tab
+   */
+  async fundTab (req, res) {
+    try {
+      console.log('fundTab() called')
+
+      const authorization = req.body?.payload?.authorization
+      if (!authorization || !req.body.payload.signature) {
+        return res.status(400).json({
+          error: 'Missing payload signature or authorization'
+        })
+      }
+
+      // Payers have no API key, so the tenant is the one that owns the
+      // funded address.
+      const tenant = await this.useCases.tenant.getTenantByPayTo(authorization.to)
+
+      const result = await this.useCases.facilitator.fundTab(req.body, { tenant })
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /facilitator/balance/:address
+   * Returns the ledgered UTXOs and balances of a payer, who proves they own
+   * the address with a signature passed in the query string
+   */
+  async getBalance (req, res) {
+    try {
+      console.log('getBalance() called')
+
+      // The signature is taken from the X-Signature header, so it does not
+      // end up in URLs and access logs. The query string is still accepted.
+      const result = await this.useCases.facilitator.getPayerBalance(req.params.address, {
+        signature: req.headers?.['x-signature'] ?? req.query?.signature,
+        validBefore: Number(req.query?.validBefore)
+      })
+
+      // A request without a signature, or signed for too long, is malformed.
+      // One with a signature that is not valid is not authorized.
+      if (!result.success) {
+        const isMalformed = ['invalid_payload', 'authorization_too_long'].includes(result.errorReason)
+        const status = isMalformed ? 400 : 401
+        return res.status(status).json({
+          error: result.errorReason
+        })
+      }
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  /**
+   * GET /facilitator/journal
+   * Returns a page of the debits journaled for the tenant making the request,
+   * filtered by payer, resource and time range. The journal shows who paid
+   * for what, so an API key is required even if REQUIRE_API_KEY is not set.
+   */
+  async getJournal (req, res) {
+    try {
+      console.log('getJournal() called')
+
+      const apiKey = req.headers?.['x-api-key']
+      const tenant = apiKey ? await this.useCases.tenant.getTenantByApiKey(apiKey) : null
+      if (!tenant) {
+        return res.status(401).json({
+          error: 'Invalid or missing API key'
+        })
+      }
+
+      const { payer, resource, from, to, limit, after } = req.query ?? {}
+      const params = { payer, resource, from, to, limit, after }
+      if (Object.values(params).some(value => value !== undefined && typeof value !== 'string')) {
+        return res.status(400).json({
+          error: 'Query parameters must not be repeated'
+        })
+      }
+      if ([from, to].some(time => time !== undefined && Number.isNaN(Date.parse(time)))) {
+        return res.status(400).json({
+          error: 'from and to must be ISO 8601 timestamps'
+        })
+      }
+
+      const result = await this.useCases.journal.query({
+        ...params,
+        from: from && new Date(from).toISOString(),
+        to: to && new Date(to).toISOString(),
+        tenantId: tenant.tenantId
+      })
 
       return res.status(200).json(result)
     } catch (err) {
+      if (err.message === 'Invalid cursor') {
+        return res.status(400).json({
+          error: err.message
+        })
+      }
       return this.handleError(err, req, res)
     }
   }
 
+  /**
+   * POST /facilitator/refund
+   * Queues a refund of the unused balance of a payer's tab, to the payer, who
+   * proves they own the address with a signature
+   */
+  async requestRefund (req, res) {
+    try {
+      console.log('requestRefund() called')
+
+      const result = await this.useCases.refund.requestRefund({
+        from: req.body?.from,
+        validBefore: req.body?.validBefore,
+        signature: req.body?.signature
+      })
+
+      // As for a balance request, a request without a signature, or signed
+      // for too long, is malformed, and one with a signature that is not
+      // valid is not authorized.
+      if (['invalid_payload', 'authorization_too_long'].includes(result.errorReason)) {
+        return res.status(400).json({
+          error: result.errorReason
+        })
+      }
+      if (['authorization_expired', 'invalid_exact_bch_payload_signature'].includes(result.errorReason)) {
+        return res.status(401).json({
+          error: result.errorReason
+        })
+      }
+
+      return res.status(200).json(result)
+    } catch (err) {
+      return this.handleError(err, req, res)
+    }
+  }
+
+  // Returns the idempotency key of a request: the Idempotency-Key header if
+  // given, or a key derived from the signed payment authorization or
+  // transaction. Legacy authorizations have no nonce, so the same signature
+  // is sent for every call on a tab, and no key is derived for them. Their
+  // settle is matched to the last verify of the payer instead.
+  getIdempotencyKey (req) {
+    const headerKey = req.headers?.['idempotency-key']
+    if (headerKey) return headerKey
+
+    const { paymentPayload } = req.body
+    const payload = paymentPayload?.payload
+    if (!payload?.transaction && this.useCases.facilitator.isLegacyAuthorization(payload?.authorization)) {
+      return null
+    }
+
+    return this.useCases.facilitator.getIdempotencyKey(paymentPayload)
+  }
+
   handleError (err, req, res) {
     this.adapters.logger.error('Error in FacilitatorRESTController:', err)
     return res.status(500).json({
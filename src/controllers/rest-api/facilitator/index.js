@@ -47,6 +47,10 @@ class FacilitatorRouter {
     this.router.get('/supported', this.facilitatorRESTController.listSupportedKinds)
     this.router.post('/verify', this.facilitatorRESTController.verifyPayment)
     this.router.post('/settle', this.facilitatorRESTController.settlePayment)
+    this.router.post('/fund', this.facilitatorRESTController.fundTab)
+    this.router.get('/balance/:address', this.facilitatorRESTController.getBalance)
+    this.router.get('/journal', this.facilitatorRESTController.getJournal)
+    this.router.post('/refund', this.facilitatorRESTController.requestRefund)
 
     // Attach the Controller routes to the Express app.
     app.use('/facilitator', this.router)
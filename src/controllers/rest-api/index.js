@@ -6,6 +6,7 @@
 
 // Local libraries
 import FacilitatorRouter from './facilitator/index.js'
+import AdminRouter from './admin/index.js'
 import config from '../../config/index.js'
 
 class RESTControllers {
@@ -40,6 +41,10 @@ class RESTControllers {
     // Attach the REST API Controllers associated with the /facilitator route
     const facilitatorRouter = new FacilitatorRouter(dependencies)
     facilitatorRouter.attach(app)
+
+    // Attach the REST API Controllers associated with the /admin route
+    const adminRouter = new AdminRouter(dependencies)
+    adminRouter.attach(app)
   }
 }
 
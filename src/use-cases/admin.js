@@ -0,0 +1,310 @@
+/*
+  Admin use case, for the operator to inspect and correct the ledger.
+
+  High level overview:
+  - The operator is identified by ADMIN_API_KEY. The admin API is disabled
+    when it is not set.
+  - Ledger records can be listed a page at a time, or looked up by utxoId or
+    by payer.
+  - A UTXO can be frozen, so its balance can no longer be spent down, and
+    unfrozen again, e.g. to reopen an expired tab.
+  - Manual credits add to the balance of a UTXO, and are recorded as
+    creditedSat. Manual debits are recorded in totalDebitedSat, like the
+    debits of paid calls.
+  - Every change takes an operator note, and is recorded in the journal.
+*/
+
+// Global libraries
+import crypto from 'crypto'
+
+// Local libraries
+import config from '../config/index.js'
+import { ADDRESS_INDEX_PREFIX } from './facilitator.js'
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
+// Default and maximum number of ledger records returned by listLedgerRecords().
+const DEFAULT_LIST_LIMIT = 100
+const MAX_LIST_LIMIT = 1000
+
+// Reason a UTXO frozen by the operator is rejected with.
+const OPERATOR_FROZEN_REASON = 'frozen_by_operator'
+
+class AdminUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Admin Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Admin Use Case.'
+      )
+    }
+    this.journal = localConfig.journal
+    if (!this.journal) {
+      throw new Error(
+        'Instance of Journal Use Case must be passed in when instantiating Admin Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.crypto = crypto
+
+    // Bind 'this' object to all class methods
+    this.checkAdminKey = this.checkAdminKey.bind(this)
+    this.getUtxoDb = this.getUtxoDb.bind(this)
+    this.listLedgerRecords = this.listLedgerRecords.bind(this)
+    this.getLedgerRecord = this.getLedgerRecord.bind(this)
+    this.getPayerRecords = this.getPayerRecords.bind(this)
+    this.changeLedgerRecord = this.changeLedgerRecord.bind(this)
+    this.freezeUtxo = this.freezeUtxo.bind(this)
+    this.unfreezeUtxo = this.unfreezeUtxo.bind(this)
+    this.adjustBalance = this.adjustBalance.bind(this)
+    this.journalChange = this.journalChange.bind(this)
+  }
+
+  // Returns true if the key is ADMIN_API_KEY. The keys are compared by
+  // their hashes in constant time, so the comparison does not leak the key.
+  checkAdminKey (apiKey) {
+    if (!this.config.adminApiKey || !apiKey || typeof apiKey !== 'string') return false
+
+    const hash = key => this.crypto.createHash('sha256').update(key).digest()
+    return this.crypto.timingSafeEqual(hash(apiKey), hash(this.config.adminApiKey))
+  }
+
+  getUtxoDb () {
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    return utxoDb
+  }
+
+  /**
+   * Returns a page of the UTXO records in the ledger, in utxoId order,
+   * including consumed ones.
+   *
+   * @param {Object} options
+   * @param {string} options.after - utxoId to resume after, as returned in
+   * nextCursor
+   * @param {number} options.limit - Number of records to return
+   * @returns {Promise<Object>} { records, nextCursor }, where nextCursor is
+   * null on the last page
+   */
+  async listLedgerRecords ({ after, limit } = {}) {
+    const utxoDb = this.getUtxoDb()
+    const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIST_LIMIT, 1), MAX_LIST_LIMIT)
+
+    const records = []
+    let hasMore = false
+    for await (const [key, record] of utxoDb.iterator(after ? { gt: after } : {})) {
+      if (key.startsWith(ADDRESS_INDEX_PREFIX)) continue
+      if (records.length === pageSize) {
+        hasMore = true
+        break
+      }
+
+      records.push(record)
+    }
+
+    return {
+      records,
+      nextCursor: hasMore ? records[records.length - 1].utxoId : null
+    }
+  }
+
+  // Returns the UTXO record of a utxoId, or null if it is not in the ledger.
+  async getLedgerRecord (utxoId) {
+    if (!utxoId || utxoId.startsWith(ADDRESS_INDEX_PREFIX)) return null
+
+    try {
+      return await this.getUtxoDb().get(utxoId)
+    } catch (err) {
+      return null
+    }
+  }
+
+  // Returns the UTXO records of a payer that still have a balance.
+  async getPayerRecords (payerAddress) {
+    return await this.facilitator.getUtxosByAddress(payerAddress)
+  }
+
+  /**
+   * Applies a change to a ledger record under the ledger locks, and journals
+   * it with the operator note.
+   *
+   * @param {string} utxoId - The txid:vout of the UTXO
+   * @param {Object} change
+   * @param {string} change.type - Journal entry type of the change
+   * @param {string} change.note - Operator note
+   * @param {Function} change.updateFn - Returns the updated record, or
+   * { errorReason } if the change does not apply to the current one
+   * @returns {Promise<Object>} { success, record }, or
+   * { success: false, errorReason }
+   * @private
+   */
+  async changeLedgerRecord (utxoId, { type, note, updateFn, journalFields = {} }) {
+    if (!note || typeof note !== 'string' || !note.trim()) {
+      return {
+        success: false,
+        errorReason: 'note_required'
+      }
+    }
+
+    // updateLedgerRecord() writes whatever updateFn() returns, so a change
+    // that does not apply writes the record back unchanged.
+    let errorReason = null
+    const record = await this.facilitator.updateLedgerRecord(utxoId, current => {
+      const updated = updateFn(current)
+      if (updated.errorReason) {
+        errorReason = updated.errorReason
+        return current
+      }
+
+      return { ...updated, lastUpdated: new Date().toISOString() }
+    })
+
+    if (!record) errorReason = 'utxo_not_found'
+    if (errorReason) {
+      return {
+        success: false,
+        errorReason
+      }
+    }
+
+    await this.journalChange(record, { type, note, ...journalFields })
+    this.adapters.logger.info(`Admin ${type} of UTXO ${utxoId}: ${note}`)
+
+    return {
+      success: true,
+      record
+    }
+  }
+
+  /**
+   * Freezes a UTXO, so its balance can no longer be spent down.
+   *
+   * @param {string} utxoId - The txid:vout of the UTXO
+   * @param {Object} options
+   * @param {string} options.note - Operator note
+   * @returns {Promise<Object>} { success, record }, or
+   * { success: false, errorReason }
+   */
+  async freezeUtxo (utxoId, { note } = {}) {
+    return await this.changeLedgerRecord(utxoId, {
+      type: 'freeze',
+      note,
+      updateFn: current => {
+        if (current.frozen) return { errorReason: 'utxo_already_frozen' }
+
+        return { ...current, frozen: true, frozenReason: OPERATOR_FROZEN_REASON }
+      }
+    })
+  }
+
+  /**
+   * Unfreezes a UTXO, whatever it was frozen for, so its balance can be
+   * spent down again. An expired tab is reopened for another tab lifetime.
+   *
+   * @param {string} utxoId - The txid:vout of the UTXO
+   * @param {Object} options
+   * @param {string} options.note - Operator note
+   * @returns {Promise<Object>} { success, record }, or
+   * { success: false, errorReason }
+   */
+  async unfreezeUtxo (utxoId, { note } = {}) {
+    return await this.changeLedgerRecord(utxoId, {
+      type: 'unfreeze',
+      note,
+      updateFn: current => {
+        if (!current.frozen) return { errorReason: 'utxo_not_frozen' }
+
+        const { frozenReason, expiredAt, ...updated } = current
+        return { ...updated, frozen: false }
+      }
+    })
+  }
+
+  /**
+   * Credits or debits the balance of a UTXO by hand. Balances of token
+   * payments are in token units, as for their debits.
+   *
+   * @param {string} utxoId - The txid:vout of the UTXO
+   * @param {Object} adjustment
+   * @param {string} adjustment.type - 'credit' or 'debit'
+   * @param {string} adjustment.amountSat - Amount to credit or debit
+   * @param {string} adjustment.note - Operator note
+   * @returns {Promise<Object>} { success, record }, or
+   * { success: false, errorReason }
+   */
+  async adjustBalance (utxoId, { type, amountSat, note } = {}) {
+    if (!['credit', 'debit'].includes(type)) {
+      return {
+        success: false,
+        errorReason: 'invalid_adjustment_type'
+      }
+    }
+
+    const amount = typeof amountSat === 'string' || Number.isInteger(amountSat) ? String(amountSat) : ''
+    if (!/^\d+$/.test(amount) || BigInt(amount) === 0n) {
+      return {
+        success: false,
+        errorReason: 'invalid_amount'
+      }
+    }
+    const value = BigInt(amount)
+
+    return await this.changeLedgerRecord(utxoId, {
+      type: 'adjustment',
+      note,
+      journalFields: { adjustment: type, amountSat: value.toString() },
+      updateFn: current => {
+        const balanceSat = BigInt(current.remainingBalanceSat ?? '0')
+
+        if (type === 'credit') {
+          return {
+            ...current,
+            remainingBalanceSat: (balanceSat + value).toString(),
+            creditedSat: (BigInt(current.creditedSat ?? '0') + value).toString()
+          }
+        }
+
+        if (value > balanceSat) return { errorReason: 'insufficient_balance' }
+
+        return {
+          ...current,
+          remainingBalanceSat: (balanceSat - value).toString(),
+          totalDebitedSat: (BigInt(current.totalDebitedSat ?? '0') + value).toString()
+        }
+      }
+    })
+  }
+
+  // Records a change the operator made to a ledger record in the journal.
+  async journalChange (record, { type, note, adjustment = null, amountSat = '0' }) {
+    return await this.journal.record({
+      type,
+      payer: record.payerAddress,
+      payTo: record.receiverAddress,
+      tenantId: record.tenantId ?? DEFAULT_TENANT_ID,
+      network: record.network,
+      resource: '',
+      amountSat,
+      utxoId: record.utxoId,
+      debits: null,
+      tokenCategory: record.tokenCategory ?? null,
+      slpTokenId: record.slpTokenId ?? null,
+      adjustment,
+      note,
+      remainingBalanceSat: record.remainingBalanceSat,
+      result: adjustment ? `${adjustment}ed` : `${type === 'freeze' ? 'frozen' : 'unfrozen'}`
+    })
+  }
+}
+
+export default AdminUseCase
@@ -6,45 +6,110 @@
   - Facilitator adds new UTXOs to the Level DB for quick lookup.
   - Client can send any amount in UTXO. Each call is debited against that UTXO
     until the amount is exhausted.
+  - The address index used by "check my tab" mode lives in the UTXO database
+    next to the UTXO records, so each debit is written in a single atomic
+    batch. Debits are serialized per payer address and per UTXO.
+  - Each address index entry is a key of the form addr!<address>!<utxoId>
+    that points at a UTXO record. The records are the single source of truth
+    for balances.
+  - In "check my tab" mode, the cost of a call is debited across as many of
+    the payer's UTXOs as it takes, in the order set by TAB_SELECTION_STRATEGY,
+    and all the debits are written in a single atomic batch.
+  - Verify debits the ledger and records a pending settlement under the
+    idempotency key of the payment. Settle marks that settlement as settled
+    instead of debiting again, so verify+settle on the same request charges
+    once.
+  - Authorizations carry a nonce and a validAfter/validBefore window. Each
+    nonce is claimed in the nonce Level DB before the debit, so a captured
+    authorization can not be replayed. Legacy authorizations without a nonce
+    are only accepted when ACCEPT_LEGACY_AUTHORIZATIONS is set.
+  - maxTimeoutSeconds of the payment requirements sets a deadline on verify
+    and settle. Calls to the BCH back end are abandoned once it passes, and
+    the ledger is not debited after it, so the payment fails with
+    'facilitator_timeout' instead of hanging the resource server.
+  - Payments can be made in fungible CashTokens, when the asset of the
+    payment requirements is an accepted token category. A UTXO is ledgered
+    in a single asset, and its balance is tracked in the base units of that
+    asset: satoshis for BCH, or token units for its tokenCategory.
+  - Payments can also be made in SLP tokens, when extra.assetMode of the
+    payment requirements is 'slp' and the asset is the token ID. The funding
+    UTXO is validated through the SLP indexer of minimal-slp-wallet, and its
+    balance is tracked in token base units under its slpTokenId.
+  - Verify and settle are routed to the handler of the payment scheme,
+    registered with registerScheme(). The handlers live in ./schemes: 'utxo'
+    spends down the ledger, and 'exact' broadcasts a signed transaction.
+  - Payers can fund their tab ahead of their first call with fundTab(), which
+    ledgers a signed funding UTXO with a zero debit.
 */
 
-// BCH mainnet CAIP-2 identifier
-const BCH_MAINNET_CAIP2 = 'bip122:000000000000000000651ef99cb9fcbe'
+// Global libraries
+import crypto from 'crypto'
+
+// Local libraries
+import config from '../config/index.js'
+import {
+  BCH_NETWORKS,
+  getConfiguredNetworks,
+  getDefaultNetwork,
+  getNetwork
+} from '../config/networks.js'
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
+// BCH mainnet CAIP-2 identifier. Ledger records written before testnet
+// support have no network, and were all made on mainnet.
+const BCH_MAINNET_CAIP2 = BCH_NETWORKS[0].caip2
+
+// Longest a balance authorization may be valid for, in seconds. Its
+// signature is a bearer credential, so a leaked one must expire soon.
+const MAX_BALANCE_AUTHORIZATION_SEC = 300
+
+// Prefix of the address index keys in the UTXO database. UTXO records are
+// keyed by txid:vout, so the two can never collide. Index keys take the form
+// addr!<address>!<utxoId>.
+const ADDRESS_INDEX_PREFIX = 'addr!'
+
+/**
+ * Returns the address spent by the inputs of a transaction, as returned by
+ * getTxData(). Payments are attributed to this address.
+ * @param {Object} txData - The transaction
+ * @returns {string|null} The address, or null if the inputs spend from more
+ * than one address, or from none
+ */
+function getSenderAddress (txData) {
+  const addresses = new Set((txData.vin || []).map(input => input.address))
+  if (addresses.size !== 1) return null
+
+  const [address] = addresses
+  return address || null
+}
 
 /**
- * Normalizes BCH network identifiers to support both v1 ('bch') and v2 (CAIP-2) formats.
- * Only normalizes known BCH networks; returns other networks as-is.
- * @param {string} network - Network identifier (can be 'bch' or CAIP-2 format)
- * @returns {string} Normalized network identifier (BCH mainnet CAIP-2 for BCH networks, original for others)
+ * Normalizes BCH network identifiers to support both v1 aliases ('bch',
+ * 'bch-testnet', 'bch-chipnet') and v2 CAIP-2 identifiers.
+ * Only normalizes configured BCH networks; returns other networks as-is.
+ * @param {string} network - Network identifier (v1 alias or CAIP-2 format)
+ * @param {Object} localConfig - Config to read, defaults to the app config
+ * @returns {string} CAIP-2 identifier for configured networks, the default network if missing, original for others
  */
-function normalizeNetwork (network) {
-  if (!network) return BCH_MAINNET_CAIP2
-  // v1 format
-  if (network === 'bch') return BCH_MAINNET_CAIP2
-  // v2 CAIP-2 format for BCH mainnet
-  if (network === BCH_MAINNET_CAIP2) return BCH_MAINNET_CAIP2
-  // v2 CAIP-2 format pattern matching (bip122:* for BCH networks)
-  // Only normalize if it's a BCH network (mainnet or testnet)
-  if (network.startsWith('bip122:')) {
-    // For now, only normalize known BCH networks
-    // Return as-is for other bip122 networks (they might be other Bitcoin forks)
-    return network
-  }
-  // For non-BCH networks, return as-is (don't normalize to BCH)
-  return network
+function normalizeNetwork (network, localConfig = config) {
+  if (!network) return getDefaultNetwork(localConfig).caip2
+
+  const entry = getNetwork(network, localConfig)
+  return entry ? entry.caip2 : network
 }
 
 /**
- * Checks if two network identifiers refer to the same BCH network.
+ * Checks if two network identifiers refer to the same configured BCH network.
  * @param {string} network1 - First network identifier
  * @param {string} network2 - Second network identifier
- * @returns {boolean} True if both networks are BCH (normalized to same value)
+ * @param {Object} localConfig - Config to read, defaults to the app config
+ * @returns {boolean} True if both normalize to the same configured network
  */
-function networksMatch (network1, network2) {
-  const normalized1 = normalizeNetwork(network1)
-  const normalized2 = normalizeNetwork(network2)
-  // Both must normalize to BCH mainnet CAIP-2 to be considered matching
-  return normalized1 === BCH_MAINNET_CAIP2 && normalized2 === BCH_MAINNET_CAIP2 && normalized1 === normalized2
+function networksMatch (network1, network2, localConfig = config) {
+  const normalized1 = normalizeNetwork(network1, localConfig)
+  const normalized2 = normalizeNetwork(network2, localConfig)
+  // Must be a configured network to be considered matching
+  return normalized1 === normalized2 && !!getNetwork(normalized1, localConfig)
 }
 
 class FacilitatorUseCase {
@@ -56,28 +121,103 @@ class FacilitatorUseCase {
       )
     }
 
+    // Encapsulate dependencies
+    this.config = config
+    this.crypto = crypto
+
+    // Handlers of the payment schemes, by scheme name. Registered by the Use
+    // Cases library.
+    this.schemes = new Map()
+
+    // State for the background ledger monitor
+    this.ledgerTimer = null
+    this.ledgerCheckRunning = false
+
     // Bind 'this' object to all class methods
+    this.registerScheme = this.registerScheme.bind(this)
     this.listSupportedKinds = this.listSupportedKinds.bind(this)
     this.validateUtxo = this.validateUtxo.bind(this)
     this.verifyPayment = this.verifyPayment.bind(this)
     this.settlePayment = this.settlePayment.bind(this)
-    this.findUtxoByAddress = this.findUtxoByAddress.bind(this)
+    this.getIdempotencyKey = this.getIdempotencyKey.bind(this)
+    this.getSettlementKey = this.getSettlementKey.bind(this)
+    this.getLegacySettlementKey = this.getLegacySettlementKey.bind(this)
+    this.getFunderAddress = this.getFunderAddress.bind(this)
+    this.getSettlement = this.getSettlement.bind(this)
+    this.matchSettlement = this.matchSettlement.bind(this)
+    this.recordPendingSettlement = this.recordPendingSettlement.bind(this)
+    this.fundTab = this.fundTab.bind(this)
+    this.getTabUtxos = this.getTabUtxos.bind(this)
+    this.getTabBalance = this.getTabBalance.bind(this)
+    this.sortTabUtxos = this.sortTabUtxos.bind(this)
+    this.selectTabUtxos = this.selectTabUtxos.bind(this)
+    this.debitTab = this.debitTab.bind(this)
+    this.runWithUtxoLocks = this.runWithUtxoLocks.bind(this)
+    this.getLedgerWriteOps = this.getLedgerWriteOps.bind(this)
+    this.getLedgerRecords = this.getLedgerRecords.bind(this)
+    this.writeLedgerRecord = this.writeLedgerRecord.bind(this)
+    this.addressIndexKey = this.addressIndexKey.bind(this)
+    this.getUtxosByAddress = this.getUtxosByAddress.bind(this)
+    this.checkLedger = this.checkLedger.bind(this)
+    this.updateLedgerRecord = this.updateLedgerRecord.bind(this)
+    this.freezeUtxo = this.freezeUtxo.bind(this)
+    this.recheckDoubleSpends = this.recheckDoubleSpends.bind(this)
+    this.recheckSpentUtxos = this.recheckSpentUtxos.bind(this)
+    this.expireStaleUtxos = this.expireStaleUtxos.bind(this)
+    this.recheckLedger = this.recheckLedger.bind(this)
+    this.startLedgerMonitor = this.startLedgerMonitor.bind(this)
+    this.stopLedgerMonitor = this.stopLedgerMonitor.bind(this)
+    this.isLegacyAuthorization = this.isLegacyAuthorization.bind(this)
+    this.checkSignature = this.checkSignature.bind(this)
+    this.getPayerBalance = this.getPayerBalance.bind(this)
+    this.checkAuthorizationWindow = this.checkAuthorizationWindow.bind(this)
+    this.matchRequirements = this.matchRequirements.bind(this)
+    this.matchAccepted = this.matchAccepted.bind(this)
+    this.claimNonce = this.claimNonce.bind(this)
+    this.releaseNonce = this.releaseNonce.bind(this)
+    this.pruneExpiredNonces = this.pruneExpiredNonces.bind(this)
+    this.selectAndValidateUtxo = this.selectAndValidateUtxo.bind(this)
+    this.getDeadline = this.getDeadline.bind(this)
+    this.isPastDeadline = this.isPastDeadline.bind(this)
+    this.getResponseNetwork = this.getResponseNetwork.bind(this)
+    this.getPaymentAmount = this.getPaymentAmount.bind(this)
+    this.getTokenCategory = this.getTokenCategory.bind(this)
+    this.getSlpTokenId = this.getSlpTokenId.bind(this)
+    this.getPaymentAsset = this.getPaymentAsset.bind(this)
+  }
+
+  /**
+   * Registers the handler of a payment scheme. Payments are routed to the
+   * handler of the scheme named in their payment requirements. A handler has:
+   * - scheme: The name of the scheme, e.g. 'utxo'
+   * - getSupportedKind(network): The kind advertised for a configured network
+   * - verify(paymentPayload, paymentRequirements, options): Verifies a payment
+   * - settle(paymentPayload, paymentRequirements, options): Settles a payment
+   * - fund(fundingRequest, options): Optional. Funds a payer's tab, see fundTab()
+   *
+   * @param {Object} handler - The scheme handler
+   */
+  registerScheme (handler) {
+    if (this.schemes.has(handler.scheme)) {
+      throw new Error(`Payment scheme '${handler.scheme}' is already registered.`)
+    }
+
+    this.schemes.set(handler.scheme, handler)
   }
 
   /**
-   * Returns the list of payment "kinds" this facilitator supports.
+   * Returns the list of payment "kinds" this facilitator supports: one per
+   * registered scheme and configured network.
    *
    * @returns Object with array of supported payment kinds, extensions, and signers
    */
   listSupportedKinds () {
+    const handlers = [...this.schemes.values()]
+
     return {
-      kinds: [
-        {
-          x402Version: 2,
-          scheme: 'utxo',
-          network: BCH_MAINNET_CAIP2
-        }
-      ],
+      kinds: getConfiguredNetworks(this.config).flatMap(network =>
+        handlers.map(handler => handler.getSupportedKind(network))
+      ),
       extensions: [],
       signers: {
         'bip122:*': []
@@ -86,58 +226,214 @@ class FacilitatorUseCase {
   }
 
   /**
-   * Finds a UTXO by payer address for "check my tab" mode.
-   * Selects the oldest available UTXO (FIFO) with sufficient balance.
+   * Returns the UTXOs on a payer's tab: the ledgered UTXOs of the payer that
+   * pay to payTo, belong to the tenant, network and asset, still have a
+   * balance and have not been frozen.
    *
    * @param {string} payerAddress - The payer's BCH cash address
    * @param {string} payTo - The server's BCH cash address (receiver)
-   * @param {bigint} requiredValue - The minimum satoshis required
-   * @returns {Promise<Object|null>} Selected UTXO record or null if none found
+   * @param {string} [tenantId] - Only include UTXOs belonging to this tenant
+   * @param {string} [network] - Only include UTXOs on this CAIP-2 network
+   * @param {Object} [asset] - Include UTXOs ledgered in this asset, as returned
+   * by getPaymentAsset(), instead of BCH.
+   * @returns {Promise<Array<Object>>} UTXO records on the tab
    */
-  async findUtxoByAddress (payerAddress, payTo, requiredValue) {
-    try {
-      const addressDb = this.adapters?.levelDB?.addressDb
-      if (!addressDb) {
-        throw new Error('Address database not initialized')
+  async getTabUtxos (payerAddress, payTo, tenantId, network, asset = {}) {
+    const addressUtxos = await this.getUtxosByAddress(payerAddress)
+
+    return addressUtxos.filter(utxo => {
+      const receiverMatches = utxo.receiverAddress === payTo
+      const tenantMatches = !tenantId || (utxo.tenantId ?? DEFAULT_TENANT_ID) === tenantId
+      const networkMatches = !network || (utxo.network ?? BCH_MAINNET_CAIP2) === network
+      const assetMatches = (utxo.tokenCategory ?? null) === (asset.tokenCategory ?? null) &&
+        (utxo.slpTokenId ?? null) === (asset.slpTokenId ?? null)
+      const hasBalance = BigInt(utxo.remainingBalanceSat ?? '0') > 0n
+      return receiverMatches && tenantMatches && networkMatches && assetMatches && hasBalance && !utxo.frozen
+    })
+  }
+
+  // Returns the balance of a payer's tab, as a string in the base units of
+  // its asset. Takes the same arguments as getTabUtxos().
+  async getTabBalance (payerAddress, payTo, tenantId, network, asset = {}) {
+    const tabUtxos = await this.getTabUtxos(payerAddress, payTo, tenantId, network, asset)
+
+    return tabUtxos
+      .reduce((total, utxo) => total + BigInt(utxo.remainingBalanceSat), 0n)
+      .toString()
+  }
+
+  /**
+   * Returns the ledgered UTXOs of a payer and their balances, totalled per
+   * payTo address, network and asset. The payer proves they own the address
+   * by signing JSON.stringify({ from, action: 'balance', validBefore }),
+   * where validBefore is a unix timestamp in seconds, at most
+   * MAX_BALANCE_AUTHORIZATION_SEC ahead.
+   *
+   * @param {string} payerAddress - The payer's BCH cash address
+   * @param {Object} options
+   * @param {string} options.signature - Signature of the balance authorization
+   * @param {number} options.validBefore - Time the signature expires at
+   * @returns {Promise<Object>} { success, address, utxos, totals }, or
+   * { success: false, errorReason } if the signature is not valid
+   */
+  async getPayerBalance (payerAddress, { signature, validBefore } = {}) {
+    if (!payerAddress || !signature || !Number.isInteger(validBefore)) {
+      return {
+        success: false,
+        errorReason: 'invalid_payload'
       }
+    }
 
-      // Get UTXOs for this payer address
-      let addressUtxos = []
-      try {
-        addressUtxos = await addressDb.get(payerAddress)
-        if (!Array.isArray(addressUtxos)) {
-          addressUtxos = []
-        }
-      } catch (err) {
-        // Address not found in database - no UTXOs for this address
-        return null
+    const now = Math.floor(Date.now() / 1000)
+    if (now >= validBefore) {
+      return {
+        success: false,
+        errorReason: 'authorization_expired'
+      }
+    }
+    if (validBefore > now + MAX_BALANCE_AUTHORIZATION_SEC) {
+      return {
+        success: false,
+        errorReason: 'authorization_too_long'
       }
+    }
 
-      // Filter UTXOs that pay to the server's address and have sufficient balance
-      const validUtxos = addressUtxos
-        .filter(utxo => {
-          const receiverMatches = utxo.receiverAddress === payTo
-          const remainingBalance = BigInt(utxo.remainingBalanceSat ?? '0')
-          const hasSufficientBalance = remainingBalance >= requiredValue
-          return receiverMatches && hasSufficientBalance
-        })
-        .sort((a, b) => {
-          // Sort by firstSeen timestamp (oldest first, FIFO)
-          const timeA = new Date(a.firstSeen || 0).getTime()
-          const timeB = new Date(b.firstSeen || 0).getTime()
-          return timeA - timeB
+    const authorization = { from: payerAddress, action: 'balance', validBefore }
+    if (!this.checkSignature(authorization, signature)) {
+      return {
+        success: false,
+        errorReason: 'invalid_exact_bch_payload_signature'
+      }
+    }
+
+    const records = await this.getUtxosByAddress(payerAddress)
+
+    const utxos = records.map(record => {
+      const utxo = {
+        utxoId: record.utxoId,
+        txid: record.txid,
+        vout: record.vout,
+        payTo: record.receiverAddress,
+        network: record.network ?? BCH_MAINNET_CAIP2,
+        tokenCategory: record.tokenCategory ?? null,
+        slpTokenId: record.slpTokenId ?? null,
+        transactionValueSat: record.transactionValueSat,
+        remainingBalanceSat: record.remainingBalanceSat ?? '0',
+        totalDebitedSat: record.totalDebitedSat ?? '0',
+        confirmations: record.confirmations ?? 0,
+        firstSeen: record.firstSeen,
+        lastUpdated: record.lastUpdated,
+        frozen: !!record.frozen
+      }
+      if (record.frozen) utxo.frozenReason = record.frozenReason ?? null
+
+      return utxo
+    })
+
+    // Balances of different assets are in different units, so they are
+    // totalled separately. Frozen balances can not be spent.
+    const totalsByKey = new Map()
+    for (const utxo of utxos) {
+      const key = [utxo.payTo, utxo.network, utxo.tokenCategory, utxo.slpTokenId].join('|')
+      if (!totalsByKey.has(key)) {
+        totalsByKey.set(key, {
+          payTo: utxo.payTo,
+          network: utxo.network,
+          tokenCategory: utxo.tokenCategory,
+          slpTokenId: utxo.slpTokenId,
+          utxoCount: 0,
+          remainingBalanceSat: 0n,
+          frozenBalanceSat: 0n
         })
+      }
 
-      // Return the oldest valid UTXO
-      return validUtxos.length > 0 ? validUtxos[0] : null
-    } catch (err) {
-      console.error('Error in findUtxoByAddress:', err)
-      return null
+      const total = totalsByKey.get(key)
+      total.utxoCount++
+      if (utxo.frozen) total.frozenBalanceSat += BigInt(utxo.remainingBalanceSat)
+      else total.remainingBalanceSat += BigInt(utxo.remainingBalanceSat)
+    }
+
+    const totals = [...totalsByKey.values()].map(total => ({
+      ...total,
+      remainingBalanceSat: total.remainingBalanceSat.toString(),
+      frozenBalanceSat: total.frozenBalanceSat.toString()
+    }))
+
+    return {
+      success: true,
+      address: payerAddress,
+      utxos,
+      totals
+    }
+  }
+
+  /**
+   * Sorts the UTXOs of a tab in the order they are spent down, as set by
+   * TAB_SELECTION_STRATEGY: 'fifo' (oldest first), 'smallest-first' or
+   * 'largest-first'. Ties are broken oldest first.
+   *
+   * @param {Array<Object>} utxos - UTXO records on the tab
+   * @returns {Array<Object>} The sorted records
+   */
+  sortTabUtxos (utxos) {
+    const strategy = this.config.tabSelectionStrategy || 'fifo'
+    const byAge = (a, b) => new Date(a.firstSeen || 0).getTime() - new Date(b.firstSeen || 0).getTime()
+    const byBalance = (a, b) => {
+      const balanceA = BigInt(a.remainingBalanceSat)
+      const balanceB = BigInt(b.remainingBalanceSat)
+      return balanceA === balanceB ? 0 : balanceA < balanceB ? -1 : 1
+    }
+
+    switch (strategy) {
+      case 'fifo':
+        return [...utxos].sort(byAge)
+      case 'smallest-first':
+        return [...utxos].sort((a, b) => byBalance(a, b) || byAge(a, b))
+      case 'largest-first':
+        return [...utxos].sort((a, b) => byBalance(b, a) || byAge(a, b))
+      default:
+        throw new Error(`Unknown TAB_SELECTION_STRATEGY '${strategy}'`)
+    }
+  }
+
+  /**
+   * Selects the UTXOs of a payer's tab that pay for a call in "check my tab"
+   * mode: the first UTXOs in the order of sortTabUtxos() whose balances
+   * add up to the required value. At least one UTXO is selected.
+   *
+   * @param {string} payerAddress - The payer's BCH cash address
+   * @param {string} payTo - The server's BCH cash address (receiver)
+   * @param {bigint} requiredValue - The satoshis required
+   * @param {string} [tenantId] - Only select UTXOs belonging to this tenant
+   * @param {string} [network] - Only select UTXOs on this CAIP-2 network
+   * @param {Object} [asset] - Select UTXOs ledgered in this asset, as returned
+   * by getPaymentAsset(), instead of BCH. requiredValue is then in token units.
+   * @returns {Promise<Array<Object>|null>} Selected UTXO records, or null if
+   * the tab can not cover the required value
+   */
+  async selectTabUtxos (payerAddress, payTo, requiredValue, tenantId, network, asset = {}) {
+    const tabUtxos = await this.getTabUtxos(payerAddress, payTo, tenantId, network, asset)
+
+    const selected = []
+    let selectedValue = 0n
+    for (const utxo of this.sortTabUtxos(tabUtxos)) {
+      if (selected.length > 0 && selectedValue >= requiredValue) break
+
+      selected.push(utxo)
+      selectedValue += BigInt(utxo.remainingBalanceSat)
     }
+
+    if (selected.length === 0 || selectedValue < requiredValue) return null
+
+    return selected
   }
 
-  // Validate a payment UTXO
-  async validateUtxo ({ paymentPayload, paymentRequirements, selectedUtxo = null }) {
+  // Validate a payment UTXO. When a tenant is given, the UTXO must pay one of
+  // the tenant's payTo addresses. Debits of the same UTXO are serialized.
+  // Callers must hold the lock on the payer address, as verifyPayment() does,
+  // because the payer's address index entry is rewritten. The UTXO is not
+  // debited once the optional deadline has passed.
+  async validateUtxo ({ paymentPayload, paymentRequirements, selectedUtxo = null, tenant = null, deadline = null }) {
     try {
       console.log('validateUtxo() paymentPayload:', paymentPayload)
       console.log('validateUtxo() paymentRequirements:', paymentRequirements)
@@ -190,10 +486,8 @@ class FacilitatorUseCase {
       // Handle "check my tab" mode - use selected UTXO if provided
       let actualTxid = txid
       let actualVout = vout
-      let isCheckMyTabMode = false
 
       if (txid === '*') {
-        isCheckMyTabMode = true
         if (!selectedUtxo) {
           return {
             isValid: false,
@@ -207,45 +501,47 @@ class FacilitatorUseCase {
       // Generate unique identifier for UTXO,
       // UTXOs are uniquely identified by their TXID and the vout number.
       const utxoId = `${actualTxid}:${actualVout}`
+      const network = normalizeNetwork(paymentRequirements?.network, this.config)
+      const { tokenCategory, slpTokenId } = this.getPaymentAsset(paymentRequirements)
 
       // Ensure the UTXO database is initialized.
       const utxoDb = this.adapters?.levelDB?.utxoDb
-      const addressDb = this.adapters?.levelDB?.addressDb
-      if (!utxoDb || !addressDb) {
-        throw new Error('UTXO or address database not initialized')
+      if (!utxoDb) {
+        throw new Error('UTXO database not initialized')
       }
 
-      const walletAdapter = this.adapters.bchWallet
-      // const logger = this.adapters.logger
-      // const bchjs = walletAdapter.bchjs
+      // Serialize debits of the same UTXO, so concurrent calls can not both
+      // spend the same balance.
+      return await this.adapters.ledgerLock.runExclusive(`utxo:${utxoId}`, async () => {
+        const walletAdapter = this.adapters.bchWallet
+        // const logger = this.adapters.logger
+        // const bchjs = walletAdapter.bchjs
+
+        // Calculate the cost of the call in satoshis, or in token units for
+        // CashToken and SLP payments.
+        const callCostSat = this.getPaymentAmount(paymentRequirements)
+        // const revalidateThresholdMs = 5 * 60 * 1000 // 5 minutes
+
+        // Try to get the UTXO information from the Level DB
+        let utxoInfo = null
+        try {
+          utxoInfo = await utxoDb.get(utxoId)
+        } catch (err) {
+          /* exit quietly */
+        }
 
-      // Calculate the cost of the call in satoshis.
-      // Support both v2 'amount' field and v1 'minAmountRequired' field
-      const amountValue = paymentRequirements?.amount ?? paymentRequirements?.minAmountRequired ?? paymentRequirements?.maxAmountRequired ?? 0
-      const callCostSat = BigInt(amountValue)
-      // const revalidateThresholdMs = 5 * 60 * 1000 // 5 minutes
+        if (!utxoInfo) {
+          console.log('UTXO not found in Level DB')
 
-      // Try to get the UTXO information from the Level DB
-      let utxoInfo = null
-      try {
-        utxoInfo = await utxoDb.get(utxoId)
-      } catch (err) {
-        /* exit quietly */
-      }
-
-      if (!utxoInfo) {
-        console.log('UTXO not found in Level DB')
-
-        // If check my tab mode and we have selectedUtxo, use it (it should already be validated)
-        // Otherwise, validate the UTXO on-chain
-        if (isCheckMyTabMode && selectedUtxo) {
-          // Use the selected UTXO from addressDb
-          utxoInfo = selectedUtxo
-          // Ensure it's also in utxoDb (in case of data inconsistency)
-          await utxoDb.put(utxoId, utxoInfo)
-        } else {
-          // Validate the UTXO on-chain
-          const utxoValidation = await walletAdapter.validateUtxo({ txid: actualTxid, vout: actualVout })
+          // Selected UTXOs are read from the ledger, so only UTXOs referenced
+          // by txid can be missing. Validate the UTXO on-chain.
+          const utxoValidation = await walletAdapter.validateUtxo({
+            txid: actualTxid,
+            vout: actualVout,
+            payTo: tenant ? paymentRequirements.payTo : undefined,
+            deadline,
+            network
+          })
           console.log('utxoValidation:', utxoValidation)
 
           if (!utxoValidation.isValid) {
@@ -256,12 +552,41 @@ class FacilitatorUseCase {
             }
           }
 
-          const remainingBalanceSat = BigInt(utxoValidation.utxoAmountSat) - callCostSat
+          // A CashToken payment must be funded with tokens of its category.
+          if (tokenCategory && utxoValidation.tokenCategory !== tokenCategory) {
+            return {
+              isValid: false,
+              invalidReason: 'asset_mismatch',
+              utxoAmountSat: null
+            }
+          }
+
+          // An SLP payment must be funded with tokens of its token ID.
+          if (slpTokenId && utxoValidation.slpTokenId !== slpTokenId) {
+            return {
+              isValid: false,
+              invalidReason: 'asset_mismatch',
+              utxoAmountSat: null
+            }
+          }
+
+          let fundingValue = BigInt(utxoValidation.utxoAmountSat)
+          if (tokenCategory) fundingValue = BigInt(utxoValidation.tokenAmount)
+          if (slpTokenId) fundingValue = BigInt(utxoValidation.slpTokenAmount)
+
+          const remainingBalanceSat = fundingValue - callCostSat
           if (remainingBalanceSat < 0n) {
             return {
               isValid: false,
               invalidReason: 'insufficient_utxo_balance',
-              utxoAmountSat: utxoValidation.utxoAmountSat.toString()
+              utxoAmountSat: fundingValue.toString()
+            }
+          }
+
+          if (this.isPastDeadline(deadline)) {
+            return {
+              isValid: false,
+              invalidReason: 'facilitator_timeout'
             }
           }
 
@@ -272,18 +597,20 @@ class FacilitatorUseCase {
             vout: actualVout,
             payerAddress,
             receiverAddress: utxoValidation.receiverAddress,
-            transactionValueSat: utxoValidation.utxoAmountSat.toString(),
+            tenantId: tenant?.tenantId ?? DEFAULT_TENANT_ID,
+            network,
+            transactionValueSat: fundingValue.toString(),
             remainingBalanceSat: remainingBalanceSat.toString(),
             totalDebitedSat: callCostSat.toString(),
+            confirmations: utxoValidation.confirmations ?? 0,
             lastUpdated: timestamp,
             firstSeen: timestamp,
             lastChecked: timestamp
           }
+          if (tokenCategory) record.tokenCategory = tokenCategory
+          if (slpTokenId) record.slpTokenId = slpTokenId
 
-          await utxoDb.put(utxoId, record)
-
-          // Add to addressDb
-          await this.addUtxoToAddressDb(addressDb, payerAddress, record)
+          await this.writeLedgerRecord(utxoDb, record)
 
           console.log('UTXO added to Level DB')
 
@@ -293,53 +620,117 @@ class FacilitatorUseCase {
             utxoInfo: record
           }
         }
-      }
 
-      // Update existing UTXO
-      const currentRemainingSat = BigInt(
-        utxoInfo.remainingBalanceSat ?? utxoInfo.remainingBalance ?? '0'
-      )
-      const totalDebitedSat = BigInt(
-        utxoInfo.totalDebitedSat ?? utxoInfo.totalDebited ?? '0'
-      )
+        // A UTXO can only pay for calls on the network it was made on.
+        if ((utxoInfo.network ?? BCH_MAINNET_CAIP2) !== network) {
+          return {
+            isValid: false,
+            invalidReason: 'invalid_network'
+          }
+        }
 
-      const updatedRemainingSat = currentRemainingSat - callCostSat
+        // A UTXO can only pay in the asset it was ledgered in.
+        if ((utxoInfo.tokenCategory ?? null) !== tokenCategory ||
+          (utxoInfo.slpTokenId ?? null) !== slpTokenId) {
+          return {
+            isValid: false,
+            invalidReason: 'asset_mismatch'
+          }
+        }
 
-      if (updatedRemainingSat < 0n) {
-        return {
-          isValid: false,
-          invalidReason: 'insufficient_utxo_balance',
-          remainingBalanceSat: currentRemainingSat.toString()
+        // A UTXO can only be spent down by the tenant it was paid to.
+        if (tenant && (utxoInfo.tenantId ?? DEFAULT_TENANT_ID) !== tenant.tenantId) {
+          return {
+            isValid: false,
+            invalidReason: 'invalid_receiver_address'
+          }
         }
-      }
 
-      const updatedTotalDebitedSat = totalDebitedSat + callCostSat
-      const timestamp = new Date().toISOString()
-      const updatedRecord = {
-        ...utxoInfo,
-        remainingBalanceSat: updatedRemainingSat.toString(),
-        totalDebitedSat: updatedTotalDebitedSat.toString(),
-        lastUpdated: timestamp,
-        lastChecked: timestamp
-      }
+        // A UTXO can only pay for resources billed to the address it paid, as
+        // in "check my tab" mode, not to another address of the same tenant.
+        if (tenant && utxoInfo.receiverAddress !== paymentRequirements.payTo) {
+          return {
+            isValid: false,
+            invalidReason: 'invalid_receiver_address'
+          }
+        }
 
-      await utxoDb.put(utxoId, updatedRecord)
+        // A UTXO can only be spent down by the payer it was ledgered for, whose
+        // address index entry is the one rewritten below.
+        if (utxoInfo.payerAddress && utxoInfo.payerAddress !== payerAddress) {
+          return {
+            isValid: false,
+            invalidReason: 'payer_mismatch'
+          }
+        }
 
-      // Update addressDb entry
-      await this.updateUtxoInAddressDb(addressDb, payerAddress, updatedRecord)
+        // A frozen UTXO can no longer be spent down, e.g. because its funding
+        // transaction was double spent.
+        if (utxoInfo.frozen) {
+          return {
+            isValid: false,
+            invalidReason: utxoInfo.frozenReason || 'utxo_frozen',
+            remainingBalanceSat: utxoInfo.remainingBalanceSat
+          }
+        }
 
-      // If UTXO is consumed (remainingBalanceSat reaches 0), delete from both databases
-      if (updatedRemainingSat === 0n) {
-        await utxoDb.del(utxoId)
-        await this.removeUtxoFromAddressDb(addressDb, payerAddress, utxoId)
-        console.log('UTXO consumed and removed from databases')
-      }
+        // Funding a UTXO that is already ledgered debits nothing, and must not
+        // rewrite lastUpdated, or anyone could hold off the expiry of the tab.
+        if (callCostSat === 0n) {
+          return {
+            isValid: true,
+            remainingBalanceSat: utxoInfo.remainingBalanceSat,
+            utxoInfo
+          }
+        }
 
-      return {
-        isValid: true,
-        remainingBalanceSat: updatedRemainingSat.toString(),
-        utxoInfo: updatedRecord
-      }
+        // Update existing UTXO
+        const currentRemainingSat = BigInt(
+          utxoInfo.remainingBalanceSat ?? utxoInfo.remainingBalance ?? '0'
+        )
+        const totalDebitedSat = BigInt(
+          utxoInfo.totalDebitedSat ?? utxoInfo.totalDebited ?? '0'
+        )
+
+        const updatedRemainingSat = currentRemainingSat - callCostSat
+
+        if (updatedRemainingSat < 0n) {
+          return {
+            isValid: false,
+            invalidReason: 'insufficient_utxo_balance',
+            remainingBalanceSat: currentRemainingSat.toString()
+          }
+        }
+
+        if (this.isPastDeadline(deadline)) {
+          return {
+            isValid: false,
+            invalidReason: 'facilitator_timeout'
+          }
+        }
+
+        const updatedTotalDebitedSat = totalDebitedSat + callCostSat
+        const timestamp = new Date().toISOString()
+        const updatedRecord = {
+          ...utxoInfo,
+          remainingBalanceSat: updatedRemainingSat.toString(),
+          totalDebitedSat: updatedTotalDebitedSat.toString(),
+          lastUpdated: timestamp,
+          lastChecked: timestamp
+        }
+
+        // If UTXO is consumed (remainingBalanceSat reaches 0), it is removed
+        // from the address index but kept in the ledger, so it can not be
+        // ledgered again with a fresh balance.
+        await this.writeLedgerRecord(utxoDb, updatedRecord)
+        if (updatedRemainingSat === 0n) console.log('UTXO consumed and removed from the address index')
+
+        return {
+          isValid: true,
+          remainingBalanceSat: updatedRemainingSat.toString(),
+          utxoInfo: updatedRecord
+        }
+      })
     } catch (err) {
       console.error('Error in validateUtxo:', err)
       return {
@@ -351,238 +742,880 @@ class FacilitatorUseCase {
   }
 
   /**
-   * Helper method to add a UTXO to the address-based database
+   * Writes a UTXO record and the payer's address index entry in a single
+   * atomic batch. Consumed UTXOs are dropped from the address index. Callers
+   * must hold the locks on the payer address and UTXO.
+   *
+   * @param {Object} utxoDb - The UTXO Level DB
+   * @param {Object} record - The UTXO record to write
    * @private
    */
-  async addUtxoToAddressDb (addressDb, payerAddress, utxoRecord) {
-    try {
-      let addressUtxos = []
+  async writeLedgerRecord (utxoDb, record) {
+    await utxoDb.batch(this.getLedgerWriteOps(record))
+  }
+
+  // Returns the batch operations that write a UTXO record and its address
+  // index entry, as done by writeLedgerRecord().
+  getLedgerWriteOps (record) {
+    const indexKey = this.addressIndexKey(record.payerAddress, record.utxoId)
+    const isConsumed = record.remainingBalanceSat === '0'
+
+    return [
+      { type: 'put', key: record.utxoId, value: record },
+      isConsumed
+        ? { type: 'del', key: indexKey }
+        : { type: 'put', key: indexKey, value: record.utxoId }
+    ]
+  }
+
+  // Returns the address index key of a UTXO. Leave out the utxoId to get the
+  // prefix shared by all the index keys of the payer.
+  addressIndexKey (payerAddress, utxoId = '') {
+    return `${ADDRESS_INDEX_PREFIX}${payerAddress}!${utxoId}`
+  }
+
+  /**
+   * Returns the UTXO records in the address index of a payer. Only the index
+   * keys of the payer are read, so the cost grows with the number of UTXOs
+   * the payer has, not with the size of the ledger.
+   *
+   * @param {string} payerAddress - The payer's BCH cash address
+   * @returns {Promise<Array<Object>>} UTXO records with a remaining balance
+   */
+  async getUtxosByAddress (payerAddress) {
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    const prefix = this.addressIndexKey(payerAddress)
+    const records = []
+    for await (const [, utxoId] of utxoDb.iterator({ gt: prefix, lt: `${prefix}\xff` })) {
       try {
-        addressUtxos = await addressDb.get(payerAddress)
-        if (!Array.isArray(addressUtxos)) {
-          addressUtxos = []
-        }
+        records.push(await utxoDb.get(utxoId))
       } catch (err) {
-        // Address not found, start with empty array
-        addressUtxos = []
+        // Index entry without a UTXO record. Skip it.
       }
+    }
 
-      // Check if UTXO already exists in the array
-      const existingIndex = addressUtxos.findIndex(utxo => utxo.utxoId === utxoRecord.utxoId)
-      if (existingIndex >= 0) {
-        // Update existing entry
-        addressUtxos[existingIndex] = utxoRecord
-      } else {
-        // Add new entry
-        addressUtxos.push(utxoRecord)
-      }
+    return records
+  }
 
-      await addressDb.put(payerAddress, addressUtxos)
-    } catch (err) {
-      console.error('Error adding UTXO to addressDb:', err)
-      // Don't throw - this is a secondary index
+  // Returns every UTXO record in the ledger that still has a balance,
+  // skipping the address index.
+  async getLedgerRecords (utxoDb) {
+    const records = []
+    for await (const [key, record] of utxoDb.iterator()) {
+      if (key.startsWith(ADDRESS_INDEX_PREFIX)) continue
+      if (record.remainingBalanceSat === '0') continue
+      records.push(record)
     }
+
+    return records
   }
 
   /**
-   * Helper method to update a UTXO in the address-based database
-   * @private
+   * Scans the UTXO records and the address index and reports where they
+   * disagree. The UTXO records are the source of truth: with the repair
+   * option, the address index is rebuilt from them. Balance discrepancies
+   * are only reported, as they can not be repaired from the ledger alone.
+   *
+   * @param {boolean} [options.repair] - Rewrite the address index to match the UTXO records
+   * @returns {Promise<Object>} Report of the problems found
    */
-  async updateUtxoInAddressDb (addressDb, payerAddress, utxoRecord) {
-    try {
-      let addressUtxos = []
-      try {
-        addressUtxos = await addressDb.get(payerAddress)
-        if (!Array.isArray(addressUtxos)) {
-          return // No UTXOs for this address
-        }
-      } catch (err) {
-        return // Address not found
+  async checkLedger (options = {}) {
+    const { repair = false } = options
+
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    const records = new Map()
+    const indexEntries = []
+    for await (const [key, value] of utxoDb.iterator()) {
+      if (key.startsWith(ADDRESS_INDEX_PREFIX)) indexEntries.push([key, value])
+      else records.set(key, value)
+    }
+
+    const report = {
+      records: records.size,
+      indexEntries: indexEntries.length,
+      // Index keys that point at a UTXO that is not in the ledger.
+      orphanedIndexEntries: [],
+      // Index keys that do not match the UTXO record they point at.
+      mismatchedIndexEntries: [],
+      // UTXOs with a remaining balance that are missing from the index.
+      missingIndexEntries: [],
+      // UTXOs whose debits, refunds and manual credits do not add up to
+      // their funding value.
+      balanceDiscrepancies: [],
+      repaired: false
+    }
+
+    const indexedUtxoIds = new Set()
+    for (const [key, value] of indexEntries) {
+      // Keys take the form addr!<address>!<utxoId>. Addresses never contain
+      // a '!', so the first one after the prefix ends the address.
+      const rest = key.slice(ADDRESS_INDEX_PREFIX.length)
+      const separator = rest.indexOf('!')
+      const address = separator >= 0 ? rest.slice(0, separator) : null
+      const utxoId = separator >= 0 ? rest.slice(separator + 1) : null
+
+      const record = utxoId ? records.get(utxoId) : undefined
+      let reason = null
+      if (!address || !utxoId) {
+        reason = 'malformed_key'
+      } else if (!record) {
+        report.orphanedIndexEntries.push(key)
+        continue
+      } else if (value !== utxoId) {
+        reason = 'wrong_utxo_id'
+      } else if (record.payerAddress !== address) {
+        reason = 'wrong_payer_address'
+      } else if (record.remainingBalanceSat === '0') {
+        reason = 'utxo_consumed'
       }
 
-      // Find and update the UTXO
-      const index = addressUtxos.findIndex(utxo => utxo.utxoId === utxoRecord.utxoId)
-      if (index >= 0) {
-        addressUtxos[index] = utxoRecord
-        await addressDb.put(payerAddress, addressUtxos)
+      if (reason) {
+        report.mismatchedIndexEntries.push({ key, reason })
+        continue
+      }
+
+      indexedUtxoIds.add(utxoId)
+    }
+
+    for (const [utxoId, record] of records) {
+      if (record.remainingBalanceSat !== '0' && !indexedUtxoIds.has(utxoId)) {
+        report.missingIndexEntries.push(utxoId)
+      }
+
+      const transactionValueSat = BigInt(record.transactionValueSat ?? '0')
+      const totalDebitedSat = BigInt(record.totalDebitedSat ?? '0')
+      const refundedSat = BigInt(record.refundedSat ?? '0')
+      const creditedSat = BigInt(record.creditedSat ?? '0')
+      const remainingBalanceSat = BigInt(record.remainingBalanceSat ?? '0')
+      if (remainingBalanceSat < 0n || transactionValueSat + creditedSat - totalDebitedSat - refundedSat !== remainingBalanceSat) {
+        report.balanceDiscrepancies.push({
+          utxoId,
+          transactionValueSat: transactionValueSat.toString(),
+          creditedSat: creditedSat.toString(),
+          totalDebitedSat: totalDebitedSat.toString(),
+          refundedSat: refundedSat.toString(),
+          remainingBalanceSat: remainingBalanceSat.toString()
+        })
+      }
+    }
+
+    if (repair) {
+      const ops = [
+        ...report.orphanedIndexEntries.map(key => ({ type: 'del', key })),
+        ...report.mismatchedIndexEntries.map(({ key }) => ({ type: 'del', key })),
+        ...report.missingIndexEntries.map(utxoId => ({
+          type: 'put',
+          key: this.addressIndexKey(records.get(utxoId).payerAddress, utxoId),
+          value: utxoId
+        }))
+      ]
+
+      if (ops.length > 0) {
+        await utxoDb.batch(ops)
+        report.repaired = true
       }
-    } catch (err) {
-      console.error('Error updating UTXO in addressDb:', err)
-      // Don't throw - this is a secondary index
     }
+
+    return report
   }
 
   /**
-   * Helper method to remove a UTXO from the address-based database
+   * Applies updateFn() to a ledger record while holding the locks on its
+   * payer address and UTXO, so the update can not race a debit.
+   *
+   * @param {string} utxoId - The txid:vout of the UTXO
+   * @param {Function} updateFn - Returns the updated record, given the current one
+   * @returns {Promise<Object|null>} The updated record, or null if the UTXO is not in the ledger
    * @private
    */
-  async removeUtxoFromAddressDb (addressDb, payerAddress, utxoId) {
+  async updateLedgerRecord (utxoId, updateFn) {
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    let record = null
     try {
-      let addressUtxos = []
+      record = await utxoDb.get(utxoId)
+    } catch (err) {
+      return null // UTXO was consumed and removed from the ledger
+    }
+
+    const lockKeys = [`payer:${record.payerAddress}`, `utxo:${utxoId}`]
+    return await this.adapters.ledgerLock.runExclusive(lockKeys, async () => {
+      // Re-read the record, as it may have been debited or consumed while
+      // waiting for the locks.
+      let current = null
       try {
-        addressUtxos = await addressDb.get(payerAddress)
-        if (!Array.isArray(addressUtxos)) {
-          return // No UTXOs for this address
-        }
+        current = await utxoDb.get(utxoId)
       } catch (err) {
-        return // Address not found
+        return null
       }
 
-      // Filter out the UTXO
-      const filteredUtxos = addressUtxos.filter(utxo => utxo.utxoId !== utxoId)
+      const updatedRecord = updateFn(current)
+      await this.writeLedgerRecord(utxoDb, updatedRecord)
 
-      if (filteredUtxos.length === 0) {
-        // Remove the address key if no UTXOs remain
-        await addressDb.del(payerAddress)
-      } else {
-        // Update with filtered array
-        await addressDb.put(payerAddress, filteredUtxos)
-      }
-    } catch (err) {
-      console.error('Error removing UTXO from addressDb:', err)
-      // Don't throw - this is a secondary index
-    }
+      return updatedRecord
+    })
   }
 
   /**
-   * Verifies a payment authorization without settling it on-chain.
+   * Marks a ledger UTXO as frozen, so its balance can no longer be spent down.
    *
-   * Checks the signature and payment details are valid according to the
-   * payment requirements.
+   * @param {string} utxoId - The txid:vout of the UTXO
+   * @param {string} reason - Returned as the invalidReason for later debits
+   * @returns {Promise<Object|null>} The frozen record, or null if the UTXO is not in the ledger
+   */
+  async freezeUtxo (utxoId, reason) {
+    return await this.updateLedgerRecord(utxoId, current => {
+      const timestamp = new Date().toISOString()
+      return {
+        ...current,
+        frozen: true,
+        frozenReason: reason,
+        lastUpdated: timestamp,
+        lastChecked: timestamp
+      }
+    })
+  }
+
+  /**
+   * Re-checks every unconfirmed UTXO in the ledger for a Double Spend Proof.
+   * UTXOs whose funding transaction was double spent are frozen, so the
+   * balance can not be spent down. UTXOs that have since confirmed are marked
+   * with their confirmation count and skipped by later checks.
    *
-   * @param paymentPayload The signed payment authorization
-   * @param paymentRequirements The expected payment details
-   * @returns Verification result with validity and payer address
+   * @returns {Promise<Object>} Number of UTXOs checked, confirmed and frozen
    */
-  async verifyPayment (paymentPayload, paymentRequirements) {
-    console.log('FacilitatorUseCase verifyPayment() paymentPayload:', paymentPayload)
-    console.log('FacilitatorUseCase verifyPayment() paymentRequirements:', paymentRequirements)
+  async recheckDoubleSpends () {
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
 
-    try {
-      const bchjs = this.adapters.bchWallet.bchjs
+    const walletAdapter = this.adapters.bchWallet
+    const stats = { checked: 0, confirmed: 0, frozen: 0 }
 
-      // Extract scheme and network from v2 structure (accepted field) or v1 structure (top-level)
-      const payloadScheme = paymentPayload.accepted?.scheme ?? paymentPayload.scheme
-      const payloadNetwork = paymentPayload.accepted?.network ?? paymentPayload.network
+    // Collect the candidates first, so the ledger is not written to while
+    // it is being iterated.
+    const candidates = (await this.getLedgerRecords(utxoDb))
+      .filter(record => !record.frozen && !(record.confirmations > 0))
 
-      // Verify network matches (support both v1 'bch' and v2 CAIP-2 formats)
-      if (!networksMatch(paymentRequirements.network, payloadNetwork)) {
-        return {
-          isValid: false,
-          invalidReason: 'invalid_network',
-          payer: ''
-        }
-      }
+    for (const record of candidates) {
+      try {
+        stats.checked++
 
-      // Verify scheme matches
-      const requirementsScheme = paymentRequirements.scheme
-      if (requirementsScheme !== 'utxo' || payloadScheme !== 'utxo') {
-        return {
-          isValid: false,
-          invalidReason: 'invalid_scheme',
-          payer: ''
+        const network = record.network ?? BCH_MAINNET_CAIP2
+        const confirmations = await walletAdapter.getTxConfirmations(record.txid, { network })
+
+        if (confirmations === 0 && await walletAdapter.checkDoubleSpendProof(record.txid, { network })) {
+          if (await this.freezeUtxo(record.utxoId, 'double_spend_detected')) {
+            stats.frozen++
+            this.adapters.logger.warn(`Double Spend Proof detected for UTXO ${record.utxoId}. Balance frozen.`)
+          }
+          continue
         }
-      }
 
-      // Extract authorization and signature
-      const payload = paymentPayload.payload
-      if (!payload || !payload.authorization || !payload.signature) {
-        return {
-          isValid: false,
-          invalidReason: 'invalid_payload',
-          payer: ''
+        // The record is re-read under the ledger locks, as it may have been
+        // debited or consumed during the network calls above.
+        const updatedRecord = await this.updateLedgerRecord(record.utxoId, current => {
+          const updated = {
+            ...current,
+            lastChecked: new Date().toISOString()
+          }
+          if (confirmations > 0) updated.confirmations = confirmations
+          return updated
+        })
+        if (updatedRecord && confirmations > 0) stats.confirmed++
+      } catch (err) {
+        this.adapters.logger.error(`Error re-checking UTXO ${record.utxoId} for double spends:`, err)
+      }
+    }
+
+    return stats
+  }
+
+  /**
+   * Re-checks that every unconfirmed UTXO in the ledger is still unspent
+   * on-chain. An unconfirmed funding output that was spent may have been
+   * double spent by the payer, so it is frozen with the 'spent_on_chain'
+   * reason, and the payer can not keep drawing down the balance.
+   *
+   * Funding outputs belong to the resource server, which may sweep them once
+   * they have confirmed. Confirmed UTXOs are not checked, and a UTXO whose
+   * funding transaction confirmed before it was found spent is marked with
+   * its confirmation count instead of being frozen.
+   *
+   * @returns {Promise<Object>} Number of UTXOs checked and frozen
+   */
+  async recheckSpentUtxos () {
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    const walletAdapter = this.adapters.bchWallet
+    const stats = { checked: 0, frozen: 0 }
+
+    const candidates = (await this.getLedgerRecords(utxoDb))
+      .filter(record => !record.frozen && !(record.confirmations > 0))
+
+    for (const record of candidates) {
+      try {
+        stats.checked++
+
+        const network = record.network ?? BCH_MAINNET_CAIP2
+        const isUnspent = await walletAdapter.isUtxoUnspent({
+          txid: record.txid,
+          vout: record.vout,
+          network
+        })
+        if (isUnspent) continue
+
+        // A funding transaction that confirmed can no longer be double
+        // spent, so its output was spent by the resource server.
+        const confirmations = await walletAdapter.getTxConfirmations(record.txid, { network })
+        if (confirmations > 0) {
+          await this.updateLedgerRecord(record.utxoId, current => ({ ...current, confirmations }))
+          continue
+        }
+
+        if (await this.freezeUtxo(record.utxoId, 'spent_on_chain')) {
+          stats.frozen++
+          this.adapters.logger.warn(`UTXO ${record.utxoId} was spent on-chain. Balance frozen.`)
         }
+      } catch (err) {
+        this.adapters.logger.error(`Error re-checking UTXO ${record.utxoId} is unspent:`, err)
       }
+    }
 
-      const { authorization, signature } = payload
-      const payerAddress = authorization.from
-      const payTo = paymentRequirements.payTo
+    return stats
+  }
 
-      // Check if this is "check my tab" mode
-      const isCheckMyTabMode = authorization.txid === '*'
+  /**
+   * Expires the tabs that have not been used for TAB_LIFETIME_SEC. Their
+   * UTXOs are frozen with the 'tab_expired' reason, so the balance can no
+   * longer be spent down, only refunded. Funding or debiting a UTXO updates
+   * its lastUpdated time, which is how long it has gone unused.
+   *
+   * @param {number} now - Date.now() timestamp to measure staleness at
+   * @returns {Promise<Object>} Number of UTXOs checked and expired
+   */
+  async expireStaleUtxos (now = Date.now()) {
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+
+    const stats = { checked: 0, expired: 0 }
+    const lifetimeMs = this.config.tabLifetimeSec * 1000
+    if (!(lifetimeMs > 0)) return stats
 
-      // For check my tab mode, verify signature with the original authorization object
-      // (including txid: "*", vout: null, amount: null)
-      // For standard mode, use the authorization as-is
-      const messageToVerify = JSON.stringify(authorization)
-      let isValidSignature = false
+    const isStale = record => now - new Date(record.lastUpdated ?? record.firstSeen).getTime() >= lifetimeMs
+
+    const candidates = (await this.getLedgerRecords(utxoDb))
+      .filter(record => !record.frozen)
+
+    for (const record of candidates) {
+      stats.checked++
+      if (!isStale(record)) continue
 
       try {
-        isValidSignature = bchjs.BitcoinCash.verifyMessage(
-          payerAddress,
-          signature,
-          messageToVerify
-        )
-      } catch (error) {
-        this.adapters.logger.error('Error verifying signature:', error)
-        return {
-          isValid: false,
-          invalidReason: 'invalid_exact_bch_payload_signature',
-          payer: payerAddress
+        // The tab may have been used or frozen while waiting for the locks.
+        const updatedRecord = await this.updateLedgerRecord(record.utxoId, current => {
+          if (current.frozen || !isStale(current)) return current
+
+          const timestamp = new Date(now).toISOString()
+          return {
+            ...current,
+            frozen: true,
+            frozenReason: 'tab_expired',
+            expiredAt: timestamp,
+            lastUpdated: timestamp
+          }
+        })
+
+        if (updatedRecord?.frozenReason === 'tab_expired') {
+          stats.expired++
+          this.adapters.logger.info(`Tab UTXO ${record.utxoId} of ${record.payerAddress} expired.`)
+        }
+      } catch (err) {
+        this.adapters.logger.error(`Error expiring UTXO ${record.utxoId}:`, err)
+      }
+    }
+
+    return stats
+  }
+
+  /**
+   * Runs all the background checks against the ledger, and prunes the nonces
+   * of expired authorizations. Double Spend Proofs are only available from
+   * bch-api, so they are only checked when API_TYPE is 'rest-api'. Tabs are
+   * only expired when TAB_LIFETIME_SEC is set.
+   *
+   * @returns {Promise<Object>} Stats from each check that was run
+   */
+  async recheckLedger () {
+    const stats = {}
+
+    // Expired tabs are frozen, so they are skipped by the checks below.
+    if (this.config.tabLifetimeSec > 0) {
+      stats.expired = await this.expireStaleUtxos()
+    }
+
+    if (this.config.apiType === 'rest-api') {
+      stats.doubleSpends = await this.recheckDoubleSpends()
+    }
+
+    stats.spent = await this.recheckSpentUtxos()
+    stats.prunedNonces = await this.pruneExpiredNonces()
+
+    return stats
+  }
+
+  /**
+   * Starts a timer that periodically calls recheckLedger().
+   *
+   * @returns {boolean} True if the monitor was started
+   */
+  startLedgerMonitor () {
+    if (this.ledgerTimer) return false
+
+    const intervalMs = this.config.ledgerCheckIntervalSec * 1000
+
+    this.ledgerTimer = setInterval(async () => {
+      // Skip this tick if the previous check is still running.
+      if (this.ledgerCheckRunning) return
+
+      this.ledgerCheckRunning = true
+      try {
+        const stats = await this.recheckLedger()
+        this.adapters.logger.debug(`Ledger re-check: ${JSON.stringify(stats)}`)
+      } catch (err) {
+        this.adapters.logger.error('Error in ledger monitor:', err)
+      } finally {
+        this.ledgerCheckRunning = false
+      }
+    }, intervalMs)
+
+    return true
+  }
+
+  // Stops the ledger monitor.
+  stopLedgerMonitor () {
+    if (this.ledgerTimer) {
+      clearInterval(this.ledgerTimer)
+      this.ledgerTimer = null
+    }
+  }
+
+  // Returns true if the authorization has no nonce, as signed by clients
+  // that predate replay protection.
+  isLegacyAuthorization (authorization) {
+    return authorization?.nonce === undefined || authorization?.nonce === null
+  }
+
+  /**
+   * Checks that the payment was authorized for these payment requirements, so
+   * an authorization signed for one resource can not pay for another.
+   *
+   * @param {Object} paymentPayload - The payment payload
+   * @param {Object} paymentRequirements - The requirements the server sent
+   * @returns {string|null} The invalid reason, or null if they match
+   */
+  matchRequirements (paymentPayload, paymentRequirements) {
+    const { authorization } = paymentPayload.payload
+
+    if (authorization.to !== paymentRequirements.payTo) {
+      return 'recipient_mismatch'
+    }
+
+    let authorizedValue
+    try {
+      authorizedValue = BigInt(authorization.value)
+    } catch (err) {
+      return 'invalid_payload'
+    }
+    if (authorizedValue < this.getPaymentAmount(paymentRequirements)) {
+      return 'authorized_value_too_low'
+    }
+
+    return this.matchAccepted(paymentPayload, paymentRequirements)
+  }
+
+  // Checks that the requirements a v2 payload echoes in its accepted field
+  // match the payment requirements. v1 payloads have no accepted field.
+  // Returns the invalid reason, or null if they match.
+  matchAccepted (paymentPayload, paymentRequirements) {
+    const accepted = paymentPayload.accepted
+    if (accepted) {
+      const fields = ['scheme', 'amount', 'payTo', 'asset', 'maxTimeoutSeconds']
+      for (const field of fields) {
+        if (paymentRequirements[field] === undefined) continue
+
+        if (String(accepted[field]) !== String(paymentRequirements[field])) {
+          return 'accepted_requirements_mismatch'
         }
       }
 
-      if (!isValidSignature) {
+      if (normalizeNetwork(accepted.network, this.config) !== normalizeNetwork(paymentRequirements.network, this.config)) {
+        return 'accepted_requirements_mismatch'
+      }
+    }
+
+    return null
+  }
+
+  // Returns true if the signature over JSON.stringify(authorization) was made
+  // by the key of authorization.from.
+  checkSignature (authorization, signature) {
+    const bchjs = this.adapters.bchWallet.bchjs
+
+    try {
+      return bchjs.BitcoinCash.verifyMessage(
+        authorization.from,
+        signature,
+        JSON.stringify(authorization)
+      )
+    } catch (error) {
+      this.adapters.logger.error('Error verifying signature:', error)
+      return false
+    }
+  }
+
+  /**
+   * Checks the nonce and validity window of an authorization. validAfter and
+   * validBefore are unix timestamps in seconds. validAfter is optional.
+   *
+   * @param {Object} authorization - The signed authorization
+   * @param {number} now - The current unix time in seconds
+   * @returns {string|null} The invalid reason, or null if the window is valid
+   */
+  checkAuthorizationWindow (authorization, now = Math.floor(Date.now() / 1000)) {
+    const { nonce, validAfter = 0, validBefore } = authorization
+
+    if (typeof nonce !== 'string' || !nonce ||
+      !Number.isInteger(validAfter) || !Number.isInteger(validBefore)) {
+      return 'invalid_payload'
+    }
+
+    if (now < validAfter) return 'authorization_not_yet_valid'
+    if (now >= validBefore) return 'authorization_expired'
+
+    return null
+  }
+
+  /**
+   * Marks the nonce of an authorization as used, until the authorization
+   * expires. Must be called while holding the payer lock.
+   *
+   * @param {Object} authorization - The signed authorization
+   * @returns {Promise<boolean>} False if the nonce has already been used
+   */
+  async claimNonce (authorization) {
+    const nonceDb = this.adapters?.levelDB?.nonceDb
+    if (!nonceDb) {
+      throw new Error('Nonce database not initialized')
+    }
+
+    const key = `${authorization.from}!${authorization.nonce}`
+
+    try {
+      await nonceDb.get(key)
+      return false
+    } catch (err) {
+      // Not found, so the nonce has not been used.
+    }
+
+    await nonceDb.put(key, {
+      payer: authorization.from,
+      nonce: authorization.nonce,
+      validBefore: authorization.validBefore,
+      usedAt: new Date().toISOString()
+    })
+
+    return true
+  }
+
+  // Releases a claimed nonce, so an authorization that was not debited can be
+  // retried.
+  async releaseNonce (authorization) {
+    const nonceDb = this.adapters?.levelDB?.nonceDb
+    if (!nonceDb) {
+      throw new Error('Nonce database not initialized')
+    }
+
+    await nonceDb.del(`${authorization.from}!${authorization.nonce}`)
+  }
+
+  // Deletes the nonces of authorizations that have expired, and so can no
+  // longer be replayed. Returns the number deleted.
+  async pruneExpiredNonces () {
+    const nonceDb = this.adapters?.levelDB?.nonceDb
+    if (!nonceDb) {
+      throw new Error('Nonce database not initialized')
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    const expiredKeys = []
+    for await (const [key, entry] of nonceDb.iterator()) {
+      if (now >= entry.validBefore) expiredKeys.push(key)
+    }
+
+    if (expiredKeys.length > 0) {
+      await nonceDb.batch(expiredKeys.map(key => ({ type: 'del', key })))
+    }
+
+    return expiredKeys.length
+  }
+
+  /**
+   * Debits the payer's tab in "check my tab" mode, or validates and debits
+   * the UTXO referenced by txid. Must be called while holding the payer lock.
+   * @private
+   */
+  async selectAndValidateUtxo ({ paymentPayload, paymentRequirements, tenant, payerAddress, payTo, isCheckMyTabMode, deadline }) {
+    if (isCheckMyTabMode) {
+      return await this.debitTab({ paymentRequirements, tenant, payerAddress, payTo, deadline })
+    }
+
+    // Validate the UTXO is still valid for paying for this call.
+    return await this.validateUtxo({ paymentPayload, paymentRequirements, tenant, deadline })
+  }
+
+  /**
+   * Debits the cost of a call from a payer's tab in "check my tab" mode. The
+   * cost is spread over as many UTXOs of the tab as it takes, selected by
+   * selectTabUtxos(), and all the debits are written in a single atomic
+   * batch. Must be called while holding the payer lock.
+   *
+   * @returns {Promise<Object>} The validation result, where utxoInfo is the
+   * last UTXO debited, and debits lists every UTXO debited as
+   * { utxoId, debitedSat, remainingBalanceSat }
+   * @private
+   */
+  async debitTab ({ paymentRequirements, tenant, payerAddress, payTo, deadline }) {
+    try {
+      const utxoDb = this.adapters?.levelDB?.utxoDb
+      if (!utxoDb) {
+        throw new Error('UTXO database not initialized')
+      }
+
+      const callCostSat = this.getPaymentAmount(paymentRequirements)
+      const network = normalizeNetwork(paymentRequirements.network, this.config)
+      const asset = this.getPaymentAsset(paymentRequirements)
+
+      const selectedUtxos = await this.selectTabUtxos(payerAddress, payTo, callCostSat, tenant?.tenantId, network, asset)
+      if (!selectedUtxos) {
         return {
           isValid: false,
-          invalidReason: 'invalid_exact_bch_payload_signature',
-          payer: payerAddress
+          invalidReason: 'no_utxo_found_for_address'
         }
       }
 
-      // Handle "check my tab" mode - select UTXO by address
-      let selectedUtxo = null
-      if (isCheckMyTabMode) {
-        // Calculate required value
-        const amountValue = paymentRequirements?.amount ?? paymentRequirements?.minAmountRequired ?? paymentRequirements?.maxAmountRequired ?? 0
-        const requiredValue = BigInt(amountValue)
+      console.log('Check my tab mode: Selected UTXOs:', selectedUtxos.map(utxo => utxo.utxoId))
 
-        // Find UTXO by address
-        selectedUtxo = await this.findUtxoByAddress(payerAddress, payTo, requiredValue)
+      // Serialize debits of the selected UTXOs, and read them again, as they
+      // may have been frozen since they were selected.
+      return await this.runWithUtxoLocks(selectedUtxos.map(utxo => utxo.utxoId), async () => {
+        const timestamp = new Date().toISOString()
+        const updatedRecords = []
+        const debits = []
+        let remainingCostSat = callCostSat
 
-        if (!selectedUtxo) {
+        for (const { utxoId } of selectedUtxos) {
+          const utxoInfo = await utxoDb.get(utxoId)
+          if (utxoInfo.frozen) continue
+
+          const balanceSat = BigInt(utxoInfo.remainingBalanceSat ?? '0')
+          const debitSat = balanceSat < remainingCostSat ? balanceSat : remainingCostSat
+          remainingCostSat -= debitSat
+
+          const updatedRecord = {
+            ...utxoInfo,
+            remainingBalanceSat: (balanceSat - debitSat).toString(),
+            totalDebitedSat: (BigInt(utxoInfo.totalDebitedSat ?? '0') + debitSat).toString(),
+            lastUpdated: timestamp,
+            lastChecked: timestamp
+          }
+          updatedRecords.push(updatedRecord)
+          debits.push({
+            utxoId,
+            debitedSat: debitSat.toString(),
+            remainingBalanceSat: updatedRecord.remainingBalanceSat
+          })
+        }
+
+        if (updatedRecords.length === 0 || remainingCostSat > 0n) {
           return {
             isValid: false,
-            invalidReason: 'no_utxo_found_for_address',
-            payer: payerAddress
+            invalidReason: 'no_utxo_found_for_address'
           }
         }
 
-        console.log('Check my tab mode: Selected UTXO:', selectedUtxo)
+        if (this.isPastDeadline(deadline)) {
+          return {
+            isValid: false,
+            invalidReason: 'facilitator_timeout'
+          }
+        }
+
+        // Consumed UTXOs are removed from the address index but kept in the
+        // ledger, as in validateUtxo().
+        await utxoDb.batch(updatedRecords.flatMap(record => this.getLedgerWriteOps(record)))
+
+        const lastRecord = updatedRecords[updatedRecords.length - 1]
+        return {
+          isValid: true,
+          remainingBalanceSat: lastRecord.remainingBalanceSat,
+          utxoInfo: lastRecord,
+          debits
+        }
+      })
+    } catch (err) {
+      console.error('Error in debitTab:', err)
+      return {
+        isValid: false,
+        invalidReason: 'unexpected_utxo_validation_error',
+        errorMessage: err.message
       }
+    }
+  }
+
+  // Runs fn() while holding the locks of all the UTXOs. The locks are taken
+  // in sorted order, so two callers can not each hold a lock the other needs.
+  async runWithUtxoLocks (utxoIds, fn) {
+    const [first, ...rest] = [...utxoIds].sort()
+    if (!first) return await fn()
+
+    return await this.adapters.ledgerLock.runExclusive(`utxo:${first}`, () => this.runWithUtxoLocks(rest, fn))
+  }
+
+  // Returns the Date.now() timestamp by which a payment must be processed,
+  // from the maxTimeoutSeconds of its requirements, or null if there is none.
+  getDeadline (paymentRequirements) {
+    const maxTimeoutSeconds = Number(paymentRequirements?.maxTimeoutSeconds)
+    if (!Number.isFinite(maxTimeoutSeconds) || maxTimeoutSeconds <= 0) return null
+
+    return Date.now() + maxTimeoutSeconds * 1000
+  }
+
+  // Returns the CAIP-2 identifier to report in a settle response: the network
+  // of the payment requirements if it is configured, or the default network.
+  getResponseNetwork (paymentRequirements) {
+    const network = getNetwork(paymentRequirements?.network, this.config) ?? getDefaultNetwork(this.config)
+    return network.caip2
+  }
+
+  // Returns the amount a payment is requested for, in satoshis or in token
+  // units, as a BigInt. v2 requirements give it in 'amount', and v1
+  // requirements in 'minAmountRequired' or 'maxAmountRequired'.
+  getPaymentAmount (paymentRequirements) {
+    return BigInt(paymentRequirements?.amount ?? paymentRequirements?.minAmountRequired ?? paymentRequirements?.maxAmountRequired ?? 0)
+  }
 
-      // Validate the UTXO is still valid for paying for this call.
-      const utxoValidation = await this.validateUtxo({ paymentPayload, paymentRequirements, selectedUtxo })
-      console.log('utxoValidation:', utxoValidation)
+  // Returns the CashToken category a payment is requested in, from the asset
+  // of its requirements, or null for BCH. Categories are 32-byte hex IDs, so
+  // any other asset is treated as BCH. SLP token IDs have the same format,
+  // and are told apart by the 'slp' asset mode.
+  getTokenCategory (paymentRequirements) {
+    const asset = paymentRequirements?.asset
+    if (typeof asset !== 'string' || !/^[0-9a-fA-F]{64}$/.test(asset)) return null
+    if (paymentRequirements.extra?.assetMode === 'slp') return null
+
+    return asset.toLowerCase()
+  }
+
+  // Returns the SLP token ID a payment is requested in, when extra.assetMode
+  // of its requirements is 'slp' and its asset is a token ID, or null.
+  getSlpTokenId (paymentRequirements) {
+    const asset = paymentRequirements?.asset
+    if (paymentRequirements?.extra?.assetMode !== 'slp') return null
+    if (typeof asset !== 'string' || !/^[0-9a-fA-F]{64}$/.test(asset)) return null
+
+    return asset.toLowerCase()
+  }
 
-      if (!utxoValidation.isValid) {
+  // Returns the asset a payment is requested in, as { tokenCategory,
+  // slpTokenId }. Both are null for BCH.
+  getPaymentAsset (paymentRequirements) {
+    return {
+      tokenCategory: this.getTokenCategory(paymentRequirements),
+      slpTokenId: this.getSlpTokenId(paymentRequirements)
+    }
+  }
+
+  // Returns true if a deadline was given and it has passed.
+  isPastDeadline (deadline) {
+    return !!deadline && Date.now() >= deadline
+  }
+
+  /**
+   * Verifies a payment without settling it on-chain.
+   *
+   * Checks the network, scheme and tenant of the payment, then hands it to
+   * the handler of its scheme, which checks it is valid according to the
+   * payment requirements.
+   *
+   * @param paymentPayload The signed payment
+   * @param paymentRequirements The expected payment details
+   * @param options.tenant The tenant making the request, if any
+   * @param options.idempotencyKey Key the debit is recorded under, for settle.
+   * Derived from the payment signature if not given.
+   * @param options.deadline Date.now() timestamp to give up at. Derived from
+   * paymentRequirements.maxTimeoutSeconds if not given.
+   * @returns Verification result with validity and payer address
+   */
+  async verifyPayment (paymentPayload, paymentRequirements, options = {}) {
+    console.log('FacilitatorUseCase verifyPayment() paymentPayload:', paymentPayload)
+    console.log('FacilitatorUseCase verifyPayment() paymentRequirements:', paymentRequirements)
+
+    try {
+      const { tenant = null } = options
+      const deadline = options.deadline ?? this.getDeadline(paymentRequirements)
+
+      // Extract scheme and network from v2 structure (accepted field) or v1 structure (top-level)
+      const payloadScheme = paymentPayload.accepted?.scheme ?? paymentPayload.scheme
+      const payloadNetwork = paymentPayload.accepted?.network ?? paymentPayload.network
+
+      // Verify network matches (support both v1 aliases and v2 CAIP-2 formats)
+      if (!networksMatch(paymentRequirements.network, payloadNetwork, this.config)) {
         return {
           isValid: false,
-          invalidReason: utxoValidation.invalidReason || 'invalid_utxo',
-          payer: payerAddress
+          invalidReason: 'invalid_network',
+          payer: ''
         }
       }
 
-      // Build response with optional fields
-      const response = {
-        isValid: true,
-        payer: payerAddress
+      // Verify scheme matches, and find the handler of the scheme
+      const requirementsScheme = paymentRequirements.scheme
+      const handler = this.schemes.get(requirementsScheme)
+      if (!handler || payloadScheme !== requirementsScheme) {
+        return {
+          isValid: false,
+          invalidReason: 'invalid_scheme',
+          payer: ''
+        }
       }
 
-      // Include optional fields if available
-      if (utxoValidation.remainingBalanceSat !== undefined) {
-        response.remainingBalanceSat = utxoValidation.remainingBalanceSat
-      }
-      if (utxoValidation.utxoInfo) {
-        response.ledgerEntry = {
-          utxoId: utxoValidation.utxoInfo.utxoId,
-          transactionValueSat: utxoValidation.utxoInfo.transactionValueSat,
-          totalDebitedSat: utxoValidation.utxoInfo.totalDebitedSat,
-          lastUpdated: utxoValidation.utxoInfo.lastUpdated
+      // Verify the payTo address belongs to the calling tenant
+      if (tenant && !tenant.payTo.includes(paymentRequirements.payTo)) {
+        return {
+          isValid: false,
+          invalidReason: 'invalid_pay_to',
+          payer: ''
         }
       }
 
-      return response
+      return await handler.verify(paymentPayload, paymentRequirements, { ...options, deadline })
     } catch (error) {
       this.adapters.logger.error('Error in verifyPayment:', error)
       return {
@@ -593,125 +1626,212 @@ class FacilitatorUseCase {
     }
   }
 
+  // Derives the idempotency key of a payment from its signature, which
+  // commits to the whole authorization, or from the signed transaction of an
+  // 'exact' payment. Returns null if there is neither.
+  getIdempotencyKey (paymentPayload) {
+    const signed = paymentPayload?.payload?.signature ?? paymentPayload?.payload?.transaction
+    if (!signed) return null
+
+    return this.crypto.createHash('sha256').update(signed).digest('hex')
+  }
+
+  // Returns the key a settlement is stored under. Settlements are scoped to
+  // the tenant, so one tenant can not settle or read the payments of another
+  // under the same idempotency key.
+  getSettlementKey (idempotencyKey, tenant = null) {
+    return `${tenant?.tenantId ?? DEFAULT_TENANT_ID}!${idempotencyKey}`
+  }
+
+  // Returns the idempotency key the pending settlement of a legacy
+  // authorization is recorded under. Legacy authorizations sign the same
+  // message for every call on a tab, so only the last verify of a payer is
+  // kept, and a settle is matched to it by the details of the payment.
+  getLegacySettlementKey (payerAddress) {
+    return `legacy!${payerAddress}`
+  }
+
+  // Look up the settlement of a tenant by its idempotency key. Returns null
+  // if not found.
+  async getSettlement (idempotencyKey, tenant = null) {
+    const settlementDb = this.adapters?.levelDB?.settlementDb
+    if (!settlementDb) {
+      throw new Error('Settlement database not initialized')
+    }
+
+    try {
+      return await settlementDb.get(this.getSettlementKey(idempotencyKey, tenant))
+    } catch (err) {
+      return null
+    }
+  }
+
+  // Returns 'idempotency_key_conflict' if a settlement was recorded for a
+  // different payment than the one now settled under its idempotency key,
+  // or null if it is the same payment. The payer is only compared if given.
+  matchSettlement (settlement, paymentRequirements, payerAddress = null) {
+    const { tokenCategory, slpTokenId } = this.getPaymentAsset(paymentRequirements)
+
+    const isSamePayment = settlement.payTo === paymentRequirements.payTo &&
+      settlement.amountSat === this.getPaymentAmount(paymentRequirements).toString() &&
+      settlement.resource === (paymentRequirements.resource ?? '') &&
+      settlement.network === normalizeNetwork(paymentRequirements.network, this.config) &&
+      (settlement.tokenCategory ?? null) === tokenCategory &&
+      (settlement.slpTokenId ?? null) === slpTokenId &&
+      (!payerAddress || settlement.payer === payerAddress)
+
+    return isSamePayment ? null : 'idempotency_key_conflict'
+  }
+
+  // Returns the address that funded a transaction on the given network, the
+  // address spent by its inputs, as the payment watcher attributes payments.
+  // Returns null if the transaction is not found or can not be attributed.
+  async getFunderAddress (txid, network) {
+    const [txData] = await this.adapters.bchWallet.getTxData([txid], { network })
+
+    return txData ? getSenderAddress(txData) : null
+  }
+
   /**
-   * Settles a payment by broadcasting the transaction to the blockchain.
-   *
-   * Creates a transaction from the payment authorization and broadcasts it
-   * to the Bitcoin Cash network.
+   * Records the debit made by a successful verify as a pending settlement.
+   * The debit has already been made, so errors are logged and not thrown.
+   * @private
+   */
+  async recordPendingSettlement ({ idempotencyKey, paymentRequirements, tenant, payerAddress, utxoValidation }) {
+    try {
+      if (!idempotencyKey) return
+
+      const settlementDb = this.adapters?.levelDB?.settlementDb
+      if (!settlementDb) {
+        throw new Error('Settlement database not initialized')
+      }
+
+      const utxoInfo = utxoValidation.utxoInfo
+
+      await settlementDb.put(this.getSettlementKey(idempotencyKey, tenant), {
+        idempotencyKey,
+        status: 'pending',
+        payer: payerAddress,
+        payTo: paymentRequirements.payTo,
+        resource: paymentRequirements.resource ?? '',
+        tenantId: tenant?.tenantId ?? DEFAULT_TENANT_ID,
+        utxoId: utxoInfo?.utxoId,
+        txid: utxoInfo?.txid,
+        amountSat: this.getPaymentAmount(paymentRequirements).toString(),
+        remainingBalanceSat: utxoValidation.remainingBalanceSat,
+        debits: utxoValidation.debits ?? null,
+        tokenCategory: utxoInfo?.tokenCategory ?? null,
+        slpTokenId: utxoInfo?.slpTokenId ?? null,
+        network: normalizeNetwork(paymentRequirements.network, this.config),
+        verifiedAt: new Date().toISOString(),
+        settledAt: null
+      })
+    } catch (err) {
+      this.adapters.logger.error('Error recording pending settlement:', err)
+    }
+  }
+
+  /**
+   * Settles a payment with the handler of its scheme. Settling the same
+   * payment again returns the original settlement.
    *
-   * @param paymentPayload The signed payment authorization
+   * @param paymentPayload The signed payment
    * @param paymentRequirements The expected payment details
-   * @returns Settlement result with transaction hash and status
+   * @param options.tenant The tenant making the request, if any
+   * @param options.idempotencyKey Key of the debit to settle. Derived from the
+   * payment signature if not given.
+   * @param options.deadline Date.now() timestamp to give up at. Derived from
+   * paymentRequirements.maxTimeoutSeconds if not given.
+   * @returns Settlement result with the transaction and status
    */
-  async settlePayment (paymentPayload, paymentRequirements) {
+  async settlePayment (paymentPayload, paymentRequirements, options = {}) {
     this.adapters.logger.info('FacilitatorUseCase settlePayment() paymentPayload:', paymentPayload)
     this.adapters.logger.info('FacilitatorUseCase settlePayment() paymentRequirements:', paymentRequirements)
 
     try {
-      // Re-verify payment
-      const verification = await this.verifyPayment(paymentPayload, paymentRequirements)
-
-      if (!verification.isValid) {
-        // Always return BCH mainnet CAIP-2 format in response (this is a BCH facilitator)
+      const handler = this.schemes.get(paymentRequirements?.scheme)
+      if (!handler) {
         return {
           success: false,
-          errorReason: verification.invalidReason || 'invalid_payment',
+          errorReason: 'invalid_scheme',
           transaction: '',
-          network: BCH_MAINNET_CAIP2,
-          payer: verification.payer || ''
+          network: this.getResponseNetwork(paymentRequirements),
+          payer: paymentPayload?.payload?.authorization?.from || ''
         }
       }
 
-      const payerAddress = verification.payer
-      const authorization = paymentPayload.payload.authorization
-      const amount = parseInt(authorization.value, 10) // Amount in satoshis
-      const payTo = paymentRequirements.payTo
-
-      // Initialize wallet if not already initialized
-      if (!this.adapters.bchWallet.isWalletInitialized()) {
-        await this.adapters.bchWallet.initializeWallet()
+      return await handler.settle(paymentPayload, paymentRequirements, options)
+    } catch (error) {
+      this.adapters.logger.error('Error in settlePayment:', error)
+      return {
+        success: false,
+        errorReason: 'unexpected_settle_error',
+        transaction: '',
+        network: this.getResponseNetwork(paymentRequirements),
+        payer: paymentPayload?.payload?.authorization?.from || ''
       }
+    }
+  }
 
-      const wallet = this.adapters.bchWallet.getWallet()
-      const facilitatorAddress = this.adapters.bchWallet.getFacilitatorAddress()
+  /**
+   * Funds a payer's tab: ledgers the funding UTXO referenced by a signed
+   * authorization with a zero debit, so "check my tab" mode can spend it
+   * before the payer makes a call referencing its txid.
+   *
+   * @param fundingRequest The funding proof, of the form
+   * { network, asset, extra, payload: { signature, authorization } }, where
+   * the authorization names the funding UTXO as { from, to, txid, vout }
+   * @param options.tenant The tenant that owns the funded payTo address
+   * @returns Funding result with the ledgered UTXO and new tab balance
+   */
+  async fundTab (fundingRequest, options = {}) {
+    this.adapters.logger.info('FacilitatorUseCase fundTab() fundingRequest:', fundingRequest)
 
-      // Create and broadcast transaction
-      // Note: The facilitator creates the transaction, not the payer
-      // This is different from EVM where we use the signed authorization
-      // For BCH, we need to create a new transaction from the facilitator's wallet
-      // However, the payment authorization proves the payer's intent
-      // In a real implementation, you might want to use a different approach
-      // For now, we'll create a transaction from facilitator to payTo with the authorized amount
+    try {
+      const { tenant = null } = options
+      const payerAddress = fundingRequest?.payload?.authorization?.from || ''
 
-      // Check facilitator balance first
-      const facilitatorBalance = await wallet.getBalance({ bchAddress: facilitatorAddress })
-      // Always return BCH mainnet CAIP-2 format in response (this is a BCH facilitator)
-      if (facilitatorBalance < amount) {
+      // Verify the network is configured
+      const network = getNetwork(normalizeNetwork(fundingRequest?.network, this.config), this.config)
+      if (!network) {
         return {
           success: false,
-          errorReason: 'insufficient_funds',
-          transaction: '',
-          network: BCH_MAINNET_CAIP2,
+          errorReason: 'invalid_network',
           payer: payerAddress
         }
       }
 
-      // Create transaction
-      const outputs = [
-        {
-          address: payTo,
-          amount
-        }
-      ]
-
-      const txid = await wallet.send(outputs)
-
-      if (!txid) {
+      // Verify the funded address belongs to the tenant
+      const payTo = fundingRequest?.payload?.authorization?.to
+      if (!tenant || !tenant.payTo.includes(payTo)) {
         return {
           success: false,
-          errorReason: 'invalid_transaction_state',
-          transaction: '',
-          network: BCH_MAINNET_CAIP2,
+          errorReason: 'invalid_pay_to',
           payer: payerAddress
         }
       }
 
-      // Wait for confirmations if required
-      const minConfirmations = this.adapters.bchWallet.getMinConfirmations()
-      if (minConfirmations > 0) {
-        // In a production system, you would wait for confirmations here
-        // For now, we'll just return the txid
-        // You could use bchjs.Blockchain.getTransaction(txid) to check confirmations
-      }
-
-      // Get remaining balance from verification if available
-      const remainingBalanceSat = verification.remainingBalanceSat
-
-      const response = {
-        success: true,
-        transaction: txid,
-        network: BCH_MAINNET_CAIP2,
-        payer: payerAddress
-      }
-
-      if (remainingBalanceSat !== undefined) {
-        response.remainingBalanceSat = remainingBalanceSat
+      // Tabs are a feature of the 'utxo' scheme.
+      const handler = this.schemes.get('utxo')
+      if (!handler?.fund) {
+        return {
+          success: false,
+          errorReason: 'invalid_scheme',
+          payer: payerAddress
+        }
       }
 
-      return response
+      return await handler.fund(fundingRequest, { ...options, network })
     } catch (error) {
-      this.adapters.logger.error('Error in settlePayment:', error)
-      // Always return BCH mainnet CAIP-2 format in response (this is a BCH facilitator)
+      this.adapters.logger.error('Error in fundTab:', error)
       return {
         success: false,
-        errorReason: 'unexpected_settle_error',
-        transaction: '',
-        network: BCH_MAINNET_CAIP2,
-        payer: paymentPayload?.payload?.authorization?.from || ''
+        errorReason: 'unexpected_fund_error',
+        payer: fundingRequest?.payload?.authorization?.from || ''
       }
     }
   }
 }
 
-export { normalizeNetwork, networksMatch }
+export { ADDRESS_INDEX_PREFIX, MAX_BALANCE_AUTHORIZATION_SEC, getSenderAddress, normalizeNetwork, networksMatch }
 export default FacilitatorUseCase
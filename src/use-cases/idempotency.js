@@ -0,0 +1,178 @@
+/*
+  Idempotency use case for retried /facilitator/verify and /facilitator/settle
+  calls.
+
+  High level overview:
+  - Each call carries an idempotency key, either from the Idempotency-Key
+    header or derived from the signed payment authorization.
+  - The first result that charged the payer is stored in the idempotency
+    Level DB for IDEMPOTENCY_TTL_SEC seconds. Replays of the call within that
+    window get the stored result, instead of debiting the ledger again.
+  - Results that did not charge the payer are not stored, so a payment that
+    failed, e.g. for lack of confirmations, can be retried.
+  - Keys are scoped to the tenant and the endpoint, and bound to a fingerprint
+    of the request, so a key can not be reused for a different request.
+*/
+
+// Global libraries
+import crypto from 'crypto'
+
+// Local libraries
+import config from '../config/index.js'
+
+class IdempotencyUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Idempotency Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.crypto = crypto
+
+    // State for the timer that prunes expired results
+    this.pruneTimer = null
+
+    // Bind 'this' object to all class methods
+    this.getFingerprint = this.getFingerprint.bind(this)
+    this.getStoredResult = this.getStoredResult.bind(this)
+    this.execute = this.execute.bind(this)
+    this.pruneExpired = this.pruneExpired.bind(this)
+    this.startPruning = this.startPruning.bind(this)
+    this.stopPruning = this.stopPruning.bind(this)
+  }
+
+  // Hash the body of a request, so a stored result is only replayed for the
+  // same request.
+  getFingerprint (body) {
+    return this.crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex')
+  }
+
+  // Returns the stored record for a key, or null if there is none or it has
+  // expired.
+  async getStoredResult (dbKey) {
+    const idempotencyDb = this.adapters?.levelDB?.idempotencyDb
+    if (!idempotencyDb) {
+      throw new Error('Idempotency database not initialized')
+    }
+
+    let record = null
+    try {
+      record = await idempotencyDb.get(dbKey)
+    } catch (err) {
+      return null
+    }
+
+    if (new Date(record.expiresAt).getTime() <= Date.now()) {
+      await idempotencyDb.del(dbKey)
+      return null
+    }
+
+    return record
+  }
+
+  /**
+   * Runs fn() once per idempotency key. Concurrent calls with the same key
+   * wait for the first one, then get its stored result.
+   *
+   * @param {Object} inObj
+   * @param {string} inObj.scope - The endpoint, e.g. 'verify' or 'settle'
+   * @param {string} inObj.tenantId - The tenant making the request
+   * @param {string} inObj.idempotencyKey - Key of the request. fn() is run without storing its result if missing
+   * @param {Object} inObj.body - The request body, used to detect a key reused for a different request
+   * @param {Function} inObj.fn - Async function that handles the request
+   * @param {Function} inObj.shouldStore - Returns true if the result of fn() charged the payer
+   * @returns {Promise<Object>} { result, replayed, conflict }
+   */
+  async execute ({ scope, tenantId, idempotencyKey, body, fn, shouldStore }) {
+    if (!idempotencyKey) {
+      return { result: await fn(), replayed: false, conflict: false }
+    }
+
+    const idempotencyDb = this.adapters?.levelDB?.idempotencyDb
+    if (!idempotencyDb) {
+      throw new Error('Idempotency database not initialized')
+    }
+
+    const dbKey = `${tenantId}!${scope}!${idempotencyKey}`
+    const fingerprint = this.getFingerprint(body)
+
+    return await this.adapters.ledgerLock.runExclusive(`idempotency:${dbKey}`, async () => {
+      const stored = await this.getStoredResult(dbKey)
+      if (stored) {
+        if (stored.fingerprint !== fingerprint) {
+          return { result: null, replayed: false, conflict: true }
+        }
+
+        return { result: stored.result, replayed: true, conflict: false }
+      }
+
+      const result = await fn()
+
+      if (shouldStore(result)) {
+        const now = Date.now()
+        await idempotencyDb.put(dbKey, {
+          fingerprint,
+          result,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + this.config.idempotencyTtlSec * 1000).toISOString()
+        })
+      }
+
+      return { result, replayed: false, conflict: false }
+    })
+  }
+
+  // Deletes every stored result that has expired. Returns the number deleted.
+  async pruneExpired () {
+    const idempotencyDb = this.adapters?.levelDB?.idempotencyDb
+    if (!idempotencyDb) {
+      throw new Error('Idempotency database not initialized')
+    }
+
+    const now = Date.now()
+    const expiredKeys = []
+    for await (const [key, record] of idempotencyDb.iterator()) {
+      if (new Date(record.expiresAt).getTime() <= now) expiredKeys.push(key)
+    }
+
+    if (expiredKeys.length > 0) {
+      await idempotencyDb.batch(expiredKeys.map(key => ({ type: 'del', key })))
+    }
+
+    return expiredKeys.length
+  }
+
+  /**
+   * Starts a timer that prunes expired results once per TTL.
+   *
+   * @returns {boolean} True if the timer was started
+   */
+  startPruning () {
+    if (this.pruneTimer) return false
+
+    this.pruneTimer = setInterval(async () => {
+      try {
+        const pruned = await this.pruneExpired()
+        this.adapters.logger.debug(`Pruned ${pruned} expired idempotency records.`)
+      } catch (err) {
+        this.adapters.logger.error('Error pruning idempotency records:', err)
+      }
+    }, this.config.idempotencyTtlSec * 1000)
+
+    return true
+  }
+
+  // Stops the prune timer.
+  stopPruning () {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer)
+      this.pruneTimer = null
+    }
+  }
+}
+
+export default IdempotencyUseCase
@@ -6,6 +6,14 @@
 
 // Local libraries
 import FacilitatorUseCase from './facilitator.js'
+import TenantUseCase from './tenant.js'
+import IdempotencyUseCase from './idempotency.js'
+import PaymentWatcherUseCase from './payment-watcher.js'
+import JournalUseCase from './journal.js'
+import RefundUseCase from './refund.js'
+import AdminUseCase from './admin.js'
+import UtxoScheme from './schemes/utxo.js'
+import ExactScheme from './schemes/exact.js'
 
 class UseCases {
   constructor (localConfig = {}) {
@@ -17,10 +25,43 @@ class UseCases {
     }
 
     this.facilitator = new FacilitatorUseCase({ adapters: this.adapters })
+    this.journal = new JournalUseCase({ adapters: this.adapters })
+
+    // Payment schemes accepted by the facilitator. Each handler verifies and
+    // settles the payments of its scheme, and is advertised by
+    // /facilitator/supported in the order registered.
+    const schemeDeps = { adapters: this.adapters, facilitator: this.facilitator, journal: this.journal }
+    this.facilitator.registerScheme(new UtxoScheme(schemeDeps))
+    this.facilitator.registerScheme(new ExactScheme(schemeDeps))
+
+    this.tenant = new TenantUseCase({ adapters: this.adapters })
+    this.idempotency = new IdempotencyUseCase({ adapters: this.adapters })
+    this.paymentWatcher = new PaymentWatcherUseCase({ adapters: this.adapters, facilitator: this.facilitator })
+    this.refund = new RefundUseCase({ adapters: this.adapters, facilitator: this.facilitator, journal: this.journal })
+    this.admin = new AdminUseCase({ adapters: this.adapters, facilitator: this.facilitator, journal: this.journal })
   }
 
   // Run any startup Use Cases at the start of the app.
   async start () {
+    // Periodically re-check the ledger UTXOs for double spends and UTXOs
+    // spent on-chain.
+    if (this.facilitator.startLedgerMonitor()) {
+      this.adapters.logger.info('Ledger monitor started.')
+    }
+
+    // Periodically delete expired idempotency records.
+    this.idempotency.startPruning()
+
+    // Ledger incoming payments to SERVER_BCH_ADDRESS, if enabled.
+    if (this.paymentWatcher.startWatching()) {
+      this.adapters.logger.info('Payment watcher started.')
+    }
+
+    // Pay out queued refunds, if the facilitator wallet is configured.
+    if (this.refund.startPayouts()) {
+      this.adapters.logger.info('Refund payouts started.')
+    }
+
     this.adapters.logger.info('Use Cases have been started.')
     return true
   }
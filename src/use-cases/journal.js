@@ -0,0 +1,182 @@
+/*
+  Journal use case, an append-only record of every debit attempted against
+  the ledger, so disputes over a call can be answered after the fact.
+
+  High level overview:
+  - Each entry records the payer, the resource URL from
+    paymentRequirements.resource, the amount, the UTXOs debited, the time and
+    the result: 'debited', or the reason the debit was refused.
+  - Entries are persisted in the journal Level DB, keyed by time, and are
+    never updated or deleted.
+  - Index keys by payer and by resource point at the entries, so the journal
+    can be queried by payer, by resource or by time range without a full
+    scan. Resource URLs are hashed into their index keys, as they may
+    contain the '!' separator.
+  - Refunds of unused balances are journaled as entries of type 'refund',
+    once when queued and once when paid out or failed.
+  - Journaling never fails a debit: the ledger is already written when an
+    entry is recorded, so errors are logged instead.
+*/
+
+// Global libraries
+import crypto from 'crypto'
+
+// Local libraries
+import config from '../config/index.js'
+
+// Key prefixes of the entries and of their indexes.
+const ENTRY_PREFIX = 'entry!'
+const PAYER_PREFIX = 'payer!'
+const RESOURCE_PREFIX = 'resource!'
+
+// Default and maximum number of entries returned by query().
+const DEFAULT_QUERY_LIMIT = 100
+const MAX_QUERY_LIMIT = 1000
+
+class JournalUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Journal Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.crypto = crypto
+
+    // Bind 'this' object to all class methods
+    this.getJournalDb = this.getJournalDb.bind(this)
+    this.hashResource = this.hashResource.bind(this)
+    this.getIndexPrefix = this.getIndexPrefix.bind(this)
+    this.record = this.record.bind(this)
+    this.iterate = this.iterate.bind(this)
+    this.query = this.query.bind(this)
+  }
+
+  getJournalDb () {
+    const journalDb = this.adapters?.levelDB?.journalDb
+    if (!journalDb) {
+      throw new Error('Journal database not initialized')
+    }
+
+    return journalDb
+  }
+
+  // Hash a resource URL into the part of its index keys.
+  hashResource (resource) {
+    return this.crypto.createHash('sha256').update(resource).digest('hex')
+  }
+
+  // Returns the prefix of the keys to scan for a query: the payer index, the
+  // resource index, or the entries themselves.
+  getIndexPrefix ({ payer, resource } = {}) {
+    if (payer) return `${PAYER_PREFIX}${payer}!`
+    if (resource) return `${RESOURCE_PREFIX}${this.hashResource(resource)}!`
+    return ENTRY_PREFIX
+  }
+
+  /**
+   * Appends an entry to the journal.
+   *
+   * @param {Object} entry - The debit: type, payer, payTo, tenantId,
+   * network, resource, amountSat, utxoId, debits, tokenCategory, slpTokenId,
+   * idempotencyKey and result. Refunds add their refundId and txid.
+   * @returns {Promise<Object|null>} The entry as recorded, with its entryId
+   * and timestamp, or null if it could not be recorded
+   */
+  async record (entry) {
+    try {
+      const journalDb = this.getJournalDb()
+
+      const timestamp = new Date().toISOString()
+      const entryId = this.crypto.randomUUID()
+      const record = { entryId, timestamp, ...entry }
+
+      const entryKey = `${ENTRY_PREFIX}${timestamp}!${entryId}`
+      const ops = [{ type: 'put', key: entryKey, value: record }]
+      if (entry.payer) {
+        ops.push({ type: 'put', key: `${this.getIndexPrefix({ payer: entry.payer })}${timestamp}!${entryId}`, value: entryKey })
+      }
+      if (entry.resource) {
+        ops.push({ type: 'put', key: `${this.getIndexPrefix({ resource: entry.resource })}${timestamp}!${entryId}`, value: entryKey })
+      }
+      await journalDb.batch(ops)
+
+      return record
+    } catch (err) {
+      this.adapters.logger.error('Error recording journal entry:', err)
+      return null
+    }
+  }
+
+  /**
+   * Yields the entries matching a filter, oldest first.
+   *
+   * @param {Object} filter
+   * @param {string} filter.payer - Only entries of this payer address
+   * @param {string} filter.resource - Only entries for this resource URL
+   * @param {string} filter.from - Only entries at or after this ISO timestamp
+   * @param {string} filter.to - Only entries before this ISO timestamp
+   * @param {string} filter.tenantId - Only entries of this tenant
+   * @param {string} filter.after - Cursor to resume after, as returned by
+   * query()
+   * @yields {Object} { cursor, entry }
+   */
+  async * iterate ({ payer, resource, from, to, tenantId, after } = {}) {
+    const journalDb = this.getJournalDb()
+    const prefix = this.getIndexPrefix({ payer, resource })
+
+    // '~' sorts after every character of an ISO timestamp.
+    const range = { gte: `${prefix}${from ?? ''}`, lt: `${prefix}${to ?? '~'}` }
+    if (after !== undefined) {
+      if (typeof after !== 'string' || !after.startsWith(prefix)) {
+        throw new Error('Invalid cursor')
+      }
+      if (after >= range.gte) {
+        delete range.gte
+        range.gt = after
+      }
+    }
+
+    for await (const [key, value] of journalDb.iterator(range)) {
+      const entry = prefix === ENTRY_PREFIX ? value : await journalDb.get(value)
+
+      // The payer index is scanned when filtering on both.
+      if (resource && entry.resource !== resource) continue
+      if (tenantId && entry.tenantId !== tenantId) continue
+
+      yield { cursor: key, entry }
+    }
+  }
+
+  /**
+   * Returns a page of the entries matching a filter, oldest first.
+   *
+   * @param {Object} filter - As for iterate(), plus filter.limit, the number
+   * of entries to return
+   * @returns {Promise<Object>} { entries, nextCursor }, where nextCursor is
+   * passed as filter.after to get the next page, and is null on the last one
+   */
+  async query (filter = {}) {
+    const limit = Math.min(Math.max(parseInt(filter.limit) || DEFAULT_QUERY_LIMIT, 1), MAX_QUERY_LIMIT)
+
+    const entries = []
+    let lastCursor = null
+    let hasMore = false
+    for await (const { cursor, entry } of this.iterate(filter)) {
+      if (entries.length === limit) {
+        hasMore = true
+        break
+      }
+
+      entries.push(entry)
+      lastCursor = cursor
+    }
+
+    return { entries, nextCursor: hasMore ? lastCursor : null }
+  }
+}
+
+export default JournalUseCase
@@ -0,0 +1,248 @@
+/*
+  Payment watcher use case, which ledgers incoming payments to
+  SERVER_BCH_ADDRESS before the payer references them.
+
+  High level overview:
+  - Every PAYMENT_WATCHER_INTERVAL_SEC seconds, the most recent transactions
+    of SERVER_BCH_ADDRESS are fetched from the wallet back end.
+  - Each output paying SERVER_BCH_ADDRESS is attributed to the sender, the
+    address spent by the inputs of its transaction. Transactions spending
+    from more than one address can not be attributed, and are skipped.
+  - The output is validated and ledgered through the Facilitator Use Case
+    with a zero debit, for the default tenant, so "check my tab" mode can
+    spend it right after the payer broadcasts.
+  - Outputs that may become valid later, e.g. for lack of confirmations, are
+    retried on the next poll, as long as their transaction is still among the
+    most recent ones.
+*/
+
+// Local libraries
+import config from '../config/index.js'
+import { getConfiguredNetworks, isAddressOnNetwork } from '../config/networks.js'
+import { getSenderAddress } from './facilitator.js'
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
+// Transactions inspected per poll. getTxData() takes up to 20 TXIDs.
+const MAX_TXS_PER_POLL = 20
+
+// Reasons an output will never be ledgered, so its transaction is not
+// retried.
+const FINAL_INVALID_REASONS = [
+  'invalid_receiver_address',
+  'utxo_spent',
+  'double_spend_detected',
+  'asset_mismatch',
+  'payer_mismatch'
+]
+
+class PaymentWatcherUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Payment Watcher Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Payment Watcher Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+
+    // TXIDs of the recent transactions that need no further polling.
+    this.processedTxids = new Set()
+
+    // State for the polling timer
+    this.watchTimer = null
+    this.pollRunning = false
+
+    // Bind 'this' object to all class methods
+    this.getWatchedNetwork = this.getWatchedNetwork.bind(this)
+    this.getSenderAddress = this.getSenderAddress.bind(this)
+    this.getOutputRequirements = this.getOutputRequirements.bind(this)
+    this.isLedgered = this.isLedgered.bind(this)
+    this.processTransaction = this.processTransaction.bind(this)
+    this.pollPayments = this.pollPayments.bind(this)
+    this.startWatching = this.startWatching.bind(this)
+    this.stopWatching = this.stopWatching.bind(this)
+  }
+
+  // Returns the configured network SERVER_BCH_ADDRESS belongs to.
+  getWatchedNetwork () {
+    return getConfiguredNetworks(this.config)
+      .find(network => isAddressOnNetwork(this.config.serverBchAddress, network))
+  }
+
+  // Returns the address spent by the inputs of a transaction, or null if
+  // they spend from more than one address, or from none.
+  getSenderAddress (txData) {
+    return getSenderAddress(txData)
+  }
+
+  // Returns the payment requirements to ledger an output with, in the asset
+  // it carries, or null if that asset is not accepted.
+  getOutputRequirements (txData, output, network) {
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: network.caip2,
+      payTo: this.config.serverBchAddress,
+      amount: '0'
+    }
+
+    const tokenCategory = output.tokenData?.category?.toLowerCase()
+    if (tokenCategory) {
+      if (!this.config.acceptedTokenCategories?.includes(tokenCategory)) return null
+
+      return { ...paymentRequirements, asset: tokenCategory }
+    }
+
+    const slpQty = output.tokenQtyStr ?? output.tokenQty
+    if (txData.isValidSlp && txData.tokenId && Number(slpQty) > 0) {
+      return {
+        ...paymentRequirements,
+        asset: txData.tokenId.toLowerCase(),
+        extra: { assetMode: 'slp' }
+      }
+    }
+
+    return paymentRequirements
+  }
+
+  // Returns true if the UTXO is already in the ledger.
+  async isLedgered (utxoId) {
+    try {
+      await this.adapters.levelDB.utxoDb.get(utxoId)
+      return true
+    } catch (err) {
+      return false
+    }
+  }
+
+  /**
+   * Ledgers the outputs of a transaction that pay SERVER_BCH_ADDRESS for the
+   * sender of the transaction.
+   *
+   * @param {Object} txData - The transaction, as returned by getTxData()
+   * @param {Object} network - The network of the transaction
+   * @returns {Promise<Object>} { ledgered, isDone }, where ledgered is the
+   * number of outputs ledgered and isDone is false if the transaction should
+   * be checked again on the next poll
+   */
+  async processTransaction (txData, network) {
+    const payTo = this.config.serverBchAddress
+    const result = { ledgered: 0, isDone: true }
+
+    // Spends of the server's own UTXOs are not payments.
+    const payerAddress = this.getSenderAddress(txData)
+    if (!payerAddress || payerAddress === payTo) return result
+
+    const tenant = { tenantId: DEFAULT_TENANT_ID, payTo: [payTo] }
+
+    for (const [vout, output] of (txData.vout || []).entries()) {
+      if (output.scriptPubKey?.addresses?.[0] !== payTo) continue
+
+      const paymentRequirements = this.getOutputRequirements(txData, output, network)
+      if (!paymentRequirements) continue
+
+      const utxoId = `${txData.txid}:${vout}`
+      const validation = await this.adapters.ledgerLock.runExclusive(`payer:${payerAddress}`, async () => {
+        if (await this.isLedgered(utxoId)) return null
+
+        return await this.facilitator.validateUtxo({
+          paymentPayload: {
+            payload: { authorization: { from: payerAddress, to: payTo, txid: txData.txid, vout } }
+          },
+          paymentRequirements,
+          tenant
+        })
+      })
+      if (!validation) continue
+
+      if (validation.isValid) {
+        this.adapters.logger.info(`Payment watcher ledgered ${utxoId} for ${payerAddress}.`)
+        result.ledgered++
+      } else if (!FINAL_INVALID_REASONS.includes(validation.invalidReason)) {
+        result.isDone = false
+      }
+    }
+
+    return result
+  }
+
+  /**
+   * Polls SERVER_BCH_ADDRESS once, and ledgers the outputs of the new
+   * transactions paying it.
+   *
+   * @returns {Promise<Object>} { checked, ledgered }: the number of
+   * transactions checked and outputs ledgered
+   */
+  async pollPayments () {
+    const network = this.getWatchedNetwork()
+    if (!network) {
+      throw new Error('SERVER_BCH_ADDRESS does not belong to a configured network')
+    }
+
+    const walletAdapter = this.adapters.bchWallet
+    const history = await walletAdapter.getTransactions(this.config.serverBchAddress, { network: network.caip2 })
+    const recentTxids = history.slice(0, MAX_TXS_PER_POLL).map(tx => tx.tx_hash)
+    const newTxids = recentTxids.filter(txid => !this.processedTxids.has(txid))
+
+    const stats = { checked: newTxids.length, ledgered: 0 }
+    if (newTxids.length > 0) {
+      const txDataList = await walletAdapter.getTxData(newTxids, { network: network.caip2 })
+
+      for (const txData of txDataList) {
+        const result = await this.processTransaction(txData, network)
+        stats.ledgered += result.ledgered
+        if (result.isDone) this.processedTxids.add(txData.txid)
+      }
+    }
+
+    // Forget transactions that are no longer among the most recent ones, so
+    // the set does not grow.
+    this.processedTxids = new Set(recentTxids.filter(txid => this.processedTxids.has(txid)))
+
+    return stats
+  }
+
+  /**
+   * Starts a timer that periodically calls pollPayments(), unless
+   * PAYMENT_WATCHER_INTERVAL_SEC is 0.
+   *
+   * @returns {boolean} True if the watcher was started
+   */
+  startWatching () {
+    if (this.watchTimer || !this.config.paymentWatcherIntervalSec) return false
+
+    this.watchTimer = setInterval(async () => {
+      // Skip this tick if the previous poll is still running.
+      if (this.pollRunning) return
+
+      this.pollRunning = true
+      try {
+        const stats = await this.pollPayments()
+        this.adapters.logger.debug(`Payment watcher poll: ${JSON.stringify(stats)}`)
+      } catch (err) {
+        this.adapters.logger.error('Error in payment watcher:', err)
+      } finally {
+        this.pollRunning = false
+      }
+    }, this.config.paymentWatcherIntervalSec * 1000)
+
+    return true
+  }
+
+  // Stops the payment watcher.
+  stopWatching () {
+    if (this.watchTimer) {
+      clearInterval(this.watchTimer)
+      this.watchTimer = null
+    }
+  }
+}
+
+export default PaymentWatcherUseCase
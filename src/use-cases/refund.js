@@ -0,0 +1,419 @@
+/*
+  Refund use case, which pays the unused balance of a tab back to the payer.
+
+  High level overview:
+  - The payer asks for a refund with an authorization signed like a balance
+    request: JSON.stringify({ from, action: 'refund', validBefore }).
+  - The balance of each UTXO of the payer that is still open, or whose tab
+    has expired, is zeroed in the ledger and recorded as refundedSat, and a
+    refund of their total is queued in the refund Level DB and journaled.
+  - Only balances whose funding transaction has confirmed are refunded, so a
+    payer can not fund a tab with an unconfirmed transaction, take the refund
+    and double spend the funding. The funding transaction must also spend
+    from the payer's address, as the payer of a ledger record is whoever
+    first named its UTXO; other balances are left for the operator. Both are
+    looked up on-chain again before each payout.
+  - Every REFUND_PAYOUT_INTERVAL_SEC seconds, the queued refunds are paid out
+    to the payer from the facilitator hot wallet.
+  - Only BCH balances of the default tenant on BCH mainnet are refunded.
+    Other tenants were paid at their own addresses, and the hot wallet only
+    pays out BCH on mainnet, as minimal-slp-wallet derives a mainnet address
+    from its key. Refunds are not available unless mainnet is configured.
+  - Payouts are never retried, as a send that failed after it was broadcast
+    would pay the payer twice. Refunds that failed, or that were being sent
+    when the facilitator stopped, are left for the operator to check.
+*/
+
+// Global libraries
+import crypto from 'crypto'
+
+// Local libraries
+import config from '../config/index.js'
+import { getDefaultNetwork, getNetwork } from '../config/networks.js'
+import { MAX_BALANCE_AUTHORIZATION_SEC, getSenderAddress } from './facilitator.js'
+import { DEFAULT_TENANT_ID } from './tenant.js'
+
+// Outputs below the dust limit can not be sent.
+const DUST_LIMIT_SAT = 546n
+
+// Key prefix of the queue of refunds waiting to be paid out.
+const QUEUE_PREFIX = 'queue!'
+
+class RefundUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Refund Use Case.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Refund Use Case.'
+      )
+    }
+    this.journal = localConfig.journal
+    if (!this.journal) {
+      throw new Error(
+        'Instance of Journal Use Case must be passed in when instantiating Refund Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.crypto = crypto
+
+    // State for the payout timer
+    this.payoutTimer = null
+    this.payoutRunning = false
+
+    // Bind 'this' object to all class methods
+    this.getRefundDb = this.getRefundDb.bind(this)
+    this.isWalletConfigured = this.isWalletConfigured.bind(this)
+    this.getRefundNetwork = this.getRefundNetwork.bind(this)
+    this.isRefundable = this.isRefundable.bind(this)
+    this.checkFunding = this.checkFunding.bind(this)
+    this.getFundedRecords = this.getFundedRecords.bind(this)
+    this.requestRefund = this.requestRefund.bind(this)
+    this.journalRefund = this.journalRefund.bind(this)
+    this.processRefunds = this.processRefunds.bind(this)
+    this.startPayouts = this.startPayouts.bind(this)
+    this.stopPayouts = this.stopPayouts.bind(this)
+  }
+
+  getRefundDb () {
+    const refundDb = this.adapters?.levelDB?.refundDb
+    if (!refundDb) {
+      throw new Error('Refund database not initialized')
+    }
+
+    return refundDb
+  }
+
+  // Returns true if a key is set for the facilitator hot wallet, which pays
+  // out the refunds.
+  isWalletConfigured () {
+    return !!(this.config.facilitatorWif || this.config.facilitatorMnemonic)
+  }
+
+  // Returns the network refunds are paid out on, which is BCH mainnet, the
+  // only network the hot wallet serves. Returns undefined if mainnet is not
+  // configured.
+  getRefundNetwork () {
+    return getNetwork('bch', this.config)
+  }
+
+  // Returns true if the balance of a UTXO record can be refunded: a BCH
+  // balance of the default tenant on mainnet, that is either still open or
+  // frozen because its tab expired. Records without a network are on the
+  // default network.
+  isRefundable (record) {
+    const refundNetwork = this.getRefundNetwork()
+    if (!refundNetwork) return false
+
+    return (record.tenantId ?? DEFAULT_TENANT_ID) === DEFAULT_TENANT_ID &&
+      (record.network ?? getDefaultNetwork(this.config).caip2) === refundNetwork.caip2 &&
+      !record.tokenCategory &&
+      !record.slpTokenId &&
+      BigInt(record.remainingBalanceSat ?? '0') > 0n &&
+      (!record.frozen || record.frozenReason === 'tab_expired')
+  }
+
+  // Looks up the funding transaction of a UTXO on-chain, and returns why its
+  // balance can not be refunded to the payer, or null if it can. The ledger
+  // is not trusted: its confirmations may be stale, and its payer address is
+  // whoever first named the UTXO. The funding must spend from the payer's
+  // address, as the payment watcher attributes payments, and have confirmed.
+  async checkFunding (utxoId, payerAddress, network) {
+    const [txid] = utxoId.split(':')
+    const [txData] = await this.adapters.bchWallet.getTxData([txid], { network })
+
+    if (!txData || getSenderAddress(txData) !== payerAddress) return 'payer_not_funder'
+    if (!(Number(txData.confirmations) > 0)) return 'funding_not_confirmed'
+
+    return null
+  }
+
+  // Returns { records, errorReason }: the records whose balance can be
+  // refunded to their payer, and the reason to give if there are none.
+  // Records whose funding can not be looked up are left out.
+  async getFundedRecords (records) {
+    const funded = []
+    let errorReason = 'funding_not_confirmed'
+    for (const record of records) {
+      try {
+        const reason = await this.checkFunding(record.utxoId, record.payerAddress, this.getRefundNetwork().caip2)
+        if (!reason) {
+          funded.push(record)
+        } else if (reason === 'payer_not_funder') {
+          this.adapters.logger.error(`UTXO ${record.utxoId} was not funded by ${record.payerAddress}, and is left for the operator.`)
+          errorReason = reason
+        }
+      } catch (err) {
+        this.adapters.logger.error(`Error looking up the funding of UTXO ${record.utxoId}:`, err)
+      }
+    }
+
+    return { records: funded, errorReason }
+  }
+
+  /**
+   * Zeroes the refundable balances of a payer in the ledger, and queues a
+   * payout of their total to the payer. Balances whose funding transaction
+   * has not confirmed are left open, and those whose funding transaction
+   * does not spend from the payer's address are left for the operator.
+   *
+   * @param {Object} refundRequest
+   * @param {string} refundRequest.from - The payer's BCH cash address
+   * @param {number} refundRequest.validBefore - Unix time in seconds the
+   * signature expires at, at most MAX_BALANCE_AUTHORIZATION_SEC ahead
+   * @param {string} refundRequest.signature - Signature of
+   * JSON.stringify({ from, action: 'refund', validBefore })
+   * @returns {Promise<Object>} { success, refund }, or
+   * { success: false, errorReason }
+   */
+  async requestRefund ({ from, validBefore, signature } = {}) {
+    if (!from || typeof from !== 'string' || !signature || !Number.isInteger(validBefore)) {
+      return {
+        success: false,
+        errorReason: 'invalid_payload'
+      }
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    if (now >= validBefore) {
+      return {
+        success: false,
+        errorReason: 'authorization_expired'
+      }
+    }
+    // The signature carries no nonce, so a leaked one could refund every tab
+    // the payer funds until it expires. It is held to the lifetime of a
+    // balance authorization.
+    if (validBefore > now + MAX_BALANCE_AUTHORIZATION_SEC) {
+      return {
+        success: false,
+        errorReason: 'authorization_too_long'
+      }
+    }
+
+    const authorization = { from, action: 'refund', validBefore }
+    if (!this.facilitator.checkSignature(authorization, signature)) {
+      return {
+        success: false,
+        errorReason: 'invalid_exact_bch_payload_signature'
+      }
+    }
+
+    if (!this.isWalletConfigured() || !this.getRefundNetwork()) {
+      return {
+        success: false,
+        errorReason: 'refunds_not_available'
+      }
+    }
+
+    const utxoDb = this.adapters?.levelDB?.utxoDb
+    if (!utxoDb) {
+      throw new Error('UTXO database not initialized')
+    }
+    const refundDb = this.getRefundDb()
+
+    // Hold the payer lock, then the locks of the UTXOs, as a debit does, so
+    // the balances can not be spent while they are refunded.
+    return await this.adapters.ledgerLock.runExclusive(`payer:${from}`, async () => {
+      const refundable = (await this.facilitator.getUtxosByAddress(from)).filter(this.isRefundable)
+      const { records: candidates, errorReason } = await this.getFundedRecords(refundable)
+      if (refundable.length && !candidates.length) {
+        return {
+          success: false,
+          errorReason
+        }
+      }
+
+      return await this.facilitator.runWithUtxoLocks(candidates.map(record => record.utxoId), async () => {
+        // Read the records again, as they may have been debited or frozen
+        // while waiting for the locks.
+        const records = []
+        for (const { utxoId } of candidates) {
+          const record = await utxoDb.get(utxoId)
+          if (this.isRefundable(record)) records.push(record)
+        }
+
+        const amountSat = records.reduce((total, record) => total + BigInt(record.remainingBalanceSat), 0n)
+        if (amountSat === 0n) {
+          return {
+            success: false,
+            errorReason: 'no_refundable_balance'
+          }
+        }
+        if (amountSat < DUST_LIMIT_SAT) {
+          return {
+            success: false,
+            errorReason: 'refund_below_dust_limit'
+          }
+        }
+
+        const requestedAt = new Date().toISOString()
+        const refundId = this.crypto.randomUUID()
+        const utxos = records.map(record => ({ utxoId: record.utxoId, refundedSat: record.remainingBalanceSat }))
+        const updatedRecords = records.map(record => ({
+          ...record,
+          remainingBalanceSat: '0',
+          refundedSat: (BigInt(record.refundedSat ?? '0') + BigInt(record.remainingBalanceSat)).toString(),
+          refundId,
+          lastUpdated: requestedAt
+        }))
+
+        const refund = {
+          refundId,
+          status: 'queued',
+          payer: from,
+          network: this.getRefundNetwork().caip2,
+          amountSat: amountSat.toString(),
+          utxos,
+          requestedAt,
+          paidAt: null,
+          txid: null,
+          error: null
+        }
+
+        // The ledger is written first. If the facilitator stops before the
+        // refund is queued, the payer is owed a refund that the operator can
+        // find by its refundId, instead of being able to spend it again.
+        await utxoDb.batch(updatedRecords.flatMap(record => this.facilitator.getLedgerWriteOps(record)))
+        await refundDb.batch([
+          { type: 'put', key: refundId, value: refund },
+          { type: 'put', key: `${QUEUE_PREFIX}${requestedAt}!${refundId}`, value: refundId }
+        ])
+        await this.journalRefund(refund)
+
+        this.adapters.logger.info(`Refund ${refundId} of ${refund.amountSat} sats to ${from} queued.`)
+
+        return {
+          success: true,
+          refund
+        }
+      })
+    })
+  }
+
+  // Records a refund in the journal, in its current status.
+  async journalRefund (refund) {
+    return await this.journal.record({
+      type: 'refund',
+      payer: refund.payer,
+      tenantId: DEFAULT_TENANT_ID,
+      network: refund.network,
+      resource: '',
+      amountSat: refund.amountSat,
+      utxoId: null,
+      debits: refund.utxos,
+      refundId: refund.refundId,
+      txid: refund.txid,
+      result: refund.status
+    })
+  }
+
+  /**
+   * Pays out the queued refunds from the facilitator hot wallet, oldest
+   * first. Each refund is taken off the queue before it is sent, so it is
+   * sent at most once. The funding of every refunded UTXO must still be
+   * confirmed and spend from the payer's address, or the refund fails
+   * without being sent. A refund whose funding can not be looked up is left
+   * on the queue.
+   *
+   * @returns {Promise<Object>} Number of refunds paid and failed
+   */
+  async processRefunds () {
+    const refundDb = this.getRefundDb()
+    const stats = { paid: 0, failed: 0 }
+
+    // Collect the queue first, so it is not written to while it is being
+    // iterated.
+    const queue = []
+    for await (const entry of refundDb.iterator({ gt: QUEUE_PREFIX, lt: `${QUEUE_PREFIX}\xff` })) {
+      queue.push(entry)
+    }
+
+    for (const [queueKey, refundId] of queue) {
+      const refund = await refundDb.get(refundId)
+
+      // A reorg may have undone a funding transaction since the refund was
+      // requested, so the funding is looked up again.
+      const fundingErrors = []
+      try {
+        for (const { utxoId } of refund.utxos) {
+          const reason = await this.checkFunding(utxoId, refund.payer, refund.network)
+          if (reason) fundingErrors.push(`${reason}: ${utxoId}`)
+        }
+      } catch (err) {
+        this.adapters.logger.error(`Error checking the funding of refund ${refundId}, left queued:`, err)
+        continue
+      }
+
+      await refundDb.batch([
+        { type: 'put', key: refundId, value: { ...refund, status: 'sending' } },
+        { type: 'del', key: queueKey }
+      ])
+
+      let updatedRefund
+      try {
+        if (fundingErrors.length) {
+          throw new Error(fundingErrors.join(', '))
+        }
+
+        const txid = await this.adapters.bchWallet.sendBch(refund.payer, Number(refund.amountSat), { network: refund.network })
+        updatedRefund = { ...refund, status: 'paid', txid, paidAt: new Date().toISOString() }
+        stats.paid++
+        this.adapters.logger.info(`Refund ${refundId} of ${refund.amountSat} sats to ${refund.payer} paid in ${txid}.`)
+      } catch (err) {
+        updatedRefund = { ...refund, status: 'failed', error: err.message }
+        stats.failed++
+        this.adapters.logger.error(`Refund ${refundId} to ${refund.payer} failed, and will not be retried:`, err)
+      }
+
+      await refundDb.put(refundId, updatedRefund)
+      await this.journalRefund(updatedRefund)
+    }
+
+    return stats
+  }
+
+  /**
+   * Starts a timer that periodically calls processRefunds(), unless the
+   * facilitator hot wallet is not configured.
+   *
+   * @returns {boolean} True if the payouts were started
+   */
+  startPayouts () {
+    if (this.payoutTimer || !this.isWalletConfigured()) return false
+
+    this.payoutTimer = setInterval(async () => {
+      // Skip this tick if the previous payouts are still running.
+      if (this.payoutRunning) return
+
+      this.payoutRunning = true
+      try {
+        const stats = await this.processRefunds()
+        this.adapters.logger.debug(`Refund payouts: ${JSON.stringify(stats)}`)
+      } catch (err) {
+        this.adapters.logger.error('Error in refund payouts:', err)
+      } finally {
+        this.payoutRunning = false
+      }
+    }, this.config.refundPayoutIntervalSec * 1000)
+
+    return true
+  }
+
+  // Stops the refund payouts.
+  stopPayouts () {
+    if (this.payoutTimer) {
+      clearInterval(this.payoutTimer)
+      this.payoutTimer = null
+    }
+  }
+}
+
+export default RefundUseCase
@@ -0,0 +1,304 @@
+/*
+  Handler of the 'exact' payment scheme, for one-off payers.
+
+  The payload carries a fully signed raw BCH transaction paying payTo,
+  instead of an authorization against a prepaid UTXO, so the ledger is not
+  used. Verify decodes the transaction and checks its outputs and fee without
+  broadcasting it. Settle broadcasts it and returns its txid.
+*/
+
+// Local libraries
+import config from '../../config/index.js'
+import { getNetwork, isAddressOnNetwork } from '../../config/networks.js'
+import { normalizeNetwork } from '../facilitator.js'
+import { DEFAULT_TENANT_ID } from '../tenant.js'
+
+class ExactScheme {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Exact Scheme.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating Exact Scheme.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.scheme = 'exact'
+
+    // Bind 'this' object to all class methods
+    this.getSupportedKind = this.getSupportedKind.bind(this)
+    this.verify = this.verify.bind(this)
+    this.settle = this.settle.bind(this)
+  }
+
+  // Returns the kind advertised by /facilitator/supported for a network.
+  // 'exact' payments are made in BCH only.
+  getSupportedKind (network) {
+    return {
+      x402Version: 2,
+      scheme: this.scheme,
+      network: network.caip2
+    }
+  }
+
+  /**
+   * Verifies a payment. The payload carries a fully signed raw transaction,
+   * which is decoded and checked without being broadcast: its inputs must be
+   * signed, its outputs to payTo must cover the amount, its fee must meet
+   * EXACT_MIN_FEE_RATE and its inputs must be unspent. The payer is the
+   * address spent by the first input.
+   *
+   * @param paymentPayload The payment, with the raw transaction hex in payload.transaction
+   * @param paymentRequirements The expected payment details
+   * @param options.deadline Date.now() timestamp to give up at
+   * @returns Verification result with validity, payer and the txid in transaction
+   */
+  async verify (paymentPayload, paymentRequirements, options = {}) {
+    const { deadline = null } = options
+    const walletAdapter = this.adapters.bchWallet
+    const network = normalizeNetwork(paymentRequirements.network, this.config)
+    const payTo = paymentRequirements.payTo
+
+    const hex = paymentPayload.payload?.transaction
+    if (typeof hex !== 'string' || !/^([0-9a-fA-F]{2})+$/.test(hex)) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_payload',
+        payer: ''
+      }
+    }
+
+    // Token payments need the prepaid ledger of the utxo scheme
+    const { tokenCategory, slpTokenId } = this.facilitator.getPaymentAsset(paymentRequirements)
+    if (tokenCategory || slpTokenId) {
+      return {
+        isValid: false,
+        invalidReason: 'unsupported_asset',
+        payer: ''
+      }
+    }
+
+    const mismatchReason = this.facilitator.matchAccepted(paymentPayload, paymentRequirements)
+    if (mismatchReason) {
+      return {
+        isValid: false,
+        invalidReason: mismatchReason,
+        payer: ''
+      }
+    }
+
+    // Decode the transaction, and look up the outputs spent by its inputs
+    let tx
+    let spentOutputs
+    try {
+      tx = await walletAdapter.decodeTransaction(hex, { deadline, network })
+
+      const inputs = tx?.vin ?? []
+      const inputTxids = [...new Set(inputs.map(input => input.txid))]
+      const inputTxs = inputTxids.length
+        ? await walletAdapter.getTxData(inputTxids, { deadline, network })
+        : []
+      spentOutputs = inputs.map(input => inputTxs[inputTxids.indexOf(input.txid)]?.vout?.[input.vout])
+    } catch (err) {
+      if (err.message === 'facilitator_timeout') {
+        return {
+          isValid: false,
+          invalidReason: 'facilitator_timeout',
+          payer: ''
+        }
+      }
+
+      this.adapters.logger.error('Error decoding exact payment transaction:', err)
+      return {
+        isValid: false,
+        invalidReason: 'invalid_transaction',
+        payer: ''
+      }
+    }
+
+    if (!tx?.txid || spentOutputs.length === 0 || spentOutputs.some(output => !output)) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_transaction',
+        payer: ''
+      }
+    }
+
+    const payerAddress = spentOutputs[0].scriptPubKey?.addresses?.[0] || ''
+    if (!isAddressOnNetwork(payerAddress, getNetwork(network, this.config))) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_network',
+        payer: payerAddress
+      }
+    }
+
+    // Every input must be signed by the key of the output it spends.
+    if (!walletAdapter.verifyInputSignatures(hex, spentOutputs)) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_signature',
+        payer: payerAddress
+      }
+    }
+
+    // Values are decoded in BCH
+    const toSats = value => BigInt(Math.round(Number(value) * 1e8))
+    const sumSats = outputs => outputs.reduce((sum, output) => sum + toSats(output.value), 0n)
+    const outputs = tx.vout ?? []
+    const paidSat = sumSats(outputs.filter(output => output.scriptPubKey?.addresses?.[0] === payTo))
+
+    if (paidSat === 0n) {
+      return {
+        isValid: false,
+        invalidReason: 'recipient_mismatch',
+        payer: payerAddress
+      }
+    }
+
+    if (paidSat < this.facilitator.getPaymentAmount(paymentRequirements)) {
+      return {
+        isValid: false,
+        invalidReason: 'insufficient_funds',
+        payer: payerAddress
+      }
+    }
+
+    // The fee must be high enough for the transaction to be relayed
+    const feeSat = sumSats(spentOutputs) - sumSats(outputs)
+    const minFeeSat = BigInt(Math.ceil((hex.length / 2) * this.config.exactMinFeeRate))
+    if (feeSat < minFeeSat) {
+      return {
+        isValid: false,
+        invalidReason: 'insufficient_fee',
+        payer: payerAddress
+      }
+    }
+
+    // The inputs must still be unspent, or the broadcast would fail
+    try {
+      for (const input of tx.vin) {
+        const isUnspent = await walletAdapter.isUtxoUnspent({ txid: input.txid, vout: input.vout, deadline, network })
+        if (!isUnspent) {
+          return {
+            isValid: false,
+            invalidReason: 'utxo_spent',
+            payer: payerAddress
+          }
+        }
+      }
+    } catch (err) {
+      if (err.message !== 'facilitator_timeout') throw err
+
+      return {
+        isValid: false,
+        invalidReason: 'facilitator_timeout',
+        payer: payerAddress
+      }
+    }
+
+    return {
+      isValid: true,
+      payer: payerAddress,
+      transaction: tx.txid
+    }
+  }
+
+  /**
+   * Settles a payment by verifying and broadcasting its transaction.
+   * Settling the same payment again returns the original settlement,
+   * without broadcasting it again.
+   *
+   * @param paymentPayload The payment, with the raw transaction hex in payload.transaction
+   * @param paymentRequirements The expected payment details
+   * @param options.tenant The tenant making the request, if any
+   * @param options.idempotencyKey Key the settlement is recorded under.
+   * Derived from the transaction if not given.
+   * @param options.deadline Date.now() timestamp to give up at
+   * @returns Settlement result with the txid of the broadcast transaction
+   */
+  async settle (paymentPayload, paymentRequirements, options = {}) {
+    const settlementDb = this.adapters.levelDB.settlementDb
+    const network = normalizeNetwork(paymentRequirements.network, this.config)
+    const failure = (errorReason, payer = '') => ({
+      success: false,
+      errorReason,
+      transaction: '',
+      network: this.facilitator.getResponseNetwork(paymentRequirements),
+      payer
+    })
+
+    const idempotencyKey = options.idempotencyKey ?? this.facilitator.getIdempotencyKey(paymentPayload)
+    if (!idempotencyKey) return failure('invalid_payload')
+
+    const { tenant = null } = options
+    const settlementKey = this.facilitator.getSettlementKey(idempotencyKey, tenant)
+
+    return await this.adapters.ledgerLock.runExclusive(`settlement:${settlementKey}`, async () => {
+      const settlement = await this.facilitator.getSettlement(idempotencyKey, tenant)
+
+      // A key reused for another payment must not return its settlement.
+      const conflictReason = settlement && this.facilitator.matchSettlement(settlement, paymentRequirements)
+      if (conflictReason) return failure(conflictReason)
+
+      if (settlement?.status === 'settled') {
+        return {
+          success: true,
+          transaction: settlement.txid,
+          network: settlement.network,
+          payer: settlement.payer
+        }
+      }
+
+      const verification = await this.facilitator.verifyPayment(paymentPayload, paymentRequirements, {
+        ...options,
+        idempotencyKey
+      })
+      if (!verification.isValid) {
+        return failure(verification.invalidReason || 'invalid_payment', verification.payer || '')
+      }
+
+      let txid
+      try {
+        txid = await this.adapters.bchWallet.broadcastTransaction(paymentPayload.payload.transaction, { network })
+      } catch (err) {
+        this.adapters.logger.error('Error broadcasting exact payment transaction:', err)
+        return failure('broadcast_failed', verification.payer)
+      }
+
+      const timestamp = new Date().toISOString()
+      await settlementDb.put(settlementKey, {
+        idempotencyKey,
+        status: 'settled',
+        scheme: 'exact',
+        payer: verification.payer,
+        payTo: paymentRequirements.payTo,
+        resource: paymentRequirements.resource ?? '',
+        tenantId: tenant?.tenantId ?? DEFAULT_TENANT_ID,
+        txid,
+        amountSat: this.facilitator.getPaymentAmount(paymentRequirements).toString(),
+        tokenCategory: null,
+        slpTokenId: null,
+        network,
+        verifiedAt: timestamp,
+        settledAt: timestamp
+      })
+
+      return {
+        success: true,
+        transaction: txid,
+        network,
+        payer: verification.payer
+      }
+    })
+  }
+}
+
+export default ExactScheme
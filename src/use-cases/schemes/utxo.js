@@ -0,0 +1,599 @@
+/*
+  Handler of the 'utxo' payment scheme, the prepaid tab.
+
+  The payer funds a UTXO to payTo, then signs an authorization for each call,
+  which is debited against the balance of that UTXO in the ledger of the
+  Facilitator Use Case. With txid '*', the authorization asks the facilitator
+  to pick one of the payer's ledgered UTXOs ("check my tab" mode).
+
+  Verify debits the ledger and records a pending settlement. Funds were
+  already received on-chain when the payer funded their UTXO, so settle only
+  marks that settlement as settled.
+
+  Every debit attempted against the ledger is recorded in the journal, along
+  with its result.
+
+  Fund ledgers a funding UTXO with a zero debit, so the payer can use "check
+  my tab" mode from their first call.
+*/
+
+// Local libraries
+import config from '../../config/index.js'
+import { getNetwork, isAddressOnNetwork } from '../../config/networks.js'
+import { normalizeNetwork } from '../facilitator.js'
+import { DEFAULT_TENANT_ID } from '../tenant.js'
+
+class UtxoScheme {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating UTXO Scheme.'
+      )
+    }
+    this.facilitator = localConfig.facilitator
+    if (!this.facilitator) {
+      throw new Error(
+        'Instance of Facilitator Use Case must be passed in when instantiating UTXO Scheme.'
+      )
+    }
+    this.journal = localConfig.journal
+    if (!this.journal) {
+      throw new Error(
+        'Instance of Journal Use Case must be passed in when instantiating UTXO Scheme.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.scheme = 'utxo'
+
+    // Bind 'this' object to all class methods
+    this.getSupportedKind = this.getSupportedKind.bind(this)
+    this.verify = this.verify.bind(this)
+    this.settle = this.settle.bind(this)
+    this.settleWithoutKey = this.settleWithoutKey.bind(this)
+    this.getSettlementResponse = this.getSettlementResponse.bind(this)
+    this.fund = this.fund.bind(this)
+    this.journalDebit = this.journalDebit.bind(this)
+  }
+
+  // Returns the kind advertised by /facilitator/supported for a network.
+  getSupportedKind (network) {
+    const kind = {
+      x402Version: 2,
+      scheme: this.scheme,
+      network: network.caip2
+    }
+
+    // Advertise the CashToken categories accepted besides BCH.
+    if (this.config.acceptedTokenCategories?.length) {
+      kind.extra = { tokenCategories: this.config.acceptedTokenCategories }
+    }
+
+    return kind
+  }
+
+  // Records a debit attempted against the ledger in the journal, with the
+  // reason it was refused, if it was.
+  async journalDebit ({ paymentRequirements, tenant, payerAddress, idempotencyKey, utxoValidation }) {
+    const utxoInfo = utxoValidation.utxoInfo
+
+    return await this.journal.record({
+      type: 'debit',
+      payer: payerAddress,
+      payTo: paymentRequirements.payTo,
+      tenantId: tenant?.tenantId ?? DEFAULT_TENANT_ID,
+      network: normalizeNetwork(paymentRequirements.network, this.config),
+      resource: paymentRequirements.resource ?? '',
+      amountSat: this.facilitator.getPaymentAmount(paymentRequirements).toString(),
+      utxoId: utxoInfo?.utxoId ?? null,
+      debits: utxoValidation.debits ?? null,
+      tokenCategory: utxoInfo?.tokenCategory ?? null,
+      slpTokenId: utxoInfo?.slpTokenId ?? null,
+      idempotencyKey,
+      result: utxoValidation.isValid ? 'debited' : (utxoValidation.invalidReason || 'invalid_utxo')
+    })
+  }
+
+  /**
+   * Verifies a signed authorization and debits it against the ledger.
+   *
+   * @param paymentPayload The signed payment authorization
+   * @param paymentRequirements The expected payment details
+   * @param options.tenant The tenant making the request, if any
+   * @param options.idempotencyKey Key the debit is recorded under, for settle.
+   * Derived from the payment signature if not given.
+   * @param options.deadline Date.now() timestamp to give up at
+   * @returns Verification result with validity, payer and ledger balance
+   */
+  async verify (paymentPayload, paymentRequirements, options = {}) {
+    const { tenant = null, deadline = null } = options
+
+    // Extract authorization and signature
+    const payload = paymentPayload.payload
+    if (!payload || !payload.authorization || !payload.signature) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_payload',
+        payer: ''
+      }
+    }
+
+    const { authorization, signature } = payload
+    const payerAddress = authorization.from
+    const payTo = paymentRequirements.payTo
+
+    // Verify the addresses belong to the network, e.g. bchtest: on testnet
+    const network = getNetwork(normalizeNetwork(paymentRequirements.network, this.config), this.config)
+    if (!isAddressOnNetwork(payerAddress, network) || !isAddressOnNetwork(payTo, network)) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_network',
+        payer: payerAddress
+      }
+    }
+
+    // Verify the CashToken category, if any, is accepted
+    const tokenCategory = this.facilitator.getTokenCategory(paymentRequirements)
+    if (tokenCategory && !this.config.acceptedTokenCategories?.includes(tokenCategory)) {
+      return {
+        isValid: false,
+        invalidReason: 'unsupported_asset',
+        payer: payerAddress
+      }
+    }
+
+    // In the 'slp' asset mode, the asset must be an SLP token ID
+    const slpTokenId = this.facilitator.getSlpTokenId(paymentRequirements)
+    if (paymentRequirements.extra?.assetMode === 'slp' && !slpTokenId) {
+      return {
+        isValid: false,
+        invalidReason: 'unsupported_asset',
+        payer: payerAddress
+      }
+    }
+
+    // Legacy authorizations have no nonce, so they can be replayed.
+    const isLegacy = this.facilitator.isLegacyAuthorization(authorization)
+    if (isLegacy && !this.config.acceptLegacyAuthorizations) {
+      return {
+        isValid: false,
+        invalidReason: 'legacy_authorization_not_accepted',
+        payer: payerAddress
+      }
+    }
+
+    // Verify the authorization was signed for these payment requirements
+    const mismatchReason = this.facilitator.matchRequirements(paymentPayload, paymentRequirements)
+    if (mismatchReason) {
+      return {
+        isValid: false,
+        invalidReason: mismatchReason,
+        payer: payerAddress
+      }
+    }
+
+    // Check if this is "check my tab" mode
+    const isCheckMyTabMode = authorization.txid === '*'
+
+    // For check my tab mode, verify signature with the original authorization object
+    // (including txid: "*", vout: null, amount: null)
+    // For standard mode, use the authorization as-is
+    if (!this.facilitator.checkSignature(authorization, signature)) {
+      return {
+        isValid: false,
+        invalidReason: 'invalid_exact_bch_payload_signature',
+        payer: payerAddress
+      }
+    }
+
+    if (!isLegacy) {
+      const windowReason = this.facilitator.checkAuthorizationWindow(authorization)
+      if (windowReason) {
+        return {
+          isValid: false,
+          invalidReason: windowReason,
+          payer: payerAddress
+        }
+      }
+    }
+
+    // Hold the payer lock while selecting and debiting a UTXO, so parallel
+    // calls from the same payer can not select and spend the same balance.
+    const utxoValidation = await this.adapters.ledgerLock.runExclusive(`payer:${payerAddress}`, async () => {
+      // Claim the nonce before the debit, and release it if the payment is
+      // not valid. A crash in between burns the nonce instead of leaving
+      // the authorization open to replay.
+      if (!isLegacy && !(await this.facilitator.claimNonce(authorization))) {
+        return {
+          isValid: false,
+          invalidReason: 'authorization_replayed'
+        }
+      }
+
+      const validation = await this.facilitator.selectAndValidateUtxo({
+        paymentPayload,
+        paymentRequirements,
+        tenant,
+        payerAddress,
+        payTo,
+        isCheckMyTabMode,
+        deadline
+      })
+
+      if (!isLegacy && !validation.isValid) {
+        await this.facilitator.releaseNonce(authorization)
+      }
+
+      return validation
+    })
+    console.log('utxoValidation:', utxoValidation)
+
+    // A null key means the payment has none, e.g. a legacy authorization.
+    const idempotencyKey = options.idempotencyKey !== undefined
+      ? options.idempotencyKey
+      : this.facilitator.getIdempotencyKey(paymentPayload)
+    await this.journalDebit({
+      paymentRequirements,
+      tenant,
+      payerAddress,
+      idempotencyKey,
+      utxoValidation
+    })
+
+    if (!utxoValidation.isValid) {
+      return {
+        isValid: false,
+        invalidReason: utxoValidation.invalidReason || 'invalid_utxo',
+        payer: payerAddress
+      }
+    }
+
+    // Record the debit as a pending settlement, so settling this payment
+    // does not charge it again. A payment without a key is recorded as the
+    // last legacy verify of the payer.
+    await this.facilitator.recordPendingSettlement({
+      idempotencyKey: idempotencyKey ?? this.facilitator.getLegacySettlementKey(payerAddress),
+      paymentRequirements,
+      tenant,
+      payerAddress,
+      utxoValidation
+    })
+
+    // Build response with optional fields
+    const response = {
+      isValid: true,
+      payer: payerAddress
+    }
+
+    // Include optional fields if available
+    if (utxoValidation.remainingBalanceSat !== undefined) {
+      response.remainingBalanceSat = utxoValidation.remainingBalanceSat
+    }
+    if (utxoValidation.utxoInfo) {
+      response.ledgerEntry = {
+        utxoId: utxoValidation.utxoInfo.utxoId,
+        transactionValueSat: utxoValidation.utxoInfo.transactionValueSat,
+        totalDebitedSat: utxoValidation.utxoInfo.totalDebitedSat,
+        confirmations: utxoValidation.utxoInfo.confirmations ?? 0,
+        lastUpdated: utxoValidation.utxoInfo.lastUpdated
+      }
+      // In "check my tab" mode, the call may be paid from several UTXOs.
+      if (utxoValidation.debits) {
+        response.ledgerEntry.utxos = utxoValidation.debits
+      }
+    }
+    // Balances of CashToken payments are in token units of their category.
+    if (tokenCategory) {
+      response.tokenCategory = tokenCategory
+    }
+    // Balances of SLP payments are in base units of their token.
+    if (slpTokenId) {
+      response.slpTokenId = slpTokenId
+    }
+
+    return response
+  }
+
+  /**
+   * Settles a payment: the debit made by a prior verify of the same payment
+   * is marked as settled. If the payment was not verified first, it is
+   * verified (and debited) now.
+   *
+   * @param paymentPayload The signed payment authorization
+   * @param paymentRequirements The expected payment details
+   * @param options.tenant The tenant making the request, if any
+   * @param options.idempotencyKey Key of the debit to settle. Derived from the
+   * payment signature if not given. With null, e.g. for a legacy
+   * authorization, the debit of the last verify of the payer is settled if
+   * it was made for the same payment.
+   * @param options.deadline Date.now() timestamp to give up at. Derived from
+   * paymentRequirements.maxTimeoutSeconds if not given.
+   * @returns Settlement result with the funding transaction and status
+   */
+  async settle (paymentPayload, paymentRequirements, options = {}) {
+    const settlementDb = this.adapters.levelDB.settlementDb
+
+    const deadline = options.deadline ?? this.facilitator.getDeadline(paymentRequirements)
+    if (options.idempotencyKey === null) {
+      return await this.settleWithoutKey(paymentPayload, paymentRequirements, { ...options, deadline })
+    }
+
+    const idempotencyKey = options.idempotencyKey ?? this.facilitator.getIdempotencyKey(paymentPayload)
+    if (!idempotencyKey) {
+      return {
+        success: false,
+        errorReason: 'invalid_payload',
+        transaction: '',
+        network: this.facilitator.getResponseNetwork(paymentRequirements),
+        payer: paymentPayload?.payload?.authorization?.from || ''
+      }
+    }
+
+    const { tenant = null } = options
+    const settlementKey = this.facilitator.getSettlementKey(idempotencyKey, tenant)
+
+    // Serialize settlement of the same payment, so it is only debited once.
+    return await this.adapters.ledgerLock.runExclusive(`settlement:${settlementKey}`, async () => {
+      let settlement = await this.facilitator.getSettlement(idempotencyKey, tenant)
+
+      // A key reused for another payment must not settle it for free.
+      const payerAddress = paymentPayload?.payload?.authorization?.from || ''
+      const conflictReason = settlement && this.facilitator.matchSettlement(settlement, paymentRequirements, payerAddress)
+      if (conflictReason) {
+        return {
+          success: false,
+          errorReason: conflictReason,
+          transaction: '',
+          network: this.facilitator.getResponseNetwork(paymentRequirements),
+          payer: payerAddress
+        }
+      }
+
+      if (!settlement) {
+        // No prior verify, so verify and debit the payment now.
+        const verification = await this.facilitator.verifyPayment(paymentPayload, paymentRequirements, {
+          ...options,
+          idempotencyKey,
+          deadline
+        })
+
+        if (!verification.isValid) {
+          return {
+            success: false,
+            errorReason: verification.invalidReason || 'invalid_payment',
+            transaction: '',
+            network: this.facilitator.getResponseNetwork(paymentRequirements),
+            payer: verification.payer || ''
+          }
+        }
+
+        settlement = await this.facilitator.getSettlement(idempotencyKey, tenant)
+        if (!settlement) {
+          throw new Error('Pending settlement was not recorded')
+        }
+      }
+
+      if (settlement.status !== 'settled') {
+        settlement = {
+          ...settlement,
+          status: 'settled',
+          settledAt: new Date().toISOString()
+        }
+        await settlementDb.put(settlementKey, settlement)
+      }
+
+      return this.getSettlementResponse(settlement)
+    })
+  }
+
+  /**
+   * Settles a payment that has no idempotency key, e.g. a legacy
+   * authorization, which signs the same message for every call on a tab.
+   * The debit of the last verify of the payer is settled if it was made for
+   * the same payer, payTo, amount and resource. Otherwise the payment was
+   * not verified, and is verified and debited now. A settled debit is never
+   * settled again, as the next call on the tab sends the same payment.
+   * @private
+   */
+  async settleWithoutKey (paymentPayload, paymentRequirements, options) {
+    const settlementDb = this.adapters.levelDB.settlementDb
+
+    const { tenant = null } = options
+    const payerAddress = paymentPayload?.payload?.authorization?.from || ''
+    const idempotencyKey = this.facilitator.getLegacySettlementKey(payerAddress)
+    const settlementKey = this.facilitator.getSettlementKey(idempotencyKey, tenant)
+
+    return await this.adapters.ledgerLock.runExclusive(`settlement:${settlementKey}`, async () => {
+      let settlement = await this.facilitator.getSettlement(idempotencyKey, tenant)
+
+      const isVerified = settlement?.status === 'pending' &&
+        !this.facilitator.matchSettlement(settlement, paymentRequirements, payerAddress)
+      if (!isVerified) {
+        const verification = await this.facilitator.verifyPayment(paymentPayload, paymentRequirements, {
+          ...options,
+          idempotencyKey: null
+        })
+
+        if (!verification.isValid) {
+          return {
+            success: false,
+            errorReason: verification.invalidReason || 'invalid_payment',
+            transaction: '',
+            network: this.facilitator.getResponseNetwork(paymentRequirements),
+            payer: verification.payer || ''
+          }
+        }
+
+        settlement = await this.facilitator.getSettlement(idempotencyKey, tenant)
+        if (!settlement) {
+          throw new Error('Pending settlement was not recorded')
+        }
+      }
+
+      settlement = {
+        ...settlement,
+        status: 'settled',
+        settledAt: new Date().toISOString()
+      }
+      await settlementDb.put(settlementKey, settlement)
+
+      return this.getSettlementResponse(settlement)
+    })
+  }
+
+  /**
+   * Builds the response of a settle from its settlement record.
+   * @private
+   */
+  getSettlementResponse (settlement) {
+    const response = {
+      success: true,
+      transaction: settlement.txid,
+      network: settlement.network,
+      payer: settlement.payer
+    }
+
+    if (settlement.remainingBalanceSat !== undefined) {
+      response.remainingBalanceSat = settlement.remainingBalanceSat
+    }
+    if (settlement.tokenCategory) {
+      response.tokenCategory = settlement.tokenCategory
+    }
+    if (settlement.slpTokenId) {
+      response.slpTokenId = settlement.slpTokenId
+    }
+
+    return response
+  }
+
+  /**
+   * Funds a payer's tab: validates the funding UTXO named by a signed
+   * authorization on-chain, and ledgers it with a zero debit. The funding
+   * transaction must spend from the payer's address. Funding a UTXO that is
+   * already ledgered leaves its balance untouched.
+   *
+   * @param fundingRequest The funding proof, as passed to fundTab()
+   * @param options.tenant The tenant that owns the funded payTo address
+   * @param options.network The configured network of the funding request
+   * @returns Funding result with the ledgered UTXO and new tab balance
+   */
+  async fund (fundingRequest, options = {}) {
+    const { tenant, network } = options
+
+    const payload = fundingRequest.payload
+    const authorization = payload?.authorization
+    const payerAddress = authorization?.from || ''
+    if (!payload?.signature || !payerAddress || !authorization.to ||
+      typeof authorization.txid !== 'string' || authorization.txid === '*' ||
+      !Number.isInteger(authorization.vout)) {
+      return {
+        success: false,
+        errorReason: 'invalid_payload',
+        payer: payerAddress
+      }
+    }
+
+    const payTo = authorization.to
+    if (!isAddressOnNetwork(payerAddress, network) || !isAddressOnNetwork(payTo, network)) {
+      return {
+        success: false,
+        errorReason: 'invalid_network',
+        payer: payerAddress
+      }
+    }
+
+    // Verify the CashToken category, if any, is accepted
+    const paymentRequirements = {
+      scheme: this.scheme,
+      network: network.caip2,
+      payTo,
+      amount: '0',
+      asset: fundingRequest.asset,
+      extra: fundingRequest.extra
+    }
+    const asset = this.facilitator.getPaymentAsset(paymentRequirements)
+    if (asset.tokenCategory && !this.config.acceptedTokenCategories?.includes(asset.tokenCategory)) {
+      return {
+        success: false,
+        errorReason: 'unsupported_asset',
+        payer: payerAddress
+      }
+    }
+    if (paymentRequirements.extra?.assetMode === 'slp' && !asset.slpTokenId) {
+      return {
+        success: false,
+        errorReason: 'unsupported_asset',
+        payer: payerAddress
+      }
+    }
+
+    // Only the payer can fund their tab. The funding proof debits nothing, so
+    // it carries no nonce, and replaying it is harmless.
+    if (!this.facilitator.checkSignature(authorization, payload.signature)) {
+      return {
+        success: false,
+        errorReason: 'invalid_exact_bch_payload_signature',
+        payer: payerAddress
+      }
+    }
+
+    const result = await this.adapters.ledgerLock.runExclusive(`payer:${payerAddress}`, async () => {
+      // The signature only proves the payer owns their address. The funding
+      // transaction must also spend from it, or anyone could ledger the
+      // payment of another payer to their own tab.
+      const funderAddress = await this.facilitator.getFunderAddress(authorization.txid, network.caip2)
+      if (funderAddress !== payerAddress) {
+        return { validation: { isValid: false, invalidReason: 'payer_not_funder' } }
+      }
+
+      const validation = await this.facilitator.validateUtxo({
+        paymentPayload: { payload: { authorization } },
+        paymentRequirements,
+        tenant
+      })
+      if (!validation.isValid) return { validation }
+
+      const tabBalanceSat = await this.facilitator.getTabBalance(
+        payerAddress, payTo, tenant.tenantId, network.caip2, asset
+      )
+      return { validation, tabBalanceSat }
+    })
+
+    const { validation, tabBalanceSat } = result
+    if (!validation.isValid) {
+      return {
+        success: false,
+        errorReason: validation.invalidReason || 'invalid_utxo',
+        payer: payerAddress
+      }
+    }
+
+    const utxoInfo = validation.utxoInfo
+    const response = {
+      success: true,
+      payer: payerAddress,
+      network: network.caip2,
+      tabBalanceSat,
+      ledgerEntry: {
+        utxoId: utxoInfo.utxoId,
+        transactionValueSat: utxoInfo.transactionValueSat,
+        remainingBalanceSat: utxoInfo.remainingBalanceSat,
+        totalDebitedSat: utxoInfo.totalDebitedSat,
+        confirmations: utxoInfo.confirmations ?? 0,
+        lastUpdated: utxoInfo.lastUpdated
+      }
+    }
+    if (asset.tokenCategory) {
+      response.tokenCategory = asset.tokenCategory
+    }
+    if (asset.slpTokenId) {
+      response.slpTokenId = asset.slpTokenId
+    }
+
+    return response
+  }
+}
+
+export default UtxoScheme
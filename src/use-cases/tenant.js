@@ -0,0 +1,175 @@
+/*
+  Tenant use case for multi-tenant resource servers.
+
+  High level overview:
+  - Each tenant is a resource server that calls the facilitator. It is
+    identified by an API key and owns one or more payTo addresses.
+  - Tenants are persisted in the tenant Level DB, keyed by a hash of their
+    API key, so the API keys themselves are never stored.
+  - A payTo address can only belong to a single tenant, so every ledgered UTXO
+    belongs to exactly one tenant.
+  - Requests without an API key are attributed to the default tenant, which
+    owns SERVER_BCH_ADDRESS, unless REQUIRE_API_KEY is set. The default
+    tenant is not stored, and is identified by DEFAULT_TENANT_API_KEY.
+*/
+
+// Global libraries
+import crypto from 'crypto'
+
+// Local libraries
+import config from '../config/index.js'
+
+// Tenant ID used for requests that do not present an API key, and for
+// ledger entries created before tenants existed.
+const DEFAULT_TENANT_ID = 'default'
+
+class TenantUseCase {
+  constructor (localConfig = {}) {
+    this.adapters = localConfig.adapters
+    if (!this.adapters) {
+      throw new Error(
+        'Instance of adapters must be passed in when instantiating Tenant Use Case.'
+      )
+    }
+
+    // Encapsulate dependencies
+    this.config = config
+    this.crypto = crypto
+
+    // Bind 'this' object to all class methods
+    this.hashApiKey = this.hashApiKey.bind(this)
+    this.getDefaultTenant = this.getDefaultTenant.bind(this)
+    this.createTenant = this.createTenant.bind(this)
+    this.listTenants = this.listTenants.bind(this)
+    this.getTenantByApiKey = this.getTenantByApiKey.bind(this)
+    this.resolveTenant = this.resolveTenant.bind(this)
+    this.getTenantByPayTo = this.getTenantByPayTo.bind(this)
+  }
+
+  // Hash an API key into the key used to store the tenant in the Level DB.
+  hashApiKey (apiKey) {
+    return this.crypto.createHash('sha256').update(apiKey).digest('hex')
+  }
+
+  // Returns the tenant that owns SERVER_BCH_ADDRESS.
+  getDefaultTenant () {
+    return {
+      tenantId: DEFAULT_TENANT_ID,
+      name: 'default',
+      payTo: [this.config.serverBchAddress]
+    }
+  }
+
+  /**
+   * Registers a new tenant.
+   *
+   * @param {Object} inObj
+   * @param {string} inObj.name - Human readable name of the tenant
+   * @param {Array<string>} inObj.payTo - BCH cash addresses owned by the tenant
+   * @returns {Promise<Object>} The API key, which is only returned once, and the tenant record
+   */
+  async createTenant ({ name, payTo } = {}) {
+    const tenantDb = this.adapters?.levelDB?.tenantDb
+    if (!tenantDb) {
+      throw new Error('Tenant database not initialized')
+    }
+
+    if (!name || typeof name !== 'string') {
+      throw new Error('name of the tenant is required')
+    }
+    if (!Array.isArray(payTo) || payTo.length === 0) {
+      throw new Error('payTo must be a non-empty array of BCH addresses')
+    }
+
+    // A payTo address can only belong to a single tenant.
+    const claimedAddresses = new Set([this.config.serverBchAddress])
+    const tenants = await this.listTenants()
+    for (const tenant of tenants) {
+      tenant.payTo.forEach(addr => claimedAddresses.add(addr))
+    }
+    const duplicate = payTo.find(addr => claimedAddresses.has(addr))
+    if (duplicate) {
+      throw new Error(`payTo address ${duplicate} already belongs to a tenant`)
+    }
+
+    const apiKey = this.crypto.randomBytes(32).toString('hex')
+    const tenant = {
+      tenantId: this.crypto.randomUUID(),
+      name,
+      payTo,
+      createdAt: new Date().toISOString()
+    }
+
+    await tenantDb.put(this.hashApiKey(apiKey), tenant)
+
+    return { apiKey, tenant }
+  }
+
+  // Returns an array of all the registered tenants.
+  async listTenants () {
+    const tenantDb = this.adapters?.levelDB?.tenantDb
+    if (!tenantDb) {
+      throw new Error('Tenant database not initialized')
+    }
+
+    const tenants = []
+    for await (const [, tenant] of tenantDb.iterator()) {
+      tenants.push(tenant)
+    }
+
+    return tenants
+  }
+
+  // Look up a tenant by its API key. Returns null if the key is unknown.
+  async getTenantByApiKey (apiKey) {
+    const tenantDb = this.adapters?.levelDB?.tenantDb
+    if (!tenantDb) {
+      throw new Error('Tenant database not initialized')
+    }
+
+    // The keys are compared by their hashes in constant time, so the
+    // comparison does not leak the key.
+    const defaultApiKey = this.config.defaultTenantApiKey
+    if (defaultApiKey && this.crypto.timingSafeEqual(
+      Buffer.from(this.hashApiKey(apiKey)),
+      Buffer.from(this.hashApiKey(defaultApiKey))
+    )) {
+      return this.getDefaultTenant()
+    }
+
+    try {
+      return await tenantDb.get(this.hashApiKey(apiKey))
+    } catch (err) {
+      return null
+    }
+  }
+
+  /**
+   * Resolves the tenant making a request.
+   *
+   * @param {string} apiKey - API key presented by the caller, if any
+   * @returns {Promise<Object|null>} The tenant, or null if the caller is not authorized
+   */
+  async resolveTenant (apiKey) {
+    if (apiKey) {
+      return await this.getTenantByApiKey(apiKey)
+    }
+
+    if (this.config.requireApiKey) return null
+
+    return this.getDefaultTenant()
+  }
+
+  // Look up the tenant that owns a payTo address, for calls made by payers,
+  // who have no API key. Returns null if no tenant owns the address.
+  async getTenantByPayTo (payTo) {
+    const defaultTenant = this.getDefaultTenant()
+    if (defaultTenant.payTo.includes(payTo)) return defaultTenant
+
+    const tenants = await this.listTenants()
+    return tenants.find(tenant => tenant.payTo.includes(payTo)) ?? null
+  }
+}
+
+export { DEFAULT_TENANT_ID }
+export default TenantUseCase
@@ -5,9 +5,10 @@
 // npm libraries
 import { assert } from 'chai'
 import sinon from 'sinon'
+import Bitcoin from '@psf/bitcoincashjs-lib'
 
 // Unit under test
-import BCHWalletAdapter from '../../../src/adapters/bch-wallet.js'
+import BCHWalletAdapter, { parseConfirmationPolicy, toSlpBaseUnits } from '../../../src/adapters/bch-wallet.js'
 
 describe('#adapters/bch-wallet.js', () => {
   let sandbox
@@ -70,6 +71,107 @@ describe('#adapters/bch-wallet.js', () => {
       assert.equal(result.utxoAmountSat, 2000)
     })
 
+    it('should return the CashToken category and amount of the output', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00001,
+          tokenData: {
+            category: 'AB'.repeat(32),
+            amount: '5000'
+          }
+        }]
+      }]
+      mockRetryQueue.addToQueue.onFirstCall().resolves(mockTxData)
+      mockRetryQueue.addToQueue.onSecondCall().resolves(true)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.utxoAmountSat, 1000)
+      assert.equal(result.tokenCategory, 'ab'.repeat(32))
+      assert.equal(result.tokenAmount, '5000')
+    })
+
+    it('should return the SLP token ID and amount of the output in base units', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        isValidSlp: true,
+        tokenId: 'CD'.repeat(32),
+        tokenDecimals: 2,
+        vout: [{
+          scriptPubKey: { type: 'nulldata' },
+          value: 0,
+          tokenQtyStr: '0'
+        }, {
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00000546,
+          tokenQtyStr: '12.5'
+        }]
+      }]
+      mockRetryQueue.addToQueue.onFirstCall().resolves(mockTxData)
+      mockRetryQueue.addToQueue.onSecondCall().resolves(true)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 1 })
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.utxoAmountSat, 546)
+      assert.equal(result.slpTokenId, 'cd'.repeat(32))
+      assert.equal(result.slpTokenAmount, '1250')
+    })
+
+    it('should not report SLP tokens for an invalid SLP transaction', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        isValidSlp: false,
+        tokenId: 'cd'.repeat(32),
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00000546,
+          tokenQtyStr: '10'
+        }]
+      }]
+      mockRetryQueue.addToQueue.onFirstCall().resolves(mockTxData)
+      mockRetryQueue.addToQueue.onSecondCall().resolves(true)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isTrue(result.isValid)
+      assert.notProperty(result, 'slpTokenId')
+    })
+
+    it('should return facilitator_timeout when the deadline passes', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.returns(new Promise(() => {}))
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0, deadline: Date.now() + 10 })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'facilitator_timeout')
+    })
+
     it('should return invalid when receiver address does not match', async () => {
       const adapter = new BCHWalletAdapter()
       adapter.msWallet = mockMsWallet
@@ -94,6 +196,29 @@ describe('#adapters/bch-wallet.js', () => {
       assert.isNull(result.utxoAmountSat)
     })
 
+    it('should compare the receiver against the payTo address when given', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        vout: [{
+          scriptPubKey: {
+            addresses: ['bitcoincash:qptenant']
+          },
+          value: 0.00002
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.resolves(mockTxData)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0, payTo: 'bitcoincash:qptenant' })
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.receiverAddress, 'bitcoincash:qptenant')
+    })
+
     it('should handle errors gracefully', async () => {
       const adapter = new BCHWalletAdapter()
       adapter.msWallet = mockMsWallet
@@ -110,6 +235,212 @@ describe('#adapters/bch-wallet.js', () => {
       assert.isNull(result.utxoAmountSat)
     })
 
+    it('should reject an unconfirmed UTXO that triggered a Double Spend Proof', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = { ...mockConfig, apiType: 'rest-api' }
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        confirmations: 0,
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00002
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.onFirstCall().resolves(mockTxData)
+      mockRetryQueue.addToQueue.onSecondCall().resolves({ dspid: 'test-dsp' })
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'double_spend_detected')
+      assert.isNull(result.utxoAmountSat)
+    })
+
+    it('should skip the Double Spend Proof check for confirmed UTXOs', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = { ...mockConfig, apiType: 'rest-api' }
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        confirmations: 3,
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00002
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.resolves(mockTxData)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isTrue(result.isValid)
+      // Only the TX data lookup was made.
+      assert.isTrue(mockRetryQueue.addToQueue.calledOnce)
+    })
+
+    it('should reject a UTXO with fewer confirmations than the policy requires', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = { ...mockConfig, fundingConfirmationPolicy: '1000:0,*:1' }
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        confirmations: 0,
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00002 // 2000 sats
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.resolves(mockTxData)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'utxo_insufficient_confirmations')
+      assert.equal(result.confirmations, 0)
+      assert.equal(result.requiredConfirmations, 1)
+    })
+
+    it('should require the highest tier of confirmations for a CashToken UTXO', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = { ...mockConfig, fundingConfirmationPolicy: '10000:0,*:2' }
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        confirmations: 1,
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00000546, // dust
+          tokenData: { category: 'ab'.repeat(32), amount: '1000000' }
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.resolves(mockTxData)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'utxo_insufficient_confirmations')
+      assert.equal(result.requiredConfirmations, 2)
+    })
+
+    it('should require the highest tier of confirmations for an SLP UTXO', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = { ...mockConfig, fundingConfirmationPolicy: '10000:0,*:2' }
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        confirmations: 0,
+        isValidSlp: true,
+        tokenId: 'cd'.repeat(32),
+        tokenDecimals: 0,
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00000546, // dust
+          tokenQtyStr: '500'
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.resolves(mockTxData)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.requiredConfirmations, 2)
+    })
+
+    it('should accept a UTXO that meets the confirmation policy', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = { ...mockConfig, fundingConfirmationPolicy: '1000:0,*:1' }
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        confirmations: 1,
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00002 // 2000 sats
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.resolves(mockTxData)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.confirmations, 1)
+    })
+
+    it('should reject a UTXO that has already been spent', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00002
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.onFirstCall().resolves(mockTxData)
+      mockRetryQueue.addToQueue.onSecondCall().resolves(false)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'utxo_spent')
+      assert.isNull(result.utxoAmountSat)
+    })
+
+    it('should accept a confirmed UTXO that the server already swept', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = { ...mockMsWallet, utxoIsValid: sandbox.stub() }
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+
+      const mockTxData = [{
+        confirmations: 2,
+        vout: [{
+          scriptPubKey: {
+            addresses: [mockConfig.serverBchAddress]
+          },
+          value: 0.00002
+        }]
+      }]
+
+      mockRetryQueue.addToQueue.onFirstCall().resolves(mockTxData)
+      mockRetryQueue.addToQueue.onSecondCall().resolves(false)
+
+      const result = await adapter.validateUtxo({ txid: 'test-txid', vout: 0 })
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.utxoAmountSat, 2000)
+      assert.isTrue(mockRetryQueue.addToQueue.calledOnce)
+    })
+
     it('should wait for wallet to be ready', async () => {
       const adapter = new BCHWalletAdapter()
       adapter.msWallet = mockMsWallet
@@ -136,4 +467,452 @@ describe('#adapters/bch-wallet.js', () => {
       assert.isTrue(mockRetryQueue.addToQueue.calledAfter(walletReadySpy))
     })
   })
+
+  describe('#initializeWallet', () => {
+    it('should create the facilitator wallet from the configured WIF', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, facilitatorWif: 'test-wif' }
+
+      const mockWallet = {
+        walletInfoPromise: Promise.resolve(),
+        initialize: sandbox.stub().resolves(true),
+        walletInfo: { cashAddress: 'bitcoincash:qpfacilitator' }
+      }
+      const walletStub = sandbox.stub().returns(mockWallet)
+      adapter.MinimalBCHWallet = walletStub
+
+      const result = await adapter.initializeWallet()
+
+      assert.equal(result, mockWallet)
+      assert.isTrue(walletStub.calledOnce)
+      assert.equal(walletStub.firstCall.args[0], 'test-wif')
+      assert.isTrue(mockWallet.initialize.calledOnce)
+      assert.equal(adapter.facilitatorWallet, mockWallet)
+    })
+
+    it('should fall back to the configured mnemonic', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, facilitatorWif: '', facilitatorMnemonic: 'test mnemonic' }
+
+      const walletStub = sandbox.stub().returns({
+        walletInfoPromise: Promise.resolve(),
+        initialize: sandbox.stub().resolves(true)
+      })
+      adapter.MinimalBCHWallet = walletStub
+
+      await adapter.initializeWallet()
+
+      assert.equal(walletStub.firstCall.args[0], 'test mnemonic')
+    })
+
+    it('should only create one wallet for concurrent calls', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, facilitatorWif: 'test-wif' }
+
+      const walletStub = sandbox.stub().returns({
+        walletInfoPromise: Promise.resolve(),
+        initialize: sandbox.stub().resolves(true)
+      })
+      adapter.MinimalBCHWallet = walletStub
+
+      await Promise.all([adapter.initializeWallet(), adapter.initializeWallet()])
+
+      assert.isTrue(walletStub.calledOnce)
+    })
+
+    it('should throw and allow a retry when no key is configured', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, facilitatorWif: '', facilitatorMnemonic: '' }
+
+      try {
+        await adapter.initializeWallet()
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'FACILITATOR_WIF or FACILITATOR_MNEMONIC must be set')
+        assert.isNull(adapter.facilitatorWallet)
+        assert.isNull(adapter.walletInitPromise)
+      }
+    })
+  })
+
+  describe('#queueCall', () => {
+    it('should add the call to the retry queue', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves('result')
+      const funcHandle = sandbox.stub()
+
+      const result = await adapter.queueCall(funcHandle, { a: 1 })
+
+      assert.equal(result, 'result')
+      assert.isTrue(mockRetryQueue.addToQueue.calledWith(funcHandle, { a: 1 }))
+    })
+
+    it('should return the result of a call that beats the deadline', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves('result')
+
+      const result = await adapter.queueCall(sandbox.stub(), { a: 1 }, Date.now() + 1000)
+
+      assert.equal(result, 'result')
+    })
+
+    it('should throw facilitator_timeout when the deadline passes first', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.returns(new Promise(() => {}))
+
+      try {
+        await adapter.queueCall(sandbox.stub(), { a: 1 }, Date.now() + 10)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.equal(err.message, 'facilitator_timeout')
+      }
+    })
+  })
+
+  describe('#checkDoubleSpendProof', () => {
+    it('should return false without querying when not using rest-api', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = mockConfig
+      adapter.retryQueue = mockRetryQueue
+
+      const result = await adapter.checkDoubleSpendProof('test-txid')
+
+      assert.isFalse(result)
+      assert.isTrue(mockRetryQueue.addToQueue.notCalled)
+    })
+
+    it('should return true when a DSP exists', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, apiType: 'rest-api' }
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves({ dspid: 'test-dsp' })
+
+      const result = await adapter.checkDoubleSpendProof('test-txid')
+
+      assert.isTrue(result)
+    })
+
+    it('should return false when no DSP exists', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, apiType: 'rest-api' }
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves(null)
+
+      const result = await adapter.checkDoubleSpendProof('test-txid')
+
+      assert.isFalse(result)
+    })
+  })
+
+  describe('#getNetworkWallet', () => {
+    it('should return the wallet of the default network when none is given', () => {
+      const adapter = new BCHWalletAdapter()
+
+      assert.equal(adapter.getNetworkWallet(), adapter.msWallet)
+    })
+
+    it('should return the wallet of a network by alias or CAIP-2 identifier', () => {
+      const adapter = new BCHWalletAdapter()
+      const testnetWallet = { ...mockMsWallet }
+      adapter.config = { ...mockConfig, networks: ['bch', 'bch-testnet'] }
+      adapter.networkWallets['bip122:000000001dd410c49a788668ce267517'] = testnetWallet
+
+      assert.equal(adapter.getNetworkWallet('bch-testnet'), testnetWallet)
+      assert.equal(adapter.getNetworkWallet('bip122:000000001dd410c49a788668ce267517'), testnetWallet)
+    })
+
+    it('should throw for a network that is not configured', () => {
+      const adapter = new BCHWalletAdapter()
+
+      assert.throws(() => adapter.getNetworkWallet('bch-chipnet'), /is not configured/)
+    })
+  })
+
+  describe('#getTxConfirmations', () => {
+    it('should look up the transaction on the given network', async () => {
+      const adapter = new BCHWalletAdapter()
+      const testnetWallet = { ...mockMsWallet, getTxData: sandbox.stub() }
+      adapter.config = { ...mockConfig, networks: ['bch', 'bch-testnet'] }
+      adapter.networkWallets['bip122:000000001dd410c49a788668ce267517'] = testnetWallet
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves([{ confirmations: 1 }])
+
+      const result = await adapter.getTxConfirmations('test-txid', { network: 'bch-testnet' })
+
+      assert.equal(result, 1)
+      assert.equal(mockRetryQueue.addToQueue.firstCall.args[0], testnetWallet.getTxData)
+    })
+
+    it('should return the confirmations of a transaction', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves([{ confirmations: 4 }])
+
+      const result = await adapter.getTxConfirmations('test-txid')
+
+      assert.equal(result, 4)
+    })
+
+    it('should return 0 for an unconfirmed transaction', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves([{}])
+
+      const result = await adapter.getTxConfirmations('test-txid')
+
+      assert.equal(result, 0)
+    })
+  })
+
+  describe('#getRequiredConfirmations', () => {
+    it('should require no confirmations by default', () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, fundingConfirmationPolicy: '' }
+
+      assert.equal(adapter.getRequiredConfirmations(1e8), 0)
+    })
+
+    it('should pick the tier matching the UTXO value', () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, fundingConfirmationPolicy: '*:6,10000:0,100000:1' }
+
+      assert.equal(adapter.getRequiredConfirmations(10000), 0)
+      assert.equal(adapter.getRequiredConfirmations(10001), 1)
+      assert.equal(adapter.getRequiredConfirmations(1e8), 6)
+    })
+
+    it('should use the highest tier for amounts above every tier', () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.config = { ...mockConfig, fundingConfirmationPolicy: '10000:0,100000:2' }
+
+      assert.equal(adapter.getRequiredConfirmations(1e8), 2)
+    })
+  })
+
+  describe('#parseConfirmationPolicy', () => {
+    it('should throw on a malformed entry', () => {
+      assert.throws(() => parseConfirmationPolicy('10000:zero'), /Invalid funding confirmation policy entry/)
+    })
+  })
+
+  describe('#toSlpBaseUnits', () => {
+    it('should scale a display quantity by the token decimals', () => {
+      assert.equal(toSlpBaseUnits('1.5', 8), '150000000')
+      assert.equal(toSlpBaseUnits('42', 0), '42')
+      assert.equal(toSlpBaseUnits(0.25, 2), '25')
+    })
+
+    it('should throw on a quantity with more decimals than the token', () => {
+      assert.throws(() => toSlpBaseUnits('1.234', 2), /Invalid SLP token quantity/)
+    })
+  })
+
+  describe('#isUtxoUnspent', () => {
+    it('should look up the outpoint with the wallet backend', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = { ...mockMsWallet, utxoIsValid: sandbox.stub() }
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves(true)
+
+      const result = await adapter.isUtxoUnspent({ txid: 'test-txid', vout: 1 })
+
+      assert.isTrue(result)
+      assert.equal(mockRetryQueue.addToQueue.firstCall.args[0], adapter.msWallet.utxoIsValid)
+      assert.deepEqual(mockRetryQueue.addToQueue.firstCall.args[1], { tx_hash: 'test-txid', tx_pos: 1 })
+    })
+
+    it('should return false for a spent outpoint', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves(false)
+
+      const result = await adapter.isUtxoUnspent({ txid: 'test-txid', vout: 1 })
+
+      assert.isFalse(result)
+    })
+  })
+
+  describe('#decodeTransaction', () => {
+    it('should decode the transaction with the full node', async () => {
+      const adapter = new BCHWalletAdapter()
+      const decodeRawTransaction = sandbox.stub().resolves({ txid: 'test-txid' })
+      adapter.msWallet = { ...mockMsWallet, bchjs: { RawTransactions: { decodeRawTransaction } } }
+      adapter.retryQueue = { addToQueue: (fn, input) => fn(input) }
+
+      const result = await adapter.decodeTransaction('0200')
+
+      assert.deepEqual(result, { txid: 'test-txid' })
+      assert.isTrue(decodeRawTransaction.calledWith('0200'))
+    })
+  })
+
+  describe('#getTxData', () => {
+    it('should get the transactions from the wallet backend', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = mockMsWallet
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves([{ txid: 'test-txid' }])
+
+      const result = await adapter.getTxData(['test-txid'])
+
+      assert.deepEqual(result, [{ txid: 'test-txid' }])
+      assert.equal(mockRetryQueue.addToQueue.firstCall.args[0], mockMsWallet.getTxData)
+    })
+  })
+
+  describe('#getTransactions', () => {
+    it('should get the transaction history of the address', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = { ...mockMsWallet, getTransactions: sandbox.stub() }
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves([{ tx_hash: 'test-txid', height: 0 }])
+
+      const result = await adapter.getTransactions('bitcoincash:qpserver')
+
+      assert.deepEqual(result, [{ tx_hash: 'test-txid', height: 0 }])
+      assert.equal(mockRetryQueue.addToQueue.firstCall.args[0], adapter.msWallet.getTransactions)
+      assert.equal(mockRetryQueue.addToQueue.firstCall.args[1], 'bitcoincash:qpserver')
+    })
+  })
+
+  describe('#verifyInputSignatures', () => {
+    const { ECPair, ECSignature, Transaction, TransactionBuilder, crypto, script } = Bitcoin
+    const keyPair = ECPair.makeRandom()
+    const outputScript = script.pubKeyHash.output.encode(crypto.hash160(keyPair.getPublicKeyBuffer()))
+    const spentOutputs = [{ value: 0.0001, scriptPubKey: { hex: outputScript.toString('hex') } }]
+
+    // Signs a transaction spending 10,000 sats from the output of keyPair.
+    const signTransaction = (signer, signatureAlgorithm) => {
+      const builder = new TransactionBuilder()
+      builder.addInput('aa'.repeat(32), 1)
+      builder.addOutput(outputScript, 9000)
+      builder.sign(0, signer, null, Transaction.SIGHASH_ALL | Transaction.SIGHASH_BITCOINCASHBIP143, 10000, undefined, signatureAlgorithm)
+      return builder.build().toHex()
+    }
+
+    it('should accept ECDSA and Schnorr signatures of the spent outputs', () => {
+      const adapter = new BCHWalletAdapter()
+
+      assert.isTrue(adapter.verifyInputSignatures(signTransaction(keyPair, ECSignature.ECDSA), spentOutputs))
+      assert.isTrue(adapter.verifyInputSignatures(signTransaction(keyPair, ECSignature.SCHNORR), spentOutputs))
+    })
+
+    it('should reject a signature by a key that does not own the spent output', () => {
+      const adapter = new BCHWalletAdapter()
+
+      assert.isFalse(adapter.verifyInputSignatures(signTransaction(ECPair.makeRandom(), ECSignature.SCHNORR), spentOutputs))
+    })
+
+    it('should reject a signature over a different spent value', () => {
+      const adapter = new BCHWalletAdapter()
+      const hex = signTransaction(keyPair, ECSignature.ECDSA)
+
+      assert.isFalse(adapter.verifyInputSignatures(hex, [{ ...spentOutputs[0], value: 0.0002 }]))
+    })
+
+    it('should reject an unsigned input', () => {
+      const adapter = new BCHWalletAdapter()
+      const tx = new Transaction()
+      tx.addInput(Buffer.alloc(32, 0xaa), 1)
+      tx.addOutput(outputScript, 9000)
+
+      assert.isFalse(adapter.verifyInputSignatures(tx.toHex(), spentOutputs))
+    })
+  })
+
+  describe('#broadcastTransaction', () => {
+    it('should broadcast the transaction and return its txid', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.msWallet = { ...mockMsWallet, broadcast: sandbox.stub() }
+      adapter.retryQueue = mockRetryQueue
+      mockRetryQueue.addToQueue.resolves('test-txid')
+
+      const result = await adapter.broadcastTransaction('0200')
+
+      assert.equal(result, 'test-txid')
+      assert.equal(mockRetryQueue.addToQueue.firstCall.args[0], adapter.msWallet.broadcast)
+      assert.deepEqual(mockRetryQueue.addToQueue.firstCall.args[1], { hex: '0200' })
+    })
+  })
+
+  describe('#sendBch', () => {
+    it('should reload the wallet UTXOs and send from the facilitator wallet', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.retryQueue = mockRetryQueue
+      const wallet = {
+        getUtxos: sandbox.stub(),
+        send: sandbox.stub().resolves('refund-txid')
+      }
+      adapter.facilitatorWallet = wallet
+
+      const result = await adapter.sendBch('bitcoincash:qppayer', 1500)
+
+      assert.equal(result, 'refund-txid')
+      assert.equal(mockRetryQueue.addToQueue.firstCall.args[0], wallet.getUtxos)
+      assert.deepEqual(wallet.send.firstCall.args[0], [{ address: 'bitcoincash:qppayer', amountSat: 1500 }])
+    })
+
+    it('should reject an amount that is not a whole number of satoshis', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.retryQueue = mockRetryQueue
+      adapter.facilitatorWallet = {
+        getUtxos: sandbox.stub(),
+        send: sandbox.stub()
+      }
+
+      for (const amountSat of [0, 1500.5, '1500']) {
+        try {
+          await adapter.sendBch('bitcoincash:qppayer', amountSat)
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.include(err.message, 'Invalid amountSat')
+        }
+      }
+      assert.isTrue(adapter.facilitatorWallet.send.notCalled)
+    })
+
+    it('should only send on BCH mainnet', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.retryQueue = mockRetryQueue
+      adapter.facilitatorWallet = {
+        getUtxos: sandbox.stub(),
+        send: sandbox.stub().resolves('refund-txid')
+      }
+
+      const result = await adapter.sendBch('bitcoincash:qppayer', 1500, { network: 'bip122:000000000000000000651ef99cb9fcbe' })
+      assert.equal(result, 'refund-txid')
+
+      try {
+        await adapter.sendBch('bchtest:qppayer', 1500, { network: 'bip122:000000001dd410c49a788668ce267517' })
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'only sends on BCH mainnet')
+      }
+      assert.isTrue(adapter.facilitatorWallet.send.calledOnce)
+    })
+
+    it('should not retry a send that failed', async () => {
+      const adapter = new BCHWalletAdapter()
+      adapter.retryQueue = mockRetryQueue
+      adapter.facilitatorWallet = {
+        getUtxos: sandbox.stub(),
+        send: sandbox.stub().rejects(new Error('Insufficient balance'))
+      }
+
+      try {
+        await adapter.sendBch('bitcoincash:qppayer', 1500)
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'Insufficient balance')
+        assert.isTrue(adapter.facilitatorWallet.send.calledOnce)
+        assert.isTrue(mockRetryQueue.addToQueue.calledOnce)
+      }
+    })
+  })
 })
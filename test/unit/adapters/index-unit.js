@@ -37,6 +37,7 @@ describe('#adapters/index.js', () => {
       assert.property(adapters, 'logger')
       assert.property(adapters, 'bchWallet')
       assert.property(adapters, 'levelDB')
+      assert.property(adapters, 'ledgerLock')
     })
   })
 
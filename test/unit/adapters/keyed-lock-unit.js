@@ -0,0 +1,90 @@
+/*
+  Unit tests for the keyed-lock adapter.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import KeyedLock from '../../../src/adapters/keyed-lock.js'
+
+// Resolves after the given number of milliseconds.
+function sleep (ms) {
+  return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+describe('#adapters/keyed-lock.js', () => {
+  let uut
+
+  beforeEach(() => {
+    uut = new KeyedLock()
+  })
+
+  describe('#runExclusive', () => {
+    it('should return the value returned by the function', async () => {
+      const result = await uut.runExclusive('a', async () => 'done')
+
+      assert.equal(result, 'done')
+      assert.isFalse(uut.isLocked('a'))
+    })
+
+    it('should run work on the same key one at a time, in order', async () => {
+      const events = []
+      const work = (id, ms) => uut.runExclusive('a', async () => {
+        events.push(`start ${id}`)
+        await sleep(ms)
+        events.push(`end ${id}`)
+      })
+
+      await Promise.all([work(1, 20), work(2, 1), work(3, 5)])
+
+      assert.deepEqual(events, ['start 1', 'end 1', 'start 2', 'end 2', 'start 3', 'end 3'])
+      assert.isFalse(uut.isLocked('a'))
+    })
+
+    it('should run work on different keys concurrently', async () => {
+      const events = []
+      const work = (key, ms) => uut.runExclusive(key, async () => {
+        events.push(`start ${key}`)
+        await sleep(ms)
+        events.push(`end ${key}`)
+      })
+
+      await Promise.all([work('a', 20), work('b', 1)])
+
+      assert.deepEqual(events, ['start a', 'start b', 'end b', 'end a'])
+    })
+
+    it('should hold every key until the function finishes', async () => {
+      const events = []
+
+      await Promise.all([
+        uut.runExclusive(['a', 'b'], async () => {
+          await sleep(10)
+          events.push('ab')
+        }),
+        sleep(1).then(() => uut.runExclusive('b', async () => {
+          events.push('b')
+        }))
+      ])
+
+      assert.deepEqual(events, ['ab', 'b'])
+    })
+
+    it('should release the locks when the function throws', async () => {
+      try {
+        await uut.runExclusive(['a', 'b'], async () => {
+          throw new Error('test error')
+        })
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.equal(err.message, 'test error')
+      }
+
+      assert.isFalse(uut.isLocked('a'))
+      assert.isFalse(uut.isLocked('b'))
+      const result = await uut.runExclusive('a', async () => 'free')
+      assert.equal(result, 'free')
+    })
+  })
+})
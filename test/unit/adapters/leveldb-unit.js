@@ -31,25 +31,36 @@ describe('#adapters/leveldb.js', () => {
       const adapter = new LevelDBAdapter()
       assert.isNotNull(adapter)
       assert.isNull(adapter.utxoDb)
-      assert.isNull(adapter.addressDb)
+      assert.isNull(adapter.tenantDb)
+      assert.isNull(adapter.settlementDb)
+      assert.isNull(adapter.idempotencyDb)
+      assert.isNull(adapter.nonceDb)
+      assert.isNull(adapter.journalDb)
+      assert.isNull(adapter.refundDb)
       assert.isFunction(adapter.openDb)
     })
   })
 
   describe('#openDb', () => {
-    it('should open database and return utxoDb and addressDb', () => {
+    it('should open database and return utxoDb, tenantDb, settlementDb, idempotencyDb, nonceDb, journalDb and refundDb', () => {
       const adapter = new LevelDBAdapter()
       adapter.level = levelStub
 
       const result = adapter.openDb()
 
-      assert.isTrue(levelStub.calledTwice) // Called once for utxoDb, once for addressDb
+      assert.equal(levelStub.callCount, 7) // Called once each for utxoDb, tenantDb, settlementDb, idempotencyDb, nonceDb, journalDb and refundDb
       assert.equal(adapter.utxoDb, mockLevelDb)
-      assert.equal(adapter.addressDb, mockLevelDb)
+      assert.equal(adapter.tenantDb, mockLevelDb)
+      assert.equal(adapter.settlementDb, mockLevelDb)
       assert.property(result, 'utxoDb')
-      assert.property(result, 'addressDb')
+      assert.property(result, 'tenantDb')
       assert.equal(result.utxoDb, mockLevelDb)
-      assert.equal(result.addressDb, mockLevelDb)
+      assert.equal(result.tenantDb, mockLevelDb)
+      assert.equal(result.settlementDb, mockLevelDb)
+      assert.equal(result.idempotencyDb, mockLevelDb)
+      assert.equal(result.nonceDb, mockLevelDb)
+      assert.equal(result.journalDb, mockLevelDb)
+      assert.equal(result.refundDb, mockLevelDb)
     })
   })
 
@@ -57,20 +68,30 @@ describe('#adapters/leveldb.js', () => {
     it('should close database if it exists', async () => {
       const adapter = new LevelDBAdapter()
       adapter.utxoDb = mockLevelDb
-      adapter.addressDb = mockLevelDb
+      adapter.tenantDb = mockLevelDb
+      adapter.settlementDb = mockLevelDb
+      adapter.idempotencyDb = mockLevelDb
+      adapter.nonceDb = mockLevelDb
+      adapter.journalDb = mockLevelDb
+      adapter.refundDb = mockLevelDb
 
       const result = await adapter.closeDb()
 
-      assert.isTrue(mockLevelDb.close.calledTwice) // Called once for utxoDb, once for addressDb
+      assert.equal(mockLevelDb.close.callCount, 7) // Called once each for utxoDb, tenantDb, settlementDb, idempotencyDb, nonceDb, journalDb and refundDb
       assert.isNull(adapter.utxoDb)
-      assert.isNull(adapter.addressDb)
+      assert.isNull(adapter.tenantDb)
+      assert.isNull(adapter.settlementDb)
+      assert.isNull(adapter.idempotencyDb)
+      assert.isNull(adapter.nonceDb)
+      assert.isNull(adapter.journalDb)
+      assert.isNull(adapter.refundDb)
       assert.isTrue(result)
     })
 
     it('should return true if database does not exist', async () => {
       const adapter = new LevelDBAdapter()
       adapter.utxoDb = null
-      adapter.addressDb = null
+      adapter.tenantDb = null
 
       const result = await adapter.closeDb()
 
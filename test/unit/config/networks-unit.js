@@ -0,0 +1,102 @@
+/*
+  Unit tests for the network registry.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+
+// Unit under test
+import {
+  getConfiguredNetworks,
+  getNetwork,
+  getDefaultNetwork,
+  isAddressOnNetwork
+} from '../../../src/config/networks.js'
+
+const MAINNET = 'bip122:000000000000000000651ef99cb9fcbe'
+const TESTNET4 = 'bip122:000000001dd410c49a788668ce267517'
+
+describe('#config/networks.js', () => {
+  const localConfig = {
+    networks: ['bch', 'bch-testnet'],
+    bchServerUrl: 'http://mainnet',
+    bchTestnetServerUrl: 'http://testnet',
+    bchChipnetServerUrl: 'http://chipnet'
+  }
+
+  describe('#getConfiguredNetworks', () => {
+    it('should default to mainnet', () => {
+      const result = getConfiguredNetworks({ bchServerUrl: 'http://mainnet' })
+
+      assert.deepEqual(result, [{
+        alias: 'bch',
+        caip2: MAINNET,
+        addressPrefix: 'bitcoincash',
+        serverUrl: 'http://mainnet'
+      }])
+    })
+
+    it('should resolve networks by alias or CAIP-2 identifier, in order', () => {
+      const result = getConfiguredNetworks({ ...localConfig, networks: [TESTNET4, 'bch'] })
+
+      assert.deepEqual(result.map(network => network.alias), ['bch-testnet', 'bch'])
+      assert.equal(result[0].addressPrefix, 'bchtest')
+      assert.equal(result[0].serverUrl, 'http://testnet')
+    })
+
+    it('should throw on an unknown network', () => {
+      assert.throws(
+        () => getConfiguredNetworks({ ...localConfig, networks: ['btc'] }),
+        /Unknown network in NETWORKS: 'btc'/
+      )
+    })
+
+    it('should not enable testnet and chipnet under the same CAIP-2 identifier', () => {
+      assert.throws(
+        () => getConfiguredNetworks({ ...localConfig, networks: ['bch-testnet', 'bch-chipnet'] }),
+        /More than one network/
+      )
+    })
+
+    it('should use the configured CAIP-2 identifier for chipnet', () => {
+      const result = getConfiguredNetworks({
+        ...localConfig,
+        networks: ['bch-testnet', 'bch-chipnet'],
+        bchChipnetCaip2: 'bip122:chipnet'
+      })
+
+      assert.equal(result[1].caip2, 'bip122:chipnet')
+      assert.equal(result[1].serverUrl, 'http://chipnet')
+    })
+  })
+
+  describe('#getNetwork', () => {
+    it('should find a configured network', () => {
+      assert.equal(getNetwork('bch-testnet', localConfig).caip2, TESTNET4)
+      assert.equal(getNetwork(MAINNET, localConfig).alias, 'bch')
+    })
+
+    it('should return undefined for a network that is not configured', () => {
+      assert.isUndefined(getNetwork('bch-chipnet', localConfig))
+    })
+  })
+
+  describe('#getDefaultNetwork', () => {
+    it('should return the first configured network', () => {
+      assert.equal(getDefaultNetwork(localConfig).alias, 'bch')
+    })
+  })
+
+  describe('#isAddressOnNetwork', () => {
+    const testnet = { addressPrefix: 'bchtest' }
+
+    it('should check the address prefix', () => {
+      assert.isTrue(isAddressOnNetwork('bchtest:qptest', testnet))
+      assert.isFalse(isAddressOnNetwork('bitcoincash:qptest', testnet))
+    })
+
+    it('should accept an address without a prefix', () => {
+      assert.isTrue(isAddressOnNetwork('qptest', testnet))
+    })
+  })
+})
@@ -49,6 +49,8 @@ describe('#controllers/index.js', () => {
       // We need to verify that start() is called on the real instance
       const startSpy = sandbox.spy(controllers.useCases, 'start')
       await controllers.initUseCases()
+      controllers.useCases.facilitator.stopLedgerMonitor()
+      controllers.useCases.idempotency.stopPruning()
 
       assert.isTrue(startSpy.calledOnce)
     })
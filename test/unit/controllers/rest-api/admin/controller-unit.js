@@ -0,0 +1,290 @@
+/*
+  Unit tests for the admin REST controller.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Unit under test
+import AdminRESTControllerLib from '../../../../../src/controllers/rest-api/admin/controller.js'
+
+describe('#controllers/rest-api/admin/controller.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockUseCases
+  let mockAdminUseCase
+  let mockJournalUseCase
+  let mockRecord
+  let controller
+
+  const createMockRes = () => ({
+    status: sandbox.stub().returnsThis(),
+    json: sandbox.stub()
+  })
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    mockRecord = {
+      utxoId: 'tx1:0',
+      payerAddress: 'bitcoincash:qptest',
+      remainingBalanceSat: '1000'
+    }
+    mockAdminUseCase = {
+      checkAdminKey: sandbox.stub().callsFake(key => key === 'admin-secret'),
+      listLedgerRecords: sandbox.stub().resolves({ records: [mockRecord], nextCursor: null }),
+      getLedgerRecord: sandbox.stub().resolves(mockRecord),
+      getPayerRecords: sandbox.stub().resolves([mockRecord]),
+      freezeUtxo: sandbox.stub().resolves({ success: true, record: mockRecord }),
+      unfreezeUtxo: sandbox.stub().resolves({ success: true, record: mockRecord }),
+      adjustBalance: sandbox.stub().resolves({ success: true, record: mockRecord })
+    }
+    mockJournalUseCase = {
+      query: sandbox.stub().resolves({ entries: [], nextCursor: null })
+    }
+    mockAdapters = {
+      logger: {
+        error: sandbox.stub()
+      }
+    }
+    mockUseCases = {
+      admin: mockAdminUseCase,
+      journal: mockJournalUseCase
+    }
+
+    controller = new AdminRESTControllerLib({
+      adapters: mockAdapters,
+      useCases: mockUseCases
+    })
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new AdminRESTControllerLib({ useCases: mockUseCases }),
+        /Instance of Adapters library required/
+      )
+    })
+
+    it('should throw error when useCases are not provided', () => {
+      assert.throws(
+        () => new AdminRESTControllerLib({ adapters: mockAdapters }),
+        /Instance of Use Cases library required/
+      )
+    })
+  })
+
+  describe('#authenticate', () => {
+    it('should let the operator through', () => {
+      const next = sandbox.stub()
+      const mockRes = createMockRes()
+
+      controller.authenticate({ headers: { 'x-admin-key': 'admin-secret' } }, mockRes, next)
+
+      assert.isTrue(next.calledOnce)
+      assert.isTrue(mockRes.status.notCalled)
+    })
+
+    it('should return 401 for a wrong or missing admin key', () => {
+      for (const headers of [{ 'x-admin-key': 'wrong' }, {}]) {
+        const next = sandbox.stub()
+        const mockRes = createMockRes()
+
+        controller.authenticate({ headers }, mockRes, next)
+
+        assert.isTrue(next.notCalled)
+        assert.isTrue(mockRes.status.calledWith(401))
+        assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'Invalid or missing admin key' })
+      }
+    })
+  })
+
+  describe('#listLedger', () => {
+    it('should return a page of the ledger', async () => {
+      const mockRes = createMockRes()
+
+      await controller.listLedger({ query: { after: 'tx0:0', limit: '10' } }, mockRes)
+
+      assert.deepEqual(mockAdminUseCase.listLedgerRecords.firstCall.args[0], { after: 'tx0:0', limit: '10' })
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { records: [mockRecord], nextCursor: null })
+    })
+
+    it('should return 400 for repeated query parameters', async () => {
+      const mockRes = createMockRes()
+
+      await controller.listLedger({ query: { limit: ['1', '2'] } }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.isTrue(mockAdminUseCase.listLedgerRecords.notCalled)
+    })
+
+    it('should return 500 on errors', async () => {
+      mockAdminUseCase.listLedgerRecords.rejects(new Error('UTXO database not initialized'))
+      const mockRes = createMockRes()
+
+      await controller.listLedger({ query: {} }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(500))
+      assert.isTrue(mockAdapters.logger.error.calledOnce)
+    })
+  })
+
+  describe('#getLedgerRecord', () => {
+    it('should return the record of a UTXO', async () => {
+      const mockRes = createMockRes()
+
+      await controller.getLedgerRecord({ params: { utxoId: 'tx1:0' } }, mockRes)
+
+      assert.isTrue(mockAdminUseCase.getLedgerRecord.calledWith('tx1:0'))
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { record: mockRecord })
+    })
+
+    it('should return 404 for a UTXO that is not in the ledger', async () => {
+      mockAdminUseCase.getLedgerRecord.resolves(null)
+      const mockRes = createMockRes()
+
+      await controller.getLedgerRecord({ params: { utxoId: 'tx9:0' } }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(404))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'utxo_not_found' })
+    })
+  })
+
+  describe('#getPayerRecords', () => {
+    it('should return the records of a payer', async () => {
+      const mockRes = createMockRes()
+
+      await controller.getPayerRecords({ params: { address: 'bitcoincash:qptest' } }, mockRes)
+
+      assert.isTrue(mockAdminUseCase.getPayerRecords.calledWith('bitcoincash:qptest'))
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { records: [mockRecord] })
+    })
+  })
+
+  describe('#freezeUtxo', () => {
+    it('should freeze a UTXO with the operator note', async () => {
+      const mockRes = createMockRes()
+
+      await controller.freezeUtxo({ params: { utxoId: 'tx1:0' }, body: { note: 'Chargeback' } }, mockRes)
+
+      assert.isTrue(mockAdminUseCase.freezeUtxo.calledWith('tx1:0', { note: 'Chargeback' }))
+      assert.isTrue(mockRes.status.calledWith(200))
+    })
+
+    it('should return 409 for a UTXO that is already frozen', async () => {
+      mockAdminUseCase.freezeUtxo.resolves({ success: false, errorReason: 'utxo_already_frozen' })
+      const mockRes = createMockRes()
+
+      await controller.freezeUtxo({ params: { utxoId: 'tx1:0' }, body: { note: 'Chargeback' } }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(409))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'utxo_already_frozen' })
+    })
+  })
+
+  describe('#unfreezeUtxo', () => {
+    it('should unfreeze a UTXO with the operator note', async () => {
+      const mockRes = createMockRes()
+
+      await controller.unfreezeUtxo({ params: { utxoId: 'tx1:0' }, body: { note: 'Resolved' } }, mockRes)
+
+      assert.isTrue(mockAdminUseCase.unfreezeUtxo.calledWith('tx1:0', { note: 'Resolved' }))
+      assert.isTrue(mockRes.status.calledWith(200))
+    })
+
+    it('should return 404 for a UTXO that is not in the ledger', async () => {
+      mockAdminUseCase.unfreezeUtxo.resolves({ success: false, errorReason: 'utxo_not_found' })
+      const mockRes = createMockRes()
+
+      await controller.unfreezeUtxo({ params: { utxoId: 'tx9:0' }, body: { note: 'Resolved' } }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(404))
+    })
+  })
+
+  describe('#adjustBalance', () => {
+    it('should adjust the balance of a UTXO', async () => {
+      const mockRes = createMockRes()
+
+      await controller.adjustBalance({
+        params: { utxoId: 'tx1:0' },
+        body: { type: 'credit', amountSat: '500', note: 'Goodwill' }
+      }, mockRes)
+
+      assert.isTrue(mockAdminUseCase.adjustBalance.calledWith('tx1:0', {
+        type: 'credit',
+        amountSat: '500',
+        note: 'Goodwill'
+      }))
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { success: true, record: mockRecord })
+    })
+
+    it('should return 400 for a malformed adjustment', async () => {
+      mockAdminUseCase.adjustBalance.resolves({ success: false, errorReason: 'note_required' })
+      const mockRes = createMockRes()
+
+      await controller.adjustBalance({ params: { utxoId: 'tx1:0' }, body: {} }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'note_required' })
+    })
+
+    it('should return 409 for a debit above the balance', async () => {
+      mockAdminUseCase.adjustBalance.resolves({ success: false, errorReason: 'insufficient_balance' })
+      const mockRes = createMockRes()
+
+      await controller.adjustBalance({
+        params: { utxoId: 'tx1:0' },
+        body: { type: 'debit', amountSat: '5000', note: 'Unbilled calls' }
+      }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(409))
+    })
+  })
+
+  describe('#getJournal', () => {
+    it('should query the journal of every tenant', async () => {
+      const mockRes = createMockRes()
+
+      await controller.getJournal({ query: { tenantId: 'acme', from: '2026-01-01' } }, mockRes)
+
+      assert.deepEqual(mockJournalUseCase.query.firstCall.args[0], {
+        payer: undefined,
+        resource: undefined,
+        from: '2026-01-01T00:00:00.000Z',
+        to: undefined,
+        tenantId: 'acme',
+        limit: undefined,
+        after: undefined
+      })
+      assert.isTrue(mockRes.status.calledWith(200))
+    })
+
+    it('should return 400 for a time that is not a timestamp', async () => {
+      const mockRes = createMockRes()
+
+      await controller.getJournal({ query: { from: 'yesterday' } }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.isTrue(mockJournalUseCase.query.notCalled)
+    })
+
+    it('should return 400 for an invalid cursor', async () => {
+      mockJournalUseCase.query.rejects(new Error('Invalid cursor'))
+      const mockRes = createMockRes()
+
+      await controller.getJournal({ query: { after: 'entry!x' } }, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'Invalid cursor' })
+    })
+  })
+})
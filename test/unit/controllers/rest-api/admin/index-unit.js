@@ -0,0 +1,102 @@
+/*
+  Unit tests for the admin router.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Unit under test
+import AdminRouter from '../../../../../src/controllers/rest-api/admin/index.js'
+
+describe('#controllers/rest-api/admin/index.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockUseCases
+  let mockRouter
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    mockAdapters = {}
+    mockUseCases = {}
+    mockRouter = {
+      use: sandbox.stub(),
+      get: sandbox.stub(),
+      post: sandbox.stub()
+    }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should create AdminRouter instance', () => {
+      const router = new AdminRouter({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      assert.isNotNull(router)
+      assert.equal(router.adapters, mockAdapters)
+      assert.equal(router.useCases, mockUseCases)
+      assert.property(router, 'router')
+    })
+
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new AdminRouter({ useCases: mockUseCases }),
+        /Instance of Adapters library required/
+      )
+    })
+
+    it('should throw error when useCases are not provided', () => {
+      assert.throws(
+        () => new AdminRouter({ adapters: mockAdapters }),
+        /Instance of Use Cases library required/
+      )
+    })
+  })
+
+  describe('#attach', () => {
+    it('should attach the authenticated routes to app', () => {
+      const router = new AdminRouter({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      router.router = mockRouter
+
+      const mockApp = {
+        use: sandbox.stub()
+      }
+
+      router.attach(mockApp)
+
+      // The admin key is checked before every route.
+      assert.isTrue(mockRouter.use.calledWith(router.adminRESTController.authenticate))
+      assert.isTrue(mockRouter.use.calledBefore(mockRouter.get))
+
+      // Verify routes were registered
+      assert.isTrue(mockRouter.get.calledWith('/ledger', sinon.match.func))
+      assert.isTrue(mockRouter.get.calledWith('/ledger/:utxoId', sinon.match.func))
+      assert.isTrue(mockRouter.get.calledWith('/payers/:address', sinon.match.func))
+      assert.isTrue(mockRouter.post.calledWith('/ledger/:utxoId/freeze', sinon.match.func))
+      assert.isTrue(mockRouter.post.calledWith('/ledger/:utxoId/unfreeze', sinon.match.func))
+      assert.isTrue(mockRouter.post.calledWith('/ledger/:utxoId/adjustments', sinon.match.func))
+      assert.isTrue(mockRouter.get.calledWith('/journal', sinon.match.func))
+      assert.isTrue(mockApp.use.calledWith('/admin', mockRouter))
+    })
+
+    it('should throw error when app is not provided', () => {
+      const router = new AdminRouter({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      assert.throws(
+        () => router.attach(null),
+        /Must pass app object/
+      )
+    })
+  })
+})
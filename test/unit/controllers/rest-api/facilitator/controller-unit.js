@@ -6,6 +6,10 @@
 import { assert } from 'chai'
 import sinon from 'sinon'
 
+// Local libraries
+import KeyedLock from '../../../../../src/adapters/keyed-lock.js'
+import IdempotencyUseCase from '../../../../../src/use-cases/idempotency.js'
+
 // Unit under test
 import FacilitatorRESTControllerLib from '../../../../../src/controllers/rest-api/facilitator/controller.js'
 
@@ -15,6 +19,11 @@ describe('#controllers/rest-api/facilitator/controller.js', () => {
   let mockUseCases
   let mockLogger
   let mockFacilitatorUseCase
+  let mockTenantUseCase
+  let mockIdempotencyUseCase
+  let mockJournalUseCase
+  let mockRefundUseCase
+  let mockTenant
 
   beforeEach(() => {
     sandbox = sinon.createSandbox()
@@ -30,13 +39,53 @@ describe('#controllers/rest-api/facilitator/controller.js', () => {
       settlePayment: sandbox.stub().resolves({
         success: true,
         transaction: 'tx123'
+      }),
+      fundTab: sandbox.stub().resolves({
+        success: true,
+        payer: 'bitcoincash:qptest',
+        tabBalanceSat: '2000'
+      }),
+      getPayerBalance: sandbox.stub().resolves({
+        success: true,
+        address: 'bitcoincash:qptest',
+        utxos: [],
+        totals: []
+      }),
+      getIdempotencyKey: sandbox.stub().returns('derived-key'),
+      isLegacyAuthorization: sandbox.stub().returns(false)
+    }
+    mockTenant = {
+      tenantId: 'default',
+      payTo: ['bitcoincash:qprecv']
+    }
+    mockTenantUseCase = {
+      resolveTenant: sandbox.stub().resolves(mockTenant),
+      getTenantByPayTo: sandbox.stub().resolves(mockTenant),
+      getTenantByApiKey: sandbox.stub().resolves(mockTenant)
+    }
+    mockIdempotencyUseCase = {
+      execute: sandbox.stub().callsFake(async ({ fn }) => {
+        return { result: await fn(), replayed: false, conflict: false }
+      })
+    }
+    mockJournalUseCase = {
+      query: sandbox.stub().resolves({ entries: [], nextCursor: null })
+    }
+    mockRefundUseCase = {
+      requestRefund: sandbox.stub().resolves({
+        success: true,
+        refund: { refundId: 'refund1', status: 'queued', amountSat: '1500' }
       })
     }
     mockAdapters = {
       logger: mockLogger
     }
     mockUseCases = {
-      facilitator: mockFacilitatorUseCase
+      facilitator: mockFacilitatorUseCase,
+      tenant: mockTenantUseCase,
+      idempotency: mockIdempotencyUseCase,
+      journal: mockJournalUseCase,
+      refund: mockRefundUseCase
     }
   })
 
@@ -139,6 +188,242 @@ describe('#controllers/rest-api/facilitator/controller.js', () => {
       assert.isTrue(mockRes.json.calledOnce)
     })
 
+    it('should pass the tenant resolved from the API key to the use case', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = {
+        headers: { 'x-api-key': 'test-key' },
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.verifyPayment(mockReq, mockRes)
+
+      assert.isTrue(mockTenantUseCase.resolveTenant.calledWith('test-key'))
+      assert.deepEqual(mockFacilitatorUseCase.verifyPayment.firstCall.args[2], { tenant: mockTenant, idempotencyKey: 'derived-key' })
+    })
+
+    it('should use the Idempotency-Key header', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = {
+        headers: { 'idempotency-key': 'request-1' },
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.verifyPayment(mockReq, mockRes)
+
+      const options = mockIdempotencyUseCase.execute.firstCall.args[0]
+      assert.equal(options.scope, 'verify')
+      assert.equal(options.tenantId, 'default')
+      assert.equal(options.idempotencyKey, 'request-1')
+      assert.equal(options.body, mockReq.body)
+      assert.isTrue(options.shouldStore({ isValid: true }))
+      assert.isFalse(options.shouldStore({ isValid: false }))
+      assert.equal(mockFacilitatorUseCase.verifyPayment.firstCall.args[2].idempotencyKey, 'request-1')
+    })
+
+    it('should not derive an idempotency key for a legacy authorization', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockFacilitatorUseCase.isLegacyAuthorization.returns(true)
+
+      const mockReq = {
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.verifyPayment(mockReq, mockRes)
+
+      assert.isNull(mockIdempotencyUseCase.execute.firstCall.args[0].idempotencyKey)
+      assert.isTrue(mockFacilitatorUseCase.getIdempotencyKey.notCalled)
+    })
+
+    it('should debit every identical legacy "check my tab" verify', async () => {
+      // The same legacy authorization is signed for every call on a tab, so
+      // a repeat is a new call, not a retry of the first one.
+      const idempotencyDb = new Map()
+      mockUseCases.idempotency = new IdempotencyUseCase({
+        adapters: {
+          ledgerLock: new KeyedLock(),
+          levelDB: {
+            idempotencyDb: {
+              get: async (key) => {
+                if (!idempotencyDb.has(key)) throw new Error('NotFound')
+                return idempotencyDb.get(key)
+              },
+              put: async (key, value) => idempotencyDb.set(key, value),
+              del: async (key) => idempotencyDb.delete(key)
+            }
+          }
+        }
+      })
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockFacilitatorUseCase.isLegacyAuthorization.returns(true)
+
+      const createReq = () => ({
+        body: {
+          paymentPayload: {
+            payload: {
+              signature: 'tab-signature',
+              authorization: { from: 'bitcoincash:qptest', to: 'bitcoincash:qprecv', value: '1000', txid: '*', vout: null, amount: null }
+            }
+          },
+          paymentRequirements: { scheme: 'utxo', amount: '1000', payTo: 'bitcoincash:qprecv' }
+        }
+      })
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub(),
+        set: sandbox.stub()
+      }
+
+      await controller.verifyPayment(createReq(), mockRes)
+      await controller.verifyPayment(createReq(), mockRes)
+
+      assert.equal(mockFacilitatorUseCase.verifyPayment.callCount, 2)
+      assert.isTrue(mockRes.set.notCalled)
+      assert.equal(idempotencyDb.size, 0)
+    })
+
+    it('should derive an idempotency key for an exact scheme transaction', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockFacilitatorUseCase.isLegacyAuthorization.returns(true)
+
+      const mockReq = {
+        body: {
+          paymentPayload: { payload: { transaction: '0200' } },
+          paymentRequirements: { scheme: 'exact' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.verifyPayment(mockReq, mockRes)
+
+      assert.equal(mockIdempotencyUseCase.execute.firstCall.args[0].idempotencyKey, 'derived-key')
+    })
+
+    it('should return the stored result of a replayed request', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockIdempotencyUseCase.execute.resolves({
+        result: { isValid: true, payer: 'bitcoincash:qptest', remainingBalanceSat: '1000' },
+        replayed: true,
+        conflict: false
+      })
+
+      const mockReq = {
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        set: sandbox.stub(),
+        json: sandbox.stub()
+      }
+
+      await controller.verifyPayment(mockReq, mockRes)
+
+      assert.isTrue(mockFacilitatorUseCase.verifyPayment.notCalled)
+      assert.isTrue(mockRes.set.calledWith('Idempotent-Replayed', 'true'))
+      assert.equal(mockRes.json.firstCall.args[0].remainingBalanceSat, '1000')
+    })
+
+    it('should return 422 when the idempotency key was used for a different request', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockIdempotencyUseCase.execute.resolves({ result: null, replayed: false, conflict: true })
+
+      const mockReq = {
+        headers: { 'idempotency-key': 'request-1' },
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.verifyPayment(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(422))
+    })
+
+    it('should return 401 when the API key is not valid', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockTenantUseCase.resolveTenant.resolves(null)
+
+      const mockReq = {
+        headers: { 'x-api-key': 'bad-key' },
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.verifyPayment(mockReq, mockRes)
+
+      assert.isTrue(mockFacilitatorUseCase.verifyPayment.notCalled)
+      assert.isTrue(mockRes.status.calledWith(401))
+    })
+
     it('should include optional response fields when available', async () => {
       const controller = new FacilitatorRESTControllerLib({
         adapters: mockAdapters,
@@ -303,10 +588,86 @@ describe('#controllers/rest-api/facilitator/controller.js', () => {
       await controller.settlePayment(mockReq, mockRes)
 
       assert.isTrue(mockFacilitatorUseCase.settlePayment.calledOnce)
+      assert.deepEqual(mockFacilitatorUseCase.settlePayment.firstCall.args[2], { tenant: mockTenant, idempotencyKey: 'derived-key' })
       assert.isTrue(mockRes.status.calledWith(200))
       assert.isTrue(mockRes.json.calledOnce)
     })
 
+    it('should only store successful settlements for replays', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = {
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.settlePayment(mockReq, mockRes)
+
+      const options = mockIdempotencyUseCase.execute.firstCall.args[0]
+      assert.equal(options.scope, 'settle')
+      assert.isTrue(options.shouldStore({ success: true }))
+      assert.isFalse(options.shouldStore({ success: false }))
+    })
+
+    it('should return 422 when the idempotency key was used for a different request', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockIdempotencyUseCase.execute.resolves({ result: null, replayed: false, conflict: true })
+
+      const mockReq = {
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.settlePayment(mockReq, mockRes)
+
+      assert.isTrue(mockFacilitatorUseCase.settlePayment.notCalled)
+      assert.isTrue(mockRes.status.calledWith(422))
+    })
+
+    it('should return 401 when the API key is not valid', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      mockTenantUseCase.resolveTenant.resolves(null)
+
+      const mockReq = {
+        body: {
+          paymentPayload: { test: 'payload' },
+          paymentRequirements: { test: 'requirements' }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.settlePayment(mockReq, mockRes)
+
+      assert.isTrue(mockFacilitatorUseCase.settlePayment.notCalled)
+      assert.isTrue(mockRes.status.calledWith(401))
+    })
+
     it('should return 400 when paymentPayload is missing', async () => {
       const controller = new FacilitatorRESTControllerLib({
         adapters: mockAdapters,
@@ -356,6 +717,382 @@ describe('#controllers/rest-api/facilitator/controller.js', () => {
     })
   })
 
+  describe('#fundTab', () => {
+    it('should fund the tab of the tenant that owns the payTo address', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = {
+        body: {
+          network: 'bch',
+          payload: {
+            signature: 'sig',
+            authorization: { from: 'bitcoincash:qptest', to: 'bitcoincash:qprecv', txid: 'tx1', vout: 0 }
+          }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.fundTab(mockReq, mockRes)
+
+      assert.isTrue(mockTenantUseCase.getTenantByPayTo.calledWith('bitcoincash:qprecv'))
+      assert.equal(mockFacilitatorUseCase.fundTab.firstCall.args[0], mockReq.body)
+      assert.deepEqual(mockFacilitatorUseCase.fundTab.firstCall.args[1], { tenant: mockTenant })
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.equal(mockRes.json.firstCall.args[0].tabBalanceSat, '2000')
+    })
+
+    it('should return 400 when the signature or authorization is missing', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = { body: { payload: { authorization: {} } } }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.fundTab(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.isTrue(mockFacilitatorUseCase.fundTab.notCalled)
+    })
+
+    it('should handle errors', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockFacilitatorUseCase.fundTab.rejects(new Error('test error'))
+
+      const mockReq = {
+        body: {
+          payload: {
+            signature: 'sig',
+            authorization: { from: 'bitcoincash:qptest', to: 'bitcoincash:qprecv', txid: 'tx1', vout: 0 }
+          }
+        }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.fundTab(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(500))
+    })
+  })
+
+  describe('#getBalance', () => {
+    it('should return the balance of the payer', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = {
+        params: { address: 'bitcoincash:qptest' },
+        query: { signature: 'sig', validBefore: '1762621800' }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getBalance(mockReq, mockRes)
+
+      assert.isTrue(mockFacilitatorUseCase.getPayerBalance.calledWith('bitcoincash:qptest', {
+        signature: 'sig',
+        validBefore: 1762621800
+      }))
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.equal(mockRes.json.firstCall.args[0].address, 'bitcoincash:qptest')
+    })
+
+    it('should take the signature from the X-Signature header', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = {
+        params: { address: 'bitcoincash:qptest' },
+        headers: { 'x-signature': 'header-sig' },
+        query: { validBefore: '1762621800' }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getBalance(mockReq, mockRes)
+
+      assert.equal(mockFacilitatorUseCase.getPayerBalance.firstCall.args[1].signature, 'header-sig')
+      assert.isTrue(mockRes.status.calledWith(200))
+    })
+
+    it('should return 400 when the authorization is valid for too long', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockFacilitatorUseCase.getPayerBalance.resolves({ success: false, errorReason: 'authorization_too_long' })
+
+      const mockReq = {
+        params: { address: 'bitcoincash:qptest' },
+        query: { signature: 'sig', validBefore: '1762621800' }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getBalance(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'authorization_too_long' })
+    })
+
+    it('should return 401 when the signature is not valid', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockFacilitatorUseCase.getPayerBalance.resolves({
+        success: false,
+        errorReason: 'invalid_exact_bch_payload_signature'
+      })
+
+      const mockReq = {
+        params: { address: 'bitcoincash:qptest' },
+        query: { signature: 'sig', validBefore: '1762621800' }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getBalance(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(401))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'invalid_exact_bch_payload_signature' })
+    })
+
+    it('should return 400 when the signature is missing', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockFacilitatorUseCase.getPayerBalance.resolves({ success: false, errorReason: 'invalid_payload' })
+
+      const mockReq = { params: { address: 'bitcoincash:qptest' }, query: {} }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getBalance(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+    })
+  })
+
+  describe('#getJournal', () => {
+    it('should query the journal of the tenant', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = {
+        headers: { 'x-api-key': 'key' },
+        query: { payer: 'bitcoincash:qptest', from: '2026-01-01', limit: '10' }
+      }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getJournal(mockReq, mockRes)
+
+      assert.isTrue(mockTenantUseCase.getTenantByApiKey.calledWith('key'))
+      assert.deepEqual(mockJournalUseCase.query.firstCall.args[0], {
+        payer: 'bitcoincash:qptest',
+        resource: undefined,
+        from: '2026-01-01T00:00:00.000Z',
+        to: undefined,
+        limit: '10',
+        after: undefined,
+        tenantId: 'default'
+      })
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { entries: [], nextCursor: null })
+    })
+
+    it('should return 401 without an API key', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = { headers: {}, query: {} }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getJournal(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(401))
+      assert.isTrue(mockJournalUseCase.query.notCalled)
+    })
+
+    it('should return 400 for a time that is not a timestamp', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = { headers: { 'x-api-key': 'key' }, query: { to: 'yesterday' } }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getJournal(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.isTrue(mockJournalUseCase.query.notCalled)
+    })
+
+    it('should return 400 for an invalid cursor', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockJournalUseCase.query.rejects(new Error('Invalid cursor'))
+
+      const mockReq = { headers: { 'x-api-key': 'key' }, query: { after: 'entry!x' } }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.getJournal(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'Invalid cursor' })
+    })
+  })
+
+  describe('#requestRefund', () => {
+    it('should queue the refund of the payer', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+
+      const mockReq = { body: { from: 'bitcoincash:qptest', validBefore: 1762621800, signature: 'sig' } }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.requestRefund(mockReq, mockRes)
+
+      assert.isTrue(mockRefundUseCase.requestRefund.calledWith({
+        from: 'bitcoincash:qptest',
+        validBefore: 1762621800,
+        signature: 'sig'
+      }))
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.equal(mockRes.json.firstCall.args[0].refund.refundId, 'refund1')
+    })
+
+    it('should return 400 for a malformed request', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockRefundUseCase.requestRefund.resolves({ success: false, errorReason: 'invalid_payload' })
+
+      const mockReq = { body: {} }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.requestRefund(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+    })
+
+    it('should return 400 for an authorization signed for too long', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockRefundUseCase.requestRefund.resolves({ success: false, errorReason: 'authorization_too_long' })
+
+      const mockReq = { body: { from: 'bitcoincash:qptest', validBefore: 1762621800, signature: 'sig' } }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.requestRefund(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(400))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'authorization_too_long' })
+    })
+
+    it('should return 401 when the signature is not valid', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockRefundUseCase.requestRefund.resolves({ success: false, errorReason: 'invalid_exact_bch_payload_signature' })
+
+      const mockReq = { body: { from: 'bitcoincash:qptest', validBefore: 1762621800, signature: 'sig' } }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.requestRefund(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(401))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { error: 'invalid_exact_bch_payload_signature' })
+    })
+
+    it('should return other refusals with the result', async () => {
+      const controller = new FacilitatorRESTControllerLib({
+        adapters: mockAdapters,
+        useCases: mockUseCases
+      })
+      mockRefundUseCase.requestRefund.resolves({ success: false, errorReason: 'no_refundable_balance' })
+
+      const mockReq = { body: { from: 'bitcoincash:qptest', validBefore: 1762621800, signature: 'sig' } }
+      const mockRes = {
+        status: sandbox.stub().returnsThis(),
+        json: sandbox.stub()
+      }
+
+      await controller.requestRefund(mockReq, mockRes)
+
+      assert.isTrue(mockRes.status.calledWith(200))
+      assert.deepEqual(mockRes.json.firstCall.args[0], { success: false, errorReason: 'no_refundable_balance' })
+    })
+  })
+
   describe('#handleError', () => {
     it('should handle errors and return 500', () => {
       const controller = new FacilitatorRESTControllerLib({
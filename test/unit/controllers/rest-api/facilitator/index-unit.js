@@ -75,6 +75,10 @@ describe('#controllers/rest-api/facilitator/index.js', () => {
       assert.isTrue(mockRouter.get.calledWith('/supported', sinon.match.func))
       assert.isTrue(mockRouter.post.calledWith('/verify', sinon.match.func))
       assert.isTrue(mockRouter.post.calledWith('/settle', sinon.match.func))
+      assert.isTrue(mockRouter.post.calledWith('/fund', sinon.match.func))
+      assert.isTrue(mockRouter.get.calledWith('/balance/:address', sinon.match.func))
+      assert.isTrue(mockRouter.get.calledWith('/journal', sinon.match.func))
+      assert.isTrue(mockRouter.post.calledWith('/refund', sinon.match.func))
       assert.isTrue(mockApp.use.calledWith('/facilitator', mockRouter))
     })
 
@@ -66,7 +66,8 @@ describe('#controllers/rest-api/index.js', () => {
       controllers.attachRESTControllers(mockApp)
 
       // Verify that routes were attached
-      assert.isTrue(mockApp.use.called)
+      assert.isTrue(mockApp.use.calledWith('/facilitator'))
+      assert.isTrue(mockApp.use.calledWith('/admin'))
     })
 
     it('should throw error when app is not provided', () => {
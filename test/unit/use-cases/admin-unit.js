@@ -0,0 +1,356 @@
+/*
+  Unit tests for the admin use case.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Local libraries
+import config from '../../../src/config/index.js'
+
+// Unit under test
+import AdminUseCase from '../../../src/use-cases/admin.js'
+
+const MAINNET = 'bip122:000000000000000000651ef99cb9fcbe'
+const PAYER = 'bitcoincash:qppayer'
+
+describe('#use-cases/admin.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockFacilitator
+  let mockJournal
+  let ledger
+  let uut
+
+  // Returns the record of a 5000 sat funding UTXO of the payer, of which
+  // debitedSat has been spent down.
+  const ledgerRecord = (utxoId, debitedSat = 4000, extra = {}) => ({
+    utxoId,
+    payerAddress: PAYER,
+    receiverAddress: 'bitcoincash:qpserver',
+    tenantId: 'default',
+    network: MAINNET,
+    transactionValueSat: '5000',
+    totalDebitedSat: String(debitedSat),
+    remainingBalanceSat: String(5000 - debitedSat),
+    ...extra
+  })
+
+  // Returns the record of a UTXO whose balance was spent down to zero.
+  const consumedRecord = (utxoId) => ledgerRecord(utxoId, 5000)
+
+  // Returns the record of a UTXO with a balance of 1000 sats, frozen for the
+  // given reason.
+  const frozenRecord = (utxoId, frozenReason, extra = {}) =>
+    ledgerRecord(utxoId, 4000, { frozen: true, frozenReason, ...extra })
+
+  const seedLedger = (...records) => {
+    records.forEach(record => ledger.set(record.utxoId, record))
+  }
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    sandbox.replace(config, 'adminApiKey', 'admin-secret')
+
+    ledger = new Map()
+    mockAdapters = {
+      levelDB: {
+        utxoDb: {
+          get: sandbox.stub().callsFake(async (key) => {
+            if (!ledger.has(key)) throw new Error('NotFound')
+            return ledger.get(key)
+          }),
+          // Iterates the ledger in key order, with its address index.
+          iterator: sandbox.stub().callsFake(async function * ({ gt } = {}) {
+            const entries = [...ledger.entries()]
+              .flatMap(([key, record]) => [[key, record], [`addr!${record.payerAddress}!${key}`, key]])
+              .sort(([a], [b]) => (a < b ? -1 : 1))
+            for (const entry of entries) {
+              if (gt === undefined || entry[0] > gt) yield entry
+            }
+          })
+        }
+      },
+      logger: {
+        info: sandbox.stub(),
+        error: sandbox.stub()
+      }
+    }
+    mockFacilitator = {
+      getUtxosByAddress: sandbox.stub().resolves([]),
+      updateLedgerRecord: sandbox.stub().callsFake(async (utxoId, updateFn) => {
+        if (!ledger.has(utxoId)) return null
+        const record = updateFn(ledger.get(utxoId))
+        ledger.set(utxoId, record)
+        return record
+      })
+    }
+    mockJournal = {
+      record: sandbox.stub().resolves('entry!key')
+    }
+
+    uut = new AdminUseCase({ adapters: mockAdapters, facilitator: mockFacilitator, journal: mockJournal })
+  })
+
+  afterEach(() => sandbox.restore())
+
+  describe('#constructor', () => {
+    it('should throw an error if adapters are not passed in', () => {
+      assert.throws(
+        () => new AdminUseCase({ facilitator: mockFacilitator, journal: mockJournal }),
+        /Instance of adapters must be passed in/
+      )
+    })
+
+    it('should throw an error if the facilitator is not passed in', () => {
+      assert.throws(
+        () => new AdminUseCase({ adapters: mockAdapters, journal: mockJournal }),
+        /Instance of Facilitator Use Case must be passed in/
+      )
+    })
+
+    it('should throw an error if the journal is not passed in', () => {
+      assert.throws(
+        () => new AdminUseCase({ adapters: mockAdapters, facilitator: mockFacilitator }),
+        /Instance of Journal Use Case must be passed in/
+      )
+    })
+  })
+
+  describe('#checkAdminKey', () => {
+    it('should accept the admin key', () => {
+      assert.isTrue(uut.checkAdminKey('admin-secret'))
+    })
+
+    it('should refuse another key', () => {
+      assert.isFalse(uut.checkAdminKey('admin-secre'))
+      assert.isFalse(uut.checkAdminKey(undefined))
+      assert.isFalse(uut.checkAdminKey(['admin-secret']))
+    })
+
+    it('should refuse every key when no admin key is configured', () => {
+      uut.config = { ...config, adminApiKey: '' }
+
+      assert.isFalse(uut.checkAdminKey(''))
+      assert.isFalse(uut.checkAdminKey('admin-secret'))
+    })
+  })
+
+  describe('#listLedgerRecords', () => {
+    it('should page through the ledger records, skipping the address index', async () => {
+      seedLedger(ledgerRecord('tx1:0'), consumedRecord('tx2:0'), ledgerRecord('tx3:0', 2000))
+
+      const first = await uut.listLedgerRecords({ limit: '2' })
+      assert.deepEqual(first.records.map(record => record.utxoId), ['tx1:0', 'tx2:0'])
+      assert.equal(first.nextCursor, 'tx2:0')
+
+      const second = await uut.listLedgerRecords({ after: first.nextCursor, limit: '2' })
+      assert.deepEqual(second.records.map(record => record.utxoId), ['tx3:0'])
+      assert.isNull(second.nextCursor)
+    })
+
+    it('should not return a cursor when the last page is full', async () => {
+      seedLedger(ledgerRecord('tx1:0'), ledgerRecord('tx2:0', 3000))
+
+      const result = await uut.listLedgerRecords({ limit: 2 })
+
+      assert.lengthOf(result.records, 2)
+      assert.isNull(result.nextCursor)
+    })
+
+    it('should cap the page size', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const result = await uut.listLedgerRecords({ limit: '100000' })
+
+      assert.lengthOf(result.records, 1)
+    })
+
+    it('should throw an error if the UTXO database is not initialized', async () => {
+      uut.adapters = { levelDB: {} }
+
+      try {
+        await uut.listLedgerRecords()
+        assert.fail('Unexpected code path')
+      } catch (err) {
+        assert.include(err.message, 'UTXO database not initialized')
+      }
+    })
+  })
+
+  describe('#getLedgerRecord', () => {
+    it('should return the record of a UTXO', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const record = await uut.getLedgerRecord('tx1:0')
+
+      assert.equal(record.remainingBalanceSat, '1000')
+    })
+
+    it('should return null for a UTXO that is not in the ledger', async () => {
+      assert.isNull(await uut.getLedgerRecord('tx9:0'))
+    })
+
+    it('should not return address index entries', async () => {
+      assert.isNull(await uut.getLedgerRecord(`addr!${PAYER}!tx1:0`))
+      assert.isTrue(mockAdapters.levelDB.utxoDb.get.notCalled)
+    })
+  })
+
+  describe('#getPayerRecords', () => {
+    it('should return the records of the payer', async () => {
+      const records = [ledgerRecord('tx1:0')]
+      mockFacilitator.getUtxosByAddress.resolves(records)
+
+      const result = await uut.getPayerRecords(PAYER)
+
+      assert.isTrue(mockFacilitator.getUtxosByAddress.calledWith(PAYER))
+      assert.deepEqual(result, records)
+    })
+  })
+
+  describe('#freezeUtxo', () => {
+    it('should freeze a UTXO and journal the operator note', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const result = await uut.freezeUtxo('tx1:0', { note: 'Chargeback' })
+
+      assert.isTrue(result.success)
+      assert.isTrue(result.record.frozen)
+      assert.equal(result.record.frozenReason, 'frozen_by_operator')
+      assert.isString(result.record.lastUpdated)
+      assert.isTrue(ledger.get('tx1:0').frozen)
+      assert.deepInclude(mockJournal.record.firstCall.args[0], {
+        type: 'freeze',
+        payer: PAYER,
+        utxoId: 'tx1:0',
+        amountSat: '0',
+        note: 'Chargeback',
+        result: 'frozen'
+      })
+    })
+
+    it('should refuse a UTXO that is already frozen', async () => {
+      seedLedger(frozenRecord('tx1:0', 'double_spend_detected'))
+
+      const result = await uut.freezeUtxo('tx1:0', { note: 'Chargeback' })
+
+      assert.deepEqual(result, { success: false, errorReason: 'utxo_already_frozen' })
+      assert.equal(ledger.get('tx1:0').frozenReason, 'double_spend_detected')
+      assert.isTrue(mockJournal.record.notCalled)
+    })
+
+    it('should require a note', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const result = await uut.freezeUtxo('tx1:0', { note: '  ' })
+
+      assert.deepEqual(result, { success: false, errorReason: 'note_required' })
+      assert.isTrue(mockFacilitator.updateLedgerRecord.notCalled)
+    })
+
+    it('should return utxo_not_found for a UTXO that is not in the ledger', async () => {
+      const result = await uut.freezeUtxo('tx9:0', { note: 'Chargeback' })
+
+      assert.deepEqual(result, { success: false, errorReason: 'utxo_not_found' })
+      assert.isTrue(mockJournal.record.notCalled)
+    })
+  })
+
+  describe('#unfreezeUtxo', () => {
+    it('should reopen an expired tab', async () => {
+      seedLedger(frozenRecord('tx1:0', 'tab_expired', { expiredAt: '2026-01-01T00:00:00.000Z' }))
+
+      const result = await uut.unfreezeUtxo('tx1:0', { note: 'Payer asked to keep the tab' })
+
+      assert.isTrue(result.success)
+      assert.isFalse(result.record.frozen)
+      assert.notProperty(result.record, 'frozenReason')
+      assert.notProperty(result.record, 'expiredAt')
+      assert.deepInclude(mockJournal.record.firstCall.args[0], {
+        type: 'unfreeze',
+        note: 'Payer asked to keep the tab',
+        result: 'unfrozen'
+      })
+    })
+
+    it('should refuse a UTXO that is not frozen', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const result = await uut.unfreezeUtxo('tx1:0', { note: 'Mistake' })
+
+      assert.deepEqual(result, { success: false, errorReason: 'utxo_not_frozen' })
+      assert.isTrue(mockJournal.record.notCalled)
+    })
+  })
+
+  describe('#adjustBalance', () => {
+    it('should credit a UTXO and journal the credit', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const result = await uut.adjustBalance('tx1:0', { type: 'credit', amountSat: '500', note: 'Goodwill' })
+
+      assert.isTrue(result.success)
+      assert.equal(result.record.remainingBalanceSat, '1500')
+      assert.equal(result.record.creditedSat, '500')
+      assert.equal(result.record.totalDebitedSat, '4000')
+      assert.deepInclude(mockJournal.record.firstCall.args[0], {
+        type: 'adjustment',
+        adjustment: 'credit',
+        amountSat: '500',
+        note: 'Goodwill',
+        remainingBalanceSat: '1500',
+        result: 'credited'
+      })
+    })
+
+    it('should add to earlier credits', async () => {
+      seedLedger(ledgerRecord('tx1:0', 4000, { creditedSat: '200' }))
+
+      const result = await uut.adjustBalance('tx1:0', { type: 'credit', amountSat: 300, note: 'Goodwill' })
+
+      assert.equal(result.record.creditedSat, '500')
+    })
+
+    it('should debit a UTXO and journal the debit', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const result = await uut.adjustBalance('tx1:0', { type: 'debit', amountSat: '1000', note: 'Unbilled calls' })
+
+      assert.isTrue(result.success)
+      assert.equal(result.record.remainingBalanceSat, '0')
+      assert.equal(result.record.totalDebitedSat, '5000')
+      assert.deepInclude(mockJournal.record.firstCall.args[0], {
+        type: 'adjustment',
+        adjustment: 'debit',
+        amountSat: '1000',
+        result: 'debited'
+      })
+    })
+
+    it('should refuse to debit more than the balance', async () => {
+      seedLedger(ledgerRecord('tx1:0'))
+
+      const result = await uut.adjustBalance('tx1:0', { type: 'debit', amountSat: '1001', note: 'Unbilled calls' })
+
+      assert.deepEqual(result, { success: false, errorReason: 'insufficient_balance' })
+      assert.equal(ledger.get('tx1:0').remainingBalanceSat, '1000')
+      assert.isTrue(mockJournal.record.notCalled)
+    })
+
+    it('should refuse an unknown adjustment type', async () => {
+      const result = await uut.adjustBalance('tx1:0', { type: 'refund', amountSat: '1', note: 'x' })
+
+      assert.deepEqual(result, { success: false, errorReason: 'invalid_adjustment_type' })
+    })
+
+    it('should refuse amounts that are not positive integers', async () => {
+      for (const amountSat of ['0', '-5', '1.5', 1.5, 'abc', undefined]) {
+        const result = await uut.adjustBalance('tx1:0', { type: 'credit', amountSat, note: 'x' })
+        assert.deepEqual(result, { success: false, errorReason: 'invalid_amount' })
+      }
+      assert.isTrue(mockFacilitator.updateLedgerRecord.notCalled)
+    })
+  })
+})
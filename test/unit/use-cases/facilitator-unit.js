@@ -6,8 +6,17 @@
 import { assert } from 'chai'
 import sinon from 'sinon'
 
+// Local libraries
+import KeyedLock from '../../../src/adapters/keyed-lock.js'
+import config from '../../../src/config/index.js'
+import UtxoScheme from '../../../src/use-cases/schemes/utxo.js'
+import ExactScheme from '../../../src/use-cases/schemes/exact.js'
+import JournalUseCase from '../../../src/use-cases/journal.js'
+
 // Unit under test
-import FacilitatorUseCase from '../../../src/use-cases/facilitator.js'
+import FacilitatorUseCase, { normalizeNetwork, networksMatch } from '../../../src/use-cases/facilitator.js'
+
+const TESTNET4 = 'bip122:000000001dd410c49a788668ce267517'
 
 describe('#use-cases/facilitator.js', () => {
   let sandbox
@@ -17,23 +26,58 @@ describe('#use-cases/facilitator.js', () => {
   let mockBchjs
   let mockLevelDB
   let mockUtxoDb
-  let mockAddressDb
+  let mockSettlementDb
+  let settlements
+  let mockNonceDb
+  let nonces
+  let mockJournalDb
 
   beforeEach(() => {
     sandbox = sinon.createSandbox()
     mockUtxoDb = {
       get: sandbox.stub(),
       put: sandbox.stub().resolves(),
-      del: sandbox.stub().resolves()
+      del: sandbox.stub().resolves(),
+      batch: sandbox.stub().resolves(),
+      iterator: async function * () {}
     }
-    mockAddressDb = {
-      get: sandbox.stub(),
-      put: sandbox.stub().resolves(),
-      del: sandbox.stub().resolves()
+    settlements = new Map()
+    mockSettlementDb = {
+      get: sandbox.stub().callsFake(async (key) => {
+        if (!settlements.has(key)) throw new Error('NotFound')
+        return settlements.get(key)
+      }),
+      put: sandbox.stub().callsFake(async (key, value) => {
+        settlements.set(key, value)
+      })
+    }
+    nonces = new Map()
+    mockNonceDb = {
+      get: sandbox.stub().callsFake(async (key) => {
+        if (!nonces.has(key)) throw new Error('NotFound')
+        return nonces.get(key)
+      }),
+      put: sandbox.stub().callsFake(async (key, value) => {
+        nonces.set(key, value)
+      }),
+      del: sandbox.stub().callsFake(async (key) => {
+        nonces.delete(key)
+      }),
+      batch: sandbox.stub().callsFake(async (ops) => {
+        for (const op of ops) nonces.delete(op.key)
+      }),
+      iterator: async function * () {
+        for (const entry of nonces.entries()) yield entry
+      }
+    }
+    mockJournalDb = {
+      batch: sandbox.stub().resolves()
     }
     mockLevelDB = {
       utxoDb: mockUtxoDb,
-      addressDb: mockAddressDb
+      settlementDb: mockSettlementDb,
+      nonceDb: mockNonceDb,
+      journalDb: mockJournalDb
     }
     mockBchjs = {
       BitcoinCash: {
@@ -47,23 +91,24 @@ describe('#use-cases/facilitator.js', () => {
         utxoAmountSat: 2000,
         receiverAddress: 'bitcoincash:qptest'
       }),
-      isWalletInitialized: sandbox.stub().returns(true),
       initializeWallet: sandbox.stub().resolves(),
-      getWallet: sandbox.stub().returns({
-        getBalance: sandbox.stub().resolves(10000),
-        send: sandbox.stub().resolves('txid123')
-      }),
-      getFacilitatorAddress: sandbox.stub().returns('bitcoincash:facilitator'),
-      getMinConfirmations: sandbox.stub().returns(0)
+      sendBch: sandbox.stub().resolves('txid123'),
+      getTxConfirmations: sandbox.stub().resolves(0),
+      getTxData: sandbox.stub().resolves([{ vin: [{ address: 'bitcoincash:qptest' }] }]),
+      checkDoubleSpendProof: sandbox.stub().resolves(false),
+      isUtxoUnspent: sandbox.stub().resolves(true)
     }
     mockLogger = {
       info: sandbox.stub(),
-      error: sandbox.stub()
+      error: sandbox.stub(),
+      warn: sandbox.stub(),
+      debug: sandbox.stub()
     }
     mockAdapters = {
       logger: mockLogger,
       bchWallet: mockBchWallet,
-      levelDB: mockLevelDB
+      levelDB: mockLevelDB,
+      ledgerLock: new KeyedLock()
     }
   })
 
@@ -71,6 +116,50 @@ describe('#use-cases/facilitator.js', () => {
     sandbox.restore()
   })
 
+  // Creates the use case with the payment schemes registered, as the Use
+  // Cases library does.
+  const createUseCase = (adapters = mockAdapters) => {
+    const useCase = new FacilitatorUseCase({ adapters })
+    const journal = new JournalUseCase({ adapters })
+    useCase.registerScheme(new UtxoScheme({ adapters, facilitator: useCase, journal }))
+    useCase.registerScheme(new ExactScheme({ adapters, facilitator: useCase }))
+    return useCase
+  }
+
+  // Stubs the address index of bitcoincash:qptest to point at the records.
+  const indexUtxos = (records) => {
+    mockUtxoDb.iterator = async function * () {
+      for (const record of records) yield [`addr!bitcoincash:qptest!${record.utxoId}`, record.utxoId]
+    }
+    records.forEach(record => mockUtxoDb.get.withArgs(record.utxoId).resolves(record))
+  }
+
+  // Backs the UTXO database with a Map holding the records and their address
+  // index entries, so ledger writes show up in later reads.
+  const useLedger = (records) => {
+    const entries = new Map()
+    records.forEach(record => {
+      entries.set(record.utxoId, record)
+      entries.set(`addr!${record.payerAddress}!${record.utxoId}`, record.utxoId)
+    })
+    mockUtxoDb.get = sandbox.stub().callsFake(async (key) => {
+      if (!entries.has(key)) throw new Error('NotFound')
+      return entries.get(key)
+    })
+    mockUtxoDb.batch = sandbox.stub().callsFake(async (ops) => {
+      for (const op of ops) {
+        if (op.type === 'put') entries.set(op.key, op.value)
+        else entries.delete(op.key)
+      }
+    })
+    mockUtxoDb.iterator = async function * ({ gt, lt }) {
+      for (const key of [...entries.keys()].sort()) {
+        if (key > gt && key < lt) yield [key, entries.get(key)]
+      }
+    }
+    return entries
+  }
+
   describe('#constructor', () => {
     it('should create FacilitatorUseCase instance', () => {
       const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
@@ -88,28 +177,80 @@ describe('#use-cases/facilitator.js', () => {
 
   describe('#listSupportedKinds', () => {
     it('should return supported payment kinds in v2 format', () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const useCase = createUseCase()
       const result = useCase.listSupportedKinds()
 
       assert.property(result, 'kinds')
       assert.isArray(result.kinds)
-      assert.lengthOf(result.kinds, 1)
+      assert.lengthOf(result.kinds, 2)
       assert.deepEqual(result.kinds[0], {
         x402Version: 2,
         scheme: 'utxo',
         network: 'bip122:000000000000000000651ef99cb9fcbe'
       })
+      assert.deepEqual(result.kinds[1], {
+        x402Version: 2,
+        scheme: 'exact',
+        network: 'bip122:000000000000000000651ef99cb9fcbe'
+      })
       assert.property(result, 'extensions')
       assert.isArray(result.extensions)
       assert.property(result, 'signers')
       assert.property(result.signers, 'bip122:*')
       assert.isArray(result.signers['bip122:*'])
     })
+
+    it('should list a kind for each configured network', () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, networks: ['bch-testnet', 'bch'] }
+
+      const result = useCase.listSupportedKinds()
+
+      assert.deepEqual(result.kinds.map(kind => `${kind.scheme}@${kind.network}`), [
+        `utxo@${TESTNET4}`,
+        `exact@${TESTNET4}`,
+        'utxo@bip122:000000000000000000651ef99cb9fcbe',
+        'exact@bip122:000000000000000000651ef99cb9fcbe'
+      ])
+    })
+  })
+
+  describe('#normalizeNetwork', () => {
+    const localConfig = { ...config, networks: ['bch', 'bch-testnet'] }
+
+    it('should normalize v1 aliases of configured networks', () => {
+      assert.equal(normalizeNetwork('bch', localConfig), 'bip122:000000000000000000651ef99cb9fcbe')
+      assert.equal(normalizeNetwork('bch-testnet', localConfig), TESTNET4)
+    })
+
+    it('should return the default network when none is given', () => {
+      assert.equal(normalizeNetwork(undefined, localConfig), 'bip122:000000000000000000651ef99cb9fcbe')
+    })
+
+    it('should return other networks as-is', () => {
+      assert.equal(normalizeNetwork('bch-chipnet', localConfig), 'bch-chipnet')
+    })
+  })
+
+  describe('#networksMatch', () => {
+    const localConfig = { ...config, networks: ['bch', 'bch-testnet'] }
+
+    it('should match a v1 alias with its CAIP-2 identifier', () => {
+      assert.isTrue(networksMatch('bch-testnet', TESTNET4, localConfig))
+    })
+
+    it('should not match different networks', () => {
+      assert.isFalse(networksMatch('bch', 'bch-testnet', localConfig))
+    })
+
+    it('should not match a network that is not configured', () => {
+      assert.isFalse(networksMatch('bch-testnet', 'bch-testnet', { ...config, networks: ['bch'] }))
+    })
   })
 
   describe('#validateUtxo', () => {
     it('should return invalid when authorization is missing', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const useCase = createUseCase()
       const paymentPayload = {}
       const paymentRequirements = { minAmountRequired: 1000 }
 
@@ -120,7 +261,7 @@ describe('#use-cases/facilitator.js', () => {
     })
 
     it('should return error when UTXO database is not initialized', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: { ...mockAdapters, levelDB: {} } })
+      const useCase = createUseCase({ ...mockAdapters, levelDB: {} })
       const paymentPayload = {
         payload: {
           authorization: {
@@ -136,11 +277,11 @@ describe('#use-cases/facilitator.js', () => {
 
       assert.isFalse(result.isValid)
       assert.equal(result.invalidReason, 'unexpected_utxo_validation_error')
-      assert.include(result.errorMessage, 'UTXO or address database not initialized')
+      assert.include(result.errorMessage, 'UTXO database not initialized')
     })
 
     it('should validate new UTXO and add to database with v1 minAmountRequired', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const useCase = createUseCase()
       const paymentPayload = {
         payload: {
           authorization: {
@@ -153,7 +294,6 @@ describe('#use-cases/facilitator.js', () => {
       const paymentRequirements = { minAmountRequired: 1000, payTo: 'bitcoincash:qptest' }
 
       mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
       mockBchWallet.validateUtxo.resolves({
         isValid: true,
         utxoAmountSat: 2000,
@@ -165,12 +305,17 @@ describe('#use-cases/facilitator.js', () => {
       assert.isTrue(result.isValid)
       assert.property(result, 'remainingBalanceSat')
       assert.property(result, 'utxoInfo')
-      assert.isTrue(mockUtxoDb.put.calledOnce)
-      assert.isTrue(mockAddressDb.put.calledOnce) // Should also add to addressDb
+      // The UTXO record and address index are written in a single batch
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      const ops = mockUtxoDb.batch.firstCall.args[0]
+      assert.deepEqual(ops, [
+        { type: 'put', key: 'tx123:0', value: result.utxoInfo },
+        { type: 'put', key: 'addr!bitcoincash:qptest!tx123:0', value: 'tx123:0' }
+      ])
     })
 
     it('should validate new UTXO and add to database with v2 amount field', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const useCase = createUseCase()
       const paymentPayload = {
         payload: {
           authorization: {
@@ -183,7 +328,6 @@ describe('#use-cases/facilitator.js', () => {
       const paymentRequirements = { amount: '1000', payTo: 'bitcoincash:qptest' }
 
       mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
       mockBchWallet.validateUtxo.resolves({
         isValid: true,
         utxoAmountSat: 2000,
@@ -195,12 +339,17 @@ describe('#use-cases/facilitator.js', () => {
       assert.isTrue(result.isValid)
       assert.property(result, 'remainingBalanceSat')
       assert.property(result, 'utxoInfo')
-      assert.isTrue(mockUtxoDb.put.calledOnce)
-      assert.isTrue(mockAddressDb.put.calledOnce) // Should also add to addressDb
+      // The UTXO record and address index are written in a single batch
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      const ops = mockUtxoDb.batch.firstCall.args[0]
+      assert.deepEqual(ops, [
+        { type: 'put', key: 'tx123:0', value: result.utxoInfo },
+        { type: 'put', key: 'addr!bitcoincash:qptest!tx123:0', value: 'tx123:0' }
+      ])
     })
 
     it('should return invalid when UTXO balance is insufficient', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const useCase = createUseCase()
       const paymentPayload = {
         payload: {
           authorization: {
@@ -226,7 +375,7 @@ describe('#use-cases/facilitator.js', () => {
     })
 
     it('should update existing UTXO in database', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const useCase = createUseCase()
       const paymentPayload = {
         payload: {
           authorization: {
@@ -249,18 +398,142 @@ describe('#use-cases/facilitator.js', () => {
       }
 
       mockUtxoDb.get.resolves(existingUtxo)
-      mockAddressDb.get.resolves([existingUtxo]) // AddressDb has the UTXO
 
       const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements })
 
       assert.isTrue(result.isValid)
       assert.equal(result.remainingBalanceSat, '1000')
-      assert.isTrue(mockUtxoDb.put.calledOnce)
-      assert.isTrue(mockAddressDb.put.calledOnce) // Should also update addressDb
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      const ops = mockUtxoDb.batch.firstCall.args[0]
+      assert.equal(ops[0].value.remainingBalanceSat, '1000')
+      assert.deepEqual(ops[1], { type: 'put', key: 'addr!bitcoincash:qptest!tx123:0', value: 'tx123:0' })
+    })
+
+    it('should validate a new UTXO against the payTo address of the tenant', async () => {
+      const useCase = createUseCase()
+      const tenant = { tenantId: 'tenant1', payTo: ['bitcoincash:qptenant'] }
+      const paymentPayload = {
+        payload: {
+          authorization: {
+            txid: 'tx123',
+            vout: 0,
+            from: 'bitcoincash:qptest'
+          }
+        }
+      }
+      const paymentRequirements = { amount: '1000', payTo: 'bitcoincash:qptenant' }
+
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qptenant'
+      })
+
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements, tenant })
+
+      assert.isTrue(result.isValid)
+      assert.equal(mockBchWallet.validateUtxo.firstCall.args[0].payTo, 'bitcoincash:qptenant')
+      assert.equal(result.utxoInfo.tenantId, 'tenant1')
+      assert.equal(result.utxoInfo.receiverAddress, 'bitcoincash:qptenant')
+    })
+
+    it('should not debit a UTXO belonging to another tenant', async () => {
+      const useCase = createUseCase()
+      const tenant = { tenantId: 'tenant1', payTo: ['bitcoincash:qptenant'] }
+      const paymentPayload = {
+        payload: {
+          authorization: {
+            txid: 'tx123',
+            vout: 0,
+            from: 'bitcoincash:qptest'
+          }
+        }
+      }
+      const paymentRequirements = { amount: '500', payTo: 'bitcoincash:qptenant' }
+
+      // Records created before tenants existed belong to the default tenant.
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '1500',
+        totalDebitedSat: '500'
+      })
+
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements, tenant })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_receiver_address')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not debit a UTXO for a resource billed to another address of its tenant', async () => {
+      const useCase = createUseCase()
+      const tenant = { tenantId: 'tenant1', payTo: ['bitcoincash:qptenant', 'bitcoincash:qpother'] }
+      const paymentPayload = {
+        payload: {
+          authorization: {
+            txid: 'tx123',
+            vout: 0,
+            from: 'bitcoincash:qptest'
+          }
+        }
+      }
+      const paymentRequirements = { amount: '500', payTo: 'bitcoincash:qpother' }
+
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        receiverAddress: 'bitcoincash:qptenant',
+        tenantId: 'tenant1',
+        remainingBalanceSat: '1500',
+        totalDebitedSat: '500'
+      })
+
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements, tenant })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_receiver_address')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should return invalid when existing UTXO is frozen', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = {
+        payload: {
+          authorization: {
+            txid: 'tx123',
+            vout: 0,
+            from: 'bitcoincash:qptest'
+          }
+        }
+      }
+      const paymentRequirements = { minAmountRequired: 500, payTo: 'bitcoincash:qptest' }
+
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '1500',
+        totalDebitedSat: '500',
+        frozen: true,
+        frozenReason: 'double_spend_detected'
+      })
+
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'double_spend_detected')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
     })
 
     it('should return invalid when existing UTXO has insufficient balance', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const useCase = createUseCase()
       const paymentPayload = {
         payload: {
           authorization: {
@@ -283,7 +556,6 @@ describe('#use-cases/facilitator.js', () => {
       }
 
       mockUtxoDb.get.resolves(existingUtxo)
-      mockAddressDb.get.resolves([existingUtxo]) // AddressDb has the UTXO
 
       const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements })
 
@@ -292,191 +564,746 @@ describe('#use-cases/facilitator.js', () => {
     })
   })
 
-  describe('#verifyPayment', () => {
-    const createValidPaymentPayloadV1 = () => ({
-      x402Version: 1,
-      scheme: 'utxo',
-      network: 'bch',
+  describe('#validateUtxo ledger writes', () => {
+    const paymentPayload = {
       payload: {
-        signature: 'test-signature',
         authorization: {
-          from: 'bitcoincash:qptest',
-          to: 'bitcoincash:qprecv',
-          value: 1000,
           txid: 'tx123',
           vout: 0,
-          amount: 2000
+          from: 'bitcoincash:qptest'
         }
       }
-    })
+    }
 
-    const createValidPaymentPayloadV2 = () => ({
-      x402Version: 2,
-      accepted: {
-        scheme: 'utxo',
-        network: 'bip122:000000000000000000651ef99cb9fcbe',
-        amount: '1000',
-        payTo: 'bitcoincash:qprecv'
-      },
-      payload: {
-        signature: 'test-signature',
-        authorization: {
-          from: 'bitcoincash:qptest',
-          to: 'bitcoincash:qprecv',
-          value: '1000',
-          txid: 'tx123',
-          vout: 0,
-          amount: '2000'
-        }
+    it('should keep a consumed UTXO but drop it from the address index', async () => {
+      const useCase = createUseCase()
+      const existingUtxo = {
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '500',
+        totalDebitedSat: '1500'
       }
-    })
+      mockUtxoDb.get.resolves(existingUtxo)
 
-    const createValidPaymentRequirementsV1 = () => ({
-      scheme: 'utxo',
-      network: 'bch',
-      minAmountRequired: 1000,
-      payTo: 'bitcoincash:qprecv'
-    })
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements: { amount: '500' } })
 
-    const createValidPaymentRequirementsV2 = () => ({
-      scheme: 'utxo',
-      network: 'bip122:000000000000000000651ef99cb9fcbe',
-      amount: '1000',
-      payTo: 'bitcoincash:qprecv'
+      assert.isTrue(result.isValid)
+      assert.equal(result.remainingBalanceSat, '0')
+      assert.deepEqual(mockUtxoDb.batch.firstCall.args[0], [
+        { type: 'put', key: 'tx123:0', value: result.utxoInfo },
+        { type: 'del', key: 'addr!bitcoincash:qptest!tx123:0' }
+      ])
     })
 
-    it('should return invalid when network does not match', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = createValidPaymentPayloadV1()
-      const paymentRequirements = { ...createValidPaymentRequirementsV1(), network: 'btc' }
+    it('should not debit a ledgered UTXO once the deadline has passed', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '1500',
+        totalDebitedSat: '500'
+      })
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      const result = await useCase.validateUtxo({
+        paymentPayload,
+        paymentRequirements: { amount: '500' },
+        deadline: Date.now() - 1
+      })
 
       assert.isFalse(result.isValid)
-      assert.equal(result.invalidReason, 'invalid_network')
+      assert.equal(result.invalidReason, 'facilitator_timeout')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
     })
 
-    it('should return invalid when scheme does not match', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = { ...createValidPaymentPayloadV1(), scheme: 'account' }
-      const paymentRequirements = createValidPaymentRequirementsV1()
+    it('should not ledger a new UTXO once the deadline has passed', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      const deadline = Date.now() + 1000
+      mockBchWallet.validateUtxo.callsFake(async () => {
+        sandbox.stub(Date, 'now').returns(deadline)
+        return { isValid: true, utxoAmountSat: 2000, receiverAddress: 'bitcoincash:qptest' }
+      })
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements: { amount: '500' }, deadline })
 
       assert.isFalse(result.isValid)
-      assert.equal(result.invalidReason, 'invalid_scheme')
+      assert.equal(result.invalidReason, 'facilitator_timeout')
+      assert.equal(mockBchWallet.validateUtxo.firstCall.args[0].deadline, deadline)
+      assert.isTrue(mockUtxoDb.batch.notCalled)
     })
 
-    it('should return invalid when payload is missing', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = { scheme: 'utxo', network: 'bch' }
-      const paymentRequirements = createValidPaymentRequirementsV1()
+    it('should not debit a UTXO ledgered on another network', async () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, networks: ['bch', 'bch-testnet'] }
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '1500',
+        totalDebitedSat: '500'
+      })
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      const result = await useCase.validateUtxo({
+        paymentPayload,
+        paymentRequirements: { amount: '500', network: 'bch-testnet' }
+      })
 
       assert.isFalse(result.isValid)
-      assert.equal(result.invalidReason, 'invalid_payload')
+      assert.equal(result.invalidReason, 'invalid_network')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
     })
 
-    it('should return invalid when signature verification fails', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = createValidPaymentPayloadV1()
-      const paymentRequirements = createValidPaymentRequirementsV1()
-
-      mockBchjs.BitcoinCash.verifyMessage.returns(false)
-      mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockBchWallet.validateUtxo.resolves({
-        isValid: true,
-        utxoAmountSat: 2000,
-        receiverAddress: 'bitcoincash:qptest'
+    it('should not debit a UTXO ledgered for another payer', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qpother',
+        remainingBalanceSat: '1500',
+        totalDebitedSat: '500'
       })
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements: { amount: '500' } })
 
       assert.isFalse(result.isValid)
-      assert.equal(result.invalidReason, 'invalid_exact_bch_payload_signature')
+      assert.equal(result.invalidReason, 'payer_mismatch')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
     })
 
-    it('should verify valid payment with v1 format', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = createValidPaymentPayloadV1()
-      const paymentRequirements = createValidPaymentRequirementsV1()
-
-      mockBchjs.BitcoinCash.verifyMessage.returns(true)
+    it('should not write to the ledger when the batch fails', async () => {
+      const useCase = createUseCase()
       mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
-      mockBchWallet.validateUtxo.resolves({
-        isValid: true,
-        utxoAmountSat: 2000,
-        receiverAddress: 'bitcoincash:qprecv'
-      })
+      mockUtxoDb.batch.rejects(new Error('Disk full'))
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      const result = await useCase.validateUtxo({ paymentPayload, paymentRequirements: { amount: '500' } })
 
-      assert.isTrue(result.isValid)
-      assert.equal(result.payer, 'bitcoincash:qptest')
-      assert.property(result, 'remainingBalanceSat')
-      assert.property(result, 'ledgerEntry')
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'unexpected_utxo_validation_error')
+      assert.isTrue(mockUtxoDb.put.notCalled)
+      assert.isFalse(mockAdapters.ledgerLock.isLocked('utxo:tx123:0'))
     })
+  })
 
-    it('should verify valid payment with v2 format', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = createValidPaymentPayloadV2()
-      const paymentRequirements = createValidPaymentRequirementsV2()
+  describe('#getLedgerRecords', () => {
+    it('should skip the address index entries and consumed UTXOs', async () => {
+      const useCase = createUseCase()
+      const record = { utxoId: 'tx1:0', txid: 'tx1', vout: 0, payerAddress: 'bitcoincash:qptest', remainingBalanceSat: '1000' }
+      const consumed = { ...record, utxoId: 'tx2:0', txid: 'tx2', remainingBalanceSat: '0' }
+      mockUtxoDb.iterator = async function * () {
+        yield ['addr!bitcoincash:qptest!tx1:0', 'tx1:0']
+        yield ['tx1:0', record]
+        yield ['tx2:0', consumed]
+      }
 
-      mockBchjs.BitcoinCash.verifyMessage.returns(true)
-      mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
-      mockBchWallet.validateUtxo.resolves({
-        isValid: true,
-        utxoAmountSat: 2000,
-        receiverAddress: 'bitcoincash:qprecv'
+      const result = await useCase.getLedgerRecords(mockUtxoDb)
+
+      assert.deepEqual(result, [record])
+    })
+  })
+
+  describe('#checkLedger', () => {
+    const record = {
+      utxoId: 'tx1:0',
+      payerAddress: 'bitcoincash:qptest',
+      transactionValueSat: '2000',
+      totalDebitedSat: '500',
+      remainingBalanceSat: '1500'
+    }
+    const createIterator = (entries) => async function * () {
+      for (const entry of entries) yield entry
+    }
+
+    it('should report a consistent ledger', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.iterator = createIterator([
+        ['addr!bitcoincash:qptest!tx1:0', 'tx1:0'],
+        ['tx1:0', record]
+      ])
+
+      const result = await useCase.checkLedger()
+
+      assert.deepEqual(result, {
+        records: 1,
+        indexEntries: 1,
+        orphanedIndexEntries: [],
+        mismatchedIndexEntries: [],
+        missingIndexEntries: [],
+        balanceDiscrepancies: [],
+        repaired: false
       })
+    })
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+    it('should report index entries that disagree with the UTXO records', async () => {
+      const useCase = createUseCase()
+      const consumed = { ...record, utxoId: 'tx2:0', totalDebitedSat: '2000', remainingBalanceSat: '0' }
+      const otherPayer = { ...record, utxoId: 'tx3:0', payerAddress: 'bitcoincash:qpother' }
+      mockUtxoDb.iterator = createIterator([
+        ['addr!bitcoincash:qptest', []],
+        ['addr!bitcoincash:qptest!tx2:0', 'tx2:0'],
+        ['addr!bitcoincash:qptest!tx3:0', 'tx3:0'],
+        ['addr!bitcoincash:qptest!tx9:0', 'tx9:0'],
+        ['tx1:0', record],
+        ['tx2:0', consumed],
+        ['tx3:0', otherPayer]
+      ])
+
+      const result = await useCase.checkLedger()
+
+      assert.deepEqual(result.orphanedIndexEntries, ['addr!bitcoincash:qptest!tx9:0'])
+      assert.deepEqual(result.mismatchedIndexEntries, [
+        { key: 'addr!bitcoincash:qptest', reason: 'malformed_key' },
+        { key: 'addr!bitcoincash:qptest!tx2:0', reason: 'utxo_consumed' },
+        { key: 'addr!bitcoincash:qptest!tx3:0', reason: 'wrong_payer_address' }
+      ])
+      assert.deepEqual(result.missingIndexEntries, ['tx1:0', 'tx3:0'])
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
 
-      assert.isTrue(result.isValid)
-      assert.equal(result.payer, 'bitcoincash:qptest')
-      assert.property(result, 'remainingBalanceSat')
-      assert.property(result, 'ledgerEntry')
+    it('should report balance discrepancies', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.iterator = createIterator([
+        ['addr!bitcoincash:qptest!tx1:0', 'tx1:0'],
+        ['tx1:0', { ...record, remainingBalanceSat: '1600' }]
+      ])
+
+      const result = await useCase.checkLedger()
+
+      assert.deepEqual(result.balanceDiscrepancies, [{
+        utxoId: 'tx1:0',
+        transactionValueSat: '2000',
+        creditedSat: '0',
+        totalDebitedSat: '500',
+        refundedSat: '0',
+        remainingBalanceSat: '1600'
+      }])
     })
 
-    it('should handle CAIP-2 network format', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = createValidPaymentPayloadV2()
-      const paymentRequirements = createValidPaymentRequirementsV2()
+    it('should count refunds and manual credits against the funding value', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.iterator = createIterator([
+        ['tx1:0', { ...record, remainingBalanceSat: '0', refundedSat: '1500' }],
+        ['tx2:0', { ...record, utxoId: 'tx2:0', remainingBalanceSat: '1700', creditedSat: '200' }]
+      ])
 
-      mockBchjs.BitcoinCash.verifyMessage.returns(true)
-      mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
-      mockBchWallet.validateUtxo.resolves({
-        isValid: true,
-        utxoAmountSat: 2000,
-        receiverAddress: 'bitcoincash:qprecv'
+      const result = await useCase.checkLedger()
+
+      assert.deepEqual(result.balanceDiscrepancies, [])
+    })
+
+    it('should rebuild the address index from the UTXO records', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.iterator = createIterator([
+        ['addr!bitcoincash:qptest!tx9:0', 'tx9:0'],
+        ['addr!bitcoincash:qptest!tx1:0', 'tx2:0'],
+        ['tx1:0', record]
+      ])
+
+      const result = await useCase.checkLedger({ repair: true })
+
+      assert.isTrue(result.repaired)
+      assert.deepEqual(mockUtxoDb.batch.firstCall.args[0], [
+        { type: 'del', key: 'addr!bitcoincash:qptest!tx9:0' },
+        { type: 'del', key: 'addr!bitcoincash:qptest!tx1:0' },
+        { type: 'put', key: 'addr!bitcoincash:qptest!tx1:0', value: 'tx1:0' }
+      ])
+    })
+
+    it('should not write to the database when there is nothing to repair', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.checkLedger({ repair: true })
+
+      assert.isFalse(result.repaired)
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+  })
+
+  describe('#getUtxosByAddress', () => {
+    it('should only read the index keys of the payer', async () => {
+      const useCase = createUseCase()
+      const record = { utxoId: 'tx1:0', txid: 'tx1', vout: 0, payerAddress: 'bitcoincash:qptest' }
+      const iteratorOptions = []
+      mockUtxoDb.iterator = async function * (options) {
+        iteratorOptions.push(options)
+        yield ['addr!bitcoincash:qptest!tx1:0', 'tx1:0']
+      }
+      mockUtxoDb.get.withArgs('tx1:0').resolves(record)
+
+      const result = await useCase.getUtxosByAddress('bitcoincash:qptest')
+
+      assert.deepEqual(result, [record])
+      assert.deepEqual(iteratorOptions, [{
+        gt: 'addr!bitcoincash:qptest!',
+        lt: 'addr!bitcoincash:qptest!\xff'
+      }])
+    })
+
+    it('should skip index keys without a UTXO record', async () => {
+      const useCase = createUseCase()
+      indexUtxos([{ utxoId: 'tx1:0' }])
+      mockUtxoDb.get.withArgs('tx1:0').rejects(new Error('NotFound'))
+
+      const result = await useCase.getUtxosByAddress('bitcoincash:qptest')
+
+      assert.deepEqual(result, [])
+    })
+  })
+
+  describe('#selectTabUtxos', () => {
+    it('should skip frozen UTXOs', async () => {
+      const useCase = createUseCase()
+
+      indexUtxos([
+        {
+          utxoId: 'tx1:0',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          firstSeen: '2025-01-01T00:00:00.000Z',
+          frozen: true
+        },
+        {
+          utxoId: 'tx2:0',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          firstSeen: '2025-01-02T00:00:00.000Z'
+        }
+      ])
+
+      const result = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n)
+
+      assert.deepEqual(result.map(utxo => utxo.utxoId), ['tx2:0'])
+    })
+
+    it('should only select UTXOs ledgered in the requested asset', async () => {
+      const useCase = createUseCase()
+      const category = 'ab'.repeat(32)
+
+      indexUtxos([
+        {
+          utxoId: 'tx1:0',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          firstSeen: '2025-01-01T00:00:00.000Z'
+        },
+        {
+          utxoId: 'tx2:0',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          tokenCategory: category,
+          firstSeen: '2025-01-02T00:00:00.000Z'
+        }
+      ])
+
+      const tokenResult = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n, undefined, undefined, { tokenCategory: category })
+      const bchResult = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n)
+
+      assert.deepEqual(tokenResult.map(utxo => utxo.utxoId), ['tx2:0'])
+      assert.deepEqual(bchResult.map(utxo => utxo.utxoId), ['tx1:0'])
+    })
+
+    it('should only select UTXOs ledgered in the requested SLP token', async () => {
+      const useCase = createUseCase()
+      const tokenId = 'cd'.repeat(32)
+
+      indexUtxos([
+        {
+          utxoId: 'tx1:0',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          tokenCategory: tokenId,
+          firstSeen: '2025-01-01T00:00:00.000Z'
+        },
+        {
+          utxoId: 'tx2:1',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          slpTokenId: tokenId,
+          firstSeen: '2025-01-02T00:00:00.000Z'
+        }
+      ])
+
+      const result = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n, undefined, undefined, { slpTokenId: tokenId })
+
+      assert.deepEqual(result.map(utxo => utxo.utxoId), ['tx2:1'])
+    })
+
+    describe('across several UTXOs', () => {
+      const tab = [
+        { utxoId: 'tx1:0', receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '400', firstSeen: '2025-01-01T00:00:00.000Z' },
+        { utxoId: 'tx2:0', receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '900', firstSeen: '2025-01-02T00:00:00.000Z' },
+        { utxoId: 'tx3:0', receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '300', firstSeen: '2025-01-03T00:00:00.000Z' }
+      ]
+
+      it('should select the oldest UTXOs that cover the required value', async () => {
+        const useCase = createUseCase()
+        indexUtxos(tab)
+
+        const result = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n)
+
+        assert.deepEqual(result.map(utxo => utxo.utxoId), ['tx1:0', 'tx2:0'])
       })
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      it('should select the smallest UTXOs first', async () => {
+        const useCase = createUseCase()
+        useCase.config = { ...config, tabSelectionStrategy: 'smallest-first' }
+        indexUtxos(tab)
 
-      assert.isTrue(result.isValid)
+        const result = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n)
+
+        assert.deepEqual(result.map(utxo => utxo.utxoId), ['tx3:0', 'tx1:0', 'tx2:0'])
+      })
+
+      it('should select the largest UTXOs first', async () => {
+        const useCase = createUseCase()
+        useCase.config = { ...config, tabSelectionStrategy: 'largest-first' }
+        indexUtxos(tab)
+
+        const result = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n)
+
+        assert.deepEqual(result.map(utxo => utxo.utxoId), ['tx2:0', 'tx1:0'])
+      })
+
+      it('should return null when the tab can not cover the required value', async () => {
+        const useCase = createUseCase()
+        indexUtxos(tab)
+
+        const result = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1601n)
+
+        assert.isNull(result)
+      })
+
+      it('should throw on an unknown strategy', async () => {
+        const useCase = createUseCase()
+        useCase.config = { ...config, tabSelectionStrategy: 'random' }
+        indexUtxos(tab)
+
+        try {
+          await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n)
+          assert.fail('Expected error to be thrown')
+        } catch (err) {
+          assert.include(err.message, "Unknown TAB_SELECTION_STRATEGY 'random'")
+        }
+      })
     })
+  })
 
-    it('should handle signature verification errors', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = createValidPaymentPayloadV1()
-      const paymentRequirements = createValidPaymentRequirementsV1()
+  describe('#selectTabUtxos with tenants', () => {
+    it('should only select UTXOs belonging to the tenant', async () => {
+      const useCase = createUseCase()
+
+      indexUtxos([
+        {
+          utxoId: 'tx1:0',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          firstSeen: '2025-01-01T00:00:00.000Z'
+        },
+        {
+          utxoId: 'tx2:0',
+          receiverAddress: 'bitcoincash:qprecv',
+          remainingBalanceSat: '5000',
+          firstSeen: '2025-01-02T00:00:00.000Z',
+          tenantId: 'tenant1'
+        }
+      ])
 
-      const sigError = new Error('Signature error')
-      mockBchjs.BitcoinCash.verifyMessage.throws(sigError)
+      const result = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n, 'tenant1')
+      const defaultResult = await useCase.selectTabUtxos('bitcoincash:qptest', 'bitcoincash:qprecv', 1000n, 'default')
 
-      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      assert.deepEqual(result.map(utxo => utxo.utxoId), ['tx2:0'])
+      assert.deepEqual(defaultResult.map(utxo => utxo.utxoId), ['tx1:0'])
+    })
+  })
 
-      assert.isFalse(result.isValid)
-      assert.equal(result.invalidReason, 'invalid_exact_bch_payload_signature')
+  describe('#recheckDoubleSpends', () => {
+    const createIterator = (records) => async function * () {
+      for (const record of records) yield [record.utxoId, record]
+    }
+
+    it('should freeze unconfirmed UTXOs that triggered a Double Spend Proof', async () => {
+      const useCase = createUseCase()
+      const record = {
+        utxoId: 'tx1:0',
+        txid: 'tx1',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '1000'
+      }
+      mockUtxoDb.iterator = createIterator([record])
+      mockUtxoDb.get.resolves(record)
+      mockBchWallet.checkDoubleSpendProof.resolves(true)
+
+      const result = await useCase.recheckDoubleSpends()
+
+      assert.deepEqual(result, { checked: 1, confirmed: 0, frozen: 1 })
+      const ops = mockUtxoDb.batch.firstCall.args[0]
+      assert.isTrue(ops[0].value.frozen)
+      assert.equal(ops[0].value.frozenReason, 'double_spend_detected')
+      assert.equal(ops[1].key, 'addr!bitcoincash:qptest!tx1:0')
+    })
+
+    it('should mark confirmed UTXOs and skip them afterwards', async () => {
+      const useCase = createUseCase()
+      const record = { utxoId: 'tx1:0', txid: 'tx1', vout: 0, payerAddress: 'bitcoincash:qptest' }
+      const confirmedRecord = { utxoId: 'tx2:0', txid: 'tx2', vout: 0, confirmations: 2 }
+      const frozenRecord = { utxoId: 'tx3:0', txid: 'tx3', vout: 0, frozen: true }
+      mockUtxoDb.iterator = createIterator([record, confirmedRecord, frozenRecord])
+      mockUtxoDb.get.resolves(record)
+      mockBchWallet.getTxConfirmations.resolves(1)
+
+      const result = await useCase.recheckDoubleSpends()
+
+      assert.deepEqual(result, { checked: 1, confirmed: 1, frozen: 0 })
+      assert.isTrue(mockBchWallet.checkDoubleSpendProof.notCalled)
+      assert.equal(mockUtxoDb.batch.firstCall.args[0][0].value.confirmations, 1)
+    })
+
+    it('should skip UTXOs consumed during the check', async () => {
+      const useCase = createUseCase()
+      const record = { utxoId: 'tx1:0', txid: 'tx1', vout: 0 }
+      mockUtxoDb.iterator = createIterator([record])
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      const result = await useCase.recheckDoubleSpends()
+
+      assert.equal(result.checked, 1)
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should log and continue when a check fails', async () => {
+      const useCase = createUseCase()
+      const record = { utxoId: 'tx1:0', txid: 'tx1', vout: 0 }
+      mockUtxoDb.iterator = createIterator([record])
+      mockBchWallet.getTxConfirmations.rejects(new Error('Network error'))
+
+      const result = await useCase.recheckDoubleSpends()
+
+      assert.equal(result.checked, 1)
       assert.isTrue(mockLogger.error.calledOnce)
     })
   })
 
-  describe('#settlePayment', () => {
+  describe('#freezeUtxo', () => {
+    it('should freeze the record and its address index entry', async () => {
+      const useCase = createUseCase()
+      const record = { utxoId: 'tx1:0', txid: 'tx1', vout: 0, payerAddress: 'bitcoincash:qptest' }
+      mockUtxoDb.get.resolves(record)
+
+      const result = await useCase.freezeUtxo('tx1:0', 'spent_on_chain')
+
+      assert.isTrue(result.frozen)
+      assert.equal(result.frozenReason, 'spent_on_chain')
+      assert.deepEqual(mockUtxoDb.batch.firstCall.args[0], [
+        { type: 'put', key: 'tx1:0', value: result },
+        { type: 'put', key: 'addr!bitcoincash:qptest!tx1:0', value: 'tx1:0' }
+      ])
+    })
+
+    it('should return null if the UTXO is not in the ledger', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      const result = await useCase.freezeUtxo('tx1:0', 'spent_on_chain')
+
+      assert.isNull(result)
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+  })
+
+  describe('#recheckSpentUtxos', () => {
+    const createIterator = (records) => async function * () {
+      for (const record of records) yield [record.utxoId, record]
+    }
+
+    it('should freeze UTXOs that were spent on-chain', async () => {
+      const useCase = createUseCase()
+      const spent = { utxoId: 'tx1:0', txid: 'tx1', vout: 0, payerAddress: 'bitcoincash:qptest' }
+      const unspent = { utxoId: 'tx2:0', txid: 'tx2', vout: 0, payerAddress: 'bitcoincash:qptest' }
+      const frozen = { utxoId: 'tx3:0', txid: 'tx3', vout: 0, frozen: true }
+      mockUtxoDb.iterator = createIterator([spent, unspent, frozen])
+      mockUtxoDb.get.resolves(spent)
+      mockBchWallet.isUtxoUnspent.withArgs({ txid: 'tx1', vout: 0, network: 'bip122:000000000000000000651ef99cb9fcbe' }).resolves(false)
+      mockBchWallet.getTxConfirmations.resolves(0)
+
+      const result = await useCase.recheckSpentUtxos()
+
+      assert.deepEqual(result, { checked: 2, frozen: 1 })
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      assert.equal(mockUtxoDb.batch.firstCall.args[0][0].value.frozenReason, 'spent_on_chain')
+    })
+
+    it('should not check UTXOs that were confirmed when ledgered', async () => {
+      const useCase = createUseCase()
+      const swept = { utxoId: 'tx1:0', txid: 'tx1', vout: 0, payerAddress: 'bitcoincash:qptest', confirmations: 3 }
+      mockUtxoDb.iterator = createIterator([swept])
+      mockBchWallet.isUtxoUnspent.resolves(false)
+
+      const result = await useCase.recheckSpentUtxos()
+
+      assert.deepEqual(result, { checked: 0, frozen: 0 })
+      assert.isTrue(mockBchWallet.isUtxoUnspent.notCalled)
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not freeze a UTXO swept after its funding transaction confirmed', async () => {
+      const useCase = createUseCase()
+      const swept = { utxoId: 'tx1:0', txid: 'tx1', vout: 0, payerAddress: 'bitcoincash:qptest', confirmations: 0 }
+      mockUtxoDb.iterator = createIterator([swept])
+      mockUtxoDb.get.resolves(swept)
+      mockBchWallet.isUtxoUnspent.resolves(false)
+      mockBchWallet.getTxConfirmations.resolves(2)
+
+      const result = await useCase.recheckSpentUtxos()
+
+      assert.deepEqual(result, { checked: 1, frozen: 0 })
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      const written = mockUtxoDb.batch.firstCall.args[0][0].value
+      assert.equal(written.confirmations, 2)
+      assert.notOk(written.frozen)
+    })
+
+    it('should log and continue when a lookup fails', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.iterator = createIterator([{ utxoId: 'tx1:0', txid: 'tx1', vout: 0 }])
+      mockBchWallet.isUtxoUnspent.rejects(new Error('Network error'))
+
+      const result = await useCase.recheckSpentUtxos()
+
+      assert.equal(result.checked, 1)
+      assert.isTrue(mockLogger.error.calledOnce)
+    })
+  })
+
+  describe('#expireStaleUtxos', () => {
+    const createIterator = (records) => async function * () {
+      for (const record of records) yield [record.utxoId, record]
+    }
+    const now = new Date('2026-01-02T00:00:00.000Z').getTime()
+
+    it('should freeze the UTXOs of tabs unused for the tab lifetime', async () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, tabLifetimeSec: 86400 }
+      const stale = { utxoId: 'tx1:0', payerAddress: 'bitcoincash:qptest', remainingBalanceSat: '500', lastUpdated: '2026-01-01T00:00:00.000Z' }
+      const fresh = { utxoId: 'tx2:0', payerAddress: 'bitcoincash:qptest', remainingBalanceSat: '500', lastUpdated: '2026-01-01T12:00:00.000Z' }
+      const frozen = { utxoId: 'tx3:0', payerAddress: 'bitcoincash:qptest', remainingBalanceSat: '500', frozen: true }
+      mockUtxoDb.iterator = createIterator([stale, fresh, frozen])
+      mockUtxoDb.get.withArgs('tx1:0').resolves(stale)
+
+      const result = await useCase.expireStaleUtxos(now)
+
+      assert.deepEqual(result, { checked: 2, expired: 1 })
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      assert.include(mockUtxoDb.batch.firstCall.args[0][0].value, {
+        utxoId: 'tx1:0',
+        frozen: true,
+        frozenReason: 'tab_expired',
+        expiredAt: '2026-01-02T00:00:00.000Z'
+      })
+    })
+
+    it('should fall back to the time the UTXO was first seen', async () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, tabLifetimeSec: 86400 }
+      const stale = { utxoId: 'tx1:0', payerAddress: 'bitcoincash:qptest', remainingBalanceSat: '500', firstSeen: '2025-12-31T00:00:00.000Z' }
+      mockUtxoDb.iterator = createIterator([stale])
+      mockUtxoDb.get.resolves(stale)
+
+      const result = await useCase.expireStaleUtxos(now)
+
+      assert.equal(result.expired, 1)
+    })
+
+    it('should not expire a tab that was used while waiting for the locks', async () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, tabLifetimeSec: 86400 }
+      const stale = { utxoId: 'tx1:0', payerAddress: 'bitcoincash:qptest', remainingBalanceSat: '500', lastUpdated: '2026-01-01T00:00:00.000Z' }
+      mockUtxoDb.iterator = createIterator([stale])
+      mockUtxoDb.get.resolves({ ...stale, lastUpdated: '2026-01-01T23:00:00.000Z' })
+
+      const result = await useCase.expireStaleUtxos(now)
+
+      assert.deepEqual(result, { checked: 1, expired: 0 })
+    })
+
+    it('should not expire tabs when there is no tab lifetime', async () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, tabLifetimeSec: 0 }
+      mockUtxoDb.iterator = createIterator([{ utxoId: 'tx1:0', remainingBalanceSat: '500', lastUpdated: '2020-01-01T00:00:00.000Z' }])
+
+      const result = await useCase.expireStaleUtxos(now)
+
+      assert.deepEqual(result, { checked: 0, expired: 0 })
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+  })
+
+  describe('#recheckLedger', () => {
+    it('should expire stale tabs when there is a tab lifetime', async () => {
+      const useCase = createUseCase()
+      useCase.config = { apiType: 'consumer-api', tabLifetimeSec: 86400 }
+      sandbox.stub(useCase, 'expireStaleUtxos').resolves({ checked: 1, expired: 1 })
+      sandbox.stub(useCase, 'recheckSpentUtxos').resolves({ checked: 0, frozen: 0 })
+      sandbox.stub(useCase, 'pruneExpiredNonces').resolves(0)
+
+      const result = await useCase.recheckLedger()
+
+      assert.deepEqual(result.expired, { checked: 1, expired: 1 })
+    })
+
+    it('should only check Double Spend Proofs with rest-api', async () => {
+      const useCase = createUseCase()
+      useCase.config = { apiType: 'consumer-api' }
+      sandbox.stub(useCase, 'recheckDoubleSpends').resolves({})
+      sandbox.stub(useCase, 'recheckSpentUtxos').resolves({ checked: 0, frozen: 0 })
+      sandbox.stub(useCase, 'pruneExpiredNonces').resolves(0)
+
+      const result = await useCase.recheckLedger()
+
+      assert.isTrue(useCase.recheckDoubleSpends.notCalled)
+      assert.deepEqual(result, { spent: { checked: 0, frozen: 0 }, prunedNonces: 0 })
+    })
+
+    it('should run all checks with rest-api', async () => {
+      const useCase = createUseCase()
+      useCase.config = { apiType: 'rest-api' }
+      sandbox.stub(useCase, 'recheckDoubleSpends').resolves({ checked: 1 })
+      sandbox.stub(useCase, 'recheckSpentUtxos').resolves({ checked: 1 })
+      sandbox.stub(useCase, 'pruneExpiredNonces').resolves(2)
+
+      const result = await useCase.recheckLedger()
+
+      assert.deepEqual(result, { doubleSpends: { checked: 1 }, spent: { checked: 1 }, prunedNonces: 2 })
+    })
+  })
+
+  describe('#startLedgerMonitor', () => {
+    it('should start and stop the monitor', () => {
+      const useCase = createUseCase()
+      useCase.config = { ledgerCheckIntervalSec: 60 }
+
+      assert.isTrue(useCase.startLedgerMonitor())
+      assert.isNotNull(useCase.ledgerTimer)
+
+      // A second call does not start another timer.
+      assert.isFalse(useCase.startLedgerMonitor())
+
+      useCase.stopLedgerMonitor()
+      assert.isNull(useCase.ledgerTimer)
+    })
+  })
+
+  describe('#verifyPayment', () => {
+    // These payloads predate replay protection.
+    beforeEach(() => {
+      sandbox.replace(config, 'acceptLegacyAuthorizations', true)
+    })
+
     const createValidPaymentPayloadV1 = () => ({
       x402Version: 1,
       scheme: 'utxo',
@@ -529,77 +1356,1258 @@ describe('#use-cases/facilitator.js', () => {
       payTo: 'bitcoincash:qprecv'
     })
 
-    it('should return error when verification fails', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+    it('should return invalid when network does not match', async () => {
+      const useCase = createUseCase()
       const paymentPayload = createValidPaymentPayloadV1()
       const paymentRequirements = { ...createValidPaymentRequirementsV1(), network: 'btc' }
 
-      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
 
-      assert.isFalse(result.success)
-      assert.property(result, 'errorReason')
-      assert.equal(result.transaction, '')
-      assert.equal(result.network, 'bip122:000000000000000000651ef99cb9fcbe')
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_network')
     })
 
-    it('should settle valid payment with v1 format', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
-      const paymentPayload = createValidPaymentPayloadV1()
+    it('should return invalid when scheme does not match', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = { ...createValidPaymentPayloadV1(), scheme: 'account' }
       const paymentRequirements = createValidPaymentRequirementsV1()
 
-      mockBchjs.BitcoinCash.verifyMessage.returns(true)
-      mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
-      mockBchWallet.validateUtxo.resolves({
-        isValid: true,
-        utxoAmountSat: 2000,
-        receiverAddress: 'bitcoincash:qprecv'
-      })
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
 
-      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_scheme')
+    })
 
-      assert.isTrue(result.success)
-      assert.equal(result.transaction, 'txid123')
-      assert.equal(result.network, 'bip122:000000000000000000651ef99cb9fcbe')
-      assert.equal(result.payer, 'bitcoincash:qptest')
+    it('should return invalid when payload is missing', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = { scheme: 'utxo', network: 'bch' }
+      const paymentRequirements = createValidPaymentRequirementsV1()
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_payload')
     })
 
-    it('should settle valid payment with v2 format', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+    it('should return invalid when the authorization pays another recipient', async () => {
+      const useCase = createUseCase()
       const paymentPayload = createValidPaymentPayloadV2()
-      const paymentRequirements = createValidPaymentRequirementsV2()
-
-      mockBchjs.BitcoinCash.verifyMessage.returns(true)
-      mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
-      mockBchWallet.validateUtxo.resolves({
-        isValid: true,
-        utxoAmountSat: 2000,
-        receiverAddress: 'bitcoincash:qprecv'
-      })
+      paymentPayload.payload.authorization.to = 'bitcoincash:qpother'
 
-      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+      const result = await useCase.verifyPayment(paymentPayload, createValidPaymentRequirementsV2())
 
-      assert.isTrue(result.success)
-      assert.equal(result.transaction, 'txid123')
-      assert.equal(result.network, 'bip122:000000000000000000651ef99cb9fcbe')
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'recipient_mismatch')
       assert.equal(result.payer, 'bitcoincash:qptest')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
     })
 
-    it('should handle errors during settlement', async () => {
-      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+    it('should return invalid when the authorized value is below the required amount', async () => {
+      const useCase = createUseCase()
       const paymentPayload = createValidPaymentPayloadV1()
-      const paymentRequirements = createValidPaymentRequirementsV1()
+      paymentPayload.payload.authorization.value = 999
 
-      mockBchjs.BitcoinCash.verifyMessage.returns(true)
-      mockUtxoDb.get.rejects(new Error('NotFound'))
-      mockAddressDb.get.rejects(new Error('NotFound')) // Address not in addressDb yet
-      mockBchWallet.validateUtxo.resolves({
-        isValid: true,
-        utxoAmountSat: 2000,
-        receiverAddress: 'bitcoincash:qprecv'
+      const result = await useCase.verifyPayment(paymentPayload, createValidPaymentRequirementsV1())
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'authorized_value_too_low')
+    })
+
+    it('should return invalid when the authorized value is not a number', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      paymentPayload.payload.authorization.value = 'lots'
+
+      const result = await useCase.verifyPayment(paymentPayload, createValidPaymentRequirementsV2())
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_payload')
+    })
+
+    it('should return invalid when the accepted requirements differ from the requirements', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      paymentPayload.accepted.amount = '500'
+
+      const result = await useCase.verifyPayment(paymentPayload, createValidPaymentRequirementsV2())
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'accepted_requirements_mismatch')
+    })
+
+    it('should return invalid when the accepted asset differs from the requirements', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = { ...createValidPaymentRequirementsV2(), asset: 'bch' }
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'accepted_requirements_mismatch')
+    })
+
+    it('should return invalid when signature verification fails', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
+
+      mockBchjs.BitcoinCash.verifyMessage.returns(false)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qptest'
+      })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_exact_bch_payload_signature')
+    })
+
+    it('should verify valid payment with v1 format', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
+
+      mockBchjs.BitcoinCash.verifyMessage.returns(true)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qprecv'
+      })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.payer, 'bitcoincash:qptest')
+      assert.property(result, 'remainingBalanceSat')
+      assert.property(result, 'ledgerEntry')
+    })
+
+    it('should include the funding confirmations in the ledger entry', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qprecv',
+        confirmations: 2
+      })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.ledgerEntry.confirmations, 2)
+    })
+
+    it('should return invalid when the funding UTXO lacks confirmations', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: false,
+        invalidReason: 'utxo_insufficient_confirmations',
+        utxoAmountSat: null
+      })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'utxo_insufficient_confirmations')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should verify valid payment with v2 format', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+
+      mockBchjs.BitcoinCash.verifyMessage.returns(true)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qprecv'
+      })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.payer, 'bitcoincash:qptest')
+      assert.property(result, 'remainingBalanceSat')
+      assert.property(result, 'ledgerEntry')
+    })
+
+    it('should handle CAIP-2 network format', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+
+      mockBchjs.BitcoinCash.verifyMessage.returns(true)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qprecv'
+      })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.isValid)
+    })
+
+    it('should return invalid when payTo does not belong to the tenant', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+      const tenant = { tenantId: 'tenant1', payTo: ['bitcoincash:qpother'] }
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements, { tenant })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_pay_to')
+      assert.isTrue(mockBchWallet.validateUtxo.notCalled)
+    })
+
+    it('should handle signature verification errors', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
+
+      const sigError = new Error('Signature error')
+      mockBchjs.BitcoinCash.verifyMessage.throws(sigError)
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_exact_bch_payload_signature')
+      assert.isTrue(mockLogger.error.calledOnce)
+    })
+
+    it('should record the debit as a pending settlement', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      await useCase.verifyPayment(paymentPayload, createValidPaymentRequirementsV2())
+
+      const settlement = settlements.get(`default!${useCase.getIdempotencyKey(paymentPayload)}`)
+      assert.equal(settlement.status, 'pending')
+      assert.equal(settlement.payer, 'bitcoincash:qptest')
+      assert.equal(settlement.txid, 'tx123')
+      assert.equal(settlement.amountSat, '1000')
+      assert.equal(settlement.tenantId, 'default')
+      assert.isNull(settlement.settledAt)
+    })
+
+    it('should still return valid when the pending settlement can not be recorded', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockSettlementDb.put.rejects(new Error('Disk full'))
+
+      const result = await useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+
+      assert.isTrue(result.isValid)
+      assert.isTrue(mockLogger.error.calledOnce)
+    })
+
+    it('should journal the debit with the resource it paid for', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = { ...createValidPaymentRequirementsV2(), resource: 'https://api.example.com/weather' }
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(mockJournalDb.batch.calledOnce)
+      const [entryOp, payerOp, resourceOp] = mockJournalDb.batch.firstCall.args[0]
+      assert.include(entryOp.value, {
+        type: 'debit',
+        payer: 'bitcoincash:qptest',
+        resource: 'https://api.example.com/weather',
+        amountSat: '1000',
+        utxoId: 'tx123:0',
+        idempotencyKey: useCase.getIdempotencyKey(paymentPayload),
+        result: 'debited'
+      })
+      assert.equal(payerOp.value, entryOp.key)
+      assert.equal(resourceOp.value, entryOp.key)
+    })
+
+    it('should journal a refused debit with its reason', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({ isValid: false, invalidReason: 'utxo_spent' })
+
+      await useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+
+      const [entryOp] = mockJournalDb.batch.firstCall.args[0]
+      assert.include(entryOp.value, { utxoId: null, result: 'utxo_spent' })
+    })
+
+    it('should still return valid when the debit can not be journaled', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockJournalDb.batch.rejects(new Error('Disk full'))
+
+      const result = await useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+
+      assert.isTrue(result.isValid)
+      assert.isTrue(mockLogger.error.calledOnce)
+    })
+
+    describe('under parallel requests', () => {
+      // Yields to the event loop, so parallel requests interleave the way
+      // they would against the real database and network.
+      const tick = () => new Promise(resolve => setImmediate(resolve))
+
+      // In-memory stand-in for the UTXO Level DB.
+      const createMemoryDb = () => {
+        const store = new Map()
+        return {
+          store,
+          get: async (key) => {
+            await tick()
+            if (!store.has(key)) throw new Error('NotFound')
+            return structuredClone(store.get(key))
+          },
+          put: async (key, value) => {
+            await tick()
+            store.set(key, structuredClone(value))
+          },
+          batch: async (ops) => {
+            await tick()
+            for (const op of ops) {
+              if (op.type === 'put') store.set(op.key, structuredClone(op.value))
+              else store.delete(op.key)
+            }
+          },
+          iterator: async function * (options = {}) {
+            const keys = [...store.keys()].sort()
+            for (const key of keys) {
+              if (options.gt && key <= options.gt) continue
+              if (options.lt && key >= options.lt) continue
+              await tick()
+              yield [key, structuredClone(store.get(key))]
+            }
+          }
+        }
+      }
+
+      beforeEach(() => {
+        mockLevelDB.utxoDb = createMemoryDb()
+        mockBchWallet.validateUtxo = async () => {
+          await tick()
+          return { isValid: true, utxoAmountSat: 5000, receiverAddress: 'bitcoincash:qprecv', confirmations: 0 }
+        }
+      })
+
+      it('should not double-debit a UTXO referenced by txid', async () => {
+        const useCase = createUseCase()
+
+        // 5000 sats pays for 5 calls of 1000 sats. Fire 20 calls at once.
+        const results = await Promise.all(Array.from({ length: 20 }, () =>
+          useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+        ))
+
+        const accepted = results.filter(result => result.isValid)
+        assert.equal(accepted.length, 5)
+        assert.deepEqual(
+          accepted.map(result => result.remainingBalanceSat).sort(),
+          ['0', '1000', '2000', '3000', '4000']
+        )
+        results.filter(result => !result.isValid).forEach(result => {
+          assert.equal(result.invalidReason, 'insufficient_utxo_balance')
+        })
+
+        // The consumed UTXO stays in the ledger, so it can not be ledgered
+        // again, but is dropped from the address index.
+        const store = mockLevelDB.utxoDb.store
+        assert.equal(store.get('tx123:0').remainingBalanceSat, '0')
+        assert.equal(store.get('tx123:0').totalDebitedSat, '5000')
+        assert.isFalse(store.has('addr!bitcoincash:qptest!tx123:0'))
+      })
+
+      it('should not double-debit a tab under parallel "check my tab" calls', async () => {
+        const useCase = createUseCase()
+
+        // Open a tab with the first call, which leaves 4000 sats.
+        await useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+
+        const createTabPayload = () => {
+          const payload = createValidPaymentPayloadV2()
+          payload.payload.authorization.txid = '*'
+          payload.payload.authorization.vout = null
+          return payload
+        }
+        const results = await Promise.all(Array.from({ length: 10 }, () =>
+          useCase.verifyPayment(createTabPayload(), createValidPaymentRequirementsV2())
+        ))
+
+        assert.equal(results.filter(result => result.isValid).length, 4)
+        results.filter(result => !result.isValid).forEach(result => {
+          assert.equal(result.invalidReason, 'no_utxo_found_for_address')
+        })
+        assert.equal(mockLevelDB.utxoDb.store.get('tx123:0').remainingBalanceSat, '0')
+      })
+
+      it('should debit once when the same payment is settled in parallel', async () => {
+        const useCase = createUseCase()
+
+        const results = await Promise.all(Array.from({ length: 5 }, () =>
+          useCase.settlePayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+        ))
+
+        results.forEach(result => assert.isTrue(result.success))
+        assert.equal(mockLevelDB.utxoDb.store.get('tx123:0').remainingBalanceSat, '4000')
+      })
+
+      it('should keep the record and address index in step while freezing', async () => {
+        const useCase = createUseCase()
+        await useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+
+        const [frozen] = await Promise.all([
+          useCase.freezeUtxo('tx123:0', 'spent_on_chain'),
+          useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2()),
+          useCase.verifyPayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+        ])
+
+        const store = mockLevelDB.utxoDb.store
+        assert.isTrue(frozen.frozen)
+        assert.equal(store.get('addr!bitcoincash:qptest!tx123:0'), 'tx123:0')
+        assert.isTrue(store.get('tx123:0').frozen)
+      })
+    })
+  })
+
+  describe('#verifyPayment on testnet', () => {
+    const createPaymentPayload = () => ({
+      x402Version: 2,
+      accepted: {
+        scheme: 'utxo',
+        network: TESTNET4,
+        amount: '1000',
+        payTo: 'bchtest:qprecv'
+      },
+      payload: {
+        signature: 'test-signature',
+        authorization: {
+          from: 'bchtest:qptest',
+          to: 'bchtest:qprecv',
+          value: '1000',
+          txid: 'tx123',
+          vout: 0,
+          amount: '2000'
+        }
+      }
+    })
+
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: TESTNET4,
+      amount: '1000',
+      payTo: 'bchtest:qprecv'
+    }
+
+    beforeEach(() => {
+      sandbox.replace(config, 'acceptLegacyAuthorizations', true)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bchtest:qprecv'
+      })
+    })
+
+    it('should validate and ledger the UTXO on the testnet', async () => {
+      sandbox.replace(config, 'networks', ['bch', 'bch-testnet'])
+      const useCase = createUseCase()
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(mockBchWallet.validateUtxo.firstCall.args[0].network, TESTNET4)
+      assert.equal(mockUtxoDb.batch.firstCall.args[0][0].value.network, TESTNET4)
+    })
+
+    it('should reject a network that is not configured', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_network')
+    })
+
+    it('should reject a mainnet payer address', async () => {
+      sandbox.replace(config, 'networks', ['bch', 'bch-testnet'])
+      const useCase = createUseCase()
+      const paymentPayload = createPaymentPayload()
+      paymentPayload.payload.authorization.from = 'bitcoincash:qptest'
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_network')
+      assert.isTrue(mockBchWallet.validateUtxo.notCalled)
+    })
+  })
+
+  describe('#verifyPayment with CashTokens', () => {
+    const category = 'ab'.repeat(32)
+
+    const createPaymentPayload = () => ({
+      x402Version: 2,
+      accepted: {
+        scheme: 'utxo',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        amount: '100',
+        payTo: 'bitcoincash:qprecv',
+        asset: category
+      },
+      payload: {
+        signature: 'test-signature',
+        authorization: {
+          from: 'bitcoincash:qptest',
+          to: 'bitcoincash:qprecv',
+          value: '100',
+          txid: 'tx123',
+          vout: 0,
+          amount: '1000'
+        }
+      }
+    })
+
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: 'bip122:000000000000000000651ef99cb9fcbe',
+      amount: '100',
+      payTo: 'bitcoincash:qprecv',
+      asset: category
+    }
+
+    beforeEach(() => {
+      sandbox.replace(config, 'acceptLegacyAuthorizations', true)
+      sandbox.replace(config, 'acceptedTokenCategories', [category])
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 1000,
+        receiverAddress: 'bitcoincash:qprecv',
+        tokenCategory: category,
+        tokenAmount: '1000'
+      })
+    })
+
+    it('should advertise the accepted token categories', () => {
+      const useCase = createUseCase()
+
+      const result = useCase.listSupportedKinds()
+
+      assert.deepEqual(result.kinds[0].extra, { tokenCategories: [category] })
+    })
+
+    it('should ledger the balance in token units', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.remainingBalanceSat, '900')
+      assert.equal(result.tokenCategory, category)
+      const record = mockUtxoDb.batch.firstCall.args[0][0].value
+      assert.equal(record.tokenCategory, category)
+      assert.equal(record.transactionValueSat, '1000')
+    })
+
+    it('should reject a token category that is not accepted', async () => {
+      const useCase = createUseCase()
+      useCase.schemes.get('utxo').config = { ...config, acceptedTokenCategories: [] }
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'unsupported_asset')
+    })
+
+    it('should reject a funding output without tokens of the category', async () => {
+      const useCase = createUseCase()
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 1000,
+        receiverAddress: 'bitcoincash:qprecv'
+      })
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'asset_mismatch')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not debit a BCH ledger entry for a token payment', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:0',
+        txid: 'tx123',
+        vout: 0,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '5000',
+        totalDebitedSat: '0'
+      })
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'asset_mismatch')
+    })
+  })
+
+  describe('#verifyPayment with SLP tokens', () => {
+    const tokenId = 'cd'.repeat(32)
+
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: 'bip122:000000000000000000651ef99cb9fcbe',
+      amount: '250',
+      payTo: 'bitcoincash:qprecv',
+      asset: tokenId,
+      extra: { assetMode: 'slp' }
+    }
+
+    const createPaymentPayload = () => ({
+      x402Version: 2,
+      accepted: { ...paymentRequirements },
+      payload: {
+        signature: 'test-signature',
+        authorization: {
+          from: 'bitcoincash:qptest',
+          to: 'bitcoincash:qprecv',
+          value: '250',
+          txid: 'tx123',
+          vout: 1,
+          amount: '1000'
+        }
+      }
+    })
+
+    beforeEach(() => {
+      sandbox.replace(config, 'acceptLegacyAuthorizations', true)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 546,
+        receiverAddress: 'bitcoincash:qprecv',
+        slpTokenId: tokenId,
+        slpTokenAmount: '1000'
+      })
+    })
+
+    it('should ledger the balance in token base units', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.remainingBalanceSat, '750')
+      assert.equal(result.slpTokenId, tokenId)
+      assert.notProperty(result, 'tokenCategory')
+      const record = mockUtxoDb.batch.firstCall.args[0][0].value
+      assert.equal(record.slpTokenId, tokenId)
+      assert.notProperty(record, 'tokenCategory')
+      assert.equal(record.transactionValueSat, '1000')
+    })
+
+    it('should reject a funding output carrying a different token', async () => {
+      const useCase = createUseCase()
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 546,
+        receiverAddress: 'bitcoincash:qprecv',
+        slpTokenId: 'ef'.repeat(32),
+        slpTokenAmount: '1000'
+      })
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'asset_mismatch')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not debit a ledger entry of another SLP token', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.resolves({
+        utxoId: 'tx123:1',
+        txid: 'tx123',
+        vout: 1,
+        payerAddress: 'bitcoincash:qptest',
+        remainingBalanceSat: '5000',
+        totalDebitedSat: '0',
+        slpTokenId: 'ef'.repeat(32)
+      })
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'asset_mismatch')
+    })
+
+    it('should reject the slp asset mode without a token ID', async () => {
+      const useCase = createUseCase()
+      const requirements = { ...paymentRequirements, asset: 'SLP' }
+      const payload = { ...createPaymentPayload(), accepted: requirements }
+
+      const result = await useCase.verifyPayment(payload, requirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'unsupported_asset')
+      assert.isTrue(mockBchWallet.validateUtxo.notCalled)
+    })
+  })
+
+  describe('#getSlpTokenId', () => {
+    it('should only return a token ID in the slp asset mode', () => {
+      const useCase = createUseCase()
+
+      assert.isNull(useCase.getSlpTokenId({ asset: 'cd'.repeat(32) }))
+      assert.equal(useCase.getSlpTokenId({ asset: 'CD'.repeat(32), extra: { assetMode: 'slp' } }), 'cd'.repeat(32))
+      assert.isNull(useCase.getTokenCategory({ asset: 'cd'.repeat(32), extra: { assetMode: 'slp' } }))
+    })
+  })
+
+  describe('#getPaymentAmount', () => {
+    it('should return the v2 amount', () => {
+      const useCase = createUseCase()
+
+      assert.equal(useCase.getPaymentAmount({ amount: '1000', minAmountRequired: 500 }), 1000n)
+    })
+
+    it('should fall back to the v1 amount fields', () => {
+      const useCase = createUseCase()
+
+      assert.equal(useCase.getPaymentAmount({ minAmountRequired: 500 }), 500n)
+      assert.equal(useCase.getPaymentAmount({ maxAmountRequired: 700 }), 700n)
+      assert.equal(useCase.getPaymentAmount({}), 0n)
+    })
+  })
+
+  describe('#getTokenCategory', () => {
+    it('should return null for BCH payments', () => {
+      const useCase = createUseCase()
+
+      assert.isNull(useCase.getTokenCategory({ amount: '1000' }))
+      assert.isNull(useCase.getTokenCategory({ asset: '0x0000000000000000000000000000000000000001' }))
+    })
+
+    it('should return the lower case token category', () => {
+      const useCase = createUseCase()
+
+      assert.equal(useCase.getTokenCategory({ asset: 'AB'.repeat(32) }), 'ab'.repeat(32))
+    })
+  })
+
+  describe('#getDeadline', () => {
+    it('should return null without maxTimeoutSeconds', () => {
+      const useCase = createUseCase()
+
+      assert.isNull(useCase.getDeadline({ amount: '1000' }))
+      assert.isNull(useCase.getDeadline({ maxTimeoutSeconds: 0 }))
+    })
+
+    it('should return a timestamp maxTimeoutSeconds from now', () => {
+      const useCase = createUseCase()
+      sandbox.stub(Date, 'now').returns(1000)
+
+      assert.equal(useCase.getDeadline({ maxTimeoutSeconds: 60 }), 61000)
+    })
+  })
+
+  describe('#checkAuthorizationWindow', () => {
+    it('should accept an authorization inside its window', () => {
+      const useCase = createUseCase()
+
+      const result = useCase.checkAuthorizationWindow({ nonce: 'n1', validAfter: 100, validBefore: 200 }, 150)
+
+      assert.isNull(result)
+    })
+
+    it('should reject an authorization that is not valid yet', () => {
+      const useCase = createUseCase()
+
+      const result = useCase.checkAuthorizationWindow({ nonce: 'n1', validAfter: 100, validBefore: 200 }, 50)
+
+      assert.equal(result, 'authorization_not_yet_valid')
+    })
+
+    it('should reject an expired authorization', () => {
+      const useCase = createUseCase()
+
+      const result = useCase.checkAuthorizationWindow({ nonce: 'n1', validBefore: 200 }, 200)
+
+      assert.equal(result, 'authorization_expired')
+    })
+
+    it('should require validBefore', () => {
+      const useCase = createUseCase()
+
+      const result = useCase.checkAuthorizationWindow({ nonce: 'n1' }, 150)
+
+      assert.equal(result, 'invalid_payload')
+    })
+  })
+
+  describe('#pruneExpiredNonces', () => {
+    it('should delete only the nonces of expired authorizations', async () => {
+      const useCase = createUseCase()
+      const now = Math.floor(Date.now() / 1000)
+      nonces.set('bitcoincash:qptest!old', { validBefore: now - 10 })
+      nonces.set('bitcoincash:qptest!new', { validBefore: now + 60 })
+
+      const result = await useCase.pruneExpiredNonces()
+
+      assert.equal(result, 1)
+      assert.isFalse(nonces.has('bitcoincash:qptest!old'))
+      assert.isTrue(nonces.has('bitcoincash:qptest!new'))
+    })
+  })
+
+  describe('#verifyPayment replay protection', () => {
+    const createPaymentPayload = (overrides = {}) => ({
+      x402Version: 2,
+      accepted: {
+        scheme: 'utxo',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        amount: '1000',
+        payTo: 'bitcoincash:qprecv'
+      },
+      payload: {
+        signature: 'test-signature',
+        authorization: {
+          from: 'bitcoincash:qptest',
+          to: 'bitcoincash:qprecv',
+          value: '1000',
+          txid: 'tx123',
+          vout: 0,
+          amount: '2000',
+          nonce: 'nonce-1',
+          validAfter: 0,
+          validBefore: Math.floor(Date.now() / 1000) + 60,
+          ...overrides
+        }
+      }
+    })
+
+    const paymentRequirements = {
+      scheme: 'utxo',
+      network: 'bip122:000000000000000000651ef99cb9fcbe',
+      amount: '1000',
+      payTo: 'bitcoincash:qprecv'
+    }
+
+    beforeEach(() => {
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 5000,
+        receiverAddress: 'bitcoincash:qprecv'
+      })
+    })
+
+    it('should reject a legacy authorization unless they are accepted', async () => {
+      const useCase = createUseCase()
+      useCase.schemes.get('utxo').config = { ...config, acceptLegacyAuthorizations: false }
+      const paymentPayload = createPaymentPayload({ nonce: undefined, validBefore: undefined })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'legacy_authorization_not_accepted')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should claim the nonce of a valid payment', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(nonces.get('bitcoincash:qptest!nonce-1').nonce, 'nonce-1')
+    })
+
+    it('should reject a replayed authorization without debiting it', async () => {
+      const useCase = createUseCase()
+
+      await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'authorization_replayed')
+      assert.equal(result.payer, 'bitcoincash:qptest')
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+    })
+
+    it('should only debit one of several parallel replays', async () => {
+      const useCase = createUseCase()
+
+      const results = await Promise.all([1, 2, 3].map(() =>
+        useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+      ))
+
+      assert.equal(results.filter(r => r.isValid).length, 1)
+      assert.equal(results.filter(r => r.invalidReason === 'authorization_replayed').length, 2)
+    })
+
+    it('should reject an expired authorization', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createPaymentPayload({ validBefore: Math.floor(Date.now() / 1000) - 1 })
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'authorization_expired')
+      assert.equal(nonces.size, 0)
+    })
+
+    it('should release the nonce when the facilitator times out', async () => {
+      const useCase = createUseCase()
+      mockBchWallet.validateUtxo.resolves({ isValid: false, invalidReason: 'facilitator_timeout' })
+      const paymentPayload = createPaymentPayload()
+      paymentPayload.accepted.maxTimeoutSeconds = 1
+
+      const result = await useCase.verifyPayment(paymentPayload, { ...paymentRequirements, maxTimeoutSeconds: 1 })
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'facilitator_timeout')
+      assert.isNumber(mockBchWallet.validateUtxo.firstCall.args[0].deadline)
+      assert.equal(nonces.size, 0)
+    })
+
+    it('should release the nonce when the payment is not valid', async () => {
+      const useCase = createUseCase()
+      mockBchWallet.validateUtxo.resolves({ isValid: false, invalidReason: 'utxo_not_found' })
+
+      const result = await useCase.verifyPayment(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(nonces.size, 0)
+    })
+  })
+
+  describe('#settlePayment', () => {
+    // These payloads predate replay protection.
+    beforeEach(() => {
+      sandbox.replace(config, 'acceptLegacyAuthorizations', true)
+    })
+
+    const createValidPaymentPayloadV1 = () => ({
+      x402Version: 1,
+      scheme: 'utxo',
+      network: 'bch',
+      payload: {
+        signature: 'test-signature',
+        authorization: {
+          from: 'bitcoincash:qptest',
+          to: 'bitcoincash:qprecv',
+          value: 1000,
+          txid: 'tx123',
+          vout: 0,
+          amount: 2000
+        }
+      }
+    })
+
+    const createValidPaymentPayloadV2 = () => ({
+      x402Version: 2,
+      accepted: {
+        scheme: 'utxo',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        amount: '1000',
+        payTo: 'bitcoincash:qprecv'
+      },
+      payload: {
+        signature: 'test-signature',
+        authorization: {
+          from: 'bitcoincash:qptest',
+          to: 'bitcoincash:qprecv',
+          value: '1000',
+          txid: 'tx123',
+          vout: 0,
+          amount: '2000'
+        }
+      }
+    })
+
+    const createValidPaymentRequirementsV1 = () => ({
+      scheme: 'utxo',
+      network: 'bch',
+      minAmountRequired: 1000,
+      payTo: 'bitcoincash:qprecv'
+    })
+
+    const createValidPaymentRequirementsV2 = () => ({
+      scheme: 'utxo',
+      network: 'bip122:000000000000000000651ef99cb9fcbe',
+      amount: '1000',
+      payTo: 'bitcoincash:qprecv'
+    })
+
+    it('should return error when verification fails', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = { ...createValidPaymentRequirementsV1(), network: 'btc' }
+
+      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.success)
+      assert.property(result, 'errorReason')
+      assert.equal(result.transaction, '')
+      assert.equal(result.network, 'bip122:000000000000000000651ef99cb9fcbe')
+    })
+
+    it('should return facilitator_timeout when verification times out', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = { ...createValidPaymentRequirementsV2(), maxTimeoutSeconds: 5 }
+      sandbox.stub(useCase, 'verifyPayment').resolves({
+        isValid: false,
+        invalidReason: 'facilitator_timeout',
+        payer: 'bitcoincash:qptest'
+      })
+
+      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.success)
+      assert.equal(result.errorReason, 'facilitator_timeout')
+      assert.isNumber(useCase.verifyPayment.firstCall.args[2].deadline)
+      assert.equal(settlements.size, 0)
+    })
+
+    it('should verify and settle a payment that was not verified first (v1 format)', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
+
+      mockBchjs.BitcoinCash.verifyMessage.returns(true)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qprecv'
+      })
+
+      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.success)
+      assert.equal(result.transaction, 'tx123')
+      assert.equal(result.network, 'bip122:000000000000000000651ef99cb9fcbe')
+      assert.equal(result.payer, 'bitcoincash:qptest')
+      assert.equal(result.remainingBalanceSat, '1000')
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+
+      const settlement = settlements.get(`default!${useCase.getIdempotencyKey(paymentPayload)}`)
+      assert.equal(settlement.status, 'settled')
+      assert.equal(settlement.utxoId, 'tx123:0')
+      assert.equal(settlement.amountSat, '1000')
+    })
+
+    it('should verify and settle a payment that was not verified first (v2 format)', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+
+      mockBchjs.BitcoinCash.verifyMessage.returns(true)
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qprecv'
       })
-      mockBchWallet.getWallet().send.rejects(new Error('Send failed'))
+
+      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.success)
+      assert.equal(result.transaction, 'tx123')
+      assert.equal(result.network, 'bip122:000000000000000000651ef99cb9fcbe')
+      assert.equal(result.payer, 'bitcoincash:qptest')
+    })
+
+    it('should settle the debit of a prior verify without debiting again', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      const verification = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      const idempotencyKey = `default!${useCase.getIdempotencyKey(paymentPayload)}`
+      assert.isTrue(verification.isValid)
+      assert.equal(settlements.get(idempotencyKey).status, 'pending')
+
+      const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.success)
+      assert.equal(result.remainingBalanceSat, verification.remainingBalanceSat)
+      assert.isTrue(mockUtxoDb.batch.calledOnce) // Only the verify debited the ledger
+      assert.isTrue(mockBchWallet.validateUtxo.calledOnce)
+      assert.equal(settlements.get(idempotencyKey).status, 'settled')
+      assert.isString(settlements.get(idempotencyKey).settledAt)
+    })
+
+    it('should return the original settlement when settled again', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      const first = await useCase.settlePayment(paymentPayload, paymentRequirements)
+      const second = await useCase.settlePayment(paymentPayload, paymentRequirements)
+
+      assert.deepEqual(second, first)
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      assert.equal(mockSettlementDb.put.callCount, 2) // Pending, then settled
+    })
+
+    it('should settle with an explicit idempotency key', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      await useCase.verifyPayment(paymentPayload, paymentRequirements, { idempotencyKey: 'request-1' })
+      const result = await useCase.settlePayment(paymentPayload, paymentRequirements, { idempotencyKey: 'request-1' })
+
+      assert.isTrue(result.success)
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      assert.equal(settlements.get('default!request-1').status, 'settled')
+    })
+
+    it('should settle the last verify of a payment without an idempotency key without debiting again', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      const verification = await useCase.verifyPayment(paymentPayload, paymentRequirements, { idempotencyKey: null })
+      const result = await useCase.settlePayment(paymentPayload, paymentRequirements, { idempotencyKey: null })
+
+      assert.isTrue(verification.isValid)
+      assert.isTrue(result.success)
+      assert.equal(result.transaction, 'tx123')
+      assert.equal(result.remainingBalanceSat, '1000')
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      assert.equal(settlements.get(`default!legacy!${paymentPayload.payload.authorization.from}`).status, 'settled')
+    })
+
+    it('should debit a settle without an idempotency key once its verify was settled', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      const first = await useCase.settlePayment(paymentPayload, paymentRequirements, { idempotencyKey: null })
+      const ledgered = mockUtxoDb.batch.firstCall.args[0][0].value
+      mockUtxoDb.get.withArgs('tx123:0').resolves(ledgered)
+      const second = await useCase.settlePayment(paymentPayload, paymentRequirements, { idempotencyKey: null })
+
+      assert.isTrue(first.success)
+      assert.equal(first.remainingBalanceSat, '1000')
+      assert.isTrue(second.success)
+      assert.equal(second.remainingBalanceSat, '0')
+      assert.isTrue(mockUtxoDb.batch.calledTwice)
+    })
+
+    it('should debit a settle without an idempotency key for another payment than the last verify', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      await useCase.verifyPayment(paymentPayload, paymentRequirements, { idempotencyKey: null })
+      const ledgered = mockUtxoDb.batch.firstCall.args[0][0].value
+      mockUtxoDb.get.withArgs('tx123:0').resolves(ledgered)
+      const otherResource = { ...paymentRequirements, resource: 'https://api.example.com/other' }
+      const result = await useCase.settlePayment(paymentPayload, otherResource, { idempotencyKey: null })
+
+      assert.isTrue(result.success)
+      assert.equal(result.remainingBalanceSat, '0')
+      assert.isTrue(mockUtxoDb.batch.calledTwice)
+    })
+
+    it('should record a verify without an idempotency key as the last legacy verify of the payer', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV1()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      const result = await useCase.verifyPayment(paymentPayload, createValidPaymentRequirementsV1(), { idempotencyKey: null })
+
+      assert.isTrue(result.isValid)
+      assert.deepEqual([...settlements.keys()], [`default!legacy!${paymentPayload.payload.authorization.from}`])
+      assert.equal(settlements.values().next().value.status, 'pending')
+    })
+
+    it('should reject a key reused for a different payment', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      await useCase.verifyPayment(paymentPayload, paymentRequirements, { idempotencyKey: 'request-1' })
+      const otherPayment = { ...paymentRequirements, amount: '5000', resource: 'https://api.example.com/premium' }
+      const result = await useCase.settlePayment(paymentPayload, otherPayment, { idempotencyKey: 'request-1' })
+
+      assert.isFalse(result.success)
+      assert.equal(result.errorReason, 'idempotency_key_conflict')
+      assert.equal(settlements.get('default!request-1').status, 'pending')
+    })
+
+    it('should not settle the payment of another tenant under the same key', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      const paymentRequirements = createValidPaymentRequirementsV2()
+      const tenant1 = { tenantId: 'tenant1', payTo: ['bitcoincash:qprecv'] }
+      const tenant2 = { tenantId: 'tenant2', payTo: ['bitcoincash:qprecv'] }
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      await useCase.verifyPayment(paymentPayload, paymentRequirements, { idempotencyKey: 'request-1', tenant: tenant1 })
+      await useCase.settlePayment(paymentPayload, paymentRequirements, { idempotencyKey: 'request-1', tenant: tenant2 })
+
+      assert.equal(settlements.get('tenant1!request-1').status, 'pending')
+      assert.equal(settlements.get('tenant2!request-1').tenantId, 'tenant2')
+    })
+
+    it('should reject a payload without a signature', async () => {
+      const useCase = createUseCase()
+      const paymentPayload = createValidPaymentPayloadV2()
+      delete paymentPayload.payload.signature
+
+      const result = await useCase.settlePayment(paymentPayload, createValidPaymentRequirementsV2())
+
+      assert.isFalse(result.success)
+      assert.equal(result.errorReason, 'invalid_payload')
+      assert.equal(result.payer, 'bitcoincash:qptest')
+    })
+
+    it('should not use the facilitator wallet', async () => {
+      const useCase = createUseCase()
+      mockUtxoDb.get.rejects(new Error('NotFound'))
+
+      await useCase.settlePayment(createValidPaymentPayloadV2(), createValidPaymentRequirementsV2())
+
+      assert.isTrue(mockBchWallet.initializeWallet.notCalled)
+      assert.isTrue(mockBchWallet.sendBch.notCalled)
+    })
+
+    it('should handle errors during settlement', async () => {
+      const useCase = createUseCase({ ...mockAdapters, levelDB: { utxoDb: mockUtxoDb } })
+      const paymentPayload = createValidPaymentPayloadV1()
+      const paymentRequirements = createValidPaymentRequirementsV1()
 
       const result = await useCase.settlePayment(paymentPayload, paymentRequirements)
 
@@ -609,4 +2617,466 @@ describe('#use-cases/facilitator.js', () => {
       assert.isTrue(mockLogger.error.calledOnce)
     })
   })
+
+  describe('#debitTab', () => {
+    const tabUtxo = (utxoId, remainingBalanceSat, firstSeen) => ({
+      utxoId,
+      txid: utxoId.split(':')[0],
+      vout: 0,
+      payerAddress: 'bitcoincash:qptest',
+      receiverAddress: 'bitcoincash:qprecv',
+      tenantId: 'default',
+      network: 'bip122:000000000000000000651ef99cb9fcbe',
+      transactionValueSat: remainingBalanceSat,
+      remainingBalanceSat,
+      totalDebitedSat: '0',
+      firstSeen
+    })
+    const debitOptions = {
+      paymentRequirements: { network: 'bch', payTo: 'bitcoincash:qprecv', amount: '1000' },
+      payerAddress: 'bitcoincash:qptest',
+      payTo: 'bitcoincash:qprecv'
+    }
+
+    it('should debit the cost across several UTXOs in one batch', async () => {
+      const useCase = createUseCase()
+      const entries = useLedger([
+        tabUtxo('tx1:0', '400', '2025-01-01T00:00:00.000Z'),
+        tabUtxo('tx2:0', '400', '2025-01-02T00:00:00.000Z'),
+        tabUtxo('tx3:0', '400', '2025-01-03T00:00:00.000Z')
+      ])
+
+      const result = await useCase.debitTab(debitOptions)
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.remainingBalanceSat, '200')
+      assert.equal(result.utxoInfo.utxoId, 'tx3:0')
+      assert.deepEqual(result.debits, [
+        { utxoId: 'tx1:0', debitedSat: '400', remainingBalanceSat: '0' },
+        { utxoId: 'tx2:0', debitedSat: '400', remainingBalanceSat: '0' },
+        { utxoId: 'tx3:0', debitedSat: '200', remainingBalanceSat: '200' }
+      ])
+      assert.isTrue(mockUtxoDb.batch.calledOnce)
+      assert.equal(entries.get('tx1:0').totalDebitedSat, '400')
+      assert.isFalse(entries.has('addr!bitcoincash:qptest!tx1:0'))
+      assert.isFalse(entries.has('addr!bitcoincash:qptest!tx2:0'))
+      assert.equal(entries.get('addr!bitcoincash:qptest!tx3:0'), 'tx3:0')
+    })
+
+    it('should not debit a tab that can not cover the cost', async () => {
+      const useCase = createUseCase()
+      useLedger([
+        tabUtxo('tx1:0', '400', '2025-01-01T00:00:00.000Z'),
+        tabUtxo('tx2:0', '400', '2025-01-02T00:00:00.000Z')
+      ])
+
+      const result = await useCase.debitTab(debitOptions)
+
+      assert.deepEqual(result, { isValid: false, invalidReason: 'no_utxo_found_for_address' })
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not debit a UTXO frozen after it was selected', async () => {
+      const useCase = createUseCase()
+      const entries = useLedger([
+        tabUtxo('tx1:0', '600', '2025-01-01T00:00:00.000Z'),
+        tabUtxo('tx2:0', '600', '2025-01-02T00:00:00.000Z')
+      ])
+      const selectTabUtxos = useCase.selectTabUtxos
+      useCase.selectTabUtxos = async (...args) => {
+        const selected = await selectTabUtxos(...args)
+        entries.set('tx1:0', { ...entries.get('tx1:0'), frozen: true })
+        return selected
+      }
+
+      const result = await useCase.debitTab(debitOptions)
+
+      assert.equal(result.invalidReason, 'no_utxo_found_for_address')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not debit the tab once the deadline has passed', async () => {
+      const useCase = createUseCase()
+      useLedger([tabUtxo('tx1:0', '5000', '2025-01-01T00:00:00.000Z')])
+
+      const result = await useCase.debitTab({ ...debitOptions, deadline: Date.now() - 1 })
+
+      assert.equal(result.invalidReason, 'facilitator_timeout')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should list the UTXOs debited in the ledger entry of verify', async () => {
+      const useCase = createUseCase()
+      useLedger([
+        tabUtxo('tx1:0', '400', '2025-01-01T00:00:00.000Z'),
+        tabUtxo('tx2:0', '5000', '2025-01-02T00:00:00.000Z')
+      ])
+      const paymentRequirements = {
+        scheme: 'utxo',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        amount: '1000',
+        payTo: 'bitcoincash:qprecv'
+      }
+      const paymentPayload = {
+        x402Version: 2,
+        accepted: paymentRequirements,
+        payload: {
+          signature: 'test-signature',
+          authorization: {
+            from: 'bitcoincash:qptest',
+            to: 'bitcoincash:qprecv',
+            value: '1000',
+            txid: '*',
+            vout: null,
+            amount: null
+          }
+        }
+      }
+      useCase.schemes.get('utxo').config = { ...config, acceptLegacyAuthorizations: true }
+
+      const result = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(result.isValid)
+      assert.equal(result.remainingBalanceSat, '4400')
+      assert.equal(result.ledgerEntry.utxoId, 'tx2:0')
+      assert.deepEqual(result.ledgerEntry.utxos.map(debit => debit.debitedSat), ['400', '600'])
+      const [settlement] = settlements.values()
+      assert.deepEqual(settlement.debits, result.ledgerEntry.utxos)
+    })
+  })
+
+  describe('#getTabBalance', () => {
+    it('should add up the UTXOs on the tab', async () => {
+      const useCase = createUseCase()
+
+      indexUtxos([
+        { utxoId: 'tx1:0', receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '5000' },
+        { utxoId: 'tx2:0', receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '2500' },
+        { utxoId: 'tx3:0', receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '9000', frozen: true },
+        { utxoId: 'tx4:0', receiverAddress: 'bitcoincash:qpother', remainingBalanceSat: '9000' }
+      ])
+
+      const result = await useCase.getTabBalance('bitcoincash:qptest', 'bitcoincash:qprecv')
+
+      assert.equal(result, '7500')
+    })
+
+    it('should return 0 for an empty tab', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.getTabBalance('bitcoincash:qptest', 'bitcoincash:qprecv')
+
+      assert.equal(result, '0')
+    })
+  })
+
+  describe('#getPayerBalance', () => {
+    const validBefore = () => Math.floor(Date.now() / 1000) + 300
+
+    it('should return the UTXOs of the payer and their totals per payTo', async () => {
+      const useCase = createUseCase()
+      const category = 'ab'.repeat(32)
+      indexUtxos([
+        { utxoId: 'tx1:0', txid: 'tx1', vout: 0, receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '400', transactionValueSat: '1000', totalDebitedSat: '600' },
+        { utxoId: 'tx2:0', txid: 'tx2', vout: 0, receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '5000', transactionValueSat: '5000', totalDebitedSat: '0' },
+        { utxoId: 'tx3:0', txid: 'tx3', vout: 0, receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '700', frozen: true, frozenReason: 'spent_on_chain' },
+        { utxoId: 'tx4:0', txid: 'tx4', vout: 0, receiverAddress: 'bitcoincash:qprecv', remainingBalanceSat: '90', tokenCategory: category },
+        { utxoId: 'tx5:0', txid: 'tx5', vout: 0, receiverAddress: 'bitcoincash:qpother', remainingBalanceSat: '100' }
+      ])
+
+      const result = await useCase.getPayerBalance('bitcoincash:qptest', { signature: 'sig', validBefore: validBefore() })
+
+      assert.isTrue(result.success)
+      assert.equal(result.address, 'bitcoincash:qptest')
+      assert.deepEqual(result.utxos.map(utxo => utxo.utxoId), ['tx1:0', 'tx2:0', 'tx3:0', 'tx4:0', 'tx5:0'])
+      assert.equal(result.utxos[2].frozenReason, 'spent_on_chain')
+      assert.deepEqual(result.totals, [
+        {
+          payTo: 'bitcoincash:qprecv',
+          network: 'bip122:000000000000000000651ef99cb9fcbe',
+          tokenCategory: null,
+          slpTokenId: null,
+          utxoCount: 3,
+          remainingBalanceSat: '5400',
+          frozenBalanceSat: '700'
+        },
+        {
+          payTo: 'bitcoincash:qprecv',
+          network: 'bip122:000000000000000000651ef99cb9fcbe',
+          tokenCategory: category,
+          slpTokenId: null,
+          utxoCount: 1,
+          remainingBalanceSat: '90',
+          frozenBalanceSat: '0'
+        },
+        {
+          payTo: 'bitcoincash:qpother',
+          network: 'bip122:000000000000000000651ef99cb9fcbe',
+          tokenCategory: null,
+          slpTokenId: null,
+          utxoCount: 1,
+          remainingBalanceSat: '100',
+          frozenBalanceSat: '0'
+        }
+      ])
+    })
+
+    it('should verify the signature of the balance authorization', async () => {
+      const useCase = createUseCase()
+      const expiry = validBefore()
+
+      await useCase.getPayerBalance('bitcoincash:qptest', { signature: 'sig', validBefore: expiry })
+
+      assert.isTrue(mockBchjs.BitcoinCash.verifyMessage.calledWith(
+        'bitcoincash:qptest',
+        'sig',
+        JSON.stringify({ from: 'bitcoincash:qptest', action: 'balance', validBefore: expiry })
+      ))
+    })
+
+    it('should reject a signature that is not valid', async () => {
+      const useCase = createUseCase()
+      mockBchjs.BitcoinCash.verifyMessage.returns(false)
+
+      const result = await useCase.getPayerBalance('bitcoincash:qptest', { signature: 'sig', validBefore: validBefore() })
+
+      assert.deepEqual(result, { success: false, errorReason: 'invalid_exact_bch_payload_signature' })
+    })
+
+    it('should reject an expired authorization', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.getPayerBalance('bitcoincash:qptest', { signature: 'sig', validBefore: 1000 })
+
+      assert.equal(result.errorReason, 'authorization_expired')
+      assert.isTrue(mockBchjs.BitcoinCash.verifyMessage.notCalled)
+    })
+
+    it('should reject an authorization valid for more than five minutes', async () => {
+      const useCase = createUseCase()
+      const expiry = Math.floor(Date.now() / 1000) + 3600
+
+      const result = await useCase.getPayerBalance('bitcoincash:qptest', { signature: 'sig', validBefore: expiry })
+
+      assert.equal(result.errorReason, 'authorization_too_long')
+      assert.isTrue(mockBchjs.BitcoinCash.verifyMessage.notCalled)
+    })
+
+    it('should reject a request without a signature', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.getPayerBalance('bitcoincash:qptest', { validBefore: NaN })
+
+      assert.equal(result.errorReason, 'invalid_payload')
+    })
+  })
+
+  describe('#fundTab', () => {
+    const tenant = { tenantId: 'default', payTo: ['bitcoincash:qprecv'] }
+    const fundingRequest = () => ({
+      network: 'bch',
+      payload: {
+        signature: 'sig',
+        authorization: {
+          from: 'bitcoincash:qptest',
+          to: 'bitcoincash:qprecv',
+          txid: 'tx2',
+          vout: 0
+        }
+      }
+    })
+
+    it('should ledger the funding UTXO without debiting it', async () => {
+      const useCase = createUseCase()
+      const entries = useLedger([{
+        utxoId: 'tx1:0',
+        payerAddress: 'bitcoincash:qptest',
+        receiverAddress: 'bitcoincash:qprecv',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        remainingBalanceSat: '500'
+      }])
+      mockBchWallet.validateUtxo.resolves({
+        isValid: true,
+        utxoAmountSat: 2000,
+        receiverAddress: 'bitcoincash:qprecv'
+      })
+
+      const result = await useCase.fundTab(fundingRequest(), { tenant })
+
+      assert.isTrue(result.success)
+      assert.equal(result.payer, 'bitcoincash:qptest')
+      assert.equal(result.network, 'bip122:000000000000000000651ef99cb9fcbe')
+      assert.equal(result.tabBalanceSat, '2500')
+      assert.equal(result.ledgerEntry.utxoId, 'tx2:0')
+      assert.equal(result.ledgerEntry.remainingBalanceSat, '2000')
+      assert.equal(result.ledgerEntry.totalDebitedSat, '0')
+      assert.equal(mockBchWallet.validateUtxo.firstCall.args[0].payTo, 'bitcoincash:qprecv')
+      assert.isTrue(entries.has('addr!bitcoincash:qptest!tx2:0'))
+    })
+
+    it('should reject a funding transaction that does not spend from the payer', async () => {
+      const useCase = createUseCase()
+      useLedger([])
+      mockBchWallet.getTxData.resolves([{ vin: [{ address: 'bitcoincash:qpvictim' }] }])
+
+      const result = await useCase.fundTab(fundingRequest(), { tenant })
+
+      assert.deepEqual(result, { success: false, errorReason: 'payer_not_funder', payer: 'bitcoincash:qptest' })
+      assert.deepEqual(mockBchWallet.getTxData.firstCall.args, [['tx2'], { network: 'bip122:000000000000000000651ef99cb9fcbe' }])
+      assert.isTrue(mockBchWallet.validateUtxo.notCalled)
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not change the balance of a UTXO that is already ledgered', async () => {
+      const useCase = createUseCase()
+      useLedger([{
+        utxoId: 'tx2:0',
+        payerAddress: 'bitcoincash:qptest',
+        receiverAddress: 'bitcoincash:qprecv',
+        tenantId: 'default',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        transactionValueSat: '2000',
+        remainingBalanceSat: '1200',
+        totalDebitedSat: '800'
+      }])
+
+      const result = await useCase.fundTab(fundingRequest(), { tenant })
+
+      assert.isTrue(result.success)
+      assert.equal(result.tabBalanceSat, '1200')
+      assert.equal(result.ledgerEntry.totalDebitedSat, '800')
+      assert.isTrue(mockBchWallet.validateUtxo.notCalled)
+    })
+
+    it('should not rewrite a UTXO that is already ledgered, so its tab still expires', async () => {
+      const useCase = createUseCase()
+      useLedger([{
+        utxoId: 'tx2:0',
+        payerAddress: 'bitcoincash:qptest',
+        receiverAddress: 'bitcoincash:qprecv',
+        tenantId: 'default',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        transactionValueSat: '2000',
+        remainingBalanceSat: '1200',
+        totalDebitedSat: '800',
+        lastUpdated: '2026-01-01T00:00:00.000Z'
+      }])
+
+      const result = await useCase.fundTab(fundingRequest(), { tenant })
+
+      assert.isTrue(result.success)
+      assert.equal(result.ledgerEntry.lastUpdated, '2026-01-01T00:00:00.000Z')
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should reject a funding proof with an invalid signature', async () => {
+      const useCase = createUseCase()
+      mockBchjs.BitcoinCash.verifyMessage.returns(false)
+
+      const result = await useCase.fundTab(fundingRequest(), { tenant })
+
+      assert.deepEqual(result, {
+        success: false,
+        errorReason: 'invalid_exact_bch_payload_signature',
+        payer: 'bitcoincash:qptest'
+      })
+      assert.isTrue(mockBchWallet.validateUtxo.notCalled)
+    })
+
+    it('should reject a funding proof without a txid', async () => {
+      const useCase = createUseCase()
+      const request = fundingRequest()
+      request.payload.authorization.txid = '*'
+
+      const result = await useCase.fundTab(request, { tenant })
+
+      assert.equal(result.errorReason, 'invalid_payload')
+    })
+
+    it('should reject a payTo address that does not belong to the tenant', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.fundTab(fundingRequest(), { tenant: null })
+
+      assert.equal(result.errorReason, 'invalid_pay_to')
+    })
+
+    it('should reject a network that is not configured', async () => {
+      const useCase = createUseCase()
+      const request = fundingRequest()
+      request.network = 'bch-chipnet'
+
+      const result = await useCase.fundTab(request, { tenant })
+
+      assert.equal(result.errorReason, 'invalid_network')
+    })
+
+    it('should reject a token category that is not accepted', async () => {
+      const useCase = createUseCase()
+      useCase.schemes.get('utxo').config = { ...config, acceptedTokenCategories: [] }
+      const request = { ...fundingRequest(), asset: 'ab'.repeat(32) }
+
+      const result = await useCase.fundTab(request, { tenant })
+
+      assert.equal(result.errorReason, 'unsupported_asset')
+    })
+
+    it('should return the reason the funding UTXO is not valid', async () => {
+      const useCase = createUseCase()
+      useLedger([])
+      mockBchWallet.validateUtxo.resolves({ isValid: false, invalidReason: 'utxo_insufficient_confirmations' })
+
+      const result = await useCase.fundTab(fundingRequest(), { tenant })
+
+      assert.deepEqual(result, {
+        success: false,
+        errorReason: 'utxo_insufficient_confirmations',
+        payer: 'bitcoincash:qptest'
+      })
+    })
+  })
+
+  describe('#registerScheme', () => {
+    it('should not register a scheme twice', () => {
+      const useCase = createUseCase()
+
+      assert.throws(
+        () => useCase.registerScheme({ scheme: 'utxo' }),
+        /Payment scheme 'utxo' is already registered/
+      )
+    })
+
+    it('should route verify and settle to the handler of the scheme', async () => {
+      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const handler = {
+        scheme: 'test',
+        getSupportedKind: network => ({ x402Version: 2, scheme: 'test', network: network.caip2 }),
+        verify: sandbox.stub().resolves({ isValid: true, payer: 'bitcoincash:qptest' }),
+        settle: sandbox.stub().resolves({ success: true })
+      }
+      useCase.registerScheme(handler)
+      const paymentRequirements = { scheme: 'test', network: 'bch', payTo: 'bitcoincash:qprecv' }
+      const paymentPayload = { scheme: 'test', network: 'bch', payload: {} }
+
+      const verification = await useCase.verifyPayment(paymentPayload, paymentRequirements)
+      const settlement = await useCase.settlePayment(paymentPayload, paymentRequirements)
+
+      assert.isTrue(verification.isValid)
+      assert.isTrue(settlement.success)
+      assert.equal(handler.verify.firstCall.args[0], paymentPayload)
+      assert.equal(handler.settle.firstCall.args[1], paymentRequirements)
+      assert.deepEqual(useCase.listSupportedKinds().kinds.map(kind => kind.scheme), ['test'])
+    })
+
+    it('should reject a scheme that is not registered', async () => {
+      const useCase = new FacilitatorUseCase({ adapters: mockAdapters })
+      const paymentRequirements = { scheme: 'utxo', network: 'bch', payTo: 'bitcoincash:qprecv' }
+
+      const verification = await useCase.verifyPayment({ scheme: 'utxo', network: 'bch' }, paymentRequirements)
+      const settlement = await useCase.settlePayment({ scheme: 'utxo', network: 'bch' }, paymentRequirements)
+
+      assert.equal(verification.invalidReason, 'invalid_scheme')
+      assert.equal(settlement.errorReason, 'invalid_scheme')
+    })
+  })
 })
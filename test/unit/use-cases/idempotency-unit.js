@@ -0,0 +1,256 @@
+/*
+  Unit tests for the idempotency use case.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Local libraries
+import KeyedLock from '../../../src/adapters/keyed-lock.js'
+
+// Unit under test
+import IdempotencyUseCase from '../../../src/use-cases/idempotency.js'
+
+describe('#use-cases/idempotency.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockIdempotencyDb
+  let records
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    records = new Map()
+    mockIdempotencyDb = {
+      get: sandbox.stub().callsFake(async key => {
+        if (!records.has(key)) throw new Error('NotFound')
+        return records.get(key)
+      }),
+      put: sandbox.stub().callsFake(async (key, value) => { records.set(key, value) }),
+      del: sandbox.stub().callsFake(async key => { records.delete(key) }),
+      batch: sandbox.stub().callsFake(async ops => {
+        for (const op of ops) records.delete(op.key)
+      }),
+      iterator: async function * () {
+        for (const entry of records.entries()) yield entry
+      }
+    }
+    mockAdapters = {
+      levelDB: { idempotencyDb: mockIdempotencyDb },
+      ledgerLock: new KeyedLock(),
+      logger: {
+        debug: sandbox.stub(),
+        error: sandbox.stub()
+      }
+    }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should create IdempotencyUseCase instance', () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      assert.isNotNull(useCase)
+      assert.property(useCase, 'adapters')
+    })
+
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new IdempotencyUseCase(),
+        /Instance of adapters must be passed in/
+      )
+    })
+  })
+
+  describe('#execute', () => {
+    it('should run fn without storing the result when there is no key', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      const fn = sandbox.stub().resolves({ isValid: true })
+
+      const result = await useCase.execute({
+        scope: 'verify',
+        tenantId: 'default',
+        body: { a: 1 },
+        fn,
+        shouldStore: () => true
+      })
+
+      assert.deepEqual(result, { result: { isValid: true }, replayed: false, conflict: false })
+      assert.isTrue(mockIdempotencyDb.put.notCalled)
+    })
+
+    it('should replay the stored result of a repeated request', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      const fn = sandbox.stub().resolves({ isValid: true, remainingBalanceSat: '1000' })
+      const options = {
+        scope: 'verify',
+        tenantId: 'default',
+        idempotencyKey: 'key-1',
+        body: { a: 1 },
+        fn,
+        shouldStore: result => result.isValid
+      }
+
+      const first = await useCase.execute(options)
+      const second = await useCase.execute(options)
+
+      assert.isFalse(first.replayed)
+      assert.isTrue(second.replayed)
+      assert.deepEqual(second.result, first.result)
+      assert.equal(fn.callCount, 1)
+      assert.isTrue(records.has('default!verify!key-1'))
+    })
+
+    it('should run concurrent requests with the same key once', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      const fn = sandbox.stub().callsFake(async () => {
+        await new Promise(resolve => setTimeout(resolve, 5))
+        return { success: true }
+      })
+      const options = {
+        scope: 'settle',
+        tenantId: 'default',
+        idempotencyKey: 'key-1',
+        body: { a: 1 },
+        fn,
+        shouldStore: result => result.success
+      }
+
+      const results = await Promise.all([useCase.execute(options), useCase.execute(options)])
+
+      assert.equal(fn.callCount, 1)
+      assert.equal(results.filter(r => r.replayed).length, 1)
+    })
+
+    it('should not store a result that did not charge the payer', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      const fn = sandbox.stub().resolves({ isValid: false, invalidReason: 'insufficient_utxo_balance' })
+      const options = {
+        scope: 'verify',
+        tenantId: 'default',
+        idempotencyKey: 'key-1',
+        body: { a: 1 },
+        fn,
+        shouldStore: result => result.isValid
+      }
+
+      await useCase.execute(options)
+      const second = await useCase.execute(options)
+
+      assert.isFalse(second.replayed)
+      assert.equal(fn.callCount, 2)
+      assert.isTrue(mockIdempotencyDb.put.notCalled)
+    })
+
+    it('should report a conflict when a key is reused for a different request', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      const fn = sandbox.stub().resolves({ isValid: true })
+      const options = {
+        scope: 'verify',
+        tenantId: 'default',
+        idempotencyKey: 'key-1',
+        body: { a: 1 },
+        fn,
+        shouldStore: () => true
+      }
+
+      await useCase.execute(options)
+      const result = await useCase.execute({ ...options, body: { a: 2 } })
+
+      assert.isTrue(result.conflict)
+      assert.isNull(result.result)
+      assert.equal(fn.callCount, 1)
+    })
+
+    it('should scope keys to the tenant and endpoint', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      const fn = sandbox.stub().resolves({ isValid: true, success: true })
+      const options = {
+        scope: 'verify',
+        tenantId: 'default',
+        idempotencyKey: 'key-1',
+        body: { a: 1 },
+        fn,
+        shouldStore: () => true
+      }
+
+      await useCase.execute(options)
+      await useCase.execute({ ...options, scope: 'settle' })
+      await useCase.execute({ ...options, tenantId: 'other' })
+
+      assert.equal(fn.callCount, 3)
+    })
+
+    it('should run fn again once the stored result has expired', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      records.set('default!verify!key-1', {
+        fingerprint: useCase.getFingerprint({ a: 1 }),
+        result: { isValid: true },
+        createdAt: new Date(0).toISOString(),
+        expiresAt: new Date(1000).toISOString()
+      })
+      const fn = sandbox.stub().resolves({ isValid: true })
+
+      const result = await useCase.execute({
+        scope: 'verify',
+        tenantId: 'default',
+        idempotencyKey: 'key-1',
+        body: { a: 1 },
+        fn,
+        shouldStore: () => true
+      })
+
+      assert.isFalse(result.replayed)
+      assert.equal(fn.callCount, 1)
+    })
+
+    it('should throw if the idempotency database is not initialized', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: { ledgerLock: new KeyedLock() } })
+
+      try {
+        await useCase.execute({
+          scope: 'verify',
+          tenantId: 'default',
+          idempotencyKey: 'key-1',
+          body: {},
+          fn: async () => ({}),
+          shouldStore: () => true
+        })
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'Idempotency database not initialized')
+      }
+    })
+  })
+
+  describe('#pruneExpired', () => {
+    it('should delete only the expired results', async () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+      records.set('expired', { expiresAt: new Date(Date.now() - 1000).toISOString() })
+      records.set('live', { expiresAt: new Date(Date.now() + 60000).toISOString() })
+
+      const result = await useCase.pruneExpired()
+
+      assert.equal(result, 1)
+      assert.isFalse(records.has('expired'))
+      assert.isTrue(records.has('live'))
+    })
+  })
+
+  describe('#startPruning', () => {
+    it('should only start one timer', () => {
+      const useCase = new IdempotencyUseCase({ adapters: mockAdapters })
+
+      try {
+        assert.isTrue(useCase.startPruning())
+        assert.isFalse(useCase.startPruning())
+      } finally {
+        useCase.stopPruning()
+      }
+
+      assert.isNull(useCase.pruneTimer)
+    })
+  })
+})
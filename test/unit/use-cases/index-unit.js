@@ -35,6 +35,18 @@ describe('#use-cases/index.js', () => {
       assert.property(useCases, 'adapters')
       assert.equal(useCases.adapters, mockAdapters)
       assert.property(useCases, 'facilitator')
+      assert.property(useCases, 'tenant')
+      assert.property(useCases, 'idempotency')
+      assert.property(useCases, 'paymentWatcher')
+      assert.property(useCases, 'journal')
+      assert.property(useCases, 'refund')
+      assert.property(useCases, 'admin')
+    })
+
+    it('should register the payment schemes with the facilitator', () => {
+      const useCases = new UseCases({ adapters: mockAdapters })
+
+      assert.deepEqual([...useCases.facilitator.schemes.keys()], ['utxo', 'exact'])
     })
 
     it('should throw error when adapters are not provided', () => {
@@ -48,11 +60,59 @@ describe('#use-cases/index.js', () => {
   describe('#start', () => {
     it('should start use cases and log success', async () => {
       const useCases = new UseCases({ adapters: mockAdapters })
+      sandbox.stub(useCases.facilitator, 'startLedgerMonitor').returns(false)
+      sandbox.stub(useCases.idempotency, 'startPruning').returns(true)
+      sandbox.stub(useCases.refund, 'startPayouts').returns(false)
       const result = await useCases.start()
 
       assert.isTrue(mockLogger.info.calledOnce)
       assert.isTrue(mockLogger.info.calledWith('Use Cases have been started.'))
       assert.isTrue(result)
     })
+
+    it('should start the ledger monitor', async () => {
+      const useCases = new UseCases({ adapters: mockAdapters })
+      sandbox.stub(useCases.facilitator, 'startLedgerMonitor').returns(true)
+      sandbox.stub(useCases.idempotency, 'startPruning').returns(true)
+
+      await useCases.start()
+
+      assert.isTrue(useCases.facilitator.startLedgerMonitor.calledOnce)
+      assert.isTrue(mockLogger.info.calledWith('Ledger monitor started.'))
+    })
+
+    it('should start pruning expired idempotency records', async () => {
+      const useCases = new UseCases({ adapters: mockAdapters })
+      sandbox.stub(useCases.facilitator, 'startLedgerMonitor').returns(false)
+      sandbox.stub(useCases.idempotency, 'startPruning').returns(true)
+
+      await useCases.start()
+
+      assert.isTrue(useCases.idempotency.startPruning.calledOnce)
+    })
+
+    it('should start the payment watcher when it is enabled', async () => {
+      const useCases = new UseCases({ adapters: mockAdapters })
+      sandbox.stub(useCases.facilitator, 'startLedgerMonitor').returns(false)
+      sandbox.stub(useCases.idempotency, 'startPruning').returns(true)
+      sandbox.stub(useCases.paymentWatcher, 'startWatching').returns(true)
+
+      await useCases.start()
+
+      assert.isTrue(useCases.paymentWatcher.startWatching.calledOnce)
+      assert.isTrue(mockLogger.info.calledWith('Payment watcher started.'))
+    })
+
+    it('should start the refund payouts when the wallet is configured', async () => {
+      const useCases = new UseCases({ adapters: mockAdapters })
+      sandbox.stub(useCases.facilitator, 'startLedgerMonitor').returns(false)
+      sandbox.stub(useCases.idempotency, 'startPruning').returns(true)
+      sandbox.stub(useCases.refund, 'startPayouts').returns(true)
+
+      await useCases.start()
+
+      assert.isTrue(useCases.refund.startPayouts.calledOnce)
+      assert.isTrue(mockLogger.info.calledWith('Refund payouts started.'))
+    })
   })
 })
@@ -0,0 +1,213 @@
+/*
+  Unit tests for the journal use case.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Unit under test
+import JournalUseCase from '../../../src/use-cases/journal.js'
+
+const PAYER = 'bitcoincash:qppayer'
+const OTHER_PAYER = 'bitcoincash:qpother'
+const RESOURCE = 'https://api.example.com/weather?city=a!b'
+
+describe('#use-cases/journal.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockJournalDb
+  let store
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+
+    // Sorted, Map-backed stand-in for the journal Level DB.
+    store = new Map()
+    mockJournalDb = {
+      get: sandbox.stub().callsFake(async (key) => {
+        if (!store.has(key)) throw new Error('NotFound')
+        return store.get(key)
+      }),
+      batch: sandbox.stub().callsFake(async (ops) => {
+        for (const op of ops) store.set(op.key, op.value)
+      }),
+      iterator: async function * ({ gt, gte, lt }) {
+        const keys = [...store.keys()].sort()
+        for (const key of keys) {
+          if (gt !== undefined && key <= gt) continue
+          if (gte !== undefined && key < gte) continue
+          if (lt !== undefined && key >= lt) continue
+          yield [key, store.get(key)]
+        }
+      }
+    }
+    mockAdapters = {
+      levelDB: { journalDb: mockJournalDb },
+      logger: {
+        error: sandbox.stub()
+      }
+    }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  // Records entries one millisecond apart, so they sort in order.
+  const recordEntries = async (useCase, entries) => {
+    const clock = sandbox.useFakeTimers(new Date('2026-01-01T00:00:00.000Z'))
+    try {
+      for (const entry of entries) {
+        await useCase.record({ type: 'debit', result: 'debited', ...entry })
+        clock.tick(1)
+      }
+    } finally {
+      clock.restore()
+    }
+  }
+
+  describe('#constructor', () => {
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new JournalUseCase(),
+        /Instance of adapters must be passed in/
+      )
+    })
+  })
+
+  describe('#record', () => {
+    it('should write the entry and its indexes in one batch', async () => {
+      const useCase = new JournalUseCase({ adapters: mockAdapters })
+
+      const result = await useCase.record({ type: 'debit', payer: PAYER, resource: RESOURCE, amountSat: '1000' })
+
+      assert.isString(result.entryId)
+      assert.isString(result.timestamp)
+      assert.isTrue(mockJournalDb.batch.calledOnce)
+      const ops = mockJournalDb.batch.firstCall.args[0]
+      assert.lengthOf(ops, 3)
+      assert.equal(ops[0].key, `entry!${result.timestamp}!${result.entryId}`)
+      assert.deepEqual(ops[0].value, result)
+      assert.equal(ops[1].key, `payer!${PAYER}!${result.timestamp}!${result.entryId}`)
+      assert.equal(ops[2].key, `resource!${useCase.hashResource(RESOURCE)}!${result.timestamp}!${result.entryId}`)
+      assert.equal(ops[1].value, ops[0].key)
+      assert.equal(ops[2].value, ops[0].key)
+    })
+
+    it('should not index an entry without a resource', async () => {
+      const useCase = new JournalUseCase({ adapters: mockAdapters })
+
+      await useCase.record({ type: 'debit', payer: PAYER, resource: '' })
+
+      assert.lengthOf(mockJournalDb.batch.firstCall.args[0], 2)
+    })
+
+    it('should log and return null if the entry can not be written', async () => {
+      const useCase = new JournalUseCase({ adapters: mockAdapters })
+      mockJournalDb.batch.rejects(new Error('Disk full'))
+
+      const result = await useCase.record({ type: 'debit', payer: PAYER })
+
+      assert.isNull(result)
+      assert.isTrue(mockAdapters.logger.error.calledOnce)
+    })
+
+    it('should log and return null if the database is not initialized', async () => {
+      const useCase = new JournalUseCase({ adapters: { logger: mockAdapters.logger } })
+
+      const result = await useCase.record({ type: 'debit', payer: PAYER })
+
+      assert.isNull(result)
+      assert.include(mockAdapters.logger.error.firstCall.args[1].message, 'Journal database not initialized')
+    })
+  })
+
+  describe('#query', () => {
+    let useCase
+
+    beforeEach(async () => {
+      useCase = new JournalUseCase({ adapters: mockAdapters })
+      await recordEntries(useCase, [
+        { payer: PAYER, resource: RESOURCE, amountSat: '1', tenantId: 'default' },
+        { payer: OTHER_PAYER, resource: RESOURCE, amountSat: '2', tenantId: 'tenant1' },
+        { payer: PAYER, resource: 'https://api.example.com/news', amountSat: '3', tenantId: 'default' },
+        { payer: PAYER, resource: RESOURCE, amountSat: '4', tenantId: 'default' }
+      ])
+    })
+
+    it('should return every entry, oldest first', async () => {
+      const result = await useCase.query()
+
+      assert.deepEqual(result.entries.map(entry => entry.amountSat), ['1', '2', '3', '4'])
+      assert.isNull(result.nextCursor)
+    })
+
+    it('should filter by payer', async () => {
+      const result = await useCase.query({ payer: PAYER })
+
+      assert.deepEqual(result.entries.map(entry => entry.amountSat), ['1', '3', '4'])
+    })
+
+    it('should filter by resource', async () => {
+      const result = await useCase.query({ resource: RESOURCE })
+
+      assert.deepEqual(result.entries.map(entry => entry.amountSat), ['1', '2', '4'])
+    })
+
+    it('should filter by payer and resource', async () => {
+      const result = await useCase.query({ payer: PAYER, resource: RESOURCE })
+
+      assert.deepEqual(result.entries.map(entry => entry.amountSat), ['1', '4'])
+    })
+
+    it('should filter by time range, from inclusive and to exclusive', async () => {
+      const result = await useCase.query({
+        from: '2026-01-01T00:00:00.001Z',
+        to: '2026-01-01T00:00:00.003Z'
+      })
+
+      assert.deepEqual(result.entries.map(entry => entry.amountSat), ['2', '3'])
+    })
+
+    it('should filter a payer by time range', async () => {
+      const result = await useCase.query({ payer: PAYER, from: '2026-01-01T00:00:00.001Z' })
+
+      assert.deepEqual(result.entries.map(entry => entry.amountSat), ['3', '4'])
+    })
+
+    it('should filter by tenant', async () => {
+      const result = await useCase.query({ tenantId: 'tenant1' })
+
+      assert.deepEqual(result.entries.map(entry => entry.amountSat), ['2'])
+    })
+
+    it('should page through the entries with the cursor', async () => {
+      const first = await useCase.query({ payer: PAYER, limit: 2 })
+      const second = await useCase.query({ payer: PAYER, limit: 2, after: first.nextCursor })
+
+      assert.deepEqual(first.entries.map(entry => entry.amountSat), ['1', '3'])
+      assert.isString(first.nextCursor)
+      assert.deepEqual(second.entries.map(entry => entry.amountSat), ['4'])
+      assert.isNull(second.nextCursor)
+    })
+
+    it('should not return a cursor when the last page is full', async () => {
+      const result = await useCase.query({ limit: 4 })
+
+      assert.lengthOf(result.entries, 4)
+      assert.isNull(result.nextCursor)
+    })
+
+    it('should throw on a cursor of another query', async () => {
+      const { nextCursor } = await useCase.query({ payer: PAYER, limit: 1 })
+
+      try {
+        await useCase.query({ payer: OTHER_PAYER, after: nextCursor })
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'Invalid cursor')
+      }
+    })
+  })
+})
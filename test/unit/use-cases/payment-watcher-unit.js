@@ -0,0 +1,293 @@
+/*
+  Unit tests for the payment watcher use case.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Local libraries
+import KeyedLock from '../../../src/adapters/keyed-lock.js'
+import config from '../../../src/config/index.js'
+
+// Unit under test
+import PaymentWatcherUseCase from '../../../src/use-cases/payment-watcher.js'
+
+const MAINNET = 'bip122:000000000000000000651ef99cb9fcbe'
+const SERVER = 'bitcoincash:qpserver'
+const PAYER = 'bitcoincash:qppayer'
+
+describe('#use-cases/payment-watcher.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockFacilitator
+  let mockUtxoDb
+  let ledgered
+
+  // Returns a transaction paying SERVER from PAYER, with change back to PAYER.
+  const paymentTx = (txid = 'tx1') => ({
+    txid,
+    vin: [{ address: PAYER, value: 0.0001 }],
+    vout: [
+      { value: 0.00002, scriptPubKey: { addresses: [SERVER] } },
+      { value: 0.00007, scriptPubKey: { addresses: [PAYER] } }
+    ]
+  })
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    sandbox.replace(config, 'serverBchAddress', SERVER)
+    sandbox.replace(config, 'networks', ['bch'])
+    sandbox.replace(config, 'acceptedTokenCategories', [])
+
+    ledgered = new Set()
+    mockUtxoDb = {
+      get: sandbox.stub().callsFake(async (key) => {
+        if (!ledgered.has(key)) throw new Error('NotFound')
+        return { utxoId: key }
+      })
+    }
+    mockFacilitator = {
+      validateUtxo: sandbox.stub().callsFake(async ({ paymentPayload }) => {
+        const { txid, vout } = paymentPayload.payload.authorization
+        ledgered.add(`${txid}:${vout}`)
+        return { isValid: true }
+      })
+    }
+    mockAdapters = {
+      levelDB: { utxoDb: mockUtxoDb },
+      ledgerLock: new KeyedLock(),
+      bchWallet: {
+        getTransactions: sandbox.stub().resolves([{ tx_hash: 'tx1', height: 0 }]),
+        getTxData: sandbox.stub().resolves([paymentTx()])
+      },
+      logger: {
+        info: sandbox.stub(),
+        debug: sandbox.stub(),
+        error: sandbox.stub()
+      }
+    }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new PaymentWatcherUseCase(),
+        /Instance of adapters must be passed in/
+      )
+    })
+
+    it('should throw error when the facilitator is not provided', () => {
+      assert.throws(
+        () => new PaymentWatcherUseCase({ adapters: mockAdapters }),
+        /Instance of Facilitator Use Case must be passed in/
+      )
+    })
+  })
+
+  describe('#getSenderAddress', () => {
+    it('should return the address spent by the inputs', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+
+      const result = useCase.getSenderAddress({ vin: [{ address: PAYER }, { address: PAYER }] })
+
+      assert.equal(result, PAYER)
+    })
+
+    it('should return null for inputs from more than one address', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+
+      const result = useCase.getSenderAddress({ vin: [{ address: PAYER }, { address: 'bitcoincash:qpother' }] })
+
+      assert.isNull(result)
+    })
+
+    it('should return null for a transaction without input addresses', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+
+      assert.isNull(useCase.getSenderAddress({ vin: [{ coinbase: '03ab' }] }))
+      assert.isNull(useCase.getSenderAddress({}))
+    })
+  })
+
+  describe('#getOutputRequirements', () => {
+    const network = { caip2: MAINNET }
+
+    it('should ledger BCH outputs without a debit', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+
+      const result = useCase.getOutputRequirements(paymentTx(), paymentTx().vout[0], network)
+
+      assert.deepEqual(result, { scheme: 'utxo', network: MAINNET, payTo: SERVER, amount: '0' })
+    })
+
+    it('should ledger outputs in an accepted token category', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      useCase.config = { ...config, acceptedTokenCategories: ['ab'.repeat(32)] }
+      const output = { tokenData: { category: 'AB'.repeat(32), amount: '100' } }
+
+      const result = useCase.getOutputRequirements(paymentTx(), output, network)
+
+      assert.equal(result.asset, 'ab'.repeat(32))
+    })
+
+    it('should skip outputs in a token category that is not accepted', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      const output = { tokenData: { category: 'ab'.repeat(32), amount: '100' } }
+
+      assert.isNull(useCase.getOutputRequirements(paymentTx(), output, network))
+    })
+
+    it('should ledger SLP outputs in the slp asset mode', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      const txData = { ...paymentTx(), isValidSlp: true, tokenId: 'CD'.repeat(32) }
+
+      const result = useCase.getOutputRequirements(txData, { tokenQtyStr: '5' }, network)
+
+      assert.equal(result.asset, 'cd'.repeat(32))
+      assert.deepEqual(result.extra, { assetMode: 'slp' })
+    })
+  })
+
+  describe('#processTransaction', () => {
+    const network = { caip2: MAINNET }
+
+    it('should ledger the outputs paying the server for the sender', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+
+      const result = await useCase.processTransaction(paymentTx(), network)
+
+      assert.deepEqual(result, { ledgered: 1, isDone: true })
+      assert.isTrue(mockFacilitator.validateUtxo.calledOnce)
+      const { paymentPayload, paymentRequirements, tenant } = mockFacilitator.validateUtxo.firstCall.args[0]
+      assert.deepEqual(paymentPayload.payload.authorization, { from: PAYER, to: SERVER, txid: 'tx1', vout: 0 })
+      assert.equal(paymentRequirements.amount, '0')
+      assert.deepEqual(tenant, { tenantId: 'default', payTo: [SERVER] })
+    })
+
+    it('should skip outputs that are already ledgered', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      ledgered.add('tx1:0')
+
+      const result = await useCase.processTransaction(paymentTx(), network)
+
+      assert.deepEqual(result, { ledgered: 0, isDone: true })
+      assert.isTrue(mockFacilitator.validateUtxo.notCalled)
+    })
+
+    it('should skip spends of the server address', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      const txData = { ...paymentTx(), vin: [{ address: SERVER }] }
+
+      const result = await useCase.processTransaction(txData, network)
+
+      assert.deepEqual(result, { ledgered: 0, isDone: true })
+      assert.isTrue(mockFacilitator.validateUtxo.notCalled)
+    })
+
+    it('should retry outputs that may become valid later', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      mockFacilitator.validateUtxo.resolves({ isValid: false, invalidReason: 'utxo_insufficient_confirmations' })
+
+      const result = await useCase.processTransaction(paymentTx(), network)
+
+      assert.deepEqual(result, { ledgered: 0, isDone: false })
+    })
+
+    it('should not retry outputs that will never be valid', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      mockFacilitator.validateUtxo.resolves({ isValid: false, invalidReason: 'utxo_spent' })
+
+      const result = await useCase.processTransaction(paymentTx(), network)
+
+      assert.deepEqual(result, { ledgered: 0, isDone: true })
+    })
+  })
+
+  describe('#pollPayments', () => {
+    it('should ledger the payments of new transactions', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+
+      const result = await useCase.pollPayments()
+
+      assert.deepEqual(result, { checked: 1, ledgered: 1 })
+      assert.isTrue(mockAdapters.bchWallet.getTransactions.calledWith(SERVER, { network: MAINNET }))
+      assert.isTrue(mockAdapters.bchWallet.getTxData.calledWith(['tx1'], { network: MAINNET }))
+      assert.isTrue(ledgered.has('tx1:0'))
+    })
+
+    it('should not check a processed transaction again', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+
+      await useCase.pollPayments()
+      const result = await useCase.pollPayments()
+
+      assert.deepEqual(result, { checked: 0, ledgered: 0 })
+      assert.isTrue(mockAdapters.bchWallet.getTxData.calledOnce)
+    })
+
+    it('should check a transaction again until its payment is valid', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      mockFacilitator.validateUtxo.onFirstCall().resolves({ isValid: false, invalidReason: 'utxo_insufficient_confirmations' })
+
+      const first = await useCase.pollPayments()
+      const second = await useCase.pollPayments()
+
+      assert.deepEqual(first, { checked: 1, ledgered: 0 })
+      assert.deepEqual(second, { checked: 1, ledgered: 1 })
+    })
+
+    it('should forget transactions that are no longer among the most recent', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      await useCase.pollPayments()
+
+      const history = Array.from({ length: 20 }, (_, i) => ({ tx_hash: `new${i}`, height: 0 }))
+      mockAdapters.bchWallet.getTransactions.resolves([...history, { tx_hash: 'tx1', height: 0 }])
+      mockAdapters.bchWallet.getTxData.resolves(history.map(tx => ({ ...paymentTx(tx.tx_hash), vin: [] })))
+      await useCase.pollPayments()
+
+      assert.isFalse(useCase.processedTxids.has('tx1'))
+      assert.equal(useCase.processedTxids.size, 20)
+    })
+
+    it('should throw if the server address is not on a configured network', async () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      useCase.config = { ...config, serverBchAddress: 'bchtest:qpserver' }
+
+      try {
+        await useCase.pollPayments()
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'does not belong to a configured network')
+      }
+    })
+  })
+
+  describe('#startWatching', () => {
+    it('should not start when the watcher is disabled', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      useCase.config = { ...config, paymentWatcherIntervalSec: 0 }
+
+      assert.isFalse(useCase.startWatching())
+      assert.isNull(useCase.watchTimer)
+    })
+
+    it('should only start one timer', () => {
+      const useCase = new PaymentWatcherUseCase({ adapters: mockAdapters, facilitator: mockFacilitator })
+      useCase.config = { ...config, paymentWatcherIntervalSec: 30 }
+
+      try {
+        assert.isTrue(useCase.startWatching())
+        assert.isFalse(useCase.startWatching())
+      } finally {
+        useCase.stopWatching()
+      }
+
+      assert.isNull(useCase.watchTimer)
+    })
+  })
+})
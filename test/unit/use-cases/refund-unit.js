@@ -0,0 +1,432 @@
+/*
+  Unit tests for the refund use case.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Local libraries
+import KeyedLock from '../../../src/adapters/keyed-lock.js'
+import config from '../../../src/config/index.js'
+
+// Unit under test
+import RefundUseCase from '../../../src/use-cases/refund.js'
+
+const MAINNET = 'bip122:000000000000000000651ef99cb9fcbe'
+const PAYER = 'bitcoincash:qppayer'
+
+describe('#use-cases/refund.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockFacilitator
+  let mockJournal
+  let mockUtxoDb
+  let mockRefundDb
+  let ledger
+  let refunds
+
+  // Returns a ledger record of the payer with a remaining balance.
+  const createRecord = (utxoId, remainingBalanceSat, extra = {}) => ({
+    utxoId,
+    payerAddress: PAYER,
+    receiverAddress: 'bitcoincash:qpserver',
+    tenantId: 'default',
+    network: MAINNET,
+    transactionValueSat: '5000',
+    totalDebitedSat: (5000n - BigInt(remainingBalanceSat)).toString(),
+    remainingBalanceSat,
+    ...extra
+  })
+
+  const useLedger = (records) => {
+    records.forEach(record => ledger.set(record.utxoId, record))
+    mockFacilitator.getUtxosByAddress.resolves(records)
+  }
+
+  // Returns a funding transaction of the payer, as returned by getTxData().
+  const fundingTx = (extra = {}) => ({
+    confirmations: 1,
+    vin: [{ address: PAYER }],
+    ...extra
+  })
+
+  // Returns a valid refund request of the payer.
+  const createRefundRequest = () => ({
+    from: PAYER,
+    validBefore: Math.floor(Date.now() / 1000) + 60,
+    signature: 'sig'
+  })
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    sandbox.replace(config, 'networks', ['bch'])
+    sandbox.replace(config, 'facilitatorWif', 'L1wif')
+
+    ledger = new Map()
+    mockUtxoDb = {
+      get: sandbox.stub().callsFake(async (key) => {
+        if (!ledger.has(key)) throw new Error('NotFound')
+        return ledger.get(key)
+      }),
+      batch: sandbox.stub().callsFake(async (ops) => {
+        for (const op of ops) ledger.set(op.key, op.value)
+      })
+    }
+    refunds = new Map()
+    mockRefundDb = {
+      get: sandbox.stub().callsFake(async (key) => {
+        if (!refunds.has(key)) throw new Error('NotFound')
+        return refunds.get(key)
+      }),
+      put: sandbox.stub().callsFake(async (key, value) => {
+        refunds.set(key, value)
+      }),
+      batch: sandbox.stub().callsFake(async (ops) => {
+        for (const op of ops) {
+          if (op.type === 'put') refunds.set(op.key, op.value)
+          else refunds.delete(op.key)
+        }
+      }),
+      iterator: async function * ({ gt, lt }) {
+        for (const key of [...refunds.keys()].sort()) {
+          if (key > gt && key < lt) yield [key, refunds.get(key)]
+        }
+      }
+    }
+    mockFacilitator = {
+      checkSignature: sandbox.stub().returns(true),
+      getUtxosByAddress: sandbox.stub().resolves([]),
+      runWithUtxoLocks: async (utxoIds, fn) => await fn(),
+      getLedgerWriteOps: record => [{ type: 'put', key: record.utxoId, value: record }]
+    }
+    mockJournal = {
+      record: sandbox.stub().resolves({})
+    }
+    mockAdapters = {
+      levelDB: { utxoDb: mockUtxoDb, refundDb: mockRefundDb },
+      ledgerLock: new KeyedLock(),
+      bchWallet: {
+        sendBch: sandbox.stub().resolves('refund-txid'),
+        getTxData: sandbox.stub().resolves([fundingTx()])
+      },
+      logger: {
+        info: sandbox.stub(),
+        debug: sandbox.stub(),
+        error: sandbox.stub()
+      }
+    }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  const createUseCase = () => new RefundUseCase({ adapters: mockAdapters, facilitator: mockFacilitator, journal: mockJournal })
+
+  describe('#constructor', () => {
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new RefundUseCase(),
+        /Instance of adapters must be passed in/
+      )
+    })
+
+    it('should throw error when the facilitator is not provided', () => {
+      assert.throws(
+        () => new RefundUseCase({ adapters: mockAdapters }),
+        /Instance of Facilitator Use Case must be passed in/
+      )
+    })
+
+    it('should throw error when the journal is not provided', () => {
+      assert.throws(
+        () => new RefundUseCase({ adapters: mockAdapters, facilitator: mockFacilitator }),
+        /Instance of Journal Use Case must be passed in/
+      )
+    })
+  })
+
+  describe('#isRefundable', () => {
+    it('should accept open and expired BCH balances of the default tenant', () => {
+      const useCase = createUseCase()
+
+      assert.isTrue(useCase.isRefundable(createRecord('tx1:0', '1000')))
+      assert.isTrue(useCase.isRefundable(createRecord('tx1:0', '1000', { frozen: true, frozenReason: 'tab_expired' })))
+    })
+
+    it('should reject balances that can not be refunded', () => {
+      const useCase = createUseCase()
+
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '0')))
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '1000', { frozen: true, frozenReason: 'spent_on_chain' })))
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '1000', { tenantId: 'tenant1' })))
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '1000', { network: 'bip122:000000001dd410c49a788668ce267517' })))
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '1000', { tokenCategory: 'ab'.repeat(32) })))
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '1000', { slpTokenId: 'cd'.repeat(32) })))
+    })
+
+    it('should only accept mainnet balances when another network is the default', () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, networks: ['bch-testnet', 'bch'] }
+
+      assert.isTrue(useCase.isRefundable(createRecord('tx1:0', '1000')))
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '1000', { network: undefined })))
+      assert.isFalse(useCase.isRefundable(createRecord('tx1:0', '1000', { network: 'bip122:000000001dd410c49a788668ce267517' })))
+    })
+  })
+
+  describe('#requestRefund', () => {
+    it('should zero the refundable balances and queue their total', async () => {
+      const useCase = createUseCase()
+      useLedger([
+        createRecord('tx1:0', '1000'),
+        createRecord('tx2:0', '500', { frozen: true, frozenReason: 'tab_expired' }),
+        createRecord('tx3:0', '700', { frozen: true, frozenReason: 'double_spend_detected' })
+      ])
+      const request = createRefundRequest()
+
+      const result = await useCase.requestRefund(request)
+
+      assert.isTrue(result.success)
+      assert.include(result.refund, { status: 'queued', payer: PAYER, network: MAINNET, amountSat: '1500' })
+      assert.deepEqual(result.refund.utxos, [
+        { utxoId: 'tx1:0', refundedSat: '1000' },
+        { utxoId: 'tx2:0', refundedSat: '500' }
+      ])
+      assert.isTrue(mockFacilitator.checkSignature.calledWith(
+        { from: PAYER, action: 'refund', validBefore: request.validBefore },
+        'sig'
+      ))
+
+      assert.include(ledger.get('tx1:0'), { remainingBalanceSat: '0', refundedSat: '1000', refundId: result.refund.refundId })
+      assert.include(ledger.get('tx2:0'), { remainingBalanceSat: '0', refundedSat: '500' })
+      assert.equal(ledger.get('tx3:0').remainingBalanceSat, '700')
+
+      assert.deepEqual(refunds.get(result.refund.refundId), result.refund)
+      assert.isTrue([...refunds.keys()].some(key => key.startsWith('queue!')))
+      assert.include(mockJournal.record.firstCall.args[0], { type: 'refund', payer: PAYER, amountSat: '1500', result: 'queued' })
+    })
+
+    it('should return invalid_payload for a request without a signature', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.requestRefund({ ...createRefundRequest(), signature: undefined })
+
+      assert.deepEqual(result, { success: false, errorReason: 'invalid_payload' })
+    })
+
+    it('should reject an expired authorization', async () => {
+      const useCase = createUseCase()
+
+      const result = await useCase.requestRefund({ ...createRefundRequest(), validBefore: 1 })
+
+      assert.deepEqual(result, { success: false, errorReason: 'authorization_expired' })
+    })
+
+    it('should reject an authorization valid for more than five minutes', async () => {
+      const useCase = createUseCase()
+      const validBefore = Math.floor(Date.now() / 1000) + 301
+
+      const result = await useCase.requestRefund({ ...createRefundRequest(), validBefore })
+
+      assert.deepEqual(result, { success: false, errorReason: 'authorization_too_long' })
+      assert.isTrue(mockFacilitator.checkSignature.notCalled)
+    })
+
+    it('should reject an invalid signature', async () => {
+      const useCase = createUseCase()
+      mockFacilitator.checkSignature.returns(false)
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.deepEqual(result, { success: false, errorReason: 'invalid_exact_bch_payload_signature' })
+    })
+
+    it('should not queue refunds without a facilitator wallet', async () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, facilitatorWif: '', facilitatorMnemonic: '' }
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.deepEqual(result, { success: false, errorReason: 'refunds_not_available' })
+    })
+
+    it('should not queue refunds when mainnet is not configured', async () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, networks: ['bch-testnet'] }
+      useLedger([createRecord('tx1:0', '1000', { network: 'bip122:000000001dd410c49a788668ce267517' })])
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.deepEqual(result, { success: false, errorReason: 'refunds_not_available' })
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should return no_refundable_balance when there is nothing to refund', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000', { tenantId: 'tenant1' })])
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.deepEqual(result, { success: false, errorReason: 'no_refundable_balance' })
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not refund a balance below the dust limit', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '545')])
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.deepEqual(result, { success: false, errorReason: 'refund_below_dust_limit' })
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should skip balances spent while waiting for the locks', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000'), createRecord('tx2:0', '800')])
+      ledger.set('tx1:0', createRecord('tx1:0', '0'))
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.equal(result.refund.amountSat, '800')
+      assert.deepEqual(result.refund.utxos, [{ utxoId: 'tx2:0', refundedSat: '800' }])
+    })
+
+    it('should only refund balances whose funding transaction confirmed', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000'), createRecord('tx2:0', '800')])
+      mockAdapters.bchWallet.getTxData.withArgs(['tx1'], { network: MAINNET }).resolves([fundingTx({ confirmations: 0 })])
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.equal(result.refund.amountSat, '800')
+      assert.deepEqual(result.refund.utxos, [{ utxoId: 'tx2:0', refundedSat: '800' }])
+      assert.equal(ledger.get('tx1:0').remainingBalanceSat, '1000')
+    })
+
+    it('should return funding_not_confirmed when no funding transaction confirmed', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000'), createRecord('tx2:0', '800')])
+      mockAdapters.bchWallet.getTxData.withArgs(['tx1']).resolves([fundingTx({ confirmations: 0 })])
+      mockAdapters.bchWallet.getTxData.withArgs(['tx2']).rejects(new Error('Network error'))
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.deepEqual(result, { success: false, errorReason: 'funding_not_confirmed' })
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+    })
+
+    it('should not refund a balance whose funding transaction does not spend from the payer', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000'), createRecord('tx2:0', '800')])
+      mockAdapters.bchWallet.getTxData.withArgs(['tx1']).resolves([fundingTx({ vin: [{ address: 'bitcoincash:qpvictim' }] })])
+      mockAdapters.bchWallet.getTxData.withArgs(['tx2']).resolves([fundingTx({ vin: [{ address: PAYER }, { address: 'bitcoincash:qpother' }] })])
+
+      const result = await useCase.requestRefund(createRefundRequest())
+
+      assert.deepEqual(result, { success: false, errorReason: 'payer_not_funder' })
+      assert.isTrue(mockUtxoDb.batch.notCalled)
+      assert.equal(ledger.get('tx1:0').remainingBalanceSat, '1000')
+    })
+  })
+
+  describe('#processRefunds', () => {
+    it('should pay out the queued refunds', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000')])
+      const { refund } = await useCase.requestRefund(createRefundRequest())
+
+      const result = await useCase.processRefunds()
+
+      assert.deepEqual(result, { paid: 1, failed: 0 })
+      assert.isTrue(mockAdapters.bchWallet.sendBch.calledOnceWith(PAYER, 1000, { network: MAINNET }))
+      assert.include(refunds.get(refund.refundId), { status: 'paid', txid: 'refund-txid' })
+      assert.isFalse([...refunds.keys()].some(key => key.startsWith('queue!')))
+      assert.include(mockJournal.record.secondCall.args[0], { type: 'refund', result: 'paid', txid: 'refund-txid' })
+    })
+
+    it('should mark a failed payout and not retry it', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000')])
+      const { refund } = await useCase.requestRefund(createRefundRequest())
+      mockAdapters.bchWallet.sendBch.rejects(new Error('Insufficient balance'))
+
+      const result = await useCase.processRefunds()
+      const retry = await useCase.processRefunds()
+
+      assert.deepEqual(result, { paid: 0, failed: 1 })
+      assert.deepEqual(retry, { paid: 0, failed: 0 })
+      assert.include(refunds.get(refund.refundId), { status: 'failed', error: 'Insufficient balance' })
+      assert.isTrue(mockAdapters.bchWallet.sendBch.calledOnce)
+    })
+
+    it('should take a refund off the queue before sending it', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000')])
+      const { refund } = await useCase.requestRefund(createRefundRequest())
+      mockAdapters.bchWallet.sendBch.callsFake(async () => {
+        assert.equal(refunds.get(refund.refundId).status, 'sending')
+        assert.isFalse([...refunds.keys()].some(key => key.startsWith('queue!')))
+        return 'refund-txid'
+      })
+
+      const result = await useCase.processRefunds()
+
+      assert.equal(result.paid, 1)
+    })
+
+    it('should fail a refund whose funding is no longer confirmed without sending it', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000')])
+      const { refund } = await useCase.requestRefund(createRefundRequest())
+      mockAdapters.bchWallet.getTxData.resolves([fundingTx({ confirmations: 0 })])
+
+      const result = await useCase.processRefunds()
+
+      assert.deepEqual(result, { paid: 0, failed: 1 })
+      assert.isTrue(mockAdapters.bchWallet.sendBch.notCalled)
+      assert.include(refunds.get(refund.refundId), { status: 'failed', error: 'funding_not_confirmed: tx1:0' })
+      assert.isFalse([...refunds.keys()].some(key => key.startsWith('queue!')))
+    })
+
+    it('should leave a refund queued when its funding can not be looked up', async () => {
+      const useCase = createUseCase()
+      useLedger([createRecord('tx1:0', '1000')])
+      const { refund } = await useCase.requestRefund(createRefundRequest())
+      mockAdapters.bchWallet.getTxData.rejects(new Error('Network error'))
+
+      const result = await useCase.processRefunds()
+
+      assert.deepEqual(result, { paid: 0, failed: 0 })
+      assert.isTrue(mockAdapters.bchWallet.sendBch.notCalled)
+      assert.equal(refunds.get(refund.refundId).status, 'queued')
+      assert.isTrue([...refunds.keys()].some(key => key.startsWith('queue!')))
+    })
+  })
+
+  describe('#startPayouts', () => {
+    it('should not start without a facilitator wallet', () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, facilitatorWif: '', facilitatorMnemonic: '' }
+
+      assert.isFalse(useCase.startPayouts())
+      assert.isNull(useCase.payoutTimer)
+    })
+
+    it('should only start one timer', () => {
+      const useCase = createUseCase()
+      useCase.config = { ...config, refundPayoutIntervalSec: 60 }
+
+      try {
+        assert.isTrue(useCase.startPayouts())
+        assert.isFalse(useCase.startPayouts())
+      } finally {
+        useCase.stopPayouts()
+      }
+
+      assert.isNull(useCase.payoutTimer)
+    })
+  })
+})
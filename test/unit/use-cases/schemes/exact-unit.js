@@ -0,0 +1,283 @@
+/*
+  Unit tests for the handler of the 'exact' payment scheme.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Local libraries
+import KeyedLock from '../../../../src/adapters/keyed-lock.js'
+import config from '../../../../src/config/index.js'
+import FacilitatorUseCase from '../../../../src/use-cases/facilitator.js'
+
+// Unit under test
+import ExactScheme from '../../../../src/use-cases/schemes/exact.js'
+
+describe('#use-cases/schemes/exact.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockBchWallet
+  let settlements
+  let facilitator
+  let scheme
+
+  const hex = '02'.repeat(200)
+
+  const paymentRequirements = {
+    scheme: 'exact',
+    network: 'bip122:000000000000000000651ef99cb9fcbe',
+    amount: '1000',
+    payTo: 'bitcoincash:qprecv'
+  }
+
+  const createPaymentPayload = () => ({
+    x402Version: 2,
+    accepted: { ...paymentRequirements },
+    payload: { transaction: hex }
+  })
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    settlements = new Map()
+    mockBchWallet = {
+      isUtxoUnspent: sandbox.stub().resolves(true),
+      verifyInputSignatures: sandbox.stub().returns(true)
+    }
+    mockBchWallet.decodeTransaction = sandbox.stub().resolves({
+      txid: 'exact-txid',
+      vin: [{ txid: 'input-txid', vout: 1 }],
+      vout: [
+        { value: 0.00001, scriptPubKey: { addresses: ['bitcoincash:qprecv'] } },
+        { value: 0.00008, scriptPubKey: { addresses: ['bitcoincash:qptest'] } }
+      ]
+    })
+    mockBchWallet.getTxData = sandbox.stub().resolves([{
+      txid: 'input-txid',
+      vout: [
+        { value: 0.1, scriptPubKey: { addresses: ['bitcoincash:qpother'] } },
+        { value: 0.0001, scriptPubKey: { addresses: ['bitcoincash:qptest'] } }
+      ]
+    }])
+    mockBchWallet.broadcastTransaction = sandbox.stub().resolves('exact-txid')
+    mockAdapters = {
+      bchWallet: mockBchWallet,
+      levelDB: {
+        settlementDb: {
+          get: sandbox.stub().callsFake(async (key) => {
+            if (!settlements.has(key)) throw new Error('NotFound')
+            return settlements.get(key)
+          }),
+          put: sandbox.stub().callsFake(async (key, value) => {
+            settlements.set(key, value)
+          })
+        }
+      },
+      ledgerLock: new KeyedLock(),
+      logger: {
+        info: sandbox.stub(),
+        error: sandbox.stub()
+      }
+    }
+
+    facilitator = new FacilitatorUseCase({ adapters: mockAdapters })
+    scheme = new ExactScheme({ adapters: mockAdapters, facilitator })
+    facilitator.registerScheme(scheme)
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new ExactScheme(),
+        /Instance of adapters must be passed in/
+      )
+    })
+
+    it('should throw error when the facilitator is not provided', () => {
+      assert.throws(
+        () => new ExactScheme({ adapters: mockAdapters }),
+        /Instance of Facilitator Use Case must be passed in/
+      )
+    })
+  })
+
+  describe('#getSupportedKind', () => {
+    it('should return the kind of the network', () => {
+      const result = scheme.getSupportedKind({ caip2: 'bip122:000000000000000000651ef99cb9fcbe' })
+
+      assert.deepEqual(result, {
+        x402Version: 2,
+        scheme: 'exact',
+        network: 'bip122:000000000000000000651ef99cb9fcbe'
+      })
+    })
+  })
+
+  describe('#verify', () => {
+    it('should verify a signed transaction without broadcasting it', async () => {
+      const result = await scheme.verify(createPaymentPayload(), paymentRequirements)
+
+      assert.deepEqual(result, { isValid: true, payer: 'bitcoincash:qptest', transaction: 'exact-txid' })
+      assert.deepEqual(mockBchWallet.getTxData.firstCall.args[0], ['input-txid'])
+      assert.isTrue(mockBchWallet.isUtxoUnspent.calledWithMatch({ txid: 'input-txid', vout: 1 }))
+      assert.isTrue(mockBchWallet.broadcastTransaction.notCalled)
+    })
+
+    it('should reject a transaction whose inputs are not validly signed', async () => {
+      mockBchWallet.verifyInputSignatures.returns(false)
+
+      const result = await scheme.verify(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_signature')
+      assert.equal(mockBchWallet.verifyInputSignatures.firstCall.args[0], hex)
+      assert.isTrue(mockBchWallet.isUtxoUnspent.notCalled)
+    })
+
+    it('should reject a payload without a transaction', async () => {
+      const paymentPayload = { ...createPaymentPayload(), payload: { transaction: 'not-hex' } }
+
+      const result = await scheme.verify(paymentPayload, paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_payload')
+    })
+
+    it('should reject a transaction that pays less than the amount', async () => {
+      const requirements = { ...paymentRequirements, amount: '2000' }
+      const paymentPayload = { ...createPaymentPayload(), accepted: requirements }
+
+      const result = await scheme.verify(paymentPayload, requirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'insufficient_funds')
+    })
+
+    it('should reject a transaction that does not pay payTo', async () => {
+      const requirements = { ...paymentRequirements, payTo: 'bitcoincash:qpother' }
+      const paymentPayload = { ...createPaymentPayload(), accepted: requirements }
+
+      const result = await scheme.verify(paymentPayload, requirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'recipient_mismatch')
+    })
+
+    it('should reject a transaction with a fee below the minimum fee rate', async () => {
+      scheme.config = { ...config, exactMinFeeRate: 10 }
+
+      const result = await scheme.verify(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'insufficient_fee')
+    })
+
+    it('should reject a transaction spending an unknown output', async () => {
+      mockBchWallet.getTxData.resolves([{ txid: 'input-txid', vout: [] }])
+
+      const result = await scheme.verify(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'invalid_transaction')
+    })
+
+    it('should reject a transaction spending a spent output', async () => {
+      mockBchWallet.isUtxoUnspent.resolves(false)
+
+      const result = await scheme.verify(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'utxo_spent')
+    })
+
+    it('should reject token payments', async () => {
+      const requirements = { ...paymentRequirements, asset: 'ab'.repeat(32) }
+      const paymentPayload = { ...createPaymentPayload(), accepted: requirements }
+
+      const result = await scheme.verify(paymentPayload, requirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'unsupported_asset')
+    })
+
+    it('should return facilitator_timeout when the deadline passes', async () => {
+      mockBchWallet.decodeTransaction.rejects(new Error('facilitator_timeout'))
+
+      const result = await scheme.verify(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.isValid)
+      assert.equal(result.invalidReason, 'facilitator_timeout')
+    })
+  })
+
+  describe('#settle', () => {
+    it('should broadcast the transaction on settle', async () => {
+      const result = await scheme.settle(createPaymentPayload(), paymentRequirements)
+
+      assert.deepEqual(result, {
+        success: true,
+        transaction: 'exact-txid',
+        network: 'bip122:000000000000000000651ef99cb9fcbe',
+        payer: 'bitcoincash:qptest'
+      })
+      assert.equal(mockBchWallet.broadcastTransaction.firstCall.args[0], hex)
+      const settlement = settlements.get(`default!${facilitator.getIdempotencyKey(createPaymentPayload())}`)
+      assert.equal(settlement.status, 'settled')
+      assert.equal(settlement.scheme, 'exact')
+    })
+
+    it('should only broadcast a transaction once', async () => {
+      await scheme.settle(createPaymentPayload(), paymentRequirements)
+      const result = await scheme.settle(createPaymentPayload(), paymentRequirements)
+
+      assert.isTrue(result.success)
+      assert.equal(result.transaction, 'exact-txid')
+      assert.equal(mockBchWallet.broadcastTransaction.callCount, 1)
+    })
+
+    it('should reject a settled transaction settled again for another payment', async () => {
+      await scheme.settle(createPaymentPayload(), paymentRequirements)
+      const requirements = { ...paymentRequirements, payTo: 'bitcoincash:qpother' }
+
+      const result = await scheme.settle(createPaymentPayload(), requirements)
+
+      assert.isFalse(result.success)
+      assert.equal(result.errorReason, 'idempotency_key_conflict')
+      assert.equal(mockBchWallet.broadcastTransaction.callCount, 1)
+    })
+
+    it('should reject a settled transaction settled again for a different amount or asset', async () => {
+      await scheme.settle(createPaymentPayload(), paymentRequirements)
+
+      const higher = await scheme.settle(createPaymentPayload(), { ...paymentRequirements, amount: '5000' })
+      const token = await scheme.settle(createPaymentPayload(), { ...paymentRequirements, asset: 'ab'.repeat(32) })
+
+      assert.equal(higher.errorReason, 'idempotency_key_conflict')
+      assert.equal(token.errorReason, 'idempotency_key_conflict')
+      assert.equal(mockBchWallet.broadcastTransaction.callCount, 1)
+    })
+
+    it('should keep the settlements of tenants apart', async () => {
+      const tenant = { tenantId: 'tenant1', payTo: ['bitcoincash:qprecv'] }
+
+      await scheme.settle(createPaymentPayload(), paymentRequirements, { idempotencyKey: 'request-1', tenant })
+
+      assert.isTrue(settlements.has('tenant1!request-1'))
+      assert.isNull(await facilitator.getSettlement('request-1'))
+    })
+
+    it('should return broadcast_failed when the broadcast is rejected', async () => {
+      mockBchWallet.broadcastTransaction.rejects(new Error('txn-mempool-conflict'))
+
+      const result = await scheme.settle(createPaymentPayload(), paymentRequirements)
+
+      assert.isFalse(result.success)
+      assert.equal(result.errorReason, 'broadcast_failed')
+      assert.equal(settlements.size, 0)
+    })
+  })
+})
@@ -0,0 +1,80 @@
+/*
+  Unit tests for the handler of the 'utxo' payment scheme. Verification and
+  settlement are covered through the Facilitator Use Case, in
+  facilitator-unit.js.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Local libraries
+import config from '../../../../src/config/index.js'
+
+// Unit under test
+import UtxoScheme from '../../../../src/use-cases/schemes/utxo.js'
+
+describe('#use-cases/schemes/utxo.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockFacilitator
+  let mockJournal
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    mockAdapters = {}
+    mockFacilitator = {}
+    mockJournal = {}
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new UtxoScheme(),
+        /Instance of adapters must be passed in/
+      )
+    })
+
+    it('should throw error when the facilitator is not provided', () => {
+      assert.throws(
+        () => new UtxoScheme({ adapters: mockAdapters }),
+        /Instance of Facilitator Use Case must be passed in/
+      )
+    })
+
+    it('should throw error when the journal is not provided', () => {
+      assert.throws(
+        () => new UtxoScheme({ adapters: mockAdapters, facilitator: mockFacilitator }),
+        /Instance of Journal Use Case must be passed in/
+      )
+    })
+  })
+
+  describe('#getSupportedKind', () => {
+    it('should return the kind of the network', () => {
+      const scheme = new UtxoScheme({ adapters: mockAdapters, facilitator: mockFacilitator, journal: mockJournal })
+      sandbox.replace(config, 'acceptedTokenCategories', [])
+
+      const result = scheme.getSupportedKind({ caip2: 'bip122:000000000000000000651ef99cb9fcbe' })
+
+      assert.deepEqual(result, {
+        x402Version: 2,
+        scheme: 'utxo',
+        network: 'bip122:000000000000000000651ef99cb9fcbe'
+      })
+    })
+
+    it('should advertise the accepted token categories', () => {
+      const scheme = new UtxoScheme({ adapters: mockAdapters, facilitator: mockFacilitator, journal: mockJournal })
+      sandbox.replace(config, 'acceptedTokenCategories', ['ab'.repeat(32)])
+
+      const result = scheme.getSupportedKind({ caip2: 'bip122:000000000000000000651ef99cb9fcbe' })
+
+      assert.deepEqual(result.extra, { tokenCategories: ['ab'.repeat(32)] })
+    })
+  })
+})
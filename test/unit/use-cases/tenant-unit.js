@@ -0,0 +1,196 @@
+/*
+  Unit tests for the tenant use case.
+*/
+
+// npm libraries
+import { assert } from 'chai'
+import sinon from 'sinon'
+
+// Unit under test
+import TenantUseCase, { DEFAULT_TENANT_ID } from '../../../src/use-cases/tenant.js'
+
+describe('#use-cases/tenant.js', () => {
+  let sandbox
+  let mockAdapters
+  let mockTenantDb
+  let storedTenants
+
+  beforeEach(() => {
+    sandbox = sinon.createSandbox()
+    storedTenants = []
+    mockTenantDb = {
+      get: sandbox.stub(),
+      put: sandbox.stub().resolves(),
+      iterator: async function * () {
+        for (const tenant of storedTenants) yield [tenant.tenantId, tenant]
+      }
+    }
+    mockAdapters = {
+      levelDB: {
+        tenantDb: mockTenantDb
+      }
+    }
+  })
+
+  afterEach(() => {
+    sandbox.restore()
+  })
+
+  describe('#constructor', () => {
+    it('should create TenantUseCase instance', () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      assert.isNotNull(useCase)
+      assert.property(useCase, 'adapters')
+    })
+
+    it('should throw error when adapters are not provided', () => {
+      assert.throws(
+        () => new TenantUseCase(),
+        /Instance of adapters must be passed in/
+      )
+    })
+  })
+
+  describe('#getDefaultTenant', () => {
+    it('should return a tenant owning the server address', () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { serverBchAddress: 'bitcoincash:qpserver' }
+
+      const result = useCase.getDefaultTenant()
+
+      assert.equal(result.tenantId, DEFAULT_TENANT_ID)
+      assert.deepEqual(result.payTo, ['bitcoincash:qpserver'])
+    })
+  })
+
+  describe('#createTenant', () => {
+    it('should store the tenant under the hash of a new API key', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+
+      const result = await useCase.createTenant({ name: 'weather', payTo: ['bitcoincash:qptenant'] })
+
+      assert.isString(result.apiKey)
+      assert.equal(result.tenant.name, 'weather')
+      assert.deepEqual(result.tenant.payTo, ['bitcoincash:qptenant'])
+      assert.isTrue(mockTenantDb.put.calledWith(useCase.hashApiKey(result.apiKey), result.tenant))
+      assert.notEqual(mockTenantDb.put.firstCall.args[0], result.apiKey)
+    })
+
+    it('should reject a payTo address that belongs to another tenant', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      storedTenants.push({ tenantId: 'other', payTo: ['bitcoincash:qptenant'] })
+
+      try {
+        await useCase.createTenant({ name: 'weather', payTo: ['bitcoincash:qptenant'] })
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'already belongs to a tenant')
+        assert.isTrue(mockTenantDb.put.notCalled)
+      }
+    })
+
+    it('should require a payTo address', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+
+      try {
+        await useCase.createTenant({ name: 'weather', payTo: [] })
+        assert.fail('Expected error to be thrown')
+      } catch (err) {
+        assert.include(err.message, 'payTo must be a non-empty array')
+      }
+    })
+  })
+
+  describe('#getTenantByApiKey', () => {
+    it('should return null for an unknown API key', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      mockTenantDb.get.rejects(new Error('NotFound'))
+
+      const result = await useCase.getTenantByApiKey('unknown')
+
+      assert.isNull(result)
+    })
+
+    it('should return the default tenant for DEFAULT_TENANT_API_KEY', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { defaultTenantApiKey: 'default-key', serverBchAddress: 'bitcoincash:qpserver' }
+
+      const result = await useCase.getTenantByApiKey('default-key')
+
+      assert.equal(result.tenantId, DEFAULT_TENANT_ID)
+      assert.deepEqual(result.payTo, ['bitcoincash:qpserver'])
+      assert.isTrue(mockTenantDb.get.notCalled)
+    })
+
+    it('should not return the default tenant when DEFAULT_TENANT_API_KEY is not set', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { defaultTenantApiKey: '', serverBchAddress: 'bitcoincash:qpserver' }
+      mockTenantDb.get.rejects(new Error('NotFound'))
+
+      const result = await useCase.getTenantByApiKey('')
+
+      assert.isNull(result)
+    })
+  })
+
+  describe('#resolveTenant', () => {
+    it('should look up the tenant when an API key is given', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      const tenant = { tenantId: 'abc', payTo: ['bitcoincash:qptenant'] }
+      mockTenantDb.get.resolves(tenant)
+
+      const result = await useCase.resolveTenant('test-key')
+
+      assert.equal(result, tenant)
+      assert.isTrue(mockTenantDb.get.calledWith(useCase.hashApiKey('test-key')))
+    })
+
+    it('should return the default tenant when no API key is given', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { requireApiKey: false, serverBchAddress: 'bitcoincash:qpserver' }
+
+      const result = await useCase.resolveTenant()
+
+      assert.equal(result.tenantId, DEFAULT_TENANT_ID)
+    })
+
+    it('should return null without an API key when one is required', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { requireApiKey: true, serverBchAddress: 'bitcoincash:qpserver' }
+
+      const result = await useCase.resolveTenant()
+
+      assert.isNull(result)
+    })
+  })
+
+  describe('#getTenantByPayTo', () => {
+    it('should return the default tenant for SERVER_BCH_ADDRESS', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { serverBchAddress: 'bitcoincash:qpserver' }
+
+      const result = await useCase.getTenantByPayTo('bitcoincash:qpserver')
+
+      assert.equal(result.tenantId, DEFAULT_TENANT_ID)
+    })
+
+    it('should return the tenant that owns the address', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { serverBchAddress: 'bitcoincash:qpserver' }
+      storedTenants.push({ tenantId: 'abc', payTo: ['bitcoincash:qptenant'] })
+
+      const result = await useCase.getTenantByPayTo('bitcoincash:qptenant')
+
+      assert.equal(result.tenantId, 'abc')
+    })
+
+    it('should return null for an address no tenant owns', async () => {
+      const useCase = new TenantUseCase({ adapters: mockAdapters })
+      useCase.config = { serverBchAddress: 'bitcoincash:qpserver' }
+
+      const result = await useCase.getTenantByPayTo('bitcoincash:qpother')
+
+      assert.isNull(result)
+    })
+  })
+})
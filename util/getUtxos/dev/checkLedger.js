@@ -0,0 +1,47 @@
+/*
+  Utility tool to check that the UTXO records and the address index in the
+  UTXO DB agree. Pass --repair to rebuild the address index from the UTXO
+  records. The facilitator must be stopped, as Level DB only allows one
+  process to open the database at a time.
+
+  Usage:
+  node util/getUtxos/dev/checkLedger.js [--repair]
+*/
+
+// Local libraries
+import LevelDBAdapter from '../../../src/adapters/leveldb.js'
+import KeyedLock from '../../../src/adapters/keyed-lock.js'
+import FacilitatorUseCase from '../../../src/use-cases/facilitator.js'
+
+async function checkLedger () {
+  const levelDB = new LevelDBAdapter()
+
+  try {
+    const repair = process.argv.slice(2).includes('--repair')
+
+    levelDB.openDb()
+    const facilitatorUseCase = new FacilitatorUseCase({
+      adapters: { levelDB, ledgerLock: new KeyedLock() }
+    })
+
+    const report = await facilitatorUseCase.checkLedger({ repair })
+
+    console.log(`UTXO records: ${report.records}`)
+    console.log(`Address index entries: ${report.indexEntries}`)
+    console.log('Orphaned index entries: ', report.orphanedIndexEntries)
+    console.log('Mismatched index entries: ', report.mismatchedIndexEntries)
+    console.log('UTXOs missing from the index: ', report.missingIndexEntries)
+    console.log('Balance discrepancies: ', report.balanceDiscrepancies)
+
+    if (report.repaired) {
+      console.log('The address index has been repaired.')
+    } else if (!repair) {
+      console.log('Run with --repair to rebuild the address index from the UTXO records.')
+    }
+  } catch (err) {
+    console.error(err.message)
+  } finally {
+    await levelDB.closeDb()
+  }
+}
+checkLedger()
@@ -0,0 +1,71 @@
+/*
+  Utility tool to export the debit journal to stdout, as JSON lines or CSV.
+  The facilitator must be stopped, as Level DB only allows one process to
+  open the database at a time.
+
+  Usage:
+  node util/journal/exportJournal.js [--payer <address>] [--resource <url>]
+    [--from <ISO timestamp>] [--to <ISO timestamp>] [--format jsonl|csv]
+*/
+
+// Local libraries
+import LevelDBAdapter from '../../src/adapters/leveldb.js'
+import JournalUseCase from '../../src/use-cases/journal.js'
+
+const USAGE = 'Usage: node util/journal/exportJournal.js [--payer <address>] [--resource <url>] [--from <ISO timestamp>] [--to <ISO timestamp>] [--format jsonl|csv]'
+
+const CSV_COLUMNS = [
+  'timestamp', 'entryId', 'type', 'result', 'payer', 'payTo', 'tenantId',
+  'network', 'resource', 'amountSat', 'utxoId', 'debits', 'tokenCategory',
+  'slpTokenId', 'idempotencyKey', 'adjustment', 'note'
+]
+
+// Quote a value for CSV. Objects, such as the debits, are written as JSON.
+function toCsvValue (value) {
+  if (value === undefined || value === null) return ''
+
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+async function exportJournal () {
+  const levelDB = new LevelDBAdapter()
+
+  try {
+    const args = process.argv.slice(2)
+    const options = { format: 'jsonl' }
+    for (let i = 0; i < args.length; i += 2) {
+      const name = args[i].replace(/^--/, '')
+      if (!['payer', 'resource', 'from', 'to', 'format'].includes(name) || args[i + 1] === undefined) {
+        console.log(USAGE)
+        return
+      }
+      options[name] = args[i + 1]
+    }
+    if (!['jsonl', 'csv'].includes(options.format)) {
+      console.log(USAGE)
+      return
+    }
+    for (const name of ['from', 'to']) {
+      if (options[name] !== undefined) options[name] = new Date(options[name]).toISOString()
+    }
+
+    levelDB.openDb()
+    const journalUseCase = new JournalUseCase({ adapters: { levelDB } })
+
+    if (options.format === 'csv') console.log(CSV_COLUMNS.join(','))
+
+    for await (const { entry } of journalUseCase.iterate(options)) {
+      if (options.format === 'csv') {
+        console.log(CSV_COLUMNS.map(column => toCsvValue(entry[column])).join(','))
+      } else {
+        console.log(JSON.stringify(entry))
+      }
+    }
+  } catch (err) {
+    console.error(err.message)
+  } finally {
+    await levelDB.closeDb()
+  }
+}
+exportJournal()
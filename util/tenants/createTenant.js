@@ -0,0 +1,37 @@
+/*
+  Utility tool to register a new tenant (resource server) and print its API key.
+  The facilitator must be stopped, as Level DB only allows one process to
+  open the database at a time.
+
+  Usage:
+  node util/tenants/createTenant.js <name> <payTo address> [<payTo address> ...]
+*/
+
+// Local libraries
+import LevelDBAdapter from '../../src/adapters/leveldb.js'
+import TenantUseCase from '../../src/use-cases/tenant.js'
+
+async function createTenant () {
+  const levelDB = new LevelDBAdapter()
+
+  try {
+    const [name, ...payTo] = process.argv.slice(2)
+    if (!name || payTo.length === 0) {
+      console.log('Usage: node util/tenants/createTenant.js <name> <payTo address> [<payTo address> ...]')
+      return
+    }
+
+    levelDB.openDb()
+    const tenantUseCase = new TenantUseCase({ adapters: { levelDB } })
+
+    const { apiKey, tenant } = await tenantUseCase.createTenant({ name, payTo })
+
+    console.log('Tenant created: ', tenant)
+    console.log(`API key (store it now, it can not be recovered): ${apiKey}`)
+  } catch (err) {
+    console.error(err.message)
+  } finally {
+    await levelDB.closeDb()
+  }
+}
+createTenant()